@@ -0,0 +1,398 @@
+/**
+ * Booster Registry Seed and Stacking Policy
+ * Default NFT booster categories and mint lists, plus the effective-dated
+ * policy that combines a user's boosters into one multiplier.
+ *
+ * The live registry is stored in Firestore (booster_categories collection) and
+ * managed through /api/boosters/admin. These defaults are only used until the
+ * registry is first written, at which point they are copied into Firestore.
+ *
+ * Note: the stacking policy schedule can be overridden by Firestore config
+ * (config/boosterStacking document). Each policy applies from its
+ * effectiveFrom until the next one starts.
+ *
+ * Campaign boosters (booster_campaigns collection) are time-boxed boosts such
+ * as "2x weekend"; they only apply between their startsAt and endsAt.
+ */
+
+export const DEFAULT_BOOSTER_CATEGORIES = {
+  RANDOM_1_1: {
+    name: "Random 1/1",
+    type: "random_1_1",
+    multiplier: 1.17,
+    mints: [
+      "4fdpMgnie15mLP8q6AQZbYnvPGQz6FzPrgVVRKfMyeC3",
+      "6SVWe3GqymeP6mjgYNXvPnEYj6soi3fCzYxVTvS1kmJL",
+      "7Ze45CngJ1DNUZaUYMNBpatDQoVqTL8Yjq2EPUYPVgbh",
+      "E21XaE8zaoBZwt2roq7KppxjfFhrcDMpFa7ZMWsFreUh",
+      "FMG9Be91LgVd9cb2YX15hPBFJ3iUhH2guB7RbCBFbDbg",
+      "J4koZzipRmLjc4QzSbRsn8CdXCZCHUUmTbCSqAtvSJFZ",
+      "khoX7jkUK98uMPv2yF9H9ftLJKTesgpmWbuvKpRvW8h",
+      // New Random 1/1 boosters added 2026-01-09
+      "LWVzjTiSKBZDWvWP4RmsXffqctmDH7GeZjchupwd1HF",
+      "EXA4nEohnyY9XTeAzNsV3f9GXcYUh8cCpWV9qbjf1egS",
+      "HchoYoGU9ZnVffHaEo1Aw9xitvqyhiP575GpebiSXNK4",
+      "5MbExwqPUNL8yNuUb8JK9iCXHGGcLXEDkecgZDfSEJfu",
+      // Random 1/1 booster added 2026-01-14
+      "77MaUVBGU6ZbCexq6M5GFNDszgpjyMn1bACisKo4X1qR",
+      // Random 1/1 boosters added 2026-01-27
+      "JBWVVUGkJYA3uzXhRdmTuMiP8YFP2APZP7KFtnT6jpvh",
+      "4j7RifoUKrnHFK6TJY7nctJBcozjjFYc8BebS5MNiNZY",
+      "488u23w7YAA5uowkx72kqEiwcj6sgwWGhpMDrCvBPjgX",
+      "8qaYjyY7qwUMeJjz8zPzncmxUozQ2mr2har2ZkhTWbU",
+      // Random 1/1 booster added 2026-02-03
+      "7LJok6gffFQo3rU2kqW7RPPtP9gcxRHV8zPEUgNBSmo",
+    ],
+  },
+  CUSTOM_1_1: {
+    name: "Custom 1/1",
+    type: "custom_1_1",
+    multiplier: 1.23,
+    mints: [
+      "AN3u7XKFSDCVAe4KopeHRZqpKByR2j9WRkTpq2SQ8ieo",
+      "14PaqpEwRntJ3tVhFewBS3bFK8kjk5CX2YeiLWYvVabu",
+      "2UsvdbGXg28B2piq3oW1rfMBQTQYhUGhCYRwJfNhUagr",
+      "4G44MShUoWPtyQog7fCH6XTgNHqwEjTtcuGpHg4BxJ1p",
+      "AukNaSscLLUKZuWm5eRxxukZ76kNt5iTB7Raeeevrhw",
+      "HiW5i4yiumjcZHaHpgjAgHdCRZgpX3j6s9vSeukpxuAF",
+      "PUjmyCPfyEd92D2cm4pppjGB1ddX6wnnttmEzxBHErD",
+      // New Custom 1/1 booster added 2026-02-03
+      "2KUdrXcUkqyGRZNFXhuzXGVP1cHoNJkX1snLm4riCB6z",
+      // New Custom 1/1 booster added 2026-01-09
+      "5j9xjtXjC3ZwfLsTHnZZEZKKa7uR75m8aXyS4rBbt8CB",
+      // Custom 1/1 boosters added 2026-01-10
+      "4aak3vYyJMyP5FJPW3avATDmXB7UBPCb3WVLFCtEDLJs",
+      "EQjH6VMk9rsEK7bnEzBcyx9ZoYPhqW2KfGUgWAWBDnEh",
+      // Custom 1/1 booster added 2026-01-13
+      "4JD4WdXc7PFKgcgfa8kfVbUb1aCxYrVzmdkuPkiW6jbd",
+      // Custom 1/1 booster added 2026-01-14
+      "DdUb3GeoMaDQn52fWka1ZqWypCdh6DXq72gzS4BUefk5",
+      // Custom 1/1 booster added 2026-01-19
+      "31puRHydjyRuCNG4CBZSWvuh7ASR2h7UnhSrJCQqA3KQ",
+      // Custom 1/1 booster added 2026-01-28
+      "GHqXzk73Y5zuvBmcG5gNWo3teivgsDqjUEifN2N7xfwj",
+    ],
+  },
+  SOLANA_MINER: {
+    name: "Solana Miner",
+    type: "solana_miner",
+    multiplier: 1.27,
+    mints: [
+      "4dFgb3Zbcu2m3VwEfgxHkDKaijyxyhyhfRvgEfYtbuvc",
+      "97psosjbGRs8j9KmG1gDcfiwajAkkzMifMfL1nsGpPZ9",
+      "A5E5hsXsydS4ttrs3Y4ZRPLsBb2ormtDKeFcL5D7Q9vj",
+      "EWbzAwkxJRZGoSXSuGq3Gz8eNX1g2muXdspsMimEB8EU",
+      "HPaU5hLy3XzNygLTcmM1KWa1ceZvFD3xbAP5eCXoDNuh",
+      "J4EshVN9yfnrqLcfpVXgVpfXd3ySEJkD2aTwfyiDrqDf",
+      // Solana Miner boosters added 2026-01-10 to 2026-01-11
+      "J2F9etQhMYNkwPAWctbJBwr3z4rMpYprdcqAKuNR4h4q",
+      "5DD4yFFycyGhXgnqAh58HQ659uRjvr5KBTBbTcBTkhf5",
+      "7pKZgMEVo1jnndSUCcDpY2Hpa3SapveooAmMPL2HCTWV",
+      "BGtMZEb36SLHB3WceU61AwfdXbxy7k6vqXciWtvxSJsQ",
+      // Solana Miner boosters added 2026-01-13
+      "HmUpTxhKjYcPCwyCF65FyCRCyKP2WzUkrCrGFVDtT8YW",
+      "A4mDu4sFNmjGDadPHpbFC2GNeyH6xF9NuejiPFnX7AMZ",
+      // Solana Miner boosters added 2026-01-14
+      "2eXCtf44NAudG7z8S2zDAgXmLHMcr2oj1vCvc537mHq3",
+      "2MeksUy4XJ5aqT9ARrq773ugdnvsAmGTF8XdkzFoXDV6",
+      // Solana Miner boosters added 2026-01-15
+      "3K8y4VdZJfrwDuWRYXkKNsX3JrBiTpPyGKibhncvxUfU",
+      "99egWJLHeRx6j2VNoAbpHs2XhTJmKWJBz2rVMeZqwRZ3",
+      // Solana Miner booster added 2026-01-27
+      "5K3LoBcsEgLpVCBDmbRsHQopPapt1KDfxHpspBdH6Fms",
+      // Solana Miner booster added 2026-01-28
+      "4iZFqT9hswYLXrTEq3WwJ1wNiYtkTzCfGDWgPjWR6H9J",
+    ],
+  },
+};
+
+export const STACKING_MODES = ["multiplicative", "additive", "diminishing"];
+
+// How a campaign combines with NFT boosters:
+// - stack: counted like another booster under the stacking policy (mode, limits, cap)
+// - on_top: multiplies the stacked result, outside the global cap
+// - best_of: the higher of the stacked result and the campaign multiplier
+export const CAMPAIGN_STACKING = ["stack", "on_top", "best_of"];
+
+// Who a campaign applies to: every staker, holders of given collections, or listed users/wallets
+export const CAMPAIGN_ELIGIBILITY = ["all", "collection", "allowlist"];
+
+// Default: uncapped multiplicative stacking for all time (matches the pre-policy behaviour)
+export const DEFAULT_STACKING_POLICIES = [
+  {
+    effectiveFrom: "2024-01-01T00:00:00Z",
+    mode: "multiplicative",
+    perCategoryLimit: null,
+    categoryLimits: {},
+    globalCap: null,
+    decay: null,
+    note: "Uncapped multiplicative stacking",
+  },
+];
+
+/**
+ * Validate and sort a list of stacking policies
+ * Modes, for boosters with multipliers m (one entry per counted NFT):
+ * - multiplicative: Π m
+ * - additive: 1 + Σ (m - 1)
+ * - diminishing: 1 + Σ (m_i - 1) × decay^i, largest bonus first
+ * perCategoryLimit / categoryLimits cap how many NFTs of a category count;
+ * globalCap caps the final multiplier. Campaign boosters marked on_top or
+ * best_of are applied after the policy (see CAMPAIGN_STACKING).
+ *
+ * @param {Array<{effectiveFrom: string, mode: string, perCategoryLimit?: number, categoryLimits?: Object, globalCap?: number, decay?: number, note?: string}>} policies
+ * @returns {Array} Normalized policies with effectiveFromMs, oldest first
+ * @throws {Error} If a policy is malformed or two policies share a start time
+ */
+export function normalizeStackingPolicies(policies) {
+  if (!Array.isArray(policies) || policies.length === 0) {
+    throw new Error("Stacking policy schedule must contain at least one policy");
+  }
+
+  const isLimit = (value) => Number.isInteger(value) && value >= 0;
+
+  const normalized = policies.map((policy, i) => {
+    const effectiveFromMs = new Date(policy.effectiveFrom).getTime();
+    if (!Number.isFinite(effectiveFromMs)) {
+      throw new Error(`Policy ${i}: invalid effectiveFrom "${policy.effectiveFrom}"`);
+    }
+    if (!STACKING_MODES.includes(policy.mode)) {
+      throw new Error(`Policy ${i}: mode must be one of ${STACKING_MODES.join(", ")}`);
+    }
+
+    const perCategoryLimit = policy.perCategoryLimit ?? null;
+    if (perCategoryLimit !== null && !isLimit(perCategoryLimit)) {
+      throw new Error(`Policy ${i}: perCategoryLimit must be a non-negative integer`);
+    }
+    const categoryLimits = policy.categoryLimits || {};
+    const badLimits = Object.entries(categoryLimits).filter(([, limit]) => !isLimit(limit));
+    if (badLimits.length > 0) {
+      throw new Error(`Policy ${i}: categoryLimits must be non-negative integers (${badLimits.map(([key]) => key).join(", ")})`);
+    }
+
+    const globalCap = policy.globalCap ?? null;
+    if (globalCap !== null && (typeof globalCap !== "number" || globalCap < 1)) {
+      throw new Error(`Policy ${i}: globalCap must be a number >= 1`);
+    }
+
+    let decay = null;
+    if (policy.mode === "diminishing") {
+      decay = policy.decay ?? 0.5;
+      if (typeof decay !== "number" || decay <= 0 || decay > 1) {
+        throw new Error(`Policy ${i}: decay must be a number in (0, 1]`);
+      }
+    }
+
+    return {
+      effectiveFrom: new Date(effectiveFromMs).toISOString(),
+      effectiveFromMs,
+      mode: policy.mode,
+      perCategoryLimit,
+      categoryLimits: { ...categoryLimits },
+      globalCap,
+      decay,
+      note: policy.note || null,
+    };
+  });
+
+  normalized.sort((a, b) => a.effectiveFromMs - b.effectiveFromMs);
+
+  for (let i = 1; i < normalized.length; i++) {
+    if (normalized[i].effectiveFromMs === normalized[i - 1].effectiveFromMs) {
+      throw new Error(`Two policies start at ${normalized[i].effectiveFrom}`);
+    }
+  }
+
+  return normalized;
+}
+
+/**
+ * Get the stacking policy in effect at a point in time
+ * Times before the first policy use the first policy.
+ */
+export function getStackingPolicyAt(policies, atMs = Date.now()) {
+  let current = policies[0];
+  for (const policy of policies) {
+    if (policy.effectiveFromMs > atMs) break;
+    current = policy;
+  }
+  return current;
+}
+
+/**
+ * Combine boosters into one multiplier under a stacking policy
+ * @param {Array<{category?: string, type?: string, multiplier: number, mints?: string[], stacking?: string}>} boosters
+ * @param {Object} policy - Normalized policy
+ * @returns {{ multiplier: number, uncapped: number, capped: boolean,
+ *   boosters: Array<{category: string, multiplier: number, count: number, counted: number}> }}
+ */
+export function applyStackingPolicy(boosters = [], policy) {
+  const breakdown = [];
+  const bonuses = [];
+  const afterPolicy = [];
+
+  for (const booster of boosters || []) {
+    const category = booster.category || booster.type;
+    const count = booster.mints ? booster.mints.length : 1;
+
+    if (booster.stacking === "on_top" || booster.stacking === "best_of") {
+      breakdown.push({ category, multiplier: booster.multiplier, count, counted: count });
+      afterPolicy.push(booster);
+      continue;
+    }
+
+    const limit = policy.categoryLimits[category] ?? policy.perCategoryLimit;
+    const counted = booster.multiplier > 1.0 ? Math.min(count, limit ?? count) : 0;
+
+    breakdown.push({ category, multiplier: booster.multiplier, count, counted });
+    for (let i = 0; i < counted; i++) {
+      bonuses.push(booster.multiplier);
+    }
+  }
+
+  let uncapped = 1.0;
+  if (policy.mode === "multiplicative") {
+    for (const multiplier of bonuses) uncapped *= multiplier;
+  } else if (policy.mode === "additive") {
+    for (const multiplier of bonuses) uncapped += multiplier - 1;
+  } else {
+    bonuses
+      .sort((a, b) => b - a)
+      .forEach((multiplier, i) => {
+        uncapped += (multiplier - 1) * Math.pow(policy.decay, i);
+      });
+  }
+
+  const capped = policy.globalCap !== null && uncapped > policy.globalCap;
+  let multiplier = capped ? policy.globalCap : uncapped;
+
+  for (const booster of afterPolicy.filter((b) => b.stacking === "best_of")) {
+    multiplier = Math.max(multiplier, booster.multiplier);
+  }
+  for (const booster of afterPolicy.filter((b) => b.stacking === "on_top")) {
+    multiplier *= booster.multiplier;
+  }
+
+  return {
+    multiplier,
+    uncapped,
+    capped,
+    boosters: breakdown,
+  };
+}
+
+/**
+ * Is a holder eligible for a campaign?
+ * @param {Object} campaign - Normalized campaign
+ * @param {{ userId?: string, walletAddress?: string, collections?: string[] }} holder
+ *   collections = collection addresses held at the last wallet scan
+ */
+export function isCampaignEligible(campaign, holder = {}) {
+  const { eligibility } = campaign;
+  if (eligibility.type === "all") return true;
+  if (eligibility.type === "collection") {
+    return (holder.collections || []).some((address) => eligibility.collections.includes(address));
+  }
+  return (
+    (holder.userId && eligibility.users.includes(holder.userId)) ||
+    (holder.walletAddress && eligibility.wallets.includes(holder.walletAddress)) ||
+    false
+  );
+}
+
+/**
+ * A campaign as a booster entry (for stacking and display)
+ */
+export function toCampaignBooster(campaign) {
+  return {
+    source: "campaign",
+    type: "campaign",
+    category: `CAMPAIGN_${campaign.id}`,
+    name: campaign.name,
+    multiplier: campaign.multiplier,
+    stacking: campaign.stacking,
+    campaignId: campaign.id,
+    startsAt: campaign.startsAt,
+    endsAt: campaign.endsAt,
+  };
+}
+
+/**
+ * Booster multiplier over time
+ * Crosses booster segments (which boosters were held when) with the stacking
+ * policies (how they combined when) and campaign windows (which campaigns
+ * were running). The first policy also covers any time before it starts (as
+ * in integrateRate).
+ * @param {Array<{fromMs: number, toMs: number, boosters: Array, collections?: string[]}>} boosterSegments
+ * @param {Array} policies - Normalized policies
+ * @param {Array} [campaigns] - Normalized campaigns
+ * @param {{ userId?: string, walletAddress?: string }} [holder] - For campaign eligibility
+ * @returns {Array<{fromMs: number, toMs: number, multiplier: number, policyFrom: string, campaigns: string[]}>}
+ */
+export function getMultiplierTimeline(boosterSegments, policies, campaigns = [], holder = {}) {
+  const timeline = [];
+
+  for (const segment of boosterSegments) {
+    const eligible = campaigns.filter((campaign) =>
+      isCampaignEligible(campaign, { ...holder, collections: segment.collections || [] })
+    );
+
+    policies.forEach((policy, i) => {
+      const policyFromMs = i === 0 ? -Infinity : policy.effectiveFromMs;
+      const policyToMs = i + 1 < policies.length ? policies[i + 1].effectiveFromMs : Infinity;
+
+      const fromMs = Math.max(segment.fromMs, policyFromMs);
+      const toMs = Math.min(segment.toMs, policyToMs);
+      if (toMs <= fromMs) return;
+
+      // Split at campaign starts/ends so each piece has a fixed set of running campaigns
+      const cuts = [
+        fromMs,
+        ...eligible
+          .flatMap((campaign) => [campaign.startsAtMs, campaign.endsAtMs])
+          .filter((ms) => ms > fromMs && ms < toMs),
+        toMs,
+      ].sort((a, b) => a - b);
+
+      for (let j = 0; j + 1 < cuts.length; j++) {
+        const [pieceFromMs, pieceToMs] = [cuts[j], cuts[j + 1]];
+        if (pieceToMs <= pieceFromMs) continue;
+
+        const running = eligible.filter(
+          (campaign) => campaign.startsAtMs <= pieceFromMs && pieceToMs <= campaign.endsAtMs
+        );
+        timeline.push({
+          fromMs: pieceFromMs,
+          toMs: pieceToMs,
+          multiplier: applyStackingPolicy([...segment.boosters, ...running.map(toCampaignBooster)], policy).multiplier,
+          policyFrom: policy.effectiveFrom,
+          campaigns: running.map((campaign) => campaign.id),
+        });
+      }
+    });
+  }
+
+  return timeline;
+}
+
+/**
+ * Multiplier in effect at a point in time, from a timeline
+ */
+export function getMultiplierAt(timeline, atMs = Date.now()) {
+  return timeline.find((piece) => piece.fromMs <= atMs && atMs < piece.toMs)?.multiplier ?? 1.0;
+}
+
+export default {
+  DEFAULT_BOOSTER_CATEGORIES,
+  STACKING_MODES,
+  CAMPAIGN_STACKING,
+  CAMPAIGN_ELIGIBILITY,
+  DEFAULT_STACKING_POLICIES,
+  normalizeStackingPolicies,
+  getStackingPolicyAt,
+  applyStackingPolicy,
+  isCampaignEligible,
+  toCampaignBooster,
+  getMultiplierTimeline,
+  getMultiplierAt,
+};
@@ -3,6 +3,13 @@
  * Centralized configuration for NFT staking system
  * 
  * Note: stakingEnabled can be overridden by Firestore config (config/nftStaking document)
+ *
+ * Seasons: each named season (nft_staking_seasons collection) has its own
+ * window, token pool, eligible collections and fee. STAKING_PERIOD/TOKEN_POOL
+ * below only describe the "legacy" season used before any season is created.
+ *
+ * Rewards: a season's pool is split pro-rata by NFT weight (see REWARD_WEIGHTS);
+ * a season may carry its own rewardWeights to override the defaults.
  */
 
 export const NFT_STAKING_CONFIG = {
@@ -32,12 +39,63 @@ export const NFT_STAKING_CONFIG = {
   // Fee per NFT in USD (collected but NOT distributed - kept separately)
   STAKE_FEE_PER_NFT: 0.30,
 
+  // Wallet that must receive the staking fee (defaults to the staking vault)
+  FEE_WALLET: process.env.NFT_STAKING_FEE_WALLET || process.env.STAKING_WALLET_ADDRESS || null,
+
   // Enable/disable NFT staking (default: true, can be overridden by Firestore)
   ENABLED: process.env.NFT_STAKING_ENABLED === 'false' ? false : true,
 
   // Collection IDs for validation
   VALID_COLLECTIONS: ['therealmkin', 'the_realmkin_kins', 'the_realmkin'],
 
+  // Reward weights - each NFT's share of the pool is weight / total staked weight
+  // weight = collection weight × (oneOfOne for 1/1s, otherwise the product of matching trait weights)
+  // Trait names/values follow the metadata attributes (e.g. Class from config/collections.js)
+  REWARD_WEIGHTS: {
+    collections: {
+      therealmkin: 1,
+      the_realmkin_kins: 1,
+      the_realmkin: 1,
+    },
+    traits: {
+      Class: {
+        King: 1.5,
+        Queen: 1.5,
+        Wizard: 1.25,
+        Witch: 1.25,
+        Chief: 1.25,
+      },
+    },
+    oneOfOne: 3,
+  },
+
+  // What the staking monitor does when a staked NFT's DAS asset data shows:
+  // - transferred: a new owner that isn't a known marketplace escrow
+  // - escrow: owned by a marketplace escrow account (listed)
+  // - delegated: an active delegate other than the staker (listed via delegate)
+  // - frozen: the token account is frozen (e.g. pNFT listing lock)
+  // Actions: "forfeit" ends the stake, "flag" records the reason on the stake, "ignore"
+  // Override per condition in Firestore config/nftStaking.monitorPolicy
+  MONITOR_POLICY: {
+    transferred: "forfeit",
+    escrow: "forfeit",
+    delegated: "forfeit",
+    frozen: "flag",
+  },
+
+  // Known marketplace escrow owners (extend with NFT_MARKETPLACE_ESCROW_ACCOUNTS, comma-separated)
+  MARKETPLACE_ESCROW_ACCOUNTS: {
+    "1BWutmTvYPwDtmw9abTkS4Ssr8no61spGAvW1X6NDix": "Magic Eden",
+    "4zdNGgAtFsW1cQgHqkiWyRsxaAgxrSRRynnuunxzjxue": "Tensor",
+    ...Object.fromEntries(
+      (process.env.NFT_MARKETPLACE_ESCROW_ACCOUNTS || "")
+        .split(",")
+        .map((address) => address.trim())
+        .filter(Boolean)
+        .map((address) => [address, "marketplace"])
+    ),
+  },
+
   // Collection addresses for ownership verification
   COLLECTION_ADDRESSES: {
     therealmkin: '89KnhXiCHb2eGP2jRGzEQX3B8NTyqHEVmu55syDWSnL8',
@@ -51,39 +109,97 @@ export const NFT_STAKING_CONFIG = {
     : null,
 };
 
+// Season id for stakes made before named seasons existed
+export const LEGACY_SEASON_ID = "legacy";
+
+/**
+ * Build the legacy season from env config (plus the old config/nftStaking period override)
+ */
+export function buildLegacySeason(firestoreConfig = null) {
+  return {
+    id: LEGACY_SEASON_ID,
+    name: "Season 0",
+    start: firestoreConfig?.periodStart || NFT_STAKING_CONFIG.STAKING_PERIOD.start,
+    end: firestoreConfig?.periodEnd || NFT_STAKING_CONFIG.STAKING_PERIOD.end,
+    tokenPool: NFT_STAKING_CONFIG.TOKEN_POOL,
+    eligibleCollections: [...NFT_STAKING_CONFIG.VALID_COLLECTIONS],
+    feePerNft: NFT_STAKING_CONFIG.STAKE_FEE_PER_NFT,
+    rewardWeights: null,
+    settled: false,
+  };
+}
+
+// Reward weights in effect for a season
+export function getSeasonRewardWeights(season) {
+  return season?.rewardWeights || NFT_STAKING_CONFIG.REWARD_WEIGHTS;
+}
+
+/**
+ * Compute an NFT's reward weight
+ * @param {Object} nft
+ * @param {string} nft.collectionId
+ * @param {Array<{trait_type: string, value: string}>} [nft.attributes] - Metadata attributes
+ * @param {boolean} [nft.isOneOfOne]
+ * @param {Object} [weights] - Defaults to REWARD_WEIGHTS
+ * @returns {{ weight: number, traits: Object, oneOfOne: boolean }} traits = the attributes that were weighted
+ */
+export function getRewardWeight({ collectionId, attributes = [], isOneOfOne = false }, weights = NFT_STAKING_CONFIG.REWARD_WEIGHTS) {
+  const collectionWeight = weights.collections?.[collectionId] ?? 1;
+
+  if (isOneOfOne) {
+    return { weight: collectionWeight * (weights.oneOfOne ?? 1), traits: {}, oneOfOne: true };
+  }
+
+  let traitWeight = 1;
+  const traits = {};
+  for (const { trait_type, value } of attributes) {
+    const weight = weights.traits?.[trait_type]?.[value];
+    if (weight) {
+      traitWeight *= weight;
+      traits[trait_type] = value;
+    }
+  }
+
+  return { weight: collectionWeight * traitWeight, traits, oneOfOne: false };
+}
+
+// Season window boundaries (start of first day, end of last day, UTC)
+export function getSeasonWindow(season) {
+  return {
+    startDate: new Date(season.start + "T00:00:00Z"),
+    endDate: new Date(season.end + "T23:59:59Z"),
+  };
+}
+
+/**
+ * Get a season's status at a point in time
+ * @returns {{ status: "upcoming"|"open"|"closed", message: string }}
+ */
+export function getSeasonStatus(season, now = new Date()) {
+  const { startDate, endDate } = getSeasonWindow(season);
+
+  if (now < startDate) {
+    return { status: "upcoming", message: `Staking opens ${season.start}` };
+  } else if (now <= endDate) {
+    return { status: "open", message: `Staking open until ${season.end}` };
+  } else {
+    return { status: "closed", message: `Staking closed. Claims open until next period.` };
+  }
+}
+
 // Helper to check if staking period is currently open
 export function isStakingPeriodOpen() {
-  const now = new Date();
-  const period = NFT_STAKING_CONFIG.STAKING_PERIOD;
-  const startDate = new Date(period.start + "T00:00:00Z");
-  const endDate = new Date(period.end + "T23:59:59Z");
-  
-  return now >= startDate && now <= endDate;
+  return getStakingPeriodStatus().status === "open";
 }
 
 // Helper to check if staking period has ended (claimable now)
 export function isStakingPeriodEnded() {
-  const now = new Date();
-  const period = NFT_STAKING_CONFIG.STAKING_PERIOD;
-  const endDate = new Date(period.end + "T23:59:59Z");
-  
-  return now > endDate;
+  return getStakingPeriodStatus().status === "closed";
 }
 
-// Get current period status
+// Get current period status (legacy season, env config only)
 export function getStakingPeriodStatus() {
-  const period = NFT_STAKING_CONFIG.STAKING_PERIOD;
-  const now = new Date();
-  const startDate = new Date(period.start + "T00:00:00Z");
-  const endDate = new Date(period.end + "T23:59:59Z");
-  
-  if (now < startDate) {
-    return { status: "upcoming", message: `Staking opens ${period.start}` };
-  } else if (now >= startDate && now <= endDate) {
-    return { status: "open", message: `Staking open until ${period.end}` };
-  } else {
-    return { status: "closed", message: `Staking closed. Claims open until next period.` };
-  }
+  return getSeasonStatus(buildLegacySeason());
 }
 
 // Total eligible NFTs (for display purposes only - NOT for reward calculation)
@@ -96,6 +212,12 @@ export const TOTAL_ELIGIBLE_NFTS =
 export default {
   NFT_STAKING_CONFIG,
   TOTAL_ELIGIBLE_NFTS,
+  LEGACY_SEASON_ID,
+  buildLegacySeason,
+  getSeasonWindow,
+  getSeasonStatus,
+  getSeasonRewardWeights,
+  getRewardWeight,
   isStakingPeriodOpen,
   isStakingPeriodEnded,
   getStakingPeriodStatus,
@@ -0,0 +1,130 @@
+/**
+ * MKIN Staking Reward Rate Schedule
+ * Effective-dated APR segments and lock-term tiers used for reward accrual
+ *
+ * Note: the schedule can be overridden by Firestore config (config/stakingRates document)
+ * Each segment applies from its effectiveFrom until the next segment starts.
+ */
+
+export const SECONDS_PER_YEAR = 365 * 24 * 60 * 60; // 31,536,000 (match frontend exactly)
+
+// Default: flat 10% APR for all time (matches the pre-schedule behaviour)
+export const DEFAULT_RATE_SCHEDULE = [
+  { effectiveFrom: "2024-01-01T00:00:00Z", apr: 0.1, note: "Base 10% APR" },
+];
+
+// Lock-term tiers: aprMultiplier applies (on top of boosters) until the lock expires.
+// earlyExitPenalty is the fraction of unstaked principal withheld on early exit;
+// 0 means early exit is not allowed for that tier.
+export const LOCK_TIERS = {
+  flexible: { id: "flexible", label: "Flexible", days: 0, aprMultiplier: 1.0, earlyExitPenalty: 0 },
+  lock_30: { id: "lock_30", label: "30-Day Lock", days: 30, aprMultiplier: 1.25, earlyExitPenalty: 0.05 },
+  lock_90: { id: "lock_90", label: "90-Day Lock", days: 90, aprMultiplier: 1.5, earlyExitPenalty: 0.1 },
+  lock_180: { id: "lock_180", label: "180-Day Lock", days: 180, aprMultiplier: 2.0, earlyExitPenalty: 0.15 },
+};
+
+/**
+ * Look up a lock tier by id (missing/unknown ids on old positions are flexible)
+ */
+export function getLockTier(tierId) {
+  return LOCK_TIERS[tierId] || LOCK_TIERS.flexible;
+}
+
+/**
+ * Validate and sort a list of rate segments
+ * @param {Array<{effectiveFrom: string, apr: number, note?: string}>} segments
+ * @returns {Array<{effectiveFrom: string, effectiveFromMs: number, apr: number, note: string|null}>}
+ * @throws {Error} If a segment is malformed or two segments share a start time
+ */
+export function normalizeRateSchedule(segments) {
+  if (!Array.isArray(segments) || segments.length === 0) {
+    throw new Error("Rate schedule must contain at least one segment");
+  }
+
+  const normalized = segments.map((segment, i) => {
+    const effectiveFromMs = new Date(segment.effectiveFrom).getTime();
+    if (!Number.isFinite(effectiveFromMs)) {
+      throw new Error(`Segment ${i}: invalid effectiveFrom "${segment.effectiveFrom}"`);
+    }
+    if (typeof segment.apr !== "number" || segment.apr < 0 || segment.apr > 10) {
+      throw new Error(`Segment ${i}: apr must be a fraction between 0 and 10 (e.g. 0.1 for 10%)`);
+    }
+    return {
+      effectiveFrom: new Date(effectiveFromMs).toISOString(),
+      effectiveFromMs,
+      apr: segment.apr,
+      note: segment.note || null,
+    };
+  });
+
+  normalized.sort((a, b) => a.effectiveFromMs - b.effectiveFromMs);
+
+  for (let i = 1; i < normalized.length; i++) {
+    if (normalized[i].effectiveFromMs === normalized[i - 1].effectiveFromMs) {
+      throw new Error(`Two segments start at ${normalized[i].effectiveFrom}`);
+    }
+  }
+
+  return normalized;
+}
+
+/**
+ * Get the APR in effect at a point in time
+ * Times before the first segment use the first segment's rate.
+ */
+export function getRateAt(schedule, atMs = Date.now()) {
+  let rate = schedule[0].apr;
+  for (const segment of schedule) {
+    if (segment.effectiveFromMs > atMs) break;
+    rate = segment.apr;
+  }
+  return rate;
+}
+
+/**
+ * Integrate APR over a time window, split by segment
+ * @param {Array} schedule - Normalized schedule
+ * @param {number} startMs - Window start (ms)
+ * @param {number} endMs - Window end (ms)
+ * @returns {{ rateSeconds: number, segments: Array<{from: string, to: string, apr: number, seconds: number}> }}
+ *   rateSeconds is Σ(apr × seconds); multiply by principal value / SECONDS_PER_YEAR for rewards
+ */
+export function integrateRate(schedule, startMs, endMs) {
+  const segments = [];
+  let rateSeconds = 0;
+
+  if (endMs <= startMs) {
+    return { rateSeconds, segments };
+  }
+
+  for (let i = 0; i < schedule.length; i++) {
+    // The first segment also covers any time before it starts
+    const segStart = i === 0 ? -Infinity : schedule[i].effectiveFromMs;
+    const segEnd = i + 1 < schedule.length ? schedule[i + 1].effectiveFromMs : Infinity;
+
+    const from = Math.max(startMs, segStart);
+    const to = Math.min(endMs, segEnd);
+    if (to <= from) continue;
+
+    const seconds = Math.floor((to - from) / 1000);
+    rateSeconds += schedule[i].apr * seconds;
+    segments.push({
+      from: new Date(from).toISOString(),
+      to: new Date(to).toISOString(),
+      apr: schedule[i].apr,
+      seconds,
+    });
+  }
+
+  return { rateSeconds, segments };
+}
+
+export default {
+  SECONDS_PER_YEAR,
+  DEFAULT_RATE_SCHEDULE,
+  LOCK_TIERS,
+  getLockTier,
+  normalizeRateSchedule,
+  getRateAt,
+  integrateRate,
+};
@@ -1,6 +1,10 @@
 import express from "express";
 import BoosterService from "../services/boosterService.js";
+import boosterRegistry, { BoosterRegistryError } from "../services/boosterRegistryService.js";
+import boosterCampaignService, { BoosterCampaignError } from "../services/boosterCampaignService.js";
+import { stakingService, StakingError } from "../services/stakingService.js";
 import admin from "firebase-admin";
+import { requireAdmin } from "../utils/auth.js";
 
 const router = express.Router();
 const boosterService = new BoosterService();
@@ -18,17 +22,23 @@ async function verifyAuth(req, res, next) {
   }
 }
 
+function registryErrorStatus(e) {
+  return e instanceof BoosterRegistryError || e instanceof BoosterCampaignError ? e.code : 500;
+}
+
 // GET /api/boosters/status - Get current booster status for authenticated user
 router.get("/status", verifyAuth, async (req, res) => {
   try {
     const boosters = await boosterService.getUserBoosters(req.user.uid);
-    const stackedMultiplier = boosterService.calculateStackedMultiplier(boosters);
+    await boosterService.getStackingPolicies();
+    const stacking = boosterService.getStackingBreakdown(boosters);
     
     res.json({
       success: true,
       data: {
         activeBoosters: boosters,
-        stackedMultiplier: stackedMultiplier,
+        stackedMultiplier: stacking.multiplier,
+        stacking: stacking,
         boosterCount: boosters.length,
         lastUpdated: boosters.length > 0 ? boosters[0].detectedAt : null
       }
@@ -44,7 +54,9 @@ router.post("/refresh", verifyAuth, async (req, res) => {
   try {
     console.log(`🔄 Manual booster refresh requested by user ${req.user.uid}`);
     
-    const boosters = await boosterService.refreshUserBoosters(req.user.uid);
+    await boosterService.refreshUserBoosters(req.user.uid);
+    // Re-read so running campaigns are included alongside the fresh NFT boosters
+    const boosters = await boosterService.getUserBoosters(req.user.uid);
     const stackedMultiplier = boosterService.calculateStackedMultiplier(boosters);
     
     res.json({
@@ -65,7 +77,7 @@ router.post("/refresh", verifyAuth, async (req, res) => {
 // GET /api/boosters/categories - Get all available booster categories
 router.get("/categories", async (req, res) => {
   try {
-    const categories = boosterService.getBoosterCategories();
+    const categories = await boosterService.getBoosterCategories();
     
     res.json({
       success: true,
@@ -80,17 +92,65 @@ router.get("/categories", async (req, res) => {
   }
 });
 
+// GET /api/boosters/stacking-policy - Effective-dated booster stacking policies
+router.get("/stacking-policy", async (req, res) => {
+  try {
+    const policies = await boosterService.getStackingPolicies();
+    res.json({
+      success: true,
+      data: {
+        policies: policies.map(({ effectiveFromMs, ...policy }) => policy),
+        current: boosterService.getStackingBreakdown([], Date.now(), policies).policy,
+      },
+    });
+  } catch (e) {
+    console.error("Error getting booster stacking policies:", e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// POST /api/boosters/simulate - What-if projection for booster and stake changes
+// Body: { addBoosters?: [categoryKey | { category, count }], removeBoosters?: [...], additionalStake?: number (MKIN, negative to unstake), lockTier? }
+// Returns projected daily/monthly/yearly SOL for the current position and the simulated one
+router.post("/simulate", verifyAuth, async (req, res) => {
+  try {
+    const simulation = await stakingService.simulateRewards(req.user.uid, req.body || {});
+    res.json({ success: true, data: simulation });
+  } catch (e) {
+    console.error("Error simulating booster rewards:", e);
+    const status = e instanceof StakingError || e instanceof BoosterRegistryError ? e.code : 500;
+    res.status(status).json({ error: e.message });
+  }
+});
+
+// GET /api/boosters/campaigns - Running and upcoming booster campaigns
+// Allowlist entries are not exposed; /status shows the campaigns that apply to the caller
+router.get("/campaigns", async (req, res) => {
+  try {
+    const now = Date.now();
+    const campaigns = (await boosterService.getCampaigns())
+      .filter((campaign) => campaign.endsAtMs > now)
+      .map(({ startsAtMs, endsAtMs, eligibility, ...campaign }) => ({
+        ...campaign,
+        eligibility: {
+          type: eligibility.type,
+          collections: eligibility.collections,
+        },
+        active: startsAtMs <= now,
+        startsInSeconds: Math.max(0, Math.floor((startsAtMs - now) / 1000)),
+        endsInSeconds: Math.floor((endsAtMs - now) / 1000),
+      }));
+
+    res.json({ success: true, data: { campaigns } });
+  } catch (e) {
+    console.error("Error getting booster campaigns:", e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
 // POST /api/boosters/refresh-all - Admin endpoint to refresh all active boosters
-router.post("/refresh-all", verifyAuth, async (req, res) => {
+router.post("/refresh-all", verifyAuth, requireAdmin, async (req, res) => {
   try {
-    // Check if user is admin (you may need to implement admin check logic)
-    const userDoc = await admin.firestore().collection('users').doc(req.user.uid).get();
-    const isAdmin = userDoc.exists ? userDoc.data().admin : false;
-    
-    if (!isAdmin) {
-      return res.status(403).json({ error: "Admin access required" });
-    }
-    
     console.log(`🔄 Admin requested full booster refresh`);
     
     // Start async refresh (don't wait for completion)
@@ -150,11 +210,16 @@ router.get("/history", verifyAuth, async (req, res) => {
       ...doc.data(),
       timestamp: doc.data().timestamp.toDate()
     }));
+
+    // Boosters held over time, as used for reward accrual
+    await boosterService.getStackingPolicies();
+    const segments = await boosterService.getBoosterSegments(req.user.uid);
     
     res.json({
       success: true,
       data: {
         history: history,
+        segments: segments,
         count: history.length,
         limit: limit,
         offset: offset
@@ -166,4 +231,147 @@ router.get("/history", verifyAuth, async (req, res) => {
   }
 });
 
+// GET /api/boosters/admin/categories - Full booster registry including mint lists (admin only)
+router.get("/admin/categories", verifyAuth, requireAdmin, async (req, res) => {
+  try {
+    const registry = await boosterRegistry.listCategories();
+    res.json({ success: true, data: registry });
+  } catch (e) {
+    console.error("Error listing booster registry:", e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// POST /api/boosters/admin/categories - Create a booster category (admin only)
+// Body: { key, name, multiplier, type?, mints? }
+router.post("/admin/categories", verifyAuth, requireAdmin, async (req, res) => {
+  try {
+    const { key, ...params } = req.body;
+    const category = await boosterRegistry.createCategory(key, params, req.user.uid);
+    res.json({ success: true, data: category });
+  } catch (e) {
+    console.error("Error creating booster category:", e);
+    res.status(registryErrorStatus(e)).json({ error: e.message });
+  }
+});
+
+// PATCH /api/boosters/admin/categories/:key - Change name and/or multiplier (admin only)
+router.patch("/admin/categories/:key", verifyAuth, requireAdmin, async (req, res) => {
+  try {
+    const { name, multiplier } = req.body;
+    const category = await boosterRegistry.updateCategory(req.params.key, { name, multiplier }, req.user.uid);
+    res.json({ success: true, data: category });
+  } catch (e) {
+    console.error("Error updating booster category:", e);
+    res.status(registryErrorStatus(e)).json({ error: e.message });
+  }
+});
+
+// POST /api/boosters/admin/categories/:key/mints - Add mints to a category (admin only)
+// Body: { mints: string[] }
+router.post("/admin/categories/:key/mints", verifyAuth, requireAdmin, async (req, res) => {
+  try {
+    const category = await boosterRegistry.addMints(req.params.key, req.body.mints, req.user.uid);
+    res.json({ success: true, data: category });
+  } catch (e) {
+    console.error("Error adding booster mints:", e);
+    res.status(registryErrorStatus(e)).json({ error: e.message });
+  }
+});
+
+// DELETE /api/boosters/admin/categories/:key/mints/:mint - Remove a mint from a category (admin only)
+router.delete("/admin/categories/:key/mints/:mint", verifyAuth, requireAdmin, async (req, res) => {
+  try {
+    const category = await boosterRegistry.removeMints(req.params.key, [req.params.mint], req.user.uid);
+    res.json({ success: true, data: category });
+  } catch (e) {
+    console.error("Error removing booster mint:", e);
+    res.status(registryErrorStatus(e)).json({ error: e.message });
+  }
+});
+
+// POST /api/boosters/admin/categories/:key/rules - Add a metadata rule to a category (admin only)
+// Body: { collection?, attribute?: { name, value }, creator? } e.g. { collection: "therealmkin", attribute: { name: "Class", value: "King" } }
+router.post("/admin/categories/:key/rules", verifyAuth, requireAdmin, async (req, res) => {
+  try {
+    const category = await boosterRegistry.addRule(req.params.key, req.body, req.user.uid);
+    res.json({ success: true, data: category });
+  } catch (e) {
+    console.error("Error adding booster rule:", e);
+    res.status(registryErrorStatus(e)).json({ error: e.message });
+  }
+});
+
+// DELETE /api/boosters/admin/categories/:key/rules/:ruleId - Remove a metadata rule (admin only)
+router.delete("/admin/categories/:key/rules/:ruleId", verifyAuth, requireAdmin, async (req, res) => {
+  try {
+    const category = await boosterRegistry.removeRule(req.params.key, req.params.ruleId, req.user.uid);
+    res.json({ success: true, data: category });
+  } catch (e) {
+    console.error("Error removing booster rule:", e);
+    res.status(registryErrorStatus(e)).json({ error: e.message });
+  }
+});
+
+// PUT /api/boosters/admin/stacking-policy - Replace the stacking policy schedule (admin only)
+// Body: { policies: [{ effectiveFrom, mode: "multiplicative"|"additive"|"diminishing", perCategoryLimit?, categoryLimits?, globalCap?, decay?, note? }] }
+router.put("/admin/stacking-policy", verifyAuth, requireAdmin, async (req, res) => {
+  try {
+    const policies = await boosterRegistry.setStackingPolicies(req.body.policies, req.user.uid);
+    res.json({ success: true, data: { policies } });
+  } catch (e) {
+    console.error("Error updating booster stacking policies:", e);
+    res.status(registryErrorStatus(e)).json({ error: e.message });
+  }
+});
+
+// GET /api/boosters/admin/campaigns - All campaigns including ended ones and allowlists (admin only)
+router.get("/admin/campaigns", verifyAuth, requireAdmin, async (req, res) => {
+  try {
+    const campaigns = await boosterCampaignService.getCampaigns();
+    res.json({ success: true, data: { campaigns } });
+  } catch (e) {
+    console.error("Error getting booster campaigns:", e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// POST /api/boosters/admin/campaigns - Create a time-boxed booster campaign (admin only)
+// Body: { id?, name, multiplier, startsAt?, endsAt, eligibility?: { type: "all"|"collection"|"allowlist", collections?, users?, wallets? }, stacking?: "stack"|"on_top"|"best_of" }
+router.post("/admin/campaigns", verifyAuth, requireAdmin, async (req, res) => {
+  try {
+    const campaign = await boosterCampaignService.createCampaign(req.body, req.user.uid);
+    res.json({ success: true, data: { campaign } });
+  } catch (e) {
+    console.error("Error creating booster campaign:", e);
+    res.status(registryErrorStatus(e)).json({ error: e.message });
+  }
+});
+
+// POST /api/boosters/admin/campaigns/:id/end - End a running campaign now, or cancel an upcoming one (admin only)
+router.post("/admin/campaigns/:id/end", verifyAuth, requireAdmin, async (req, res) => {
+  try {
+    const campaign = await boosterCampaignService.endCampaign(req.params.id, req.user.uid);
+    res.json({ success: true, data: { campaign } });
+  } catch (e) {
+    console.error("Error ending booster campaign:", e);
+    res.status(registryErrorStatus(e)).json({ error: e.message });
+  }
+});
+
+// GET /api/boosters/admin/audit - Booster registry change log (admin only)
+// Query: ?category=SOLANA_MINER&limit=50
+router.get("/admin/audit", verifyAuth, requireAdmin, async (req, res) => {
+  try {
+    const entries = await boosterRegistry.getAuditLog({
+      categoryKey: req.query.category || null,
+      limit: parseInt(req.query.limit) || 50,
+    });
+    res.json({ success: true, data: { entries, count: entries.length } });
+  } catch (e) {
+    console.error("Error getting booster registry audit log:", e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
 export default router;
\ No newline at end of file
@@ -1,7 +1,9 @@
 import express from "express";
 import admin from "firebase-admin";
+import BoosterService from "../services/boosterService.js";
 
 const router = express.Router();
+const boosterService = new BoosterService();
 
 // In-memory cache for leaderboard data
 const leaderboardCache = {
@@ -380,28 +382,10 @@ router.get("/mining/top10", async (req, res) => {
 
 /**
  * Helper: Calculate Booster Multiplier
- * Same logic as in stakingService.js
+ * Same stacking policy as reward accrual (BoosterService.calculateStackedMultiplier)
  */
 function calculateBoosterMultiplier(activeBoosters = []) {
-  if (!activeBoosters || activeBoosters.length === 0) {
-    return 1.0;
-  }
-
-  let maxMultiplier = 1.0;
-
-  for (const booster of activeBoosters) {
-    const type = booster.type?.toLowerCase() || "";
-
-    if (type.includes("realmkin_miner") || type.includes("miner")) {
-      maxMultiplier = Math.max(maxMultiplier, 2.0); // Top tier
-    } else if (type.includes("customized") || type.includes("custom")) {
-      maxMultiplier = Math.max(maxMultiplier, 1.5); // Mid tier
-    } else if (type.includes("realmkin") || type.includes("1/1")) {
-      maxMultiplier = Math.max(maxMultiplier, 1.25); // Lowest tier
-    }
-  }
-
-  return maxMultiplier;
+  return boosterService.calculateStackedMultiplier(activeBoosters);
 }
 
 /**
@@ -1,6 +1,8 @@
 import express from "express";
-import nftStakingService from "../services/nftStakingService.js";
+import nftStakingService, { NftStakingError } from "../services/nftStakingService.js";
+import nftSeasonService, { NftSeasonError } from "../services/nftSeasonService.js";
 import admin from "firebase-admin";
+import { requireAdmin } from "../utils/auth.js";
 
 const router = express.Router();
 
@@ -71,7 +73,7 @@ router.get("/wallet", verifyAuth, getWalletAddress, async (req, res) => {
 // POST /api/nft-staking/stake - Stake NFTs
 router.post("/stake", verifyAuth, getWalletAddress, async (req, res) => {
   try {
-    const { nftMints, feeSignature } = req.body;
+    const { nftMints, feeSignature, feeQuote } = req.body;
     
     if (!nftMints || !Array.isArray(nftMints) || nftMints.length === 0) {
       return res.status(400).json({ error: "No NFTs provided" });
@@ -84,7 +86,8 @@ router.post("/stake", verifyAuth, getWalletAddress, async (req, res) => {
     const result = await nftStakingService.stakeNfts(
       req.walletAddress,
       nftMints,
-      feeSignature
+      feeSignature,
+      { firebaseUid: req.user.uid, feeQuote }
     );
     
     res.json(result);
@@ -114,7 +117,9 @@ router.post("/unstake", verifyAuth, getWalletAddress, async (req, res) => {
 // POST /api/nft-staking/claim - Claim rewards
 router.post("/claim", verifyAuth, getWalletAddress, async (req, res) => {
   try {
-    const result = await nftStakingService.claimRewards(req.walletAddress);
+    const result = await nftStakingService.claimRewards(req.walletAddress, {
+      firebaseUid: req.user.uid,
+    });
     res.json(result);
   } catch (e) {
     console.error(e);
@@ -122,27 +127,36 @@ router.post("/claim", verifyAuth, getWalletAddress, async (req, res) => {
   }
 });
 
-// POST /api/nft-staking/calculate-fee - Calculate staking fee
-router.post("/calculate-fee", async (req, res) => {
+// POST /api/nft-staking/claim/:claimId/retry - Retry a claim payout that hasn't confirmed
+router.post("/claim/:claimId/retry", verifyAuth, getWalletAddress, async (req, res) => {
+  try {
+    const result = await nftStakingService.retryClaimPayout(req.walletAddress, req.params.claimId);
+    res.json(result);
+  } catch (e) {
+    console.error(e);
+    res.status(e instanceof NftStakingError ? e.code : 500).json({ error: e.message });
+  }
+});
+
+// POST /api/nft-staking/calculate-fee - Issue a signed staking fee quote
+router.post("/calculate-fee", verifyAuth, async (req, res) => {
   try {
     const { nftCount } = req.body;
-    const count = Math.max(1, nftCount || 1);
-    
-    const { default: nftStakingConfig } = await import("../config/nftStaking.js");
-    const totalFeeUsd = count * nftStakingConfig.NFT_STAKING_CONFIG.STAKE_FEE_PER_NFT;
-    
-    const { getFeeInSol } = await import("../utils/solPrice.js");
-    const feeData = await getFeeInSol(totalFeeUsd);
+    const feeQuote = await nftStakingService.quoteStakeFee(req.user.uid, nftCount);
     
     res.json({
-      feeInSol: feeData.solAmount,
-      totalFeeUsd,
-      feePerNft: nftStakingConfig.NFT_STAKING_CONFIG.STAKE_FEE_PER_NFT,
-      nftCount: count,
+      feeQuote: feeQuote.quote,
+      feeLamports: feeQuote.lamports,
+      expiresAt: feeQuote.expiresAt,
+      feeInSol: feeQuote.solAmount,
+      totalFeeUsd: feeQuote.usdAmount,
+      feePerNft: feeQuote.feePerNft,
+      nftCount: feeQuote.nftCount,
+      seasonId: feeQuote.seasonId,
     });
   } catch (e) {
     console.error(e);
-    res.status(500).json({ error: e.message });
+    res.status(e.code || 500).json({ error: e.message });
   }
 });
 
@@ -157,8 +171,48 @@ router.post("/check-statuses", async (req, res) => {
   }
 });
 
+// GET /api/nft-staking/seasons - All seasons, oldest first
+router.get("/seasons", async (req, res) => {
+  try {
+    const seasons = await nftSeasonService.getSeasons();
+    const current = await nftSeasonService.getCurrentSeason();
+    res.json({ seasons, currentSeasonId: current.id });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// GET /api/nft-staking/seasons/:seasonId - Season with its frozen settlement (once settled)
+router.get("/seasons/:seasonId", async (req, res) => {
+  try {
+    const season = await nftSeasonService.getSeason(req.params.seasonId);
+    if (!season) {
+      return res.status(404).json({ error: "Season not found" });
+    }
+    const settlement = await nftSeasonService.getSettlement(season.id);
+    res.json({ season, settlement });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// POST /api/nft-staking/seasons - Create a season (admin only)
+// Body: { name, start, end, tokenPool?, eligibleCollections?, feePerNft?, id? }
+router.post("/seasons", verifyAuth, requireAdmin, async (req, res) => {
+  try {
+    const { start, end, ...seasonOptions } = req.body;
+    const result = await nftStakingService.enableStaking(start, end, seasonOptions, req.user.uid);
+    res.json(result);
+  } catch (e) {
+    console.error(e);
+    res.status(e instanceof NftSeasonError ? e.code : 500).json({ error: e.message });
+  }
+});
+
 // POST /api/nft-staking/enable - Enable staking for new period (admin only)
-router.get("/enable", async (req, res) => {
+router.get("/enable", verifyAuth, requireAdmin, async (req, res) => {
   try {
     // Get period from query params or use defaults - USE CURRENT YEAR!
     const year = new Date().getFullYear();
@@ -167,7 +221,7 @@ router.get("/enable", async (req, res) => {
     
     console.log("📝 Enable request:", { periodStart, periodEnd });
     
-    const result = await nftStakingService.enableStaking(periodStart, periodEnd);
+    const result = await nftStakingService.enableStaking(periodStart, periodEnd, {}, req.user.uid);
     
     // Verify what was stored
     const config = await nftStakingService.getStakingConfig();
@@ -176,23 +230,23 @@ router.get("/enable", async (req, res) => {
     res.json(result);
   } catch (e) {
     console.error(e);
-    res.status(500).json({ error: e.message });
+    res.status(e instanceof NftSeasonError ? e.code : 500).json({ error: e.message });
   }
 });
 
-router.post("/enable", async (req, res) => {
+router.post("/enable", verifyAuth, requireAdmin, async (req, res) => {
   try {
-    const { periodStart, periodEnd } = req.body;
+    const { periodStart, periodEnd, ...seasonOptions } = req.body;
     
     if (!periodStart || !periodEnd) {
       return res.status(400).json({ error: "periodStart and periodEnd required (YYYY-MM-DD)" });
     }
     
-    const result = await nftStakingService.enableStaking(periodStart, periodEnd);
+    const result = await nftStakingService.enableStaking(periodStart, periodEnd, seasonOptions, req.user.uid);
     res.json(result);
   } catch (e) {
     console.error(e);
-    res.status(500).json({ error: e.message });
+    res.status(e instanceof NftSeasonError ? e.code : 500).json({ error: e.message });
   }
 });
 
@@ -200,8 +254,10 @@ router.post("/enable", async (req, res) => {
 router.get("/config", async (req, res) => {
   try {
     const firestoreConfig = await nftStakingService.getStakingConfig();
-    const { NFT_STAKING_CONFIG, getStakingPeriodStatus } = await import("../config/nftStaking.js");
-    const periodStatus = getStakingPeriodStatus();
+    const { NFT_STAKING_CONFIG, getSeasonStatus } = await import("../config/nftStaking.js");
+    const seasons = await nftSeasonService.getSeasons();
+    const currentSeason = await nftSeasonService.getCurrentSeason();
+    const periodStatus = getSeasonStatus(currentSeason);
     
     res.json({
       envConfig: {
@@ -209,6 +265,8 @@ router.get("/config", async (req, res) => {
         period: NFT_STAKING_CONFIG.STAKING_PERIOD,
       },
       firestoreConfig,
+      currentSeason,
+      seasons,
       periodStatus,
     });
   } catch (e) {
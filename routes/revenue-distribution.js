@@ -1,5 +1,6 @@
 import express from "express";
 import admin from "firebase-admin";
+import { requireAdmin } from "../utils/auth.js";
 import {
   Keypair,
   PublicKey,
@@ -15,14 +16,24 @@ import bs58 from "bs58";
 import secondarySaleVerificationService from "../services/secondarySaleVerification.js";
 import NFTVerificationService from "../services/nftVerification.js";
 import { distributeFees } from "../utils/feeDistribution.js";
+import {
+  paymentVerifier,
+  PaymentVerificationError,
+} from "../services/paymentVerifier.js";
 import {
   REWARD_TIERS,
-  calculateHolderShare,
-  calculateTier3Rewards,
-  calculateRankBasedRewards,
-  mergeUserAllocations,
   getSolPrice,
 } from "../utils/rewardTierCalculator.js";
+import { buildAllocationManifest } from "../utils/revenueAllocationEngine.js";
+import revenueAllocationService, {
+  RevenueAllocationError,
+  ALLOCATIONS_COLLECTION,
+} from "../services/revenueAllocationService.js";
+import revenueApprovalService, {
+  RevenueApprovalError,
+} from "../services/revenueApprovalService.js";
+import revenueRolloverService from "../services/revenueRolloverService.js";
+import revenueAirdropService from "../services/revenueAirdropService.js";
 import {
   getCurrentDistributionId,
   getDistributionMonthName,
@@ -92,9 +103,16 @@ const CONFIG = {
   SECRET_TOKEN:
     process.env.REVENUE_DISTRIBUTION_SECRET_TOKEN || "your-secret-token",
   USER_REWARDS_COLLECTION: "userRewards",
-  ALLOCATIONS_COLLECTION: "revenueDistributionAllocations",
+  ALLOCATIONS_COLLECTION,
   CLAIMS_COLLECTION: "revenueDistributionClaims",
   
+  // Per-token minimum payout; smaller amounts roll over to the next distribution (0 = none)
+  MIN_PAYOUT: {
+    SOL: parseFloat(process.env.REVENUE_DISTRIBUTION_MIN_PAYOUT_SOL || "0"),
+    EMPIRE: parseFloat(process.env.REVENUE_DISTRIBUTION_MIN_PAYOUT_EMPIRE || "0"),
+    MKIN: parseFloat(process.env.REVENUE_DISTRIBUTION_MIN_PAYOUT_MKIN || "0"),
+  },
+
   // Distribution schedule: 'last' = last day of month, or number 1-31
   DISTRIBUTION_DAY: process.env.REVENUE_DISTRIBUTION_DAY || "last",
 };
@@ -133,6 +151,12 @@ function verifySecretToken(req, res, next) {
   next();
 }
 
+function allocationErrorStatus(error) {
+  return error instanceof RevenueAllocationError || error instanceof RevenueApprovalError
+    ? error.code
+    : 500;
+}
+
 /**
  * Helper: Verify Firebase authentication
  */
@@ -173,49 +197,21 @@ async function getUsdInSol(usdAmount) {
 }
 
 /**
- * Helper: Verify SOL transfer on-chain
+ * Helper: Verify SOL transfer on-chain to the gatekeeper wallet
+ * @returns {Promise<Object>} paymentVerifier result ({ valid, error?, lamports? })
  */
-async function verifySolTransfer(signature, minAmountSol, maxAmountSol) {
-  try {
-    const connection = getConnection();
-
-    // Get gatekeeper address from keypair
-    const gatekeeperKeypair = Keypair.fromSecretKey(
-      new Uint8Array(JSON.parse(process.env.GATEKEEPER_KEYPAIR)),
-    );
-    const gatekeeperAddr = gatekeeperKeypair.publicKey.toBase58();
-
-    const tx = await connection.getParsedTransaction(signature, {
-      commitment: "confirmed",
-      maxSupportedTransactionVersion: 0,
-    });
-
-    if (!tx || !tx.meta) {
-      return false;
-    }
-
-    const instructions = tx.transaction.message.instructions;
-
-    for (const ix of instructions) {
-      if (ix.program === "system" && ix.parsed?.type === "transfer") {
-        const info = ix.parsed.info;
-        const solAmount = info.lamports / 1e9;
-
-        if (
-          info.destination === gatekeeperAddr &&
-          solAmount >= minAmountSol &&
-          solAmount <= maxAmountSol
-        ) {
-          return true;
-        }
-      }
-    }
+async function verifySolTransfer(signature, minAmountSol, maxAmountSol, payer) {
+  // Get gatekeeper address from keypair
+  const gatekeeperKeypair = Keypair.fromSecretKey(
+    new Uint8Array(JSON.parse(process.env.GATEKEEPER_KEYPAIR)),
+  );
 
-    return false;
-  } catch (error) {
-    console.error("Error verifying SOL transfer:", error.message);
-    return false;
-  }
+  return paymentVerifier.verifyPayment(signature, {
+    recipient: gatekeeperKeypair.publicKey.toBase58(),
+    payer,
+    minLamports: Math.round(minAmountSol * 1e9),
+    maxLamports: Math.round(maxAmountSol * 1e9),
+  });
 }
 
 /**
@@ -268,7 +264,8 @@ async function sendSolFromTreasury(userWallet, amountSol) {
 /**
  * POST /api/revenue-distribution/allocate
  * Run monthly allocation process
- * Marks eligible users who can claim $5
+ * Snapshots the inputs, builds the allocation manifest (utils/revenueAllocationEngine.js)
+ * and writes it. A manifest already built via POST /manifests is written as is.
  *
  * Query params:
  * - dryRun=true: Test run without writing to database
@@ -286,259 +283,68 @@ router.post("/allocate", verifySecretToken, async (req, res) => {
   console.log(`Allocation Amount: $${CONFIG.ALLOCATION_AMOUNT_USD} USD`);
 
   try {
-    const db = admin.firestore();
     const distributionId = getCurrentDistributionId();
 
     // Step 1: Check if already allocated for this month
-    if (!isDryRun) {
-      const existingAllocations = await db
-        .collection(CONFIG.ALLOCATIONS_COLLECTION)
-        .where("distributionId", "==", distributionId)
-        .limit(1)
-        .get();
-
-      if (!existingAllocations.empty) {
-        console.warn(`⚠️ Allocation already exists for ${distributionId}`);
-        return res.status(400).json({
-          success: false,
-          error: `Allocation already executed for ${distributionId}`,
-          distributionId,
-        });
-      }
-    }
-
-    // Step 2: Load all users with wallets (using pagination)
-    console.log(`\n📖 Step 1: Loading users with wallets (paginated)...`);
-    const allUsers = [];
-    let lastDoc = null;
-    let pageNum = 1;
-    const pageSize = 100;
-
-    while (true) {
-      let query = db
-        .collection(CONFIG.USER_REWARDS_COLLECTION)
-        .where("walletAddress", "!=", null)
-        .orderBy("walletAddress")
-        .limit(pageSize);
-
-      if (lastDoc) {
-        query = query.startAfter(lastDoc);
-      }
-
-      const snapshot = await query.get();
-
-      if (snapshot.empty) {
-        break;
-      }
-
-      snapshot.forEach((doc) => {
-        const data = doc.data();
-        if (data.walletAddress?.trim()) {
-          allUsers.push({
-            userId: doc.id,
-            walletAddress: data.walletAddress,
-            totalRealmkin: data.totalRealmkin || 0,
-          });
-        }
+    const header = await revenueAllocationService.getManifestHeader(distributionId);
+    if (!isDryRun && header?.status === "written") {
+      console.warn(`⚠️ Allocation already exists for ${distributionId}`);
+      return res.status(400).json({
+        success: false,
+        error: `Allocation already executed for ${distributionId}`,
+        distributionId,
       });
-
-      lastDoc = snapshot.docs[snapshot.docs.length - 1];
-      console.log(
-        `   📄 Page ${pageNum}: Fetched ${snapshot.docs.length} users (total: ${allUsers.length})`,
-      );
-      pageNum++;
-
-      if (snapshot.docs.length < pageSize) {
-        break;
-      }
     }
 
-    console.log(
-      `✅ Loaded ${allUsers.length} users with wallets (fetched via pagination)`,
-    );
-
-    // Step 3: Filter by NFT count (fast, no API calls)
-    console.log(
-      `\n🔍 Step 2: Filtering by NFT count (>= ${CONFIG.MIN_NFTS})...`,
-    );
-    const nftEligible = allUsers.filter(
-      (u) => u.totalRealmkin >= CONFIG.MIN_NFTS,
-    );
-    console.log(`✅ ${nftEligible.length} users have ${CONFIG.MIN_NFTS}+ NFTs`);
-
-    // Step 4: Verify secondary sales (RATE LIMITED - this is slow)
-    // TEMPORARILY DISABLED FOR TESTING - Remove comments to re-enable
-    /*
-    console.log(`\n⏳ Step 3: Verifying secondary market purchases (RATE LIMITED)...`);
-    console.log(`This may take 10-15 minutes for ${nftEligible.length} users...`);
-    
-    const wallets = nftEligible.map(u => u.walletAddress);
-    const secondarySaleResults = await secondarySaleVerificationService.batchVerifyUsers(
-      wallets,
-      (progress) => {
-        // Progress callback
-        const percent = ((progress.processed / progress.total) * 100).toFixed(1);
-        console.log(`   Progress: ${percent}% (${progress.processed}/${progress.total})`);
-      }
-    );
-    
-    // Map results back to users
-    const secondarySaleMap = new Map(
-      secondarySaleResults.map(r => [r.wallet, r.hasSecondarySale])
-    );
-    
-    const eligible = nftEligible.filter(u => secondarySaleMap.get(u.walletAddress) === true);
-    
-    console.log(`\n✅ ${eligible.length} users have secondary market purchases`);
-    */
-
-    // TEMPORARY: Skip secondary market check for testing
-    console.log(
-      `\n⚠️ Step 3: Secondary market verification DISABLED (testing mode)`,
-    );
-    const eligible = nftEligible;
-    console.log(
-      `✅ ${eligible.length} users eligible (secondary market check bypassed)`,
-    );
-
-    // Step 4: Calculate MULTI-TIER rewards (February 2026+)
-    console.log(`\n📊 Step 4: Calculating multi-tier rewards...`);
-    
-    // Fetch secondary market leaderboard for Tier calculations
-    let secondaryMarketLeaderboard = [];
-    try {
-      const leaderboardModule = await import('./leaderboard.js');
-      // Get top 50 for tier calculations
-      secondaryMarketLeaderboard = await leaderboardModule.getSecondaryMarketLeaderboardData(50);
-      console.log(`   📊 Fetched ${secondaryMarketLeaderboard.length} entries from secondary market leaderboard`);
-    } catch (error) {
-      console.warn(`   ⚠️ Could not fetch secondary market leaderboard: ${error.message}`);
+    // Step 2: Freeze inputs and build the manifest (stored unless dry run)
+    let snapshot;
+    let manifest;
+    let manifestHash;
+    if (isDryRun) {
+      snapshot = await revenueAllocationService.captureSnapshot(distributionId, CONFIG);
+      ({ manifest, manifestHash } = buildAllocationManifest(snapshot));
+    } else if (header) {
+      ({ snapshot, manifest, manifestHash } =
+        await revenueAllocationService.verifyManifest(distributionId));
+    } else {
+      ({ snapshot, manifest, manifestHash } =
+        await revenueAllocationService.createManifest(distributionId, CONFIG));
     }
 
-    // Create map of wallet -> purchase count for Tier 3
-    const secondaryPurchaseMap = new Map(
-      secondaryMarketLeaderboard.map(e => [e.walletAddress, e.nftCount || e.purchaseCount || 0])
-    );
-
-    // Calculate each tier
-    const allTierAllocations = [];
-
-    // Holder Share: 35% royalty to all NFT holders (1+ NFTs)
-    const holderSharePool = CONFIG.TOTAL_ROYALTY_POOL_USD * CONFIG.REWARD_TIERS.HOLDER_SHARE.royaltyPercentage;
-    const holders = eligible.filter(u => u.totalRealmkin >= CONFIG.REWARD_TIERS.HOLDER_SHARE.minNfts);
-    const holderAllocations = calculateHolderShare(holders, holderSharePool);
-    allTierAllocations.push(...holderAllocations);
-    console.log(`   🏰 Holder Share: ${holderAllocations.length} users, ${holderSharePool} USD pool`);
-
-    // Tier 3: Special Perks (12+ NFTs)
-    const tier3Eligible = eligible.filter(u => u.totalRealmkin >= CONFIG.REWARD_TIERS.TIER_3.minNfts);
-    const tier3Allocations = calculateTier3Rewards(tier3Eligible, secondaryPurchaseMap);
-    allTierAllocations.push(...tier3Allocations);
-    console.log(`   🔱 Tier 3 (Special Perks): ${tier3Allocations.length} users, ${CONFIG.REWARD_TIERS.TIER_3.poolSol} SOL pool`);
-
-    // Tier 2: Top 5
-    const tier2Allocations = calculateRankBasedRewards(secondaryMarketLeaderboard, 'TIER_2');
-    allTierAllocations.push(...tier2Allocations);
-    console.log(`   ⚔️  Tier 2 (Top 5): ${tier2Allocations.length} users`);
-
-    // Tier 1: Top 3
-    const tier1Allocations = calculateRankBasedRewards(secondaryMarketLeaderboard, 'TIER_1');
-    allTierAllocations.push(...tier1Allocations);
-    console.log(`   👑 Tier 1 (Top 3): ${tier1Allocations.length} users`);
-
-    // Merge allocations per user (users can be in multiple tiers)
-    const mergedAllocations = mergeUserAllocations(allTierAllocations);
-    console.log(`\n   📋 Merged ${allTierAllocations.length} tier allocations → ${mergedAllocations.length} unique users`);
-
-    // Log top allocations
-    const topAllocations = mergedAllocations
+    console.log(`\n   📋 ${manifest.totals.users} allocations, manifest ${manifestHash}`);
+    manifest.allocations
+      .slice()
       .sort((a, b) => b.amountSol - a.amountSol)
-      .slice(0, 5);
-    console.log(`\n   Top 5 total allocations:`);
-    topAllocations.forEach((u, i) => {
-      console.log(
-        `   ${i + 1}. ${u.userId} - Tiers: ${u.tiers.join(', ')} → ${u.amountSol.toFixed(6)} SOL + ${u.amountMkin.toLocaleString()} MKIN + ${u.amountEmpire.toLocaleString()} EMPIRE`,
-      );
-    });
-
-    const allocations = mergedAllocations;
-
-    // Step 5: Store allocations in Firestore
-    if (!isDryRun && allocations.length > 0) {
-      console.log(
-        `\n💾 Step 5: Storing ${allocations.length} allocations in Firestore...`,
-      );
-
-      const now = admin.firestore.Timestamp.now();
-      const expiresAt = admin.firestore.Timestamp.fromMillis(
-        Date.now() + CONFIG.EXPIRY_DAYS * 24 * 60 * 60 * 1000,
-      );
-
-      // Batch write allocations (500 per batch - Firestore limit)
-      const batchSize = 500;
-      for (let i = 0; i < allocations.length; i += batchSize) {
-        const batch = db.batch();
-        const chunk = allocations.slice(i, i + batchSize);
-
-        chunk.forEach((user) => {
-          const docId = `${user.userId}_${distributionId}`;
-          const docRef = db
-            .collection(CONFIG.ALLOCATIONS_COLLECTION)
-            .doc(docId);
-
-          batch.set(docRef, {
-            distributionId,
-            userId: user.userId,
-            walletAddress: user.walletAddress,
-            nftCount: user.nftCount || user.totalRealmkin || 0,
-            weight: user.totalWeight || user.weight || 0,
-            amountSol: user.amountSol,
-            amountEmpire: user.amountEmpire,
-            amountMkin: user.amountMkin,
-            // NEW: Tier breakdown (February 2026+)
-            tiers: user.tiers || ['HOLDER_SHARE'],
-            holderShareSol: user.holderShare?.amountSol || 0,
-            holderShareEmpire: user.holderShare?.amountEmpire || 0,
-            holderShareMkin: user.holderShare?.amountMkin || 0,
-            tier3Sol: user.tier3?.amountSol || 0,
-            tier3Empire: user.tier3?.amountEmpire || 0,
-            tier3Mkin: user.tier3?.amountMkin || 0,
-            tier2Sol: user.tier2?.amountSol || 0,
-            tier2Empire: user.tier2?.amountEmpire || 0,
-            tier2Mkin: user.tier2?.amountMkin || 0,
-            tier1Sol: user.tier1?.amountSol || 0,
-            tier1Empire: user.tier1?.amountEmpire || 0,
-            tier1Mkin: user.tier1?.amountMkin || 0,
-            // Legacy fields for backward compatibility
-            hasSecondarySale: false, // TEMPORARY: Set to false during testing (was true)
-            allocatedAmountUsd: CONFIG.ALLOCATION_AMOUNT_USD,
-            eligibleAt: now,
-            expiresAt: expiresAt,
-            status: "pending",
-            secondarySaleCheckedAt: now,
-          });
-        });
-
-        await batch.commit();
+      .slice(0, 5)
+      .forEach((u, i) => {
         console.log(
-          `   Wrote batch ${Math.floor(i / batchSize) + 1}/${Math.ceil(eligible.length / batchSize)}`,
+          `   ${i + 1}. ${u.userId} - Tiers: ${u.tiers.join(", ")} → ${u.amountSol.toFixed(6)} SOL + ${u.amountMkin.toLocaleString()} MKIN + ${u.amountEmpire.toLocaleString()} EMPIRE`,
         );
-      }
+      });
 
-      console.log(`✅ Stored ${eligible.length} allocations`);
+    // Step 3: Write the manifest's allocations
+    if (!isDryRun && manifest.allocations.length > 0) {
+      await revenueAllocationService.writeManifest(distributionId);
     }
 
     // Calculate stats
     const duration = ((Date.now() - startTime) / 1000).toFixed(1);
     const stats = {
       distributionId,
-      totalUsers: allUsers.length,
-      nftEligible: nftEligible.length,
-      eligible: eligible.length,
-      allocatedAmountUsd: CONFIG.ALLOCATION_AMOUNT_USD,
-      totalAllocatedUsd: eligible.length * CONFIG.ALLOCATION_AMOUNT_USD,
-      minNfts: CONFIG.MIN_NFTS,
-      expiryDays: CONFIG.EXPIRY_DAYS,
+      manifestHash,
+      snapshotHash: manifest.snapshotHash,
+      totalUsers: snapshot.usersScanned,
+      nftEligible: manifest.eligibleHolders,
+      eligible: manifest.eligibleHolders,
+      allocations: manifest.totals.users,
+      tierCounts: manifest.tierCounts,
+      totals: manifest.totals,
+      rollover: manifest.rollover ?? null,
+      belowThreshold: manifest.belowThreshold ?? null,
+      allocatedAmountUsd: snapshot.config.allocationAmountUsd,
+      totalAllocatedUsd: manifest.eligibleHolders * snapshot.config.allocationAmountUsd,
+      minNfts: snapshot.config.minNfts,
+      expiryDays: snapshot.config.expiryDays,
       durationSeconds: parseFloat(duration),
       timestamp: new Date().toISOString(),
     };
@@ -548,9 +354,9 @@ router.post("/allocate", verifySecretToken, async (req, res) => {
     console.log(`${"=".repeat(80)}`);
     console.log(`Distribution ID: ${distributionId}`);
     console.log(`Total Users: ${stats.totalUsers}`);
-    console.log(`NFT Eligible: ${stats.nftEligible}`);
-    console.log(`Final Eligible: ${stats.eligible}`);
-    console.log(`Total Allocated: $${stats.totalAllocatedUsd} USD`);
+    console.log(`Eligible: ${stats.eligible}`);
+    console.log(`Allocations: ${stats.allocations}`);
+    console.log(`Manifest: ${manifestHash}`);
     console.log(`Duration: ${duration}s`);
     console.log(`Dry Run: ${isDryRun}`);
     console.log(`${"=".repeat(80)}\n`);
@@ -562,7 +368,7 @@ router.post("/allocate", verifySecretToken, async (req, res) => {
     });
   } catch (error) {
     console.error("❌ Allocation error:", error);
-    res.status(500).json({
+    res.status(allocationErrorStatus(error)).json({
       success: false,
       error: error.message,
       timestamp: new Date().toISOString(),
@@ -570,6 +376,257 @@ router.post("/allocate", verifySecretToken, async (req, res) => {
   }
 });
 
+/**
+ * POST /api/revenue-distribution/manifests
+ * Snapshot the allocation inputs and build the manifest without writing allocations
+ * Body: { distributionId? } (defaults to the current month)
+ */
+router.post("/manifests", verifySecretToken, async (req, res) => {
+  try {
+    const distributionId = req.body?.distributionId || getCurrentDistributionId();
+    if (!/^revenue_dist_\d{4}_\d{2}$/.test(distributionId)) {
+      return res.status(400).json({ success: false, error: "Invalid distributionId" });
+    }
+
+    const { manifest, manifestHash } = await revenueAllocationService.createManifest(
+      distributionId,
+      CONFIG,
+    );
+    res.json({
+      success: true,
+      distributionId,
+      manifestHash,
+      snapshotHash: manifest.snapshotHash,
+      eligibleHolders: manifest.eligibleHolders,
+      tierCounts: manifest.tierCounts,
+      totals: manifest.totals,
+      rollover: manifest.rollover ?? null,
+      belowThreshold: manifest.belowThreshold ?? null,
+    });
+  } catch (error) {
+    console.error("Error building allocation manifest:", error);
+    res.status(allocationErrorStatus(error)).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/revenue-distribution/manifests/:distributionId/write
+ * Write a built manifest's allocations so users can claim
+ */
+router.post("/manifests/:distributionId/write", verifySecretToken, async (req, res) => {
+  try {
+    const result = await revenueAllocationService.writeManifest(req.params.distributionId);
+    res.json({ success: true, distributionId: req.params.distributionId, ...result });
+  } catch (error) {
+    console.error("Error writing allocation manifest:", error);
+    res.status(allocationErrorStatus(error)).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/revenue-distribution/manifests/:distributionId
+ * Manifest rebuilt from its stored snapshot, with a check against the recorded hash
+ */
+router.get("/manifests/:distributionId", verifySecretToken, async (req, res) => {
+  try {
+    const { header, manifest, manifestHash, matches } =
+      await revenueAllocationService.verifyManifest(req.params.distributionId);
+    res.json({
+      success: true,
+      status: header.status,
+      recordedHash: header.manifestHash,
+      manifestHash,
+      matches,
+      manifest,
+    });
+  } catch (error) {
+    console.error("Error verifying allocation manifest:", error);
+    res.status(allocationErrorStatus(error)).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/revenue-distribution/manifests/:distributionId/snapshot
+ * The stored input snapshot (canonical JSON) for re-running the engine elsewhere:
+ *   node scripts/verify-allocation-manifest.js snapshot.json <manifestHash>
+ */
+router.get("/manifests/:distributionId/snapshot", verifySecretToken, async (req, res) => {
+  try {
+    const header = await revenueAllocationService.getManifestHeader(req.params.distributionId);
+    if (!header) {
+      return res.status(404).json({ success: false, error: "No manifest for this distribution" });
+    }
+    const { snapshotJson } = await revenueAllocationService.getSnapshot(header.snapshotHash);
+    res.type("application/json").send(snapshotJson);
+  } catch (error) {
+    console.error("Error getting allocation snapshot:", error);
+    res.status(allocationErrorStatus(error)).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/revenue-distribution/drafts
+ * Recent distribution drafts (two-person approval workflow), newest first
+ * Draft routes need a named admin; the shared secret token can't tell two people apart.
+ */
+router.get("/drafts", verifyFirebaseAuth, requireAdmin, async (req, res) => {
+  try {
+    const drafts = await revenueApprovalService.listDrafts();
+    res.json({ success: true, drafts });
+  } catch (error) {
+    console.error("Error listing distribution drafts:", error);
+    res.status(allocationErrorStatus(error)).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/revenue-distribution/drafts
+ * Dry-run a distribution into a draft; the creating admin counts as the first approval
+ * Body: { distributionId? } (defaults to the current month)
+ */
+router.post("/drafts", verifyFirebaseAuth, requireAdmin, async (req, res) => {
+  try {
+    const distributionId = req.body?.distributionId || getCurrentDistributionId();
+    if (!/^revenue_dist_\d{4}_\d{2}$/.test(distributionId)) {
+      return res.status(400).json({ success: false, error: "Invalid distributionId" });
+    }
+
+    const draft = await revenueApprovalService.createDraft(distributionId, CONFIG, req.userId);
+    res.json({ success: true, draft });
+  } catch (error) {
+    console.error("Error creating distribution draft:", error);
+    res.status(allocationErrorStatus(error)).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/revenue-distribution/drafts/:draftId
+ * Draft with its diff against the previous month and its transition log
+ */
+router.get("/drafts/:draftId", verifyFirebaseAuth, requireAdmin, async (req, res) => {
+  try {
+    const draft = await revenueApprovalService.getDraft(req.params.draftId);
+    const log = await revenueApprovalService.getDraftLog(req.params.draftId);
+    res.json({ success: true, draft, log });
+  } catch (error) {
+    console.error("Error getting distribution draft:", error);
+    res.status(allocationErrorStatus(error)).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/revenue-distribution/drafts/:draftId/approve
+ * Approve a draft; the second admin's approval writes the allocations
+ */
+router.post("/drafts/:draftId/approve", verifyFirebaseAuth, requireAdmin, async (req, res) => {
+  try {
+    const draft = await revenueApprovalService.approveDraft(req.params.draftId, req.userId);
+    res.json({ success: true, draft });
+  } catch (error) {
+    console.error("Error approving distribution draft:", error);
+    res.status(allocationErrorStatus(error)).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/revenue-distribution/drafts/:draftId/reject
+ * Body: { reason }
+ */
+router.post("/drafts/:draftId/reject", verifyFirebaseAuth, requireAdmin, async (req, res) => {
+  try {
+    const draft = await revenueApprovalService.rejectDraft(
+      req.params.draftId,
+      req.userId,
+      req.body?.reason,
+    );
+    res.json({ success: true, draft });
+  } catch (error) {
+    console.error("Error rejecting distribution draft:", error);
+    res.status(allocationErrorStatus(error)).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/revenue-distribution/drafts/:draftId/publish
+ * Resume writing an approved draft whose write failed
+ */
+router.post("/drafts/:draftId/publish", verifyFirebaseAuth, requireAdmin, async (req, res) => {
+  try {
+    const draft = await revenueApprovalService.publishDraft(req.params.draftId, req.userId);
+    res.json({ success: true, draft });
+  } catch (error) {
+    console.error("Error publishing distribution draft:", error);
+    res.status(allocationErrorStatus(error)).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/revenue-distribution/rollovers
+ * Rolled-over amounts waiting for the next distribution's manifest
+ */
+router.get("/rollovers", verifySecretToken, async (req, res) => {
+  try {
+    const pool = await revenueRolloverService.getPendingPool();
+    res.json({ success: true, pool });
+  } catch (error) {
+    console.error("Error getting rollover pool:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/revenue-distribution/rollovers/run
+ * Roll expired, unclaimed allocations over into the next distribution's pool
+ * Query params:
+ * - dryRun=true: Total what would roll over without marking anything
+ */
+router.post("/rollovers/run", verifySecretToken, async (req, res) => {
+  try {
+    const dryRun = req.query.dryRun === "true";
+    const results = await revenueRolloverService.rolloverExpired({ dryRun });
+    res.json({ success: true, dryRun, results });
+  } catch (error) {
+    console.error("Error rolling over expired allocations:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/revenue-distribution/airdrops/:distributionId/run
+ * Send a published distribution's allocations from the gatekeeper wallet (push mode)
+ * Closes the distribution to claims. Runs in the background; starting it again
+ * resumes an interrupted or paused run.
+ */
+router.post("/airdrops/:distributionId/run", verifySecretToken, async (req, res) => {
+  try {
+    const { distributionId } = req.params;
+    const run = await revenueAirdropService.startRun(distributionId, req.body?.actor || "api");
+    revenueAirdropService.processRun(distributionId, CONFIG).catch(() => {
+      // Logged, recorded on the run and alerted by processRun()
+    });
+    res.status(202).json({ success: true, run });
+  } catch (error) {
+    console.error("Error starting airdrop:", error);
+    res.status(allocationErrorStatus(error)).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/revenue-distribution/airdrops/:distributionId
+ * Airdrop run status; ?batches=true adds per-recipient signatures
+ */
+router.get("/airdrops/:distributionId", verifySecretToken, async (req, res) => {
+  try {
+    const { distributionId } = req.params;
+    const run = await revenueAirdropService.getRun(distributionId);
+    const batches = req.query.batches === "true" ? await revenueAirdropService.getBatches(distributionId) : undefined;
+    res.json({ success: true, run, batches });
+  } catch (error) {
+    console.error("Error getting airdrop:", error);
+    res.status(allocationErrorStatus(error)).json({ success: false, error: error.message });
+  }
+});
+
 /**
  * GET /api/revenue-distribution/allocation-status/:distributionId
  * Get allocation status and stats for a specific distribution
@@ -590,6 +647,8 @@ router.get(
       let pending = 0;
       let claimed = 0;
       let expired = 0;
+      let rolledOver = 0;
+      const rolledOverAmounts = { amountSol: 0, amountEmpire: 0, amountMkin: 0 };
       const now = Date.now();
 
       allocationsSnapshot.forEach((doc) => {
@@ -599,6 +658,11 @@ router.get(
 
         if (status === "claimed") {
           claimed++;
+        } else if (status === "rolled_over") {
+          rolledOver++;
+          rolledOverAmounts.amountSol += data.amountSol || 0;
+          rolledOverAmounts.amountEmpire += data.amountEmpire || 0;
+          rolledOverAmounts.amountMkin += data.amountMkin || 0;
         } else if (expiresAt && now > expiresAt) {
           expired++;
         } else {
@@ -610,6 +674,8 @@ router.get(
       const totalAllocatedUsd = total * CONFIG.ALLOCATION_AMOUNT_USD;
       const claimedUsd = claimed * CONFIG.ALLOCATION_AMOUNT_USD;
       const unclaimedUsd = (pending + expired) * CONFIG.ALLOCATION_AMOUNT_USD;
+      // Rollover line item this distribution took in from earlier months
+      const header = await revenueAllocationService.getManifestHeader(distributionId);
 
       res.json({
         success: true,
@@ -619,10 +685,13 @@ router.get(
           pending,
           claimed,
           expired,
+          rolledOver,
+          rolledOverAmounts,
           totalAllocatedUsd,
           claimedUsd,
           unclaimedUsd,
         },
+        rolloverIn: header?.rollover ?? null,
         timestamp: new Date().toISOString(),
       });
     } catch (error) {
@@ -674,6 +743,9 @@ router.delete("/clear-allocations", verifySecretToken, async (req, res) => {
 
     console.log(`🗑️  Clearing allocations for ${distributionId}...`);
 
+    // Let /allocate build a fresh manifest (the old snapshot stays stored)
+    await revenueAllocationService.deleteManifest(distributionId);
+
     const db = admin.firestore();
 
     // Delete from revenueDistributionAllocations
@@ -1137,6 +1209,45 @@ router.get("/check-eligibility", verifyFirebaseAuth, async (req, res) => {
       });
     }
 
+    // Push-mode distributions are sent by the airdrop, not claimed
+    const header = await revenueAllocationService.getManifestHeader(distributionId);
+    if (header?.payoutMode === "push" && allocation.payoutMode !== "claim") {
+      return res.json({
+        success: true,
+        eligible: false,
+        reason: "Being airdropped to your wallet",
+        distributionId,
+        airdrop: true,
+      });
+    }
+    if (allocation.status !== "pending") {
+      return res.json({
+        success: true,
+        eligible: false,
+        reason: "Allocation is no longer claimable",
+        distributionId,
+        status: allocation.status,
+      });
+    }
+
+    // Merkle proof against the published root (null for pre-Merkle distributions)
+    let merkle = null;
+    try {
+      const check = await revenueAllocationService.verifyAllocation(allocation);
+      if (check.published) {
+        merkle = {
+          root: check.merkleRoot,
+          leaf: check.leaf,
+          leafHash: check.leafHash,
+          leafIndex: check.leafIndex,
+          proof: check.proof,
+          valid: check.valid,
+        };
+      }
+    } catch (merkleError) {
+      console.warn(`⚠️ Could not load Merkle proof for ${docId}: ${merkleError.message}`);
+    }
+
     // User is eligible!
     res.json({
       success: true,
@@ -1176,6 +1287,7 @@ router.get("/check-eligibility", verifyFirebaseAuth, async (req, res) => {
       },
       // Distribution month name for display
       distributionMonth: getDistributionMonthName(distributionId),
+      merkle,
     });
   } catch (error) {
     console.error("Error checking eligibility:", error);
@@ -1286,6 +1398,69 @@ router.get("/calculate-fee", verifyFirebaseAuth, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/revenue-distribution/claim/:distributionId/proof
+ * Authenticated user's Merkle leaf and proof against the published root
+ */
+router.get("/claim/:distributionId/proof", verifyFirebaseAuth, async (req, res) => {
+  try {
+    const { distributionId } = req.params;
+    const allocationDoc = await admin
+      .firestore()
+      .collection(CONFIG.ALLOCATIONS_COLLECTION)
+      .doc(`${req.userId}_${distributionId}`)
+      .get();
+
+    if (!allocationDoc.exists) {
+      return res.status(404).json({
+        success: false,
+        error: "No allocation found for this distribution",
+      });
+    }
+
+    const check = await revenueAllocationService.verifyAllocation(allocationDoc.data());
+    if (!check.published) {
+      return res.status(404).json({
+        success: false,
+        error: "This distribution has no published Merkle root",
+      });
+    }
+
+    res.json({
+      success: true,
+      distributionId,
+      root: check.merkleRoot,
+      leaf: check.leaf,
+      leafHash: check.leafHash,
+      leafIndex: check.leafIndex,
+      proof: check.proof,
+      valid: check.valid,
+    });
+  } catch (error) {
+    console.error("Error getting allocation proof:", error);
+    res.status(allocationErrorStatus(error)).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/revenue-distribution/distributions/:distributionId/leaves
+ * Public: full Merkle leaf set and root of a finalized distribution, for auditing
+ */
+router.get("/distributions/:distributionId/leaves", async (req, res) => {
+  try {
+    const { distributionId } = req.params;
+    if (!/^revenue_dist_\d{4}_\d{2}$/.test(distributionId)) {
+      return res.status(400).json({ success: false, error: "Invalid distributionId" });
+    }
+
+    const leafSet = await revenueAllocationService.getLeafSet(distributionId);
+    res.json({ success: true, ...leafSet });
+  } catch (error) {
+    console.error("Error getting distribution leaf set:", error);
+    res.status(allocationErrorStatus(error)).json({ success: false, error: error.message });
+  }
+});
+
 /**
  * POST /api/revenue-distribution/claim
  * User claims their allocation
@@ -1347,14 +1522,48 @@ router.post("/claim", verifyFirebaseAuth, async (req, res) => {
       });
     }
 
+    // Push-mode distributions are sent by the airdrop; only allocations it handed back can be claimed
+    const manifestHeader = await revenueAllocationService.getManifestHeader(distributionId);
+    if (manifestHeader?.payoutMode === "push" && allocation.payoutMode !== "claim") {
+      return res.status(409).json({
+        success: false,
+        error: "This distribution is being airdropped to your wallet; no claim is needed",
+      });
+    }
+    if (allocation.status !== "pending") {
+      return res.status(409).json({
+        success: false,
+        error: `Allocation is not claimable (${allocation.status})`,
+      });
+    }
+
+    // Step 1.5: Check the allocation against the distribution's published Merkle root
+    let merkleCheck;
+    try {
+      merkleCheck = await revenueAllocationService.verifyAllocation(allocation);
+    } catch (merkleError) {
+      return res.status(allocationErrorStatus(merkleError)).json({
+        success: false,
+        error: merkleError.message,
+      });
+    }
+    if (merkleCheck.published && !merkleCheck.valid) {
+      console.error(
+        `${logPrefix} ❌ Allocation ${docId} does not match Merkle root ${merkleCheck.merkleRoot}`,
+      );
+      return res.status(409).json({
+        success: false,
+        error: "Allocation does not match the published distribution root. Please contact support.",
+      });
+    }
+    console.log(
+      `${logPrefix} ${merkleCheck.published ? `✅ Merkle proof verified (leaf ${merkleCheck.leafIndex})` : "⚠️ Pre-Merkle distribution, no root to verify"}`,
+    );
+
     // Step 2: Check for duplicate claim transaction
-    const existingClaim = await db
-      .collection(CONFIG.CLAIMS_COLLECTION)
-      .where("feeTx", "==", feeSignature)
-      .limit(1)
-      .get();
+    const existingUse = await paymentVerifier.findSignatureUse(feeSignature);
 
-    if (!existingClaim.empty) {
+    if (existingUse) {
       return res.status(400).json({
         success: false,
         error: "This transaction has already been processed",
@@ -1432,67 +1641,19 @@ router.post("/claim", verifyFirebaseAuth, async (req, res) => {
       `${logPrefix}   Validation range: ${minFee.toFixed(6)} SOL - ${maxFee.toFixed(6)} SOL`,
     );
 
-    const isValidFee = await verifySolTransfer(feeSignature, minFee, maxFee);
+    const feeCheck = await verifySolTransfer(
+      feeSignature,
+      minFee,
+      maxFee,
+      allocation.walletAddress,
+    );
 
-    if (!isValidFee) {
-      console.error(`${logPrefix} ❌ Fee verification failed`);
+    if (!feeCheck.valid) {
+      console.error(`${logPrefix} ❌ Fee verification failed: ${feeCheck.error}`);
       console.error(
         `${logPrefix}   Expected: ${totalExpectedFeeSol.toFixed(6)} SOL (min: ${minFee.toFixed(6)}, max: ${maxFee.toFixed(6)})`,
       );
 
-      // Debug: Log what was actually found in the transaction
-      try {
-        const connection = getConnection();
-        const gatekeeperKeypair = Keypair.fromSecretKey(
-          new Uint8Array(JSON.parse(process.env.GATEKEEPER_KEYPAIR)),
-        );
-        const tx = await connection.getParsedTransaction(feeSignature, {
-          commitment: "confirmed",
-          maxSupportedTransactionVersion: 0,
-        });
-
-        if (tx && tx.meta) {
-          console.error(`${logPrefix}   🔍 Transaction details:`);
-          const instructions = tx.transaction.message.instructions;
-          let foundTransfer = false;
-          for (const ix of instructions) {
-            if (ix.program === "system" && ix.parsed?.type === "transfer") {
-              foundTransfer = true;
-              const info = ix.parsed.info;
-              const solAmount = info.lamports / 1e9;
-              console.error(
-                `${logPrefix}     Transfer found: ${solAmount.toFixed(6)} SOL`,
-              );
-              console.error(`${logPrefix}     From: ${info.source}`);
-              console.error(`${logPrefix}     To: ${info.destination}`);
-              console.error(
-                `${logPrefix}     Expected destination: ${gatekeeperKeypair.publicKey.toBase58()}`,
-              );
-              console.error(
-                `${logPrefix}     Destination match: ${info.destination === gatekeeperKeypair.publicKey.toBase58()}`,
-              );
-              console.error(
-                `${logPrefix}     Amount in range: ${solAmount >= minFee && solAmount <= maxFee}`,
-              );
-            }
-          }
-          if (!foundTransfer) {
-            console.error(
-              `${logPrefix}     No SOL transfer instruction found in transaction`,
-            );
-          }
-        } else {
-          console.error(
-            `${logPrefix}   Transaction not found or has no metadata`,
-          );
-        }
-      } catch (debugError) {
-        console.error(
-          `${logPrefix}   Could not fetch transaction for debugging:`,
-          debugError.message,
-        );
-      }
-
       // Log failed attempt to transaction history
       await db.collection("transactionHistory").add({
         userId,
@@ -1503,7 +1664,7 @@ router.post("/claim", verifyFirebaseAuth, async (req, res) => {
         description: `Revenue claim failed: Invalid fee payment (expected ${totalExpectedFeeSol.toFixed(6)} SOL)`,
         feeSignature,
         distributionId,
-        errorReason: "Invalid fee payment",
+        errorReason: feeCheck.error || "Invalid fee payment",
         timestamp: admin.firestore.Timestamp.now(),
         createdAt: admin.firestore.Timestamp.now(),
       });
@@ -1518,22 +1679,6 @@ router.post("/claim", verifyFirebaseAuth, async (req, res) => {
       `${logPrefix} ✅ Fee verified: ${totalExpectedFeeSol.toFixed(6)} SOL`,
     );
 
-    // Step 3.5: Distribute site fee split ($0.90 total) + base fee to treasury
-    const feeDistributionResult = await distributeFees(
-      "revenue",
-      0.9,
-      {
-        sourceWallet: "gatekeeper",
-        treasuryDestination: "gatekeeper",
-        extraTreasuryUsd: 0.1,
-      },
-    );
-    if (!feeDistributionResult.success) {
-      console.warn(
-        `${logPrefix} ⚠️ Fee distribution failed: ${feeDistributionResult.error}`,
-      );
-    }
-
     // Step 4: Get payout amounts (multi-token)
     const payoutSol = allocation.amountSol || 0;
     const payoutEmpire = allocation.amountEmpire || 0;
@@ -1547,7 +1692,8 @@ router.post("/claim", verifyFirebaseAuth, async (req, res) => {
       `   Weight: ${(allocation.weight * 100).toFixed(2)}% (${allocation.nftCount} NFTs)`,
     );
 
-    // Step 5: Check gatekeeper balance (SOL only - assuming tokens are pre-funded)
+    // Step 5: Check gatekeeper balances before the fee is consumed, so a
+    // shortfall leaves the fee signature usable for a retry
     const gatekeeperBalance = await connection.getBalance(gatekeeperPubkey);
     const gatekeeperBalanceSol = gatekeeperBalance / 1e9;
 
@@ -1560,133 +1706,176 @@ router.post("/claim", verifyFirebaseAuth, async (req, res) => {
       });
     }
 
-    // Step 6: Build multi-token transfer transaction
-    console.log(`${logPrefix} 💸 Building multi-token transfer transaction...`);
-
-    const transaction = new Transaction();
-    const { createAssociatedTokenAccountInstruction } =
-      await import("@solana/spl-token");
-
-    // Create token accounts if needed (FIRST)
-    const accountsCreated = [];
-    if (needsEmpireAccount) {
-      transaction.add(
-        createAssociatedTokenAccountInstruction(
-          gatekeeperPubkey, // payer
-          userEmpireAta, // ata
-          userPubkey, // owner
-          empireMint, // mint
-        ),
-      );
-      accountsCreated.push("EMPIRE");
-      console.log(`${logPrefix}   ✓ Added EMPIRE token account creation`);
-    }
-
-    if (needsMkinAccount) {
-      transaction.add(
-        createAssociatedTokenAccountInstruction(
-          gatekeeperPubkey,
-          userMkinAta,
-          userPubkey,
-          mkinMint,
-        ),
-      );
-      accountsCreated.push("MKIN");
-      console.log(`${logPrefix}   ✓ Added MKIN token account creation`);
-    }
+    const gatekeeperEmpireAta = await getAssociatedTokenAddress(
+      empireMint,
+      gatekeeperPubkey,
+    );
+    const gatekeeperMkinAta = await getAssociatedTokenAddress(
+      mkinMint,
+      gatekeeperPubkey,
+    );
 
-    // Add SOL transfer
-    if (payoutSol > 0) {
-      transaction.add(
-        SystemProgram.transfer({
-          fromPubkey: gatekeeperPubkey,
-          toPubkey: userPubkey,
-          lamports: Math.round(payoutSol * 1e9),
-        }),
-      );
+    for (const [token, ata, amount, baseUnits] of [
+      ["EMPIRE", gatekeeperEmpireAta, payoutEmpire, Math.round(payoutEmpire * 1e5)], // EMPIRE has 5 decimals!
+      ["MKIN", gatekeeperMkinAta, payoutMkin, Math.round(payoutMkin * 1e9)],
+    ]) {
+      if (amount <= 0) continue;
+      const balance = await connection.getTokenAccountBalance(ata);
       console.log(
-        `${logPrefix}   ✓ Added SOL transfer: ${payoutSol.toFixed(6)}`,
+        `${logPrefix}   Gatekeeper ${token} balance: ${balance.value.uiAmount} (${balance.value.amount} base units), to transfer: ${amount} (${baseUnits} base units)`,
       );
+      if (BigInt(balance.value.amount) < BigInt(baseUnits)) {
+        console.error(
+          `${logPrefix} ❌ Insufficient gatekeeper ${token} balance: has ${balance.value.uiAmount}, needs ${amount}`,
+        );
+        return res.status(503).json({
+          success: false,
+          error: "Service temporarily unavailable. Please try again later.",
+        });
+      }
     }
 
-    // Add EMPIRE token transfer
-    if (payoutEmpire > 0) {
-      const gatekeeperEmpireAta = await getAssociatedTokenAddress(
-        empireMint,
-        gatekeeperPubkey,
-      );
+    // Step 5.5: Reserve the allocation and burn the fee signature together, so
+    // the allocation can't be claimed, airdropped or rolled over meanwhile
+    try {
+      await db.runTransaction(async (transaction) => {
+        const current = (await transaction.get(allocationDoc.ref)).data();
+        if (current.status !== "pending") {
+          throw new RevenueAllocationError(
+            current.status === "claiming"
+              ? "A claim for this allocation is already in progress"
+              : `Allocation is not claimable (${current.status})`,
+            409,
+          );
+        }
+        transaction.update(allocationDoc.ref, {
+          status: "claiming",
+          claimFeeTx: feeSignature,
+          claimStartedAt: admin.firestore.Timestamp.now(),
+        });
+        paymentVerifier.registerSignatureInTransaction(transaction, feeSignature, {
+          operation: "revenue_claim",
+          userId,
+          distributionId,
+        });
+      });
+    } catch (reserveError) {
+      if (reserveError instanceof RevenueAllocationError) {
+        return res.status(reserveError.code).json({
+          success: false,
+          error: reserveError.message,
+        });
+      }
+      if (reserveError.code === 6) {
+        // gRPC ALREADY_EXISTS: the fee signature was registered meanwhile
+        return res.status(400).json({
+          success: false,
+          error: "This transaction has already been processed",
+        });
+      }
+      throw reserveError;
+    }
 
-      // Check gatekeeper EMPIRE balance
-      const empireBalance =
-        await connection.getTokenAccountBalance(gatekeeperEmpireAta);
-      const empireAmount = Math.round(payoutEmpire * 1e5); // EMPIRE has 5 decimals!
-      console.log(
-        `${logPrefix}   Gatekeeper EMPIRE balance: ${empireBalance.value.uiAmount} (${empireBalance.value.amount} base units)`,
-      );
-      console.log(
-        `${logPrefix}   EMPIRE to transfer: ${payoutEmpire} (${empireAmount} base units)`,
+    // From here on the fee is consumed: any failure leaves a recovery record
+    let payoutSignature;
+    const accountsCreated = [];
+    try {
+      // Step 3.5: Distribute site fee split ($0.90 total) + base fee to treasury
+      const feeDistributionResult = await distributeFees(
+        "revenue",
+        0.9,
+        {
+          sourceWallet: "gatekeeper",
+          treasuryDestination: "gatekeeper",
+          extraTreasuryUsd: 0.1,
+        },
       );
-
-      if (BigInt(empireBalance.value.amount) < BigInt(empireAmount)) {
-        throw new Error(
-          `Insufficient EMPIRE balance: has ${empireBalance.value.uiAmount}, needs ${payoutEmpire}`,
+      if (!feeDistributionResult.success) {
+        console.warn(
+          `${logPrefix} ⚠️ Fee distribution failed: ${feeDistributionResult.error}`,
         );
       }
 
-      transaction.add(
-        createTransferInstruction(
-          gatekeeperEmpireAta,
-          userEmpireAta,
-          gatekeeperPubkey,
-          Math.round(payoutEmpire * 1e5), // EMPIRE has 5 decimals
-        ),
-      );
-      console.log(
-        `${logPrefix}   ✓ Added EMPIRE transfer: ${payoutEmpire.toFixed(2)}`,
-      );
-    }
+      // Step 6: Build multi-token transfer transaction
+      console.log(`${logPrefix} 💸 Building multi-token transfer transaction...`);
+
+      const transaction = new Transaction();
+      const { createAssociatedTokenAccountInstruction } =
+        await import("@solana/spl-token");
+
+      // Create token accounts if needed (FIRST)
+      if (needsEmpireAccount) {
+        transaction.add(
+          createAssociatedTokenAccountInstruction(
+            gatekeeperPubkey, // payer
+            userEmpireAta, // ata
+            userPubkey, // owner
+            empireMint, // mint
+          ),
+        );
+        accountsCreated.push("EMPIRE");
+        console.log(`${logPrefix}   ✓ Added EMPIRE token account creation`);
+      }
 
-    // Add MKIN token transfer
-    if (payoutMkin > 0) {
-      const gatekeeperMkinAta = await getAssociatedTokenAddress(
-        mkinMint,
-        gatekeeperPubkey,
-      );
+      if (needsMkinAccount) {
+        transaction.add(
+          createAssociatedTokenAccountInstruction(
+            gatekeeperPubkey,
+            userMkinAta,
+            userPubkey,
+            mkinMint,
+          ),
+        );
+        accountsCreated.push("MKIN");
+        console.log(`${logPrefix}   ✓ Added MKIN token account creation`);
+      }
 
-      // Check gatekeeper MKIN balance
-      const mkinBalance =
-        await connection.getTokenAccountBalance(gatekeeperMkinAta);
-      const mkinAmount = Math.round(payoutMkin * 1e9);
-      console.log(
-        `${logPrefix}   Gatekeeper MKIN balance: ${mkinBalance.value.uiAmount} (${mkinBalance.value.amount} base units)`,
-      );
-      console.log(
-        `${logPrefix}   MKIN to transfer: ${payoutMkin} (${mkinAmount} base units)`,
-      );
+      // Add SOL transfer
+      if (payoutSol > 0) {
+        transaction.add(
+          SystemProgram.transfer({
+            fromPubkey: gatekeeperPubkey,
+            toPubkey: userPubkey,
+            lamports: Math.round(payoutSol * 1e9),
+          }),
+        );
+        console.log(
+          `${logPrefix}   ✓ Added SOL transfer: ${payoutSol.toFixed(6)}`,
+        );
+      }
 
-      if (BigInt(mkinBalance.value.amount) < BigInt(mkinAmount)) {
-        throw new Error(
-          `Insufficient MKIN balance: has ${mkinBalance.value.uiAmount}, needs ${payoutMkin}`,
+      // Add EMPIRE token transfer
+      if (payoutEmpire > 0) {
+        transaction.add(
+          createTransferInstruction(
+            gatekeeperEmpireAta,
+            userEmpireAta,
+            gatekeeperPubkey,
+            Math.round(payoutEmpire * 1e5), // EMPIRE has 5 decimals
+          ),
+        );
+        console.log(
+          `${logPrefix}   ✓ Added EMPIRE transfer: ${payoutEmpire.toFixed(2)}`,
         );
       }
 
-      transaction.add(
-        createTransferInstruction(
-          gatekeeperMkinAta,
-          userMkinAta,
-          gatekeeperPubkey,
-          Math.round(payoutMkin * 1e9), // MKIN has 9 decimals
-        ),
-      );
-      console.log(
-        `${logPrefix}   ✓ Added MKIN transfer: ${payoutMkin.toFixed(2)}`,
-      );
-    }
+      // Add MKIN token transfer
+      if (payoutMkin > 0) {
+        transaction.add(
+          createTransferInstruction(
+            gatekeeperMkinAta,
+            userMkinAta,
+            gatekeeperPubkey,
+            Math.round(payoutMkin * 1e9), // MKIN has 9 decimals
+          ),
+        );
+        console.log(
+          `${logPrefix}   ✓ Added MKIN transfer: ${payoutMkin.toFixed(2)}`,
+        );
+      }
 
-    // Send transaction
-    console.log(`${logPrefix} 📡 Sending multi-token transaction...`);
-    let payoutSignature;
-    try {
+      // Send transaction
+      console.log(`${logPrefix} 📡 Sending multi-token transaction...`);
       const { blockhash } = await connection.getLatestBlockhash("confirmed");
       transaction.recentBlockhash = blockhash;
       transaction.feePayer = gatekeeperPubkey;
@@ -1694,6 +1883,8 @@ router.post("/claim", verifyFirebaseAuth, async (req, res) => {
       // Sign and send
       transaction.sign(gatekeeperKeypair);
       const rawTransaction = transaction.serialize();
+      // Known before broadcast, so the recovery record can point at it
+      payoutSignature = bs58.encode(transaction.signature);
 
       // Initial send
       payoutSignature = await connection.sendRawTransaction(rawTransaction, {
@@ -1766,6 +1957,7 @@ router.post("/claim", verifyFirebaseAuth, async (req, res) => {
         walletAddress: allocation.walletAddress,
         feeTx: feeSignature,
         feeAmountSol: totalExpectedFeeSol,
+        payoutTx: payoutSignature ?? null,
         error: payoutError.message,
         timestamp: admin.firestore.Timestamp.now(),
         status: "PENDING_RECOVERY",
@@ -1799,57 +1991,94 @@ router.post("/claim", verifyFirebaseAuth, async (req, res) => {
     // Step 7: Update allocation, create claim record, and log to transaction history
     const claimTimestamp = admin.firestore.Timestamp.now();
 
-    await db.runTransaction(async (transaction) => {
-      // Update allocation status
-      transaction.update(allocationDoc.ref, {
-        status: "claimed",
-        claimedAt: claimTimestamp,
-      });
+    try {
+      await db.runTransaction(async (transaction) => {
+        // Only this claim's reservation may be completed
+        const current = (await transaction.get(allocationDoc.ref)).data();
+        if (current.status !== "claiming" || current.claimFeeTx !== feeSignature) {
+          throw new Error(
+            `Allocation is ${current.status}, no longer reserved by this claim`,
+          );
+        }
 
-      // Create claim record
-      const claimRef = db.collection(CONFIG.CLAIMS_COLLECTION).doc();
-      transaction.set(claimRef, {
-        distributionId,
+        // Update allocation status
+        transaction.update(allocationDoc.ref, {
+          status: "claimed",
+          claimedAt: claimTimestamp,
+        });
+
+        // Create claim record
+        const claimRef = db.collection(CONFIG.CLAIMS_COLLECTION).doc();
+        transaction.set(claimRef, {
+          distributionId,
+          userId,
+          walletAddress: allocation.walletAddress,
+          amountSol: payoutSol,
+          amountEmpire: payoutEmpire,
+          amountMkin: payoutMkin,
+          nftCount: allocation.nftCount,
+          weight: allocation.weight,
+          // Legacy fields for backward compatibility
+          amountUsd: allocation.allocatedAmountUsd,
+          feeTx: feeSignature,
+          feeAmountSol: totalExpectedFeeSol,
+          feeAmountUsd: totalExpectedFeeUsd,
+          baseFeeUsd: CONFIG.CLAIM_FEE_USD,
+          accountCreationFeeUsd,
+          accountsCreated,
+          payoutTx: payoutSignature,
+          merkleRoot: merkleCheck.merkleRoot,
+          merkleLeafHash: merkleCheck.published ? merkleCheck.leafHash : null,
+          claimedAt: claimTimestamp,
+          status: "completed",
+        });
+
+        // Log successful claim to transaction history
+        const txHistoryRef = db.collection("transactionHistory").doc();
+        transaction.set(txHistoryRef, {
+          userId,
+          walletAddress: allocation.walletAddress,
+          type: "revenue_claim",
+          status: "completed",
+          amount: payoutMkin, // Show MKIN as primary amount
+          description: `Revenue distribution claimed: ${payoutMkin.toFixed(2)} MKIN, ${payoutEmpire.toFixed(2)} EMPIRE, ${payoutSol.toFixed(6)} SOL`,
+          distributionId,
+          amountSol: payoutSol,
+          amountEmpire: payoutEmpire,
+          amountMkin: payoutMkin,
+          feeSignature,
+          payoutSignature,
+          accountsCreated: accountsCreated.join(", ") || "none",
+          timestamp: claimTimestamp,
+          createdAt: claimTimestamp,
+        });
+      });
+    } catch (recordError) {
+      // The payout landed; only the bookkeeping failed
+      console.error(`${logPrefix} ❌ Payout ${payoutSignature} landed but recording the claim failed:`, recordError);
+      await db.collection("failed_payouts").add({
         userId,
-        walletAddress: allocation.walletAddress,
+        type: "REVENUE_DISTRIBUTION",
+        distributionId,
         amountSol: payoutSol,
         amountEmpire: payoutEmpire,
         amountMkin: payoutMkin,
-        nftCount: allocation.nftCount,
-        weight: allocation.weight,
-        // Legacy fields for backward compatibility
-        amountUsd: allocation.allocatedAmountUsd,
+        walletAddress: allocation.walletAddress,
         feeTx: feeSignature,
         feeAmountSol: totalExpectedFeeSol,
-        feeAmountUsd: totalExpectedFeeUsd,
-        baseFeeUsd: CONFIG.CLAIM_FEE_USD,
-        accountCreationFeeUsd,
-        accountsCreated,
         payoutTx: payoutSignature,
-        claimedAt: claimTimestamp,
-        status: "completed",
+        payoutLanded: true,
+        error: `Claim record failed after payout: ${recordError.message}`,
+        timestamp: admin.firestore.Timestamp.now(),
+        status: "PENDING_RECOVERY",
       });
-
-      // Log successful claim to transaction history
-      const txHistoryRef = db.collection("transactionHistory").doc();
-      transaction.set(txHistoryRef, {
-        userId,
-        walletAddress: allocation.walletAddress,
-        type: "revenue_claim",
-        status: "completed",
-        amount: payoutMkin, // Show MKIN as primary amount
-        description: `Revenue distribution claimed: ${payoutMkin.toFixed(2)} MKIN, ${payoutEmpire.toFixed(2)} EMPIRE, ${payoutSol.toFixed(6)} SOL`,
-        distributionId,
-        amountSol: payoutSol,
-        amountEmpire: payoutEmpire,
-        amountMkin: payoutMkin,
-        feeSignature,
+      return res.status(500).json({
+        success: false,
+        error:
+          "Your payout was sent but the claim could not be recorded. It has been logged for support.",
         payoutSignature,
-        accountsCreated: accountsCreated.join(", ") || "none",
-        timestamp: claimTimestamp,
-        createdAt: claimTimestamp,
       });
-    });
+    }
 
     console.log(`${logPrefix} ✅ Claim completed successfully`);
 
@@ -1900,6 +2129,7 @@ router.get("/history", verifyFirebaseAuth, async (req, res) => {
         weight: data.weight,
         amountUsd: data.amountUsd, // legacy
         payoutTx: data.payoutTx,
+        payoutMode: data.payoutMode || "claim",
         claimedAt: data.claimedAt?.toDate().toISOString(),
         status: data.status,
       });
@@ -1919,4 +2149,5 @@ router.get("/history", verifyFirebaseAuth, async (req, res) => {
   }
 });
 
+export { CONFIG as REVENUE_DISTRIBUTION_CONFIG };
 export default router;
@@ -1,6 +1,7 @@
 import express from "express";
 import { stakingService } from "../services/stakingService.js";
 import admin from "firebase-admin";
+import { requireAdmin } from "../utils/auth.js";
 
 const router = express.Router();
 
@@ -28,41 +29,46 @@ router.get("/overview", verifyAuth, async (req, res) => {
   }
 });
 
-// POST /api/staking/calculate-fee (no auth required - just calculation)
-router.post("/calculate-fee", async (req, res) => {
+// POST /api/staking/calculate-fee
+// Issues a signed fee quote bound to the caller; stake/unstake/claim require it
+// Body: { operation?: "stake" | "unstake" | "claim", amount?: number }
+router.post("/calculate-fee", verifyAuth, async (req, res) => {
   try {
-    const { amount } = req.body;
-    if (!amount || amount <= 0) {
+    const { amount, operation = "stake" } = req.body;
+    if (operation === "stake" && (!amount || amount <= 0)) {
       return res.status(400).json({ error: "Invalid amount" });
     }
 
-    // $10 flat fee - amount parameter is ignored, kept for API compatibility
-    const { getFeeInSol } = await import("../utils/solPrice.js");
-    const feeData = await getFeeInSol(10.0); // $10 USD flat fee
+    // Flat fees - amount parameter is ignored, kept for API compatibility
+    const feeQuote = await stakingService.quoteFee(req.user.uid, operation);
 
     res.json({
-      feeInSol: feeData.solAmount,
+      feeQuote: feeQuote.quote,
+      feeLamports: feeQuote.lamports,
+      expiresAt: feeQuote.expiresAt,
+      feeInSol: feeQuote.solAmount,
       feeInMkin: 0, // No longer percentage-based
       mkinPriceUsd: 0,
-      solPriceUsd: feeData.solPrice,
+      solPriceUsd: feeQuote.solPrice,
       feePercent: 0, // Flat fee, not percentage
-      flatFeeUsd: 10.0,
+      flatFeeUsd: feeQuote.usdAmount,
     });
   } catch (e) {
     console.error(e);
-    res.status(500).json({ error: e.message });
+    res.status(e.code || 500).json({ error: e.message });
   }
 });
 
 // POST /api/staking/stake
 router.post("/stake", verifyAuth, async (req, res) => {
   try {
-    const { amount, txSignature, feeSignature } = req.body;
+    const { amount, txSignature, feeSignature, lockTier, feeQuote } = req.body;
     const result = await stakingService.stake(
       req.user.uid,
       Number(amount),
       txSignature,
-      feeSignature
+      feeSignature,
+      { lockTier: lockTier || "flexible", feeQuote }
     );
     res.json(result);
   } catch (e) {
@@ -74,8 +80,10 @@ router.post("/stake", verifyAuth, async (req, res) => {
 // POST /api/staking/claim
 router.post("/claim", verifyAuth, async (req, res) => {
   try {
-    const { txSignature } = req.body;
-    const result = await stakingService.claim(req.user.uid, txSignature);
+    const { txSignature, feeQuote } = req.body;
+    const result = await stakingService.claim(req.user.uid, txSignature, {
+      feeQuote,
+    });
     res.json(result);
   } catch (e) {
     console.error(e);
@@ -86,11 +94,12 @@ router.post("/claim", verifyAuth, async (req, res) => {
 // POST /api/staking/unstake
 router.post("/unstake", verifyAuth, async (req, res) => {
   try {
-    const { amount, txSignature } = req.body;
+    const { amount, txSignature, earlyExit, unbond, feeQuote } = req.body;
     const result = await stakingService.unstake(
       req.user.uid,
       Number(amount),
-      txSignature
+      txSignature,
+      { earlyExit: earlyExit === true, unbond: unbond === true, feeQuote }
     );
     res.json(result);
   } catch (e) {
@@ -99,4 +108,36 @@ router.post("/unstake", verifyAuth, async (req, res) => {
   }
 });
 
+// GET /api/staking/rate-schedule - Effective-dated APR segments
+router.get("/rate-schedule", async (req, res) => {
+  try {
+    const segments = await stakingService.getRateSchedule();
+    res.json({
+      segments: segments.map(({ effectiveFrom, apr, note }) => ({
+        effectiveFrom,
+        apr,
+        note,
+      })),
+    });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// PUT /api/staking/rate-schedule - Replace the APR schedule (admin only)
+// Body: { segments: [{ effectiveFrom: ISO date, apr: 0.1, note?: string }] }
+router.put("/rate-schedule", verifyAuth, requireAdmin, async (req, res) => {
+  try {
+    const segments = await stakingService.setRateSchedule(
+      req.body.segments,
+      req.user.uid
+    );
+    res.json({ success: true, segments });
+  } catch (e) {
+    console.error(e);
+    res.status(400).json({ error: e.message });
+  }
+});
+
 export default router;
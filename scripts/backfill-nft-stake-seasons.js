@@ -0,0 +1,79 @@
+/**
+ * Backfill Script: Link NFT Stakes to the Legacy Season
+ *
+ * PURPOSE:
+ * Stakes created before named seasons existed have no `seasonId`. Reads fall
+ * back to the "legacy" season, but that requires scanning the whole
+ * nft_stakes collection. This script stamps `seasonId: "legacy"` on those
+ * stakes and stores the legacy season document, so every season query can
+ * filter by seasonId.
+ *
+ * Safe to re-run: stakes that already have a seasonId are left alone.
+ *
+ * USAGE:
+ *   node scripts/backfill-nft-stake-seasons.js
+ *   node scripts/backfill-nft-stake-seasons.js --dry-run
+ */
+
+import admin from "firebase-admin";
+import { readFileSync } from "fs";
+import { LEGACY_SEASON_ID, buildLegacySeason } from "../config/nftStaking.js";
+
+// Initialize Firebase Admin
+console.log("🔐 Initializing Firebase Admin...");
+const serviceAccount = JSON.parse(
+  readFileSync("./firebase-service-account.json", "utf8")
+);
+
+admin.initializeApp({
+  credential: admin.credential.cert(serviceAccount),
+});
+
+const db = admin.firestore();
+
+const DRY_RUN = process.argv.includes("--dry-run");
+const BATCH_SIZE = 400;
+
+async function main() {
+  console.log(`\n📋 Backfilling nft_stakes.seasonId${DRY_RUN ? " (DRY RUN)" : ""}`);
+
+  const snapshot = await db.collection("nft_stakes").get();
+  const missing = snapshot.docs.filter((doc) => !doc.data().seasonId);
+  console.log(`   ${snapshot.size} stakes, ${missing.length} without a season`);
+
+  if (!DRY_RUN) {
+    for (let i = 0; i < missing.length; i += BATCH_SIZE) {
+      const batch = db.batch();
+      for (const doc of missing.slice(i, i + BATCH_SIZE)) {
+        batch.update(doc.ref, { seasonId: LEGACY_SEASON_ID });
+      }
+      await batch.commit();
+      console.log(`   ✅ Updated ${Math.min(i + BATCH_SIZE, missing.length)}/${missing.length}`);
+    }
+  }
+
+  // Store the legacy season as it is currently derived, unless already stored
+  const seasonRef = db.collection("nft_staking_seasons").doc(LEGACY_SEASON_ID);
+  const seasonDoc = await seasonRef.get();
+  if (seasonDoc.exists) {
+    console.log(`   Legacy season already stored`);
+  } else {
+    const configDoc = await db.collection("config").doc("nftStaking").get();
+    const { id, ...legacy } = buildLegacySeason(configDoc.exists ? configDoc.data() : null);
+    console.log(`   Legacy season: ${legacy.start} to ${legacy.end}, pool ${legacy.tokenPool}`);
+
+    if (!DRY_RUN) {
+      const now = admin.firestore.Timestamp.now();
+      await seasonRef.set({ ...legacy, createdAt: now, updatedAt: now });
+      console.log(`   ✅ Stored legacy season`);
+    }
+  }
+
+  console.log(`\n🎉 Done`);
+  process.exit(0);
+}
+
+main().catch((error) => {
+  console.error("❌ Backfill failed:", error);
+  process.exit(1);
+});
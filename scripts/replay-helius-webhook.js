@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+
+/**
+ * Replay Helius Webhook Fixtures
+ *
+ * Feeds a recorded Helius enhanced-transaction payload through the webhook.
+ *
+ * Without --url it is a dry run: prints the NFT events the webhook would act
+ * on (no Firestore, no network). With --url it POSTs the payload to a running
+ * server using HELIUS_WEBHOOK_SECRET as the auth header; replaying the same
+ * payload twice must not forfeit anything the second time.
+ *
+ * Usage:
+ *   node scripts/replay-helius-webhook.js scripts/fixtures/helius/transfer.json
+ *   node scripts/replay-helius-webhook.js scripts/fixtures/helius/listing.json --url http://localhost:3001/api/helius/webhook
+ */
+
+import 'dotenv/config';
+import fs from 'fs';
+import { extractStakeEvents } from '../utils/heliusWebhook.js';
+
+const [fixturePath, ...args] = process.argv.slice(2);
+const urlIndex = args.indexOf('--url');
+const url = urlIndex >= 0 ? args[urlIndex + 1] : null;
+
+if (!fixturePath) {
+  console.error('Usage: node scripts/replay-helius-webhook.js <fixture.json> [--url <webhook url>]');
+  process.exit(1);
+}
+
+const payload = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+const events = extractStakeEvents(payload);
+
+console.log(`\n📦 ${fixturePath}: ${Array.isArray(payload) ? payload.length : 1} transactions, ${events.length} NFT events`);
+for (const event of events) {
+  console.log(`   - ${event.kind}: ${JSON.stringify(event)}`);
+}
+
+if (url) {
+  if (!process.env.HELIUS_WEBHOOK_SECRET) {
+    console.error('❌ HELIUS_WEBHOOK_SECRET not set');
+    process.exit(1);
+  }
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: process.env.HELIUS_WEBHOOK_SECRET,
+    },
+    body: JSON.stringify(payload),
+  });
+  console.log(`\n📨 ${response.status}:`, await response.text());
+}
+
+process.exit(0);
@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+
+/**
+ * Verify a Revenue Allocation Manifest
+ *
+ * Re-runs the allocation engine on a stored input snapshot (no database or
+ * network access) and prints the manifest hash and Merkle root, so anyone can
+ * check a distribution was allocated exactly as recorded.
+ *
+ * Usage:
+ *   node scripts/verify-allocation-manifest.js <snapshot.json> [expectedManifestHash] [--out manifest.json]
+ *
+ * Get the snapshot from GET /api/revenue-distribution/manifests/:distributionId/snapshot
+ */
+
+import fs from 'fs';
+import { buildAllocationManifest, hashSnapshot } from '../utils/revenueAllocationEngine.js';
+
+const args = process.argv.slice(2);
+const outIndex = args.indexOf('--out');
+const outPath = outIndex >= 0 ? args[outIndex + 1] : null;
+const [snapshotPath, expectedHash] = args.filter((_, i) => outIndex < 0 || (i !== outIndex && i !== outIndex + 1));
+
+if (!snapshotPath) {
+  console.error('Usage: node scripts/verify-allocation-manifest.js <snapshot.json> [expectedManifestHash] [--out manifest.json]');
+  process.exit(1);
+}
+
+const snapshot = JSON.parse(fs.readFileSync(snapshotPath, 'utf8'));
+const { manifest, manifestJson, manifestHash } = buildAllocationManifest(snapshot);
+
+console.log(`📸 Snapshot:  ${hashSnapshot(snapshot)} (${snapshot.distributionId}, captured ${snapshot.capturedAt})`);
+console.log(`🧾 Manifest:  ${manifestHash}`);
+console.log(`   Allocations: ${manifest.totals.users}`);
+console.log(`   Totals: ${manifest.totals.amountSol} SOL, ${manifest.totals.amountMkin} MKIN, ${manifest.totals.amountEmpire} EMPIRE`);
+if (manifest.rollover?.sources.length) {
+  console.log(
+    `   Rollover: ${manifest.rollover.amountSol} SOL, ${manifest.rollover.amountMkin} MKIN, ${manifest.rollover.amountEmpire} EMPIRE from ${manifest.rollover.sources.map((s) => s.distributionId).join(', ')}`,
+  );
+}
+if (manifest.belowThreshold?.allocations) {
+  console.log(
+    `   Below minimum payout: ${manifest.belowThreshold.amountSol} SOL, ${manifest.belowThreshold.amountMkin} MKIN, ${manifest.belowThreshold.amountEmpire} EMPIRE from ${manifest.belowThreshold.allocations} allocations`,
+  );
+}
+if (manifest.merkleRoot !== undefined) {
+  console.log(`🌳 Merkle root: ${manifest.merkleRoot}`);
+}
+
+if (outPath) {
+  fs.writeFileSync(outPath, manifestJson);
+  console.log(`💾 Manifest written to ${outPath}`);
+}
+
+if (expectedHash) {
+  if (expectedHash === manifestHash) {
+    console.log('✅ Manifest matches the expected hash');
+  } else {
+    console.error(`❌ Manifest does not match (expected ${expectedHash})`);
+    process.exit(1);
+  }
+}
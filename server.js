@@ -28,7 +28,8 @@ import cors from "cors";
 import cron from "node-cron";
 import { PublicKey, Connection, Transaction, SystemProgram, Keypair } from "@solana/web3.js";
 import withdrawalLogger from "./services/withdrawalLogger.js";
-import { sendMkinTokens } from "./utils/mkinTransfer.js";
+import { transferIntentService } from "./services/transferIntentService.js";
+import { paymentVerifier } from "./services/paymentVerifier.js";
 import { getSolPriceUSD } from "./utils/solPrice.js";
 import queryMonitor from "./utils/queryMonitor.js";
 import { distributeFees } from "./utils/feeDistribution.js";
@@ -77,6 +78,11 @@ if (!firebaseInitialized) {
 
 // Initialize Express app
 const app = express();
+
+// Helius webhook parses its own (larger) JSON body, so mount it before the global parser
+import heliusWebhookRoutes from "./utils/heliusWebhook.js";
+app.use("/api/helius", heliusWebhookRoutes);
+
 app.use(express.json());
 
 // CORS - Support multiple origins
@@ -337,32 +343,12 @@ app.post("/api/withdraw/complete", verifyFirebase, async (req, res) => {
 
     const fs = admin.firestore();
 
-    // Check if fee already used
-    const usedFeesRef = fs.collection("usedWithdrawalFees").doc(feeSignature);
-    const usedFeeDoc = await usedFeesRef.get();
-
-    if (usedFeeDoc.exists) {
+    // Check if fee already used (by a withdrawal or any other operation)
+    if (await paymentVerifier.findSignatureUse(feeSignature)) {
       return res.status(400).json({ error: "Fee signature already used" });
     }
 
-    // Verify fee transaction on-chain
-    const heliusApiKey = process.env.HELIUS_API_KEY;
-    const solanaRpcUrl = heliusApiKey
-      ? `https://mainnet.helius-rpc.com/?api-key=${heliusApiKey}`
-      : "https://api.mainnet-beta.solana.com";
-    const connection = new Connection(solanaRpcUrl);
-
-    const txInfo = await connection.getTransaction(feeSignature, {
-      commitment: "confirmed",
-      maxSupportedTransactionVersion: 0,
-    });
-
-    if (!txInfo || txInfo.meta?.err) {
-      return res.status(400).json({ error: "Fee transaction invalid or failed" });
-    }
-
     // Ensure fee was paid by user to gatekeeper wallet and amount is correct
-    const userPubkey = new PublicKey(walletAddress);
     const feeInUsd = 1.05; // $0.15 base + $0.90 site fee
     const solPrice = await getSolPriceUSD();
     const feeInSol = feeInUsd / solPrice;
@@ -376,62 +362,21 @@ app.post("/api/withdraw/complete", verifyFirebase, async (req, res) => {
     const gatekeeperKeypair = Keypair.fromSecretKey(
       Buffer.from(JSON.parse(gatekeeperKeypairJson))
     );
-    const gatekeeperPubkey = gatekeeperKeypair.publicKey.toBase58();
-
-    const instructions = txInfo.transaction.message.instructions || [];
-    const feePayment = instructions.find((ix) => {
-      if (!ix.parsed || ix.parsed.type !== "transfer") return false;
-      return (
-        ix.parsed.info.source === userPubkey.toString() &&
-        ix.parsed.info.destination === gatekeeperPubkey &&
-        ix.parsed.info.lamports >= feeInLamports
-      );
-    });
-
-    let feeVerified = Boolean(feePayment);
-
-    if (!feeVerified) {
-      // Fallback: check balance deltas for versioned transactions
-      const accountKeys = txInfo.transaction.message.accountKeys || [];
-      const accountIndex = accountKeys.findIndex(
-        (key) => key.toString() === gatekeeperPubkey
-      );
 
-      if (accountIndex >= 0 && txInfo.meta?.postBalances && txInfo.meta?.preBalances) {
-        const balanceDelta =
-          txInfo.meta.postBalances[accountIndex] -
-          txInfo.meta.preBalances[accountIndex];
-        feeVerified = balanceDelta >= feeInLamports;
-      }
-    }
-
-    if (!feeVerified) {
-      return res.status(400).json({ error: "Fee payment not found or incorrect" });
-    }
-
-    // Mark fee as used
-    await usedFeesRef.set({
-      userId,
-      amount,
-      walletAddress,
-      usedAt: admin.firestore.FieldValue.serverTimestamp(),
+    const feeCheck = await paymentVerifier.verifyPayment(feeSignature, {
+      recipient: gatekeeperKeypair.publicKey.toBase58(),
+      payer: new PublicKey(walletAddress).toBase58(),
+      minLamports: feeInLamports,
     });
 
-    // Distribute site fee split from gatekeeper wallet
-    const distributionResult = await distributeFees("withdraw", 0.9, {
-      sourceWallet: "gatekeeper",
-      treasuryDestination: "gatekeeper",
-      extraTreasuryUsd: 0.15,
-    });
-    if (!distributionResult.success) {
-      console.warn(
-        `[Withdraw Complete] Fee distribution failed: ${distributionResult.error}`
-      );
+    if (!feeCheck.valid) {
+      return res.status(400).json({ error: "Fee payment not found or incorrect" });
     }
 
     // Deduct from Firebase
     const rewardsRef = fs.collection("userRewards").doc(userId);
     let newBalance;
+    let intentRef;
 
     await fs.runTransaction(async (transaction) => {
       const rewardsDoc = await transaction.get(rewardsRef);
@@ -452,10 +397,61 @@ app.post("/api/withdraw/complete", verifyFirebase, async (req, res) => {
         totalRealmkin: newBalance,
         totalClaimed: admin.firestore.FieldValue.increment(amount),
       });
+
+      // Mark fee as used in the same commit as the debit
+      paymentVerifier.registerSignatureInTransaction(transaction, feeSignature, {
+        operation: "withdraw",
+        userId,
+        amount,
+        walletAddress,
+      });
+
+      // Journal the transfer in the same commit as the debit
+      intentRef = transferIntentService.createIntent(
+        transaction,
+        `withdraw_${feeSignature}`,
+        {
+          type: "WITHDRAWAL",
+          userId,
+          wallet: walletAddress,
+          amount,
+          compensation: [
+            {
+              path: rewardsRef.path,
+              increments: { totalRealmkin: amount, totalClaimed: -amount },
+            },
+          ],
+        }
+      );
+    });
+
+    // Distribute site fee split from gatekeeper wallet (once the fee is burned)
+    const distributionResult = await distributeFees("withdraw", 0.9, {
+      sourceWallet: "gatekeeper",
+      treasuryDestination: "gatekeeper",
+      extraTreasuryUsd: 0.15,
     });
+    if (!distributionResult.success) {
+      console.warn(
+        `[Withdraw Complete] Fee distribution failed: ${distributionResult.error}`
+      );
+    }
 
-    // Send MKIN tokens
-    const mkinTxHash = await sendMkinTokens(walletAddress, amount);
+    // Send MKIN tokens (failures stay on the intent for the recovery worker)
+    let mkinTxHash;
+    try {
+      mkinTxHash = await transferIntentService.execute(intentRef);
+    } catch (sendError) {
+      console.error(
+        `[Withdraw Complete] Transfer failed, intent ${intentRef.id} queued for recovery:`,
+        sendError.message
+      );
+      return res.status(502).json({
+        error:
+          "Token transfer failed. Your withdrawal has been recorded and will be retried automatically.",
+        intentId: intentRef.id,
+      });
+    }
 
     console.log(`[Withdraw Complete] Success: ${mkinTxHash}`);
 
@@ -498,8 +494,101 @@ app.listen(PORT, HOST, () => {
   
   // Initialize automatic revenue distribution reminder
   setupAutomaticRevenueDistribution();
+
+  // Initialize stuck transfer recovery worker
+  setupTransferRecoveryWorker();
+
+  // Initialize unbonding queue processor
+  setupUnbondingProcessor();
+
+  // Initialize NFT staking season settlement job
+  setupNftSettlementJob();
 });
 
+/**
+ * Setup unbonding queue processor
+ * Runs hourly (on the hour) to release matured unbonding-mode unstakes
+ */
+async function setupUnbondingProcessor() {
+  console.log("[API] Setting up unbonding queue processor (hourly)...");
+
+  try {
+    const { stakingService } = await import("./services/stakingService.js");
+
+    cron.schedule('0 * * * *', async () => {
+      try {
+        await stakingService.processUnbondingQueue();
+      } catch (error) {
+        console.error("❌ [API] Unbonding queue run failed:", error.message);
+      }
+    }, {
+      scheduled: true,
+      timezone: "Africa/Lagos" // Nigerian time (WAT - UTC+1)
+    });
+
+    console.log("✅ [API] Unbonding queue processor initialized");
+  } catch (error) {
+    console.error("[API] Failed to initialize unbonding queue processor:", error.message);
+  }
+}
+
+/**
+ * Setup NFT staking settlement job
+ * Runs hourly (at :15) to settle NFT staking seasons that have ended;
+ * interrupted settlements resume from their checkpoint on the next run
+ */
+async function setupNftSettlementJob() {
+  console.log("[API] Setting up NFT staking settlement job (hourly)...");
+
+  try {
+    const { default: nftSettlementService } = await import("./services/nftSettlementService.js");
+
+    cron.schedule('15 * * * *', async () => {
+      try {
+        const result = await nftSettlementService.settleEndedSeasons();
+        if (result.settledSeasons.length > 0) {
+          console.log("✅ [API] NFT settlement:", result.message);
+        }
+      } catch (error) {
+        console.error("❌ [API] NFT settlement run failed:", error.message);
+      }
+    }, {
+      scheduled: true,
+      timezone: "Africa/Lagos" // Nigerian time (WAT - UTC+1)
+    });
+
+    console.log("✅ [API] NFT staking settlement job initialized");
+  } catch (error) {
+    console.error("[API] Failed to initialize NFT staking settlement job:", error.message);
+  }
+}
+
+/**
+ * Setup transfer recovery worker
+ * Runs every 10 minutes to finish or reverse unstake/withdrawal transfers
+ * left in PENDING, SENT or FAILED state
+ */
+function setupTransferRecoveryWorker() {
+  console.log("[API] Setting up transfer recovery worker (every 10 minutes)...");
+
+  try {
+    cron.schedule('*/10 * * * *', async () => {
+      try {
+        await transferIntentService.recoverStuckIntents();
+      } catch (error) {
+        console.error("❌ [API] Transfer recovery run failed:", error.message);
+      }
+    }, {
+      scheduled: true,
+      timezone: "Africa/Lagos" // Nigerian time (WAT - UTC+1)
+    });
+
+    console.log("✅ [API] Transfer recovery worker initialized");
+  } catch (error) {
+    console.error("[API] Failed to initialize transfer recovery worker:", error.message);
+  }
+}
+
 // Automatic Booster Refresh
 async function setupAutomaticBoosterRefresh() {
   console.log("[API] Setting up automatic booster refresh (every 30 minutes)...");
@@ -645,70 +734,52 @@ async function setupSecondaryMarketRefresh() {
 /**
  * Setup automatic monthly revenue distribution
  * Runs on the 27th of every month at 12:00 PM WAT (Nigerian time)
- * 
- * ⚠️ PAUSED: Temporarily disabled as of 2026-02-27
- * To re-enable: Remove the early return and uncomment the cron.schedule block
+ *
+ * The scheduler only dry-runs the month into a draft and posts its totals and
+ * diff to Discord; allocations go live once two different admins approve it
+ * (see services/revenueApprovalService.js). Unapproved drafts expire, checked
+ * hourly. Expired, unclaimed allocations roll over into the next draft's pool
+ * daily.
  */
 async function setupAutomaticRevenueDistribution() {
-  // ⚠️ PAUSED: Early return to prevent scheduler from running
-  console.log("⏸️  [API] Automatic revenue distribution is currently PAUSED. Skipping setup.");
-  return;
-
-  /* ORIGINAL CODE BELOW - DO NOT DELETE, JUST COMMENTED OUT FOR PAUSE
-  console.log("[API] Setting up automatic revenue distribution (27th of every month at 12:00 PM WAT)...");
+  console.log("[API] Setting up automatic revenue distribution drafts (27th of every month at 12:00 PM WAT)...");
 
   try {
-    // Schedule cron job: 27th of every month at 12:00 PM WAT
+    const { default: revenueApprovalService } = await import("./services/revenueApprovalService.js");
+    const { REVENUE_DISTRIBUTION_CONFIG } = await import("./routes/revenue-distribution.js");
+    const { getCurrentDistributionId } = await import("./utils/distributionScheduler.js");
+    const { default: revenueRolloverService } = await import("./services/revenueRolloverService.js");
+
     // Cron format: minute hour day-of-month month day-of-week
     // 0 12 27 * * = At 12:00 PM on day 27 of every month
     cron.schedule('0 12 27 * *', async () => {
+      const distributionId = getCurrentDistributionId();
       try {
-        console.log("⏰ [API] Automatic monthly revenue distribution triggered");
-
-        // Import revenue distribution service
-        const revenueModule = await import("./routes/revenue-distribution.js");
-
-        // Call the allocation endpoint internally
-        const db = admin.firestore();
-        const date = new Date();
-        const year = date.getFullYear();
-        const month = String(date.getMonth() + 1).padStart(2, '0');
-        const distributionId = `revenue_dist_${year}_${month}`;
-
-        console.log(`💰 [API] Starting revenue distribution: ${distributionId}`);
-
-        // Note: This would need the actual allocation logic
-        // For now, log that manual trigger is still recommended
-        console.log("⚠️  [API] Automatic revenue distribution scheduled");
-        console.log("💡 [API] For safety, please use the manual script for now:");
-        console.log("    node scripts/run-production-revenue-distribution.js");
-
-        // Send Discord notification
+        console.log(`⏰ [API] Drafting monthly revenue distribution: ${distributionId}`);
+        // Take in anything that expired since the daily rollover run
         try {
-          const { sendDiscordAlert } = await import("./utils/discordAlerts.js");
-          await sendDiscordAlert(
-            `📅 Monthly Revenue Distribution Reminder\\n` +
-            `• Date: ${distributionId}\\n` +
-            `• Please run manual distribution script\\n` +
-            `• Command: node scripts/run-production-revenue-distribution.js\\n` +
-            `• Time: ${new Date().toISOString()}`,
-            "info"
-          );
-        } catch (alertError) {
-          console.warn("[API] Failed to send Discord alert:", alertError.message);
+          await revenueRolloverService.rolloverExpired();
+        } catch (rolloverError) {
+          console.warn("⚠️ [API] Rollover before drafting failed, drafting without it:", rolloverError.message);
         }
+        const draft = await revenueApprovalService.createDraft(
+          distributionId,
+          REVENUE_DISTRIBUTION_CONFIG,
+          "scheduler"
+        );
+        console.log(`✅ [API] Revenue distribution draft ${draft.id} awaiting approval until ${draft.expiresAt}`);
       } catch (error) {
-        console.error("❌ [API] Automatic revenue distribution check failed:", error.message);
+        console.error(`❌ [API] Revenue distribution draft for ${distributionId} failed:`, error.message);
 
-        // Send Discord notification on failure
         try {
           const { sendDiscordAlert } = await import("./utils/discordAlerts.js");
-          await sendDiscordAlert(
-            `❌ Revenue Distribution Reminder FAILED\\n` +
-            `• Error: ${error.message}\\n` +
-            `• Time: ${new Date().toISOString()}`,
-            "error"
-          );
+          await sendDiscordAlert({
+            level: 'ERROR',
+            title: 'Revenue Distribution Draft FAILED',
+            message: error.message,
+            action: 'Create the draft manually: POST /api/revenue-distribution/drafts',
+            details: { Distribution: distributionId },
+          });
         } catch (alertError) {
           console.warn("[API] Failed to send Discord alert:", alertError.message);
         }
@@ -718,12 +789,36 @@ async function setupAutomaticRevenueDistribution() {
       timezone: "Africa/Lagos" // Nigerian time (WAT - UTC+1)
     });
 
-    console.log("✅ [API] Automatic revenue distribution reminder initialized");
-    console.log("📅 [API] Next reminder: 27th of next month at 12:00 PM WAT");
+    cron.schedule('30 * * * *', async () => {
+      try {
+        const expired = await revenueApprovalService.expireDrafts();
+        if (expired.length > 0) {
+          console.log(`⌛ [API] Expired ${expired.length} unapproved revenue distribution draft(s)`);
+        }
+      } catch (error) {
+        console.error("❌ [API] Revenue distribution draft expiry failed:", error.message);
+      }
+    }, {
+      scheduled: true,
+      timezone: "Africa/Lagos" // Nigerian time (WAT - UTC+1)
+    });
+
+    // Daily at 1:00 AM WAT: roll expired, unclaimed allocations into the next pool
+    cron.schedule('0 1 * * *', async () => {
+      try {
+        await revenueRolloverService.rolloverExpired();
+      } catch (error) {
+        console.error("❌ [API] Revenue distribution rollover failed:", error.message);
+      }
+    }, {
+      scheduled: true,
+      timezone: "Africa/Lagos" // Nigerian time (WAT - UTC+1)
+    });
+
+    console.log("✅ [API] Automatic revenue distribution drafts initialized (two-person approval)");
   } catch (error) {
-    console.error("[API] Failed to initialize revenue distribution reminder:", error.message);
+    console.error("[API] Failed to initialize revenue distribution drafts:", error.message);
   }
-  */
 }
 
 /**
@@ -819,77 +914,11 @@ async function initializeNftStakingMonitor() {
         const statusResult = await nftStakingService.checkAndUpdateStakeStatuses();
         console.log("⏰ [API] Stake status check result:", statusResult);
 
-        // Then check for NFT transfers/listings
-        const db = admin.firestore();
-        
-        // Get all "staked" NFTs
-        const stakedSnapshot = await db
-          .collection("nft_stakes")
-          .where("status", "==", "staked")
-          .get();
-
-        console.log(`   Found ${stakedSnapshot.size} staked NFTs to check`);
-
-        let forfeitedCount = 0;
-        
-        // Group by wallet to minimize API calls (batch check)
-        const walletGroups = {};
-        for (const doc of stakedSnapshot.docs) {
-          const data = doc.data();
-          if (!walletGroups[data.walletAddress]) {
-            walletGroups[data.walletAddress] = [];
-          }
-          walletGroups[data.walletAddress].push(doc);
-        }
-
-        // Check each wallet's NFTs
-        for (const [wallet, stakeDocs] of Object.entries(walletGroups)) {
-          try {
-            // Check each NFT individually for ownership AND delegation status
-            for (const stakeDoc of stakeDocs) {
-              const stakeData = stakeDoc.data();
-              
-              // Get current NFT status from Helius
-              const response = await fetch(NFT_STAKING_CONFIG.HELIUS_RPC_URL, {
-                method: "POST",
-                headers: { "Content-Type": "application/json" },
-                body: JSON.stringify({
-                  jsonrpc: "2.0",
-                  id: "monitor-check",
-                  method: "getAsset",
-                  params: { id: stakeData.nftMint },
-                }),
-              });
-              
-              const data = await response.json();
-              const result = data.result;
-              const ownership = result?.ownership || {};
-              
-              const currentOwner = ownership.owner || ownership.address;
-              const delegate = ownership.delegate || null;
-              // Only mark as listed if delegate exists AND is not the owner themselves (self-delegation is OK)
-              const hasExternalDelegate = delegate !== null && delegate !== wallet;
-              
-              // Forfeit if: transferred OR listed (has external delegate)
-              if (currentOwner !== wallet || hasExternalDelegate) {
-                const reason = hasExternalDelegate ? "listed on marketplace" : "transferred";
-                await stakeDoc.ref.update({
-                  status: "forfeited",
-                  finalReward: 0,
-                  lastCheckedAt: admin.firestore.Timestamp.now(),
-                  updatedAt: admin.firestore.Timestamp.now(),
-                });
-                forfeitedCount++;
-                console.log(`   ⚠️ NFT ${stakeData.nftMint} ${reason} - marked as forfeited`);
-              }
-            }
-          } catch (error) {
-            console.error(`   ❌ Error checking wallet ${wallet}:`, error.message);
-          }
-        }
+        // Then check for transfers, listings, delegations and frozen accounts
+        const summary = await nftStakingService.sweepStakedNfts();
 
-        console.log(`✅ [API] NFT Staking Monitor completed: ${forfeitedCount} NFTs forfeited`);
-        return { checked: stakedSnapshot.size, forfeited: forfeitedCount };
+        console.log(`✅ [API] NFT Staking Monitor completed: ${summary.forfeited} forfeited, ${summary.flagged} flagged, ${summary.errors} lookup errors`);
+        return summary;
       } catch (error) {
         console.error("❌ [API] NFT Staking Monitor failed:", error.message);
         throw error;
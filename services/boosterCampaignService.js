@@ -0,0 +1,291 @@
+import admin from "firebase-admin";
+import { NFT_STAKING_CONFIG } from "../config/nftStaking.js";
+import { CAMPAIGN_STACKING, CAMPAIGN_ELIGIBILITY } from "../config/boosters.js";
+import { AUDIT_COLLECTION } from "./boosterRegistryService.js";
+
+/**
+ * Booster Campaigns
+ *
+ * Time-boxed boosts ("2x weekend", "holiday 1.1x for all stakers") kept apart
+ * from the NFT booster categories. A campaign applies between startsAt and
+ * endsAt to eligible stakers, and combines with NFT boosters according to its
+ * stacking rule (see CAMPAIGN_STACKING in config/boosters.js).
+ *
+ * Windows are never moved into the past: campaigns can't start before they are
+ * created, and ending one early only cuts its remaining time, so rewards
+ * already accrued under a campaign don't change. Changes are recorded in the
+ * booster registry audit log.
+ */
+
+const CAMPAIGNS_COLLECTION = "booster_campaigns";
+const CAMPAIGNS_CACHE_TTL = 60 * 1000; // 1 minute
+const START_GRACE_MS = 60 * 1000; // Tolerate clock skew on "starts now"
+const MAX_ALLOWLIST = 5000;
+const ID_PATTERN = /^[\w-]+$/;
+const ADDRESS_PATTERN = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/;
+
+class BoosterCampaignError extends Error {
+  constructor(message, code = 400) {
+    super(message);
+    this.name = "BoosterCampaignError";
+    this.code = code;
+  }
+}
+
+class BoosterCampaignService {
+  constructor() {
+    this._db = null;
+    this._campaignsCache = {
+      data: null,
+      timestamp: 0,
+    };
+  }
+
+  get db() {
+    if (!this._db) {
+      this._db = admin.firestore();
+    }
+    return this._db;
+  }
+
+  _normalize(id, data) {
+    const startsAtMs = data.startsAt.toMillis();
+    const endsAtMs = data.endsAt.toMillis();
+    return {
+      id,
+      name: data.name,
+      multiplier: data.multiplier,
+      startsAt: new Date(startsAtMs).toISOString(),
+      endsAt: new Date(endsAtMs).toISOString(),
+      startsAtMs,
+      endsAtMs,
+      eligibility: {
+        type: data.eligibility?.type || "all",
+        collections: data.eligibility?.collections || [],
+        users: data.eligibility?.users || [],
+        wallets: data.eligibility?.wallets || [],
+      },
+      stacking: data.stacking || "stack",
+      cancelled: data.cancelled === true,
+    };
+  }
+
+  /**
+   * All campaigns that ever applied or will apply, oldest first (cached for 1 minute)
+   * Ended campaigns are included - accrual over past windows still needs them.
+   */
+  async getCampaigns() {
+    if (this._campaignsCache.data && Date.now() - this._campaignsCache.timestamp < CAMPAIGNS_CACHE_TTL) {
+      return this._campaignsCache.data;
+    }
+
+    try {
+      const snapshot = await this.db.collection(CAMPAIGNS_COLLECTION).get();
+      this._campaignsCache.data = snapshot.docs
+        .map((doc) => this._normalize(doc.id, doc.data()))
+        .filter((campaign) => !campaign.cancelled)
+        .sort((a, b) => a.startsAtMs - b.startsAtMs);
+      this._campaignsCache.timestamp = Date.now();
+    } catch (error) {
+      // Keep serving the last loaded list rather than failing reward reads
+      if (!this._campaignsCache.data) throw error;
+      console.error("⚠️ Failed to load booster campaigns, using cached copy:", error.message);
+    }
+    return this._campaignsCache.data;
+  }
+
+  /**
+   * Campaigns running at a point in time
+   */
+  async getActiveCampaigns(atMs = Date.now()) {
+    const campaigns = await this.getCampaigns();
+    return campaigns.filter((campaign) => campaign.startsAtMs <= atMs && atMs < campaign.endsAtMs);
+  }
+
+  /**
+   * Create a campaign (admin)
+   * @param {Object} params
+   * @param {string} [params.id] - Defaults to a generated id
+   * @param {string} params.name - e.g. "2x Weekend"
+   * @param {number} params.multiplier
+   * @param {string} [params.startsAt] - ISO date, defaults to now; not in the past
+   * @param {string} params.endsAt - ISO date
+   * @param {Object} [params.eligibility] - { type: "all" } | { type: "collection", collections } | { type: "allowlist", users?, wallets? }
+   * @param {string} [params.stacking] - "stack" (default), "on_top" or "best_of"
+   * @param {string} actor - Admin uid
+   */
+  async createCampaign(params, actor) {
+    const { name, multiplier, stacking = "stack" } = params;
+    const nowMs = Date.now();
+    const startsAtMs = params.startsAt ? new Date(params.startsAt).getTime() : nowMs;
+    const endsAtMs = new Date(params.endsAt).getTime();
+
+    if (typeof name !== "string" || !name.trim()) {
+      throw new BoosterCampaignError("name must be a non-empty string");
+    }
+    if (typeof multiplier !== "number" || !Number.isFinite(multiplier) || multiplier <= 1 || multiplier > 10) {
+      throw new BoosterCampaignError("multiplier must be a number above 1 and at most 10");
+    }
+    if (!Number.isFinite(startsAtMs) || !Number.isFinite(endsAtMs)) {
+      throw new BoosterCampaignError("startsAt and endsAt must be ISO dates");
+    }
+    if (startsAtMs < nowMs - START_GRACE_MS) {
+      throw new BoosterCampaignError("Campaigns can't start in the past");
+    }
+    if (endsAtMs <= startsAtMs) {
+      throw new BoosterCampaignError("endsAt must be after startsAt");
+    }
+    if (!CAMPAIGN_STACKING.includes(stacking)) {
+      throw new BoosterCampaignError(`stacking must be one of ${CAMPAIGN_STACKING.join(", ")}`);
+    }
+    if (params.id !== undefined && !ID_PATTERN.test(params.id)) {
+      throw new BoosterCampaignError(`Invalid campaign id: ${params.id}`);
+    }
+    const eligibility = this._validateEligibility(params.eligibility || { type: "all" });
+
+    const campaignRef = params.id
+      ? this.db.collection(CAMPAIGNS_COLLECTION).doc(params.id)
+      : this.db.collection(CAMPAIGNS_COLLECTION).doc();
+    const now = admin.firestore.Timestamp.now();
+    const campaign = {
+      name: name.trim(),
+      multiplier,
+      startsAt: admin.firestore.Timestamp.fromMillis(Math.max(startsAtMs, nowMs)),
+      endsAt: admin.firestore.Timestamp.fromMillis(endsAtMs),
+      eligibility,
+      stacking,
+      cancelled: false,
+      createdBy: actor,
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    const batch = this.db.batch();
+    batch.create(campaignRef, campaign);
+    batch.create(this.db.collection(AUDIT_COLLECTION).doc(), {
+      action: "create_campaign",
+      categoryKey: null,
+      campaignId: campaignRef.id,
+      changes: JSON.parse(JSON.stringify(params)),
+      before: null,
+      after: this._auditView(campaign),
+      actor,
+      timestamp: now,
+    });
+
+    try {
+      await batch.commit();
+    } catch (error) {
+      if (error.code === 6) {
+        // gRPC ALREADY_EXISTS
+        throw new BoosterCampaignError(`Campaign ${campaignRef.id} already exists`, 409);
+      }
+      throw error;
+    }
+
+    this.invalidateCache();
+    console.log(
+      `🎉 Booster campaign ${campaignRef.id} created by ${actor}: ${multiplier}x ${campaign.startsAt.toDate().toISOString()} → ${params.endsAt}`,
+    );
+    return this._normalize(campaignRef.id, campaign);
+  }
+
+  /**
+   * End a campaign now (admin)
+   * A campaign that hasn't started is cancelled; a running one is cut short.
+   */
+  async endCampaign(campaignId, actor) {
+    const campaignRef = this.db.collection(CAMPAIGNS_COLLECTION).doc(campaignId);
+
+    const updated = await this.db.runTransaction(async (t) => {
+      const doc = await t.get(campaignRef);
+      if (!doc.exists) {
+        throw new BoosterCampaignError(`Campaign ${campaignId} not found`, 404);
+      }
+
+      const before = doc.data();
+      const now = admin.firestore.Timestamp.now();
+      if (before.cancelled || before.endsAt.toMillis() <= now.toMillis()) {
+        throw new BoosterCampaignError(`Campaign ${campaignId} has already ended`);
+      }
+
+      const changes = before.startsAt.toMillis() > now.toMillis()
+        ? { cancelled: true, updatedAt: now }
+        : { endsAt: now, updatedAt: now };
+      const after = { ...before, ...changes };
+
+      t.update(campaignRef, changes);
+      t.create(this.db.collection(AUDIT_COLLECTION).doc(), {
+        action: changes.cancelled ? "cancel_campaign" : "end_campaign",
+        categoryKey: null,
+        campaignId,
+        changes: {},
+        before: this._auditView(before),
+        after: this._auditView(after),
+        actor,
+        timestamp: now,
+      });
+      return after;
+    });
+
+    this.invalidateCache();
+    console.log(`🛑 Booster campaign ${campaignId} ${updated.cancelled ? "cancelled" : "ended"} by ${actor}`);
+    return this._normalize(campaignId, updated);
+  }
+
+  _auditView({ name, multiplier, startsAt, endsAt, eligibility, stacking, cancelled }) {
+    return {
+      name,
+      multiplier,
+      startsAt: startsAt.toDate().toISOString(),
+      endsAt: endsAt.toDate().toISOString(),
+      eligibilityType: eligibility.type,
+      stacking,
+      cancelled,
+    };
+  }
+
+  _validateEligibility(input) {
+    const type = input?.type;
+    if (!CAMPAIGN_ELIGIBILITY.includes(type)) {
+      throw new BoosterCampaignError(`eligibility.type must be one of ${CAMPAIGN_ELIGIBILITY.join(", ")}`);
+    }
+
+    if (type === "all") {
+      return { type, collections: [], users: [], wallets: [] };
+    }
+
+    if (type === "collection") {
+      const collections = (input.collections || []).map(
+        (collection) => NFT_STAKING_CONFIG.COLLECTION_ADDRESSES[collection] || collection,
+      );
+      const invalid = collections.filter((address) => typeof address !== "string" || !ADDRESS_PATTERN.test(address));
+      if (collections.length === 0 || invalid.length > 0) {
+        throw new BoosterCampaignError(`Invalid eligibility collections: ${invalid.join(", ") || "none given"}`);
+      }
+      return { type, collections: [...new Set(collections)], users: [], wallets: [] };
+    }
+
+    const users = [...new Set(input.users || [])];
+    const wallets = [...new Set(input.wallets || [])];
+    if (users.length + wallets.length === 0) {
+      throw new BoosterCampaignError("An allowlist needs users and/or wallets");
+    }
+    if (users.length + wallets.length > MAX_ALLOWLIST) {
+      throw new BoosterCampaignError(`Allowlists are limited to ${MAX_ALLOWLIST} entries`);
+    }
+    const invalidWallets = wallets.filter((wallet) => typeof wallet !== "string" || !ADDRESS_PATTERN.test(wallet));
+    if (invalidWallets.length > 0 || users.some((uid) => typeof uid !== "string" || !uid)) {
+      throw new BoosterCampaignError(`Invalid allowlist entries: ${invalidWallets.join(", ") || "users must be uids"}`);
+    }
+    return { type, collections: [], users, wallets };
+  }
+
+  invalidateCache() {
+    this._campaignsCache.data = null;
+    this._campaignsCache.timestamp = 0;
+  }
+}
+
+export default new BoosterCampaignService();
+export { BoosterCampaignService, BoosterCampaignError, CAMPAIGNS_COLLECTION };
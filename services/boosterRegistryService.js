@@ -0,0 +1,500 @@
+import admin from "firebase-admin";
+import {
+  DEFAULT_BOOSTER_CATEGORIES,
+  DEFAULT_STACKING_POLICIES,
+  normalizeStackingPolicies,
+} from "../config/boosters.js";
+import { normalizeBoosterRule, isSameBoosterRule } from "../utils/boosterRules.js";
+
+/**
+ * Booster Registry
+ *
+ * Booster categories (name, type, multiplier, mint list and metadata rules -
+ * see utils/boosterRules.js) are stored in the booster_categories collection,
+ * one document per category key. Every change
+ * made through the admin API is written in the same transaction as an entry in
+ * booster_registry_audit.
+ *
+ * Reads are cached for 1 minute and the cache is dropped on every write, so
+ * edits take effect without a restart. Until the first write the registry is
+ * served from config/boosters.js; the first write copies those defaults in.
+ *
+ * The stacking policy schedule (config/boosterStacking) is loaded here too, so
+ * every caller combines boosters with the same policy.
+ */
+
+const CATEGORIES_COLLECTION = "booster_categories";
+const AUDIT_COLLECTION = "booster_registry_audit";
+const REGISTRY_CACHE_TTL = 60 * 1000; // 1 minute
+const CATEGORY_KEY_PATTERN = /^[A-Z][A-Z0-9_]*$/;
+const MINT_PATTERN = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/;
+const STACKING_CACHE_TTL = 5 * 60 * 1000; // 5 minutes
+
+class BoosterRegistryError extends Error {
+  constructor(message, code = 400) {
+    super(message);
+    this.name = "BoosterRegistryError";
+    this.code = code;
+  }
+}
+
+class BoosterRegistryService {
+  constructor() {
+    this._db = null;
+    this._registryCache = {
+      data: null,
+      source: null,
+      timestamp: 0,
+    };
+    this._stackingCache = {
+      policies: normalizeStackingPolicies(DEFAULT_STACKING_POLICIES),
+      timestamp: 0,
+      loading: null,
+    };
+  }
+
+  get db() {
+    if (!this._db) {
+      this._db = admin.firestore();
+    }
+    return this._db;
+  }
+
+  _normalize(data) {
+    return {
+      name: data.name,
+      type: data.type,
+      multiplier: data.multiplier,
+      mints: [...(data.mints || [])],
+      rules: [...(data.rules || [])],
+    };
+  }
+
+  _defaults() {
+    return Object.fromEntries(
+      Object.entries(DEFAULT_BOOSTER_CATEGORIES).map(([key, category]) => [key, this._normalize(category)]),
+    );
+  }
+
+  /**
+   * Current categories keyed by category key (cached for 1 minute)
+   * @returns {Promise<Object<string, {name: string, type: string, multiplier: number, mints: string[], rules: Object[]}>>}
+   */
+  async getCategories() {
+    return (await this._load()).data;
+  }
+
+  async _load() {
+    if (this._registryCache.data && Date.now() - this._registryCache.timestamp < REGISTRY_CACHE_TTL) {
+      return this._registryCache;
+    }
+
+    let snapshot;
+    try {
+      snapshot = await this.db.collection(CATEGORIES_COLLECTION).get();
+    } catch (error) {
+      // Keep serving the last loaded registry rather than dropping everyone's boosters
+      if (this._registryCache.data) {
+        console.warn(`⚠️ Failed to reload booster registry, using cached copy: ${error.message}`);
+        return this._registryCache;
+      }
+      throw error;
+    }
+
+    this._registryCache.data = snapshot.empty
+      ? this._defaults()
+      : Object.fromEntries(snapshot.docs.map((doc) => [doc.id, this._normalize(doc.data())]));
+    this._registryCache.source = snapshot.empty ? "defaults" : "firestore";
+    this._registryCache.timestamp = Date.now();
+    return this._registryCache;
+  }
+
+  /**
+   * Full registry for the admin API
+   */
+  async listCategories() {
+    const { data, source } = await this._load();
+    return {
+      source,
+      categories: Object.entries(data).map(([key, category]) => ({
+        key,
+        ...category,
+        mintCount: category.mints.length,
+        ruleCount: category.rules.length,
+      })),
+    };
+  }
+
+  /**
+   * Create a category
+   * @param {string} key - Upper snake case, e.g. "SOLANA_MINER"
+   * @param {Object} params - { name, type?, multiplier, mints?, rules? }
+   * @param {string} actor - Admin uid
+   */
+  async createCategory(key, { name, type, multiplier, mints = [], rules = [] }, actor) {
+    if (!CATEGORY_KEY_PATTERN.test(key || "")) {
+      throw new BoosterRegistryError("Category key must be upper snake case (e.g. SOLANA_MINER)");
+    }
+    this._validateName(name);
+    this._validateMultiplier(multiplier);
+    if (type !== undefined && (typeof type !== "string" || !type.trim())) {
+      throw new BoosterRegistryError("type must be a non-empty string");
+    }
+    if (!Array.isArray(rules)) {
+      throw new BoosterRegistryError("rules must be an array");
+    }
+    const newRules = rules.reduce((added, input) => [...added, this._validateNewRule(input, added)], []);
+
+    return this._updateRegistry(actor, "create_category", key, { name, type, multiplier, mints, rules: newRules }, (before, categories) => {
+      if (before) {
+        throw new BoosterRegistryError(`Category ${key} already exists`, 409);
+      }
+      const newMints = this._validateNewMints(mints, key, categories);
+      return {
+        name: name.trim(),
+        type: type?.trim() || key.toLowerCase(),
+        multiplier,
+        mints: newMints,
+        rules: newRules,
+      };
+    });
+  }
+
+  /**
+   * Change a category's name and/or multiplier
+   */
+  async updateCategory(key, { name, multiplier }, actor) {
+    if (name === undefined && multiplier === undefined) {
+      throw new BoosterRegistryError("Nothing to update: provide name and/or multiplier");
+    }
+    if (name !== undefined) this._validateName(name);
+    if (multiplier !== undefined) this._validateMultiplier(multiplier);
+
+    return this._updateRegistry(actor, "update_category", key, { name, multiplier }, (before) => {
+      this._requireCategory(key, before);
+      return {
+        ...before,
+        ...(name !== undefined ? { name: name.trim() } : {}),
+        ...(multiplier !== undefined ? { multiplier } : {}),
+      };
+    });
+  }
+
+  /**
+   * Add mints to a category (mints already in it are skipped)
+   */
+  async addMints(key, mints, actor) {
+    return this._updateRegistry(actor, "add_mints", key, { mints }, (before, categories) => {
+      this._requireCategory(key, before);
+      const newMints = this._validateNewMints(mints, key, categories);
+      if (newMints.length === 0) {
+        throw new BoosterRegistryError("No mints to add");
+      }
+      return { ...before, mints: [...before.mints, ...newMints] };
+    });
+  }
+
+  /**
+   * Remove mints from a category
+   */
+  async removeMints(key, mints, actor) {
+    if (!Array.isArray(mints) || mints.length === 0) {
+      throw new BoosterRegistryError("mints must be a non-empty array");
+    }
+
+    return this._updateRegistry(actor, "remove_mints", key, { mints }, (before) => {
+      this._requireCategory(key, before);
+      const remove = new Set(mints.map((mint) => String(mint).toLowerCase()));
+      const remaining = before.mints.filter((mint) => !remove.has(mint.toLowerCase()));
+      if (remaining.length === before.mints.length) {
+        throw new BoosterRegistryError(`None of the given mints are in ${key}`, 404);
+      }
+      return { ...before, mints: remaining };
+    });
+  }
+
+  /**
+   * Add a metadata rule to a category
+   * @param {Object} rule - { collection?, attribute?: { name, value }, creator? }
+   */
+  async addRule(key, rule, actor) {
+    return this._updateRegistry(actor, "add_rule", key, { rule }, (before) => {
+      this._requireCategory(key, before);
+      const newRule = this._validateNewRule(rule, before.rules);
+      return { ...before, rules: [...before.rules, newRule] };
+    });
+  }
+
+  /**
+   * Remove a metadata rule from a category by rule id
+   */
+  async removeRule(key, ruleId, actor) {
+    return this._updateRegistry(actor, "remove_rule", key, { ruleId }, (before) => {
+      this._requireCategory(key, before);
+      const remaining = before.rules.filter((rule) => rule.id !== ruleId);
+      if (remaining.length === before.rules.length) {
+        throw new BoosterRegistryError(`Rule ${ruleId} not found in ${key}`, 404);
+      }
+      return { ...before, rules: remaining };
+    });
+  }
+
+  /**
+   * Recent registry changes, newest first
+   */
+  async getAuditLog({ categoryKey = null, limit = 50 } = {}) {
+    let query = this.db.collection(AUDIT_COLLECTION);
+    if (categoryKey) {
+      query = query.where("categoryKey", "==", categoryKey);
+    }
+    const snapshot = await query.orderBy("timestamp", "desc").limit(Math.min(limit, 200)).get();
+
+    return snapshot.docs.map((doc) => ({
+      id: doc.id,
+      ...doc.data(),
+      timestamp: doc.data().timestamp?.toDate?.()?.toISOString() || null,
+    }));
+  }
+
+  /**
+   * Apply one change to a category and record it in the audit log (one transaction)
+   * @param {Function} mutate - (before, categories) => after; throws BoosterRegistryError to reject
+   */
+  async _updateRegistry(actor, action, key, changes, mutate) {
+    const collectionRef = this.db.collection(CATEGORIES_COLLECTION);
+
+    const after = await this.db.runTransaction(async (t) => {
+      const snapshot = await t.get(collectionRef);
+      const seeding = snapshot.empty;
+      const categories = seeding
+        ? this._defaults()
+        : Object.fromEntries(snapshot.docs.map((doc) => [doc.id, this._normalize(doc.data())]));
+
+      const before = categories[key] || null;
+      const updated = mutate(before, categories);
+      const now = admin.firestore.Timestamp.now();
+
+      // First write: copy the defaults in so the registry starts from what was live
+      if (seeding) {
+        for (const [seedKey, category] of Object.entries(categories)) {
+          if (seedKey === key) continue;
+          t.set(collectionRef.doc(seedKey), { ...category, createdBy: "seed", createdAt: now, updatedAt: now });
+        }
+        t.create(this.db.collection(AUDIT_COLLECTION).doc(), {
+          action: "seed",
+          categoryKey: null,
+          changes: { categories: Object.keys(categories) },
+          before: null,
+          after: null,
+          actor,
+          timestamp: now,
+        });
+      }
+
+      const createdFields = before && !seeding
+        ? {}
+        : { createdBy: before ? "seed" : actor, createdAt: now };
+      t.set(collectionRef.doc(key), {
+        ...updated,
+        ...createdFields,
+        updatedBy: actor,
+        updatedAt: now,
+      }, { merge: true });
+
+      t.create(this.db.collection(AUDIT_COLLECTION).doc(), {
+        action,
+        categoryKey: key,
+        changes: JSON.parse(JSON.stringify(changes)), // drop undefined fields
+        before,
+        after: updated,
+        actor,
+        timestamp: now,
+      });
+
+      return updated;
+    });
+
+    this.invalidateCache();
+    console.log(`🛠️ Booster registry ${action} on ${key} by ${actor}`);
+    return { key, ...after, mintCount: after.mints.length, ruleCount: after.rules.length };
+  }
+
+  /**
+   * Get the booster stacking policy schedule
+   * Reads config/boosterStacking, falling back to DEFAULT_STACKING_POLICIES.
+   * Cached for 5 minutes; the cached copy is what sync helpers use.
+   */
+  async getStackingPolicies() {
+    const cache = this._stackingCache;
+    if (cache.timestamp && Date.now() - cache.timestamp < STACKING_CACHE_TTL) {
+      return cache.policies;
+    }
+
+    try {
+      const configDoc = await this.db.collection("config").doc("boosterStacking").get();
+      const policies = configDoc.exists ? configDoc.data().policies : null;
+      cache.policies = normalizeStackingPolicies(policies?.length ? policies : DEFAULT_STACKING_POLICIES);
+      cache.timestamp = Date.now();
+    } catch (error) {
+      // Keep serving the last good schedule rather than failing reward reads
+      console.error("⚠️ Failed to load booster stacking policies, using cached copy:", error.message);
+    }
+    return cache.policies;
+  }
+
+  /**
+   * Cached stacking policy schedule for sync callers (reloads in the background when stale)
+   */
+  get stackingPolicies() {
+    const cache = this._stackingCache;
+    if (!cache.loading && Date.now() - cache.timestamp >= STACKING_CACHE_TTL) {
+      cache.loading = this.getStackingPolicies().finally(() => {
+        cache.loading = null;
+      });
+    }
+    return cache.policies;
+  }
+
+  /**
+   * Replace the stacking policy schedule (admin)
+   * Policies already in effect can't be edited or removed - that would change
+   * rewards already accrued under them. Schedule changes for the future instead.
+   *
+   * @param {Array} policies - See normalizeStackingPolicies
+   * @param {string} updatedBy - Admin Firebase UID
+   */
+  async setStackingPolicies(policies, updatedBy) {
+    let normalized;
+    try {
+      normalized = normalizeStackingPolicies(policies);
+    } catch (error) {
+      throw new BoosterRegistryError(error.message);
+    }
+
+    const configRef = this.db.collection("config").doc("boosterStacking");
+    const previousDoc = await configRef.get();
+    const previousPolicies = previousDoc.exists ? previousDoc.data().policies : null;
+    const previous = normalizeStackingPolicies(previousPolicies?.length ? previousPolicies : DEFAULT_STACKING_POLICIES);
+
+    // The policy in effect now and everything before it must carry over unchanged
+    const nowMs = Date.now();
+    const key = (policy) => JSON.stringify(this._storedPolicy(policy, { withNote: false }));
+    const pastKeys = (list) => list.filter((policy) => policy.effectiveFromMs <= nowMs).map(key).join("|");
+    if (pastKeys(previous) !== pastKeys(normalized)) {
+      throw new BoosterRegistryError("Policies already in effect can't be changed or removed; add a policy with a future effectiveFrom");
+    }
+
+    const stored = normalized.map((policy) => this._storedPolicy(policy));
+    const now = admin.firestore.Timestamp.now();
+
+    await configRef.set({ policies: stored, updatedAt: now, updatedBy });
+    await this.db.collection("config_history").add({
+      config: "boosterStacking",
+      previous: previousPolicies || null,
+      next: stored,
+      updatedBy,
+      timestamp: now,
+    });
+
+    this._stackingCache = { policies: normalized, timestamp: Date.now(), loading: null };
+    console.log(`✅ Booster stacking policies updated by ${updatedBy}: ${stored.length} policies`);
+    return stored;
+  }
+
+  _storedPolicy({ effectiveFrom, mode, perCategoryLimit, categoryLimits, globalCap, decay, note }, { withNote = true } = {}) {
+    const sortedLimits = Object.fromEntries(Object.entries(categoryLimits).sort(([a], [b]) => a.localeCompare(b)));
+    return {
+      effectiveFrom,
+      mode,
+      perCategoryLimit,
+      categoryLimits: sortedLimits,
+      globalCap,
+      decay,
+      ...(withNote ? { note } : {}),
+    };
+  }
+
+  _requireCategory(key, category) {
+    if (!category) {
+      throw new BoosterRegistryError(`Category ${key} not found`, 404);
+    }
+  }
+
+  _validateName(name) {
+    if (typeof name !== "string" || !name.trim()) {
+      throw new BoosterRegistryError("name must be a non-empty string");
+    }
+  }
+
+  _validateMultiplier(multiplier) {
+    // Multipliers stack multiplicatively; 1 disables a category without removing it
+    if (typeof multiplier !== "number" || !Number.isFinite(multiplier) || multiplier < 1 || multiplier > 10) {
+      throw new BoosterRegistryError("multiplier must be a number between 1 and 10");
+    }
+  }
+
+  /**
+   * Validate mints being added to a category; returns the ones not already in it
+   * A mint may only belong to one category, or it would be counted twice when stacking.
+   */
+  _validateNewMints(mints, key, categories) {
+    if (!Array.isArray(mints)) {
+      throw new BoosterRegistryError("mints must be an array");
+    }
+    const invalid = mints.filter((mint) => typeof mint !== "string" || !MINT_PATTERN.test(mint));
+    if (invalid.length > 0) {
+      throw new BoosterRegistryError(`Invalid mint addresses: ${invalid.join(", ")}`);
+    }
+
+    const owners = new Map();
+    for (const [categoryKey, category] of Object.entries(categories)) {
+      for (const mint of category.mints) {
+        owners.set(mint.toLowerCase(), categoryKey);
+      }
+    }
+
+    const conflicts = mints.filter((mint) => {
+      const owner = owners.get(mint.toLowerCase());
+      return owner && owner !== key;
+    });
+    if (conflicts.length > 0) {
+      throw new BoosterRegistryError(
+        `Mints already registered in another category: ${conflicts
+          .map((mint) => `${mint} (${owners.get(mint.toLowerCase())})`)
+          .join(", ")}`,
+        409,
+      );
+    }
+
+    const seen = new Set();
+    return mints.filter((mint) => {
+      const lower = mint.toLowerCase();
+      if (owners.has(lower) || seen.has(lower)) return false;
+      seen.add(lower);
+      return true;
+    });
+  }
+
+  _validateNewRule(input, existingRules) {
+    const { rule, error } = normalizeBoosterRule(input);
+    if (error) {
+      throw new BoosterRegistryError(error);
+    }
+    if (existingRules.some((existing) => isSameBoosterRule(existing, rule))) {
+      throw new BoosterRegistryError("An identical rule already exists in this category", 409);
+    }
+    if (existingRules.some((existing) => existing.id === rule.id)) {
+      throw new BoosterRegistryError(`Rule id ${rule.id} already exists in this category`, 409);
+    }
+    return rule;
+  }
+
+  invalidateCache() {
+    this._registryCache.data = null;
+    this._registryCache.source = null;
+    this._registryCache.timestamp = 0;
+  }
+}
+
+export default new BoosterRegistryService();
+export { BoosterRegistryService, BoosterRegistryError, CATEGORIES_COLLECTION, AUDIT_COLLECTION };
@@ -1,5 +1,23 @@
 import NFTVerificationService from "./nftVerification.js";
 import admin from "firebase-admin";
+import boosterRegistry, { BoosterRegistryError } from "./boosterRegistryService.js";
+import boosterCampaignService from "./boosterCampaignService.js";
+import { matchesBoosterRule, describeBoosterRule } from "../utils/boosterRules.js";
+import {
+  applyStackingPolicy,
+  getStackingPolicyAt,
+  getMultiplierTimeline,
+  isCampaignEligible,
+  toCampaignBooster,
+} from "../config/boosters.js";
+
+// Firestore Timestamp (or its serialized form) to ms; missing values are 0
+function toMillis(timestamp) {
+  if (!timestamp) return 0;
+  if (typeof timestamp.toMillis === "function") return timestamp.toMillis();
+  const seconds = timestamp._seconds ?? timestamp.seconds;
+  return seconds !== undefined ? seconds * 1000 : new Date(timestamp).getTime() || 0;
+}
 
 // Helius DAS API for fetching NFT metadata
 const HELIUS_API_KEY = process.env.HELIUS_API_KEY;
@@ -10,12 +28,15 @@ const HELIUS_RPC_URL = HELIUS_API_KEY
 /**
  * BoosterService - Detects NFTs in user wallets and assigns appropriate staking boosters
  *
- * NFT Categories and Multipliers:
+ * NFT Categories and Multipliers (defaults - the live categories and mint lists
+ * come from the booster registry, see boosterRegistryService):
  * - Random 1/1: 1.17x multiplier
  * - Custom 1/1: 1.23x multiplier
  * - Solana Miner: 1.27x multiplier
  *
- * Boosters stack multiplicatively for maximum rewards
+ * Boosters are combined by the effective-dated stacking policy (config/boosters.js):
+ * multiplicative, additive or diminishing returns, with per-category limits and a global cap.
+ * Time-boxed campaign boosters (boosterCampaignService) apply on top within their window.
  */
 class BoosterService {
   constructor() {
@@ -23,98 +44,6 @@ class BoosterService {
     this._db = null;
     this._nftVerification = null;
 
-    // NFT category configurations with mint addresses
-    this.NFT_CATEGORIES = {
-      RANDOM_1_1: {
-        name: "Random 1/1",
-        type: "random_1_1",
-        multiplier: 1.17,
-        mints: [
-          "4fdpMgnie15mLP8q6AQZbYnvPGQz6FzPrgVVRKfMyeC3",
-          "6SVWe3GqymeP6mjgYNXvPnEYj6soi3fCzYxVTvS1kmJL",
-          "7Ze45CngJ1DNUZaUYMNBpatDQoVqTL8Yjq2EPUYPVgbh",
-          "E21XaE8zaoBZwt2roq7KppxjfFhrcDMpFa7ZMWsFreUh",
-          "FMG9Be91LgVd9cb2YX15hPBFJ3iUhH2guB7RbCBFbDbg",
-          "J4koZzipRmLjc4QzSbRsn8CdXCZCHUUmTbCSqAtvSJFZ",
-          "khoX7jkUK98uMPv2yF9H9ftLJKTesgpmWbuvKpRvW8h",
-          // New Random 1/1 boosters added 2026-01-09
-          "LWVzjTiSKBZDWvWP4RmsXffqctmDH7GeZjchupwd1HF",
-          "EXA4nEohnyY9XTeAzNsV3f9GXcYUh8cCpWV9qbjf1egS",
-          "HchoYoGU9ZnVffHaEo1Aw9xitvqyhiP575GpebiSXNK4",
-          "5MbExwqPUNL8yNuUb8JK9iCXHGGcLXEDkecgZDfSEJfu",
-          // Random 1/1 booster added 2026-01-14
-          "77MaUVBGU6ZbCexq6M5GFNDszgpjyMn1bACisKo4X1qR",
-          // Random 1/1 boosters added 2026-01-27
-          "JBWVVUGkJYA3uzXhRdmTuMiP8YFP2APZP7KFtnT6jpvh",
-          "4j7RifoUKrnHFK6TJY7nctJBcozjjFYc8BebS5MNiNZY",
-          "488u23w7YAA5uowkx72kqEiwcj6sgwWGhpMDrCvBPjgX",
-          "8qaYjyY7qwUMeJjz8zPzncmxUozQ2mr2har2ZkhTWbU",
-          // Random 1/1 booster added 2026-02-03
-          "7LJok6gffFQo3rU2kqW7RPPtP9gcxRHV8zPEUgNBSmo",
-        ],
-      },
-      CUSTOM_1_1: {
-        name: "Custom 1/1",
-        type: "custom_1_1",
-        multiplier: 1.23,
-        mints: [
-          "AN3u7XKFSDCVAe4KopeHRZqpKByR2j9WRkTpq2SQ8ieo",
-          "14PaqpEwRntJ3tVhFewBS3bFK8kjk5CX2YeiLWYvVabu",
-          "2UsvdbGXg28B2piq3oW1rfMBQTQYhUGhCYRwJfNhUagr",
-          "4G44MShUoWPtyQog7fCH6XTgNHqwEjTtcuGpHg4BxJ1p",
-          "AukNaSscLLUKZuWm5eRxxukZ76kNt5iTB7Raeeevrhw",
-          "HiW5i4yiumjcZHaHpgjAgHdCRZgpX3j6s9vSeukpxuAF",
-          "PUjmyCPfyEd92D2cm4pppjGB1ddX6wnnttmEzxBHErD",
-          // New Custom 1/1 booster added 2026-02-03
-          "2KUdrXcUkqyGRZNFXhuzXGVP1cHoNJkX1snLm4riCB6z",
-          // New Custom 1/1 booster added 2026-01-09
-          "5j9xjtXjC3ZwfLsTHnZZEZKKa7uR75m8aXyS4rBbt8CB",
-          // Custom 1/1 boosters added 2026-01-10
-          "4aak3vYyJMyP5FJPW3avATDmXB7UBPCb3WVLFCtEDLJs",
-          "EQjH6VMk9rsEK7bnEzBcyx9ZoYPhqW2KfGUgWAWBDnEh",
-          // Custom 1/1 booster added 2026-01-13
-          "4JD4WdXc7PFKgcgfa8kfVbUb1aCxYrVzmdkuPkiW6jbd",
-          // Custom 1/1 booster added 2026-01-14
-          "DdUb3GeoMaDQn52fWka1ZqWypCdh6DXq72gzS4BUefk5",
-          // Custom 1/1 booster added 2026-01-19
-          "31puRHydjyRuCNG4CBZSWvuh7ASR2h7UnhSrJCQqA3KQ",
-          // Custom 1/1 booster added 2026-01-28
-          "GHqXzk73Y5zuvBmcG5gNWo3teivgsDqjUEifN2N7xfwj",
-        ],
-      },
-      SOLANA_MINER: {
-        name: "Solana Miner",
-        type: "solana_miner",
-        multiplier: 1.27,
-        mints: [
-          "4dFgb3Zbcu2m3VwEfgxHkDKaijyxyhyhfRvgEfYtbuvc",
-          "97psosjbGRs8j9KmG1gDcfiwajAkkzMifMfL1nsGpPZ9",
-          "A5E5hsXsydS4ttrs3Y4ZRPLsBb2ormtDKeFcL5D7Q9vj",
-          "EWbzAwkxJRZGoSXSuGq3Gz8eNX1g2muXdspsMimEB8EU",
-          "HPaU5hLy3XzNygLTcmM1KWa1ceZvFD3xbAP5eCXoDNuh",
-          "J4EshVN9yfnrqLcfpVXgVpfXd3ySEJkD2aTwfyiDrqDf",
-          // Solana Miner boosters added 2026-01-10 to 2026-01-11
-          "J2F9etQhMYNkwPAWctbJBwr3z4rMpYprdcqAKuNR4h4q",
-          "5DD4yFFycyGhXgnqAh58HQ659uRjvr5KBTBbTcBTkhf5",
-          "7pKZgMEVo1jnndSUCcDpY2Hpa3SapveooAmMPL2HCTWV",
-          "BGtMZEb36SLHB3WceU61AwfdXbxy7k6vqXciWtvxSJsQ",
-          // Solana Miner boosters added 2026-01-13
-          "HmUpTxhKjYcPCwyCF65FyCRCyKP2WzUkrCrGFVDtT8YW",
-          "A4mDu4sFNmjGDadPHpbFC2GNeyH6xF9NuejiPFnX7AMZ",
-          // Solana Miner boosters added 2026-01-14
-          "2eXCtf44NAudG7z8S2zDAgXmLHMcr2oj1vCvc537mHq3",
-          "2MeksUy4XJ5aqT9ARrq773ugdnvsAmGTF8XdkzFoXDV6",
-          // Solana Miner boosters added 2026-01-15
-          "3K8y4VdZJfrwDuWRYXkKNsX3JrBiTpPyGKibhncvxUfU",
-          "99egWJLHeRx6j2VNoAbpHs2XhTJmKWJBz2rVMeZqwRZ3",
-          // Solana Miner booster added 2026-01-27
-          "5K3LoBcsEgLpVCBDmbRsHQopPapt1KDfxHpspBdH6Fms",
-          // Solana Miner booster added 2026-01-28
-          "4iZFqT9hswYLXrTEq3WwJ1wNiYtkTzCfGDWgPjWR6H9J",
-        ],
-      },
-    };
-
     // Cache for booster detection results (30 minutes - optimized for Helius credits)
     this.cache = new Map();
     this.CACHE_TTL = 30 * 60 * 1000; // 30 minutes
@@ -162,9 +91,19 @@ class BoosterService {
    * Scan user's wallet for eligible NFTs and return detected boosters
    */
   async scanWalletForBoosters(walletAddress) {
+    return (await this._scanWallet(walletAddress)).boosters;
+  }
+
+  /**
+   * Scan a wallet for boosters and the collections it holds (for campaign eligibility)
+   * @returns {Promise<{boosters: Array, collections: string[]}>}
+   */
+  async _scanWallet(walletAddress) {
     try {
       console.log(`🔍 Scanning wallet ${walletAddress} for booster NFTs...`);
 
+      const categories = await boosterRegistry.getCategories();
+
       // Get all NFTs from wallet
       const allNFTs = await this.nftVerification.getNFTsByOwner(walletAddress);
 
@@ -197,8 +136,8 @@ class BoosterService {
         `🔑 Extracted ${walletMints.length} mint addresses from wallet`,
       );
 
-      // Debug: Log all booster mints we're looking for
-      const allBoosterMints = Object.values(this.NFT_CATEGORIES).flatMap(
+      // Debug: Log all booster mints we're looking for (rule matches are found per category below)
+      const allBoosterMints = Object.values(categories).flatMap(
         (cat) => cat.mints.map((m) => m.toLowerCase()),
       );
       console.log(
@@ -216,17 +155,35 @@ class BoosterService {
 
       const detectedBoosters = [];
 
-      // Check each category
-      for (const [categoryKey, category] of Object.entries(
-        this.NFT_CATEGORIES,
-      )) {
-        const categoryMintsLower = category.mints.map((m) => m.toLowerCase());
-        const matchingMints = category.mints.filter((mint) =>
-          walletMints.includes(mint.toLowerCase()),
-        );
+      // Check each category: listed mints first, then the category's metadata rules
+      for (const [categoryKey, category] of Object.entries(categories)) {
+        const categoryMints = new Set(category.mints.map((m) => m.toLowerCase()));
+        const rules = category.rules || [];
+        const matches = [];
+
+        for (const nft of allNFTs) {
+          const mint = nft.id || nft.mint;
+          if (!mint) continue;
 
+          if (categoryMints.has(mint.toLowerCase())) {
+            matches.push({ mint, matchedBy: "mint", ruleId: null, rule: null });
+            continue;
+          }
+
+          const rule = rules.find((r) => matchesBoosterRule(nft, r));
+          if (rule) {
+            matches.push({
+              mint,
+              matchedBy: "rule",
+              ruleId: rule.id,
+              rule: describeBoosterRule(rule),
+            });
+          }
+        }
+
+        const matchingMints = matches.map((m) => m.mint);
         console.log(
-          `   Checking ${category.name}: ${matchingMints.length}/${category.mints.length} matches`,
+          `   Checking ${category.name}: ${matchingMints.length} matches (${category.mints.length} mints, ${rules.length} rules)`,
         );
 
         if (matchingMints.length > 0) {
@@ -236,19 +193,32 @@ class BoosterService {
             multiplier: category.multiplier,
             category: categoryKey,
             mints: matchingMints,
+            matches,
             detectedAt: new Date(),
           });
 
           console.log(
             `✅ Detected ${category.name} booster (${matchingMints.length} NFTs):`,
-            matchingMints,
+            matches.map((m) => (m.rule ? `${m.mint} [${m.rule}]` : m.mint)),
           );
         }
       }
 
       console.log(`📊 Total boosters detected: ${detectedBoosters.length}`);
 
-      return detectedBoosters;
+      const collections = [
+        ...new Set(
+          allNFTs
+            .map(
+              (nft) =>
+                nft.grouping?.find((g) => g.group_key === "collection")
+                  ?.group_value,
+            )
+            .filter(Boolean),
+        ),
+      ];
+
+      return { boosters: detectedBoosters, collections };
     } catch (error) {
       console.error(
         `Error scanning wallet ${walletAddress} for boosters:`,
@@ -260,39 +230,333 @@ class BoosterService {
 
   /**
    * Calculate stacked multiplier from multiple boosters
-   * Boosters stack multiplicatively: 1.0 × 1.17 × 1.23 × 1.27 = 1.83x
+   * Uses the stacking policy in effect at `atMs`; the uncapped multiplicative
+   * default gives 1.0 × 1.17 × 1.23 × 1.27 = 1.83x
+   * @param {Array} boosters - Detected boosters ({ category, multiplier, mints })
+   * @param {number} [atMs] - Point in time (defaults to now)
+   * @param {Array} [policies] - Pre-fetched stacking policies (defaults to cached copy)
+   */
+  calculateStackedMultiplier(
+    boosters,
+    atMs = Date.now(),
+    policies = boosterRegistry.stackingPolicies,
+  ) {
+    return this.getStackingBreakdown(boosters, atMs, policies).multiplier;
+  }
+
+  /**
+   * Stacked multiplier with the policy used and what each booster counted for
+   */
+  getStackingBreakdown(
+    boosters,
+    atMs = Date.now(),
+    policies = boosterRegistry.stackingPolicies,
+  ) {
+    const policy = getStackingPolicyAt(policies, atMs);
+    return {
+      ...applyStackingPolicy(boosters || [], policy),
+      policy: {
+        effectiveFrom: policy.effectiveFrom,
+        mode: policy.mode,
+        perCategoryLimit: policy.perCategoryLimit,
+        categoryLimits: policy.categoryLimits,
+        globalCap: policy.globalCap,
+        decay: policy.decay,
+      },
+    };
+  }
+
+  /**
+   * Booster multiplier over time for a fixed set of boosters, one segment per stacking policy
+   */
+  getMultiplierTimeline(
+    boosters,
+    policies = boosterRegistry.stackingPolicies,
+  ) {
+    return getMultiplierTimeline(
+      [{ fromMs: -Infinity, toMs: Infinity, boosters: boosters || [] }],
+      policies,
+    );
+  }
+
+  /**
+   * Booster multiplier over time for a staking position
+   * Follows the position's booster_segments (boosters held over time), the
+   * stacking policies and the campaigns the position was eligible for. Pass to
+   * StakingService reward calculations so each booster only boosts the time it
+   * was actually held, and each campaign only its own window.
+   * Positions without segments fall back to their active boosters for all time.
+   * @param {Object} positionData
+   * @param {Array} [policies] - Pre-fetched stacking policies (defaults to cached copy)
+   * @param {Array} [campaigns] - Pre-fetched campaigns (see getCampaigns)
+   */
+  getPositionMultiplierTimeline(
+    positionData,
+    policies = boosterRegistry.stackingPolicies,
+    campaigns = [],
+  ) {
+    return getMultiplierTimeline(
+      this._toBoosterSegments(positionData),
+      policies,
+      campaigns,
+      this._holderOf(positionData),
+    );
+  }
+
+  // Campaign eligibility inputs stored on a position
+  _holderOf(positionData) {
+    return {
+      userId: positionData?.user_id || positionData?.firebase_uid || null,
+      walletAddress: positionData?.wallet_address || null,
+      collections: positionData?.held_collections || [],
+    };
+  }
+
+  /**
+   * All campaigns (running, upcoming and ended) for accrual
+   */
+  async getCampaigns() {
+    return boosterCampaignService.getCampaigns();
+  }
+
+  /**
+   * Campaigns running now that a holder is eligible for, as booster entries
+   * with a countdown
+   */
+  async getCampaignBoosters(holder, atMs = Date.now()) {
+    const running = await boosterCampaignService.getActiveCampaigns(atMs);
+    return running
+      .filter((campaign) => isCampaignEligible(campaign, holder))
+      .map((campaign) => ({
+        ...toCampaignBooster(campaign),
+        endsInSeconds: Math.max(
+          0,
+          Math.floor((campaign.endsAtMs - atMs) / 1000),
+        ),
+      }));
+  }
+
+  _toBoosterSegments(positionData) {
+    const stored = positionData?.booster_segments || [];
+    if (stored.length === 0) {
+      return [
+        {
+          fromMs: -Infinity,
+          toMs: Infinity,
+          boosters: positionData?.active_boosters || [],
+          collections: positionData?.held_collections || [],
+        },
+      ];
+    }
+
+    // The first segment also covers any time before it was recorded
+    return stored.map((segment, i) => ({
+      fromMs: i === 0 ? -Infinity : toMillis(segment.from),
+      toMs: i + 1 < stored.length ? toMillis(stored[i + 1].from) : Infinity,
+      boosters: segment.boosters || [],
+      collections: segment.collections || [],
+    }));
+  }
+
+  /**
+   * Compact booster segment for position.booster_segments
+   * collections = campaign-relevant collections held (for collection campaigns)
+   */
+  _boosterSegment(boosters, from, collections = []) {
+    return {
+      from,
+      collections,
+      boosters: (boosters || []).map((booster) => ({
+        category: booster.category ?? null,
+        type: booster.type ?? null,
+        name: booster.name ?? null,
+        multiplier: booster.multiplier,
+        mints: booster.mints || [],
+      })),
+      multiplier: this.calculateStackedMultiplier(boosters, toMillis(from)),
+    };
+  }
+
+  // Identity of a booster set, ignoring detection time and order
+  _boosterSignature(boosters, collections = []) {
+    return JSON.stringify([
+      (boosters || [])
+        .map((booster) => [
+          booster.category || booster.type,
+          booster.multiplier,
+          [...(booster.mints || [])].sort(),
+        ])
+        .sort((a, b) => String(a[0]).localeCompare(String(b[0]))),
+      [...collections].sort(),
+    ]);
+  }
+
+  /**
+   * Append a segment when the booster set changed
+   * Segments that ended before the position's accrual start (stake start or
+   * rewards checkpoint) no longer affect rewards and are dropped; the
+   * booster_history collection keeps the full change log.
    */
-  calculateStackedMultiplier(boosters) {
-    if (!boosters || boosters.length === 0) {
-      return 1.0;
+  _nextBoosterSegments(posData, detectedBoosters, now, collections = []) {
+    const segments = [...(posData.booster_segments || [])];
+
+    if (segments.length === 0) {
+      // Position from before segments were recorded: its boosters so far applied from the start
+      segments.push(
+        this._boosterSegment(
+          posData.active_boosters || [],
+          posData.stake_start_time || posData.created_at || now,
+          posData.held_collections || [],
+        ),
+      );
     }
 
-    let totalMultiplier = 1.0;
+    const last = segments[segments.length - 1];
+    if (
+      this._boosterSignature(last.boosters, last.collections || []) !==
+      this._boosterSignature(detectedBoosters, collections)
+    ) {
+      segments.push(this._boosterSegment(detectedBoosters, now, collections));
+    }
 
-    for (const booster of boosters) {
-      // Stack based on count of NFTs in this category
-      const count = booster.mints ? booster.mints.length : 1;
+    const accrualStartMs = Math.max(
+      toMillis(posData.stake_start_time),
+      toMillis(posData.rewards_checkpoint_time),
+    );
+    while (segments.length > 1 && toMillis(segments[1].from) <= accrualStartMs) {
+      segments.shift();
+    }
+
+    return segments;
+  }
 
-      // Multiplicative stacking: base ^ count
-      // Example: 1.27 ^ 2 = 1.6129
-      if (count > 0 && booster.multiplier > 1.0) {
-        totalMultiplier *= Math.pow(booster.multiplier, count);
+  /**
+   * Booster segments of a user's position, oldest first (for history display)
+   */
+  async getBoosterSegments(firebaseUid) {
+    const posDoc = await this.db
+      .collection("staking_positions")
+      .doc(firebaseUid)
+      .get();
+    const stored = posDoc.exists ? posDoc.data().booster_segments || [] : [];
+
+    return stored.map((segment, i) => ({
+      from: new Date(toMillis(segment.from)).toISOString(),
+      to:
+        i + 1 < stored.length
+          ? new Date(toMillis(stored[i + 1].from)).toISOString()
+          : null,
+      boosters: segment.boosters || [],
+      multiplier: this.calculateStackedMultiplier(
+        segment.boosters || [],
+        toMillis(segment.from),
+      ),
+    }));
+  }
+
+  /**
+   * Fetch the current stacking policy schedule (refreshes the cached copy)
+   */
+  async getStackingPolicies() {
+    return boosterRegistry.getStackingPolicies();
+  }
+
+  /**
+   * Apply hypothetical booster changes (for the what-if simulator)
+   * Each change is a category key or { category, count }, count = NFTs (default 1).
+   * Added NFTs join the category's existing booster, as a wallet scan would
+   * group them, so per-category limits in the stacking policy still apply.
+   * @returns {Promise<Array>} New booster list (campaign boosters are dropped)
+   */
+  async applyBoosterChanges(boosters, { add = [], remove = [] } = {}) {
+    const categories = await boosterRegistry.getCategories();
+    const parse = (change) => {
+      const { category, count = 1 } =
+        typeof change === "string" ? { category: change } : change || {};
+      if (!categories[category]) {
+        throw new BoosterRegistryError(`Unknown booster category: ${category}`);
+      }
+      if (!Number.isInteger(count) || count < 1 || count > 100) {
+        throw new BoosterRegistryError(
+          "count must be an integer between 1 and 100",
+        );
+      }
+      return { category, count };
+    };
+
+    let result = (boosters || [])
+      .filter((booster) => booster.source !== "campaign")
+      .map((booster) => ({
+        type: booster.type,
+        name: booster.name,
+        multiplier: booster.multiplier,
+        category: booster.category || booster.type,
+        // Boosters stored without mints count as one NFT
+        mints: booster.mints ? [...booster.mints] : [null],
+      }));
+
+    for (const change of remove) {
+      const { category, count } = parse(change);
+      const booster = result.find((b) => b.category === category);
+      if (!booster) {
+        throw new BoosterRegistryError(
+          `No ${categories[category].name} booster to remove`,
+        );
+      }
+      booster.mints = booster.mints.slice(
+        0,
+        Math.max(0, booster.mints.length - count),
+      );
+    }
+    result = result.filter((booster) => booster.mints.length > 0);
+
+    for (const change of add) {
+      const { category, count } = parse(change);
+      let booster = result.find((b) => b.category === category);
+      if (!booster) {
+        const { type, name, multiplier } = categories[category];
+        booster = { type, name, multiplier, category, mints: [] };
+        result.push(booster);
+      }
+      for (let i = 0; i < count; i++) {
+        booster.mints.push(`simulated-${category}-${booster.mints.length}`);
       }
     }
 
-    return totalMultiplier;
+    return result;
   }
 
   /**
    * Update user's staking position with detected boosters
-   * Creates position document if it doesn't exist to store booster data
+   * Creates position document if it doesn't exist to store booster data.
+   * A change in the booster set starts a new booster segment, so reward
+   * accrual only applies each booster from when it was detected.
+   * @param {Object} [holder] - { walletAddress, collections } from the wallet scan,
+   *   stored for campaign eligibility
    */
-  async updateUserBoosters(firebaseUid, detectedBoosters) {
+  async updateUserBoosters(firebaseUid, detectedBoosters, holder = {}) {
     try {
       const posRef = this.db.collection("staking_positions").doc(firebaseUid);
 
+      // Only collections some campaign targets are worth keeping on the position
+      const campaignCollections = new Set(
+        (await boosterCampaignService.getCampaigns()).flatMap(
+          (campaign) => campaign.eligibility.collections,
+        ),
+      );
+      const heldCollections = holder.collections
+        ? holder.collections.filter((address) =>
+            campaignCollections.has(address),
+          )
+        : null;
+      const holderFields = {
+        ...(holder.walletAddress ? { wallet_address: holder.walletAddress } : {}),
+        ...(heldCollections ? { held_collections: heldCollections } : {}),
+      };
+
       await this.db.runTransaction(async (t) => {
         const posDoc = await t.get(posRef);
+        const now = admin.firestore.Timestamp.now();
 
         if (!posDoc.exists) {
           console.log(
@@ -308,6 +572,10 @@ class BoosterService {
             active_boosters: detectedBoosters,
             booster_multiplier:
               this.calculateStackedMultiplier(detectedBoosters),
+            booster_segments: [
+              this._boosterSegment(detectedBoosters, now, heldCollections || []),
+            ],
+            ...holderFields,
             boosters_updated_at: admin.firestore.Timestamp.now(),
             created_at: admin.firestore.Timestamp.now(),
           });
@@ -322,12 +590,22 @@ class BoosterService {
           ...posData,
           active_boosters: detectedBoosters,
           booster_multiplier: this.calculateStackedMultiplier(detectedBoosters),
+          booster_segments: this._nextBoosterSegments(
+            posData,
+            detectedBoosters,
+            now,
+            heldCollections ?? posData.held_collections ?? [],
+          ),
+          ...holderFields,
           boosters_updated_at: admin.firestore.Timestamp.now(),
           updated_at: admin.firestore.Timestamp.now(),
         });
 
-        // Log booster changes
-        if (JSON.stringify(oldBoosters) !== JSON.stringify(detectedBoosters)) {
+        // Log booster changes (same comparison that starts a new segment)
+        if (
+          this._boosterSignature(oldBoosters) !==
+          this._boosterSignature(detectedBoosters)
+        ) {
           console.log(`🔄 Updated boosters for ${firebaseUid}:`, {
             old: oldBoosters.length,
             new: detectedBoosters.length,
@@ -387,14 +665,18 @@ class BoosterService {
       console.log(`✅ Wallet address: ${walletAddress}`);
 
       // Scan wallet for eligible NFTs
-      const detectedBoosters = await this.scanWalletForBoosters(walletAddress);
+      const { boosters: detectedBoosters, collections } =
+        await this._scanWallet(walletAddress);
 
       // Try to update user's staking position, but return boosters anyway
       try {
         console.log(
           `💾 Saving ${detectedBoosters.length} boosters to database...`,
         );
-        await this.updateUserBoosters(firebaseUid, detectedBoosters);
+        await this.updateUserBoosters(firebaseUid, detectedBoosters, {
+          walletAddress,
+          collections,
+        });
         console.log(`✅ Boosters saved to database`);
       } catch (updateError) {
         console.warn(
@@ -406,6 +688,7 @@ class BoosterService {
       // Cache result
       this.cache.set(cacheKey, {
         boosters: detectedBoosters,
+        holder: { userId: firebaseUid, walletAddress, collections },
         timestamp: Date.now(),
       });
 
@@ -437,36 +720,43 @@ class BoosterService {
 
   /**
    * Get current boosters for a user (from cache or database)
+   * Includes running campaigns the user is eligible for (source: "campaign")
    */
   async getUserBoosters(firebaseUid) {
     try {
       // Check cache first
       const cacheKey = `boosters_${firebaseUid}`;
-      const cached = this.cache.get(cacheKey);
-
-      if (cached && Date.now() - cached.timestamp < this.CACHE_TTL) {
-        return cached.boosters;
+      let cached = this.cache.get(cacheKey);
+
+      if (!cached || Date.now() - cached.timestamp >= this.CACHE_TTL) {
+        // Get from database
+        const posDoc = await this.db
+          .collection("staking_positions")
+          .doc(firebaseUid)
+          .get();
+        const posData = posDoc.exists ? posDoc.data() : {};
+
+        // Cache result
+        cached = {
+          boosters: posData.active_boosters || [],
+          holder: { ...this._holderOf(posData), userId: firebaseUid },
+          timestamp: Date.now(),
+        };
+        this.cache.set(cacheKey, cached);
       }
 
-      // Get from database
-      const posDoc = await this.db
-        .collection("staking_positions")
-        .doc(firebaseUid)
-        .get();
-
-      if (!posDoc.exists) {
-        return [];
+      // Campaigns are checked on every call so their countdown stays current
+      let campaignBoosters = [];
+      try {
+        campaignBoosters = await this.getCampaignBoosters(cached.holder);
+      } catch (campaignError) {
+        console.warn(
+          `⚠️ Failed to load booster campaigns for ${firebaseUid}:`,
+          campaignError.message,
+        );
       }
 
-      const boosters = posDoc.data().active_boosters || [];
-
-      // Cache result
-      this.cache.set(cacheKey, {
-        boosters: boosters,
-        timestamp: Date.now(),
-      });
-
-      return boosters;
+      return [...cached.boosters, ...campaignBoosters];
     } catch (error) {
       console.error(`Error getting boosters for ${firebaseUid}:`, error);
       return [];
@@ -476,13 +766,15 @@ class BoosterService {
   /**
    * Get all available booster categories (for frontend display)
    */
-  getBoosterCategories() {
-    return Object.entries(this.NFT_CATEGORIES).map(([key, category]) => ({
+  async getBoosterCategories() {
+    const categories = await boosterRegistry.getCategories();
+    return Object.entries(categories).map(([key, category]) => ({
       key,
       name: category.name,
       type: category.type,
       multiplier: category.multiplier,
       mintCount: category.mints.length,
+      rules: (category.rules || []).map((rule) => describeBoosterRule(rule)),
     }));
   }
 
@@ -714,14 +1006,20 @@ class BoosterService {
     try {
       // First get the user's boosters from database/cache
       let boosters = await this.getUserBoosters(firebaseUid);
+      const campaignBoosters = boosters.filter(
+        (booster) => booster.source === "campaign",
+      );
 
-      // AUTO-DETECT: If no boosters found, trigger detection automatically
-      if (!boosters || boosters.length === 0) {
+      // AUTO-DETECT: If no NFT boosters found, trigger detection automatically
+      if (boosters.length === campaignBoosters.length) {
         console.log(
           `🔍 No boosters in database for ${firebaseUid}, triggering auto-detection...`,
         );
         try {
-          boosters = await this.detectAndAssignBoosters(firebaseUid);
+          boosters = [
+            ...(await this.detectAndAssignBoosters(firebaseUid)),
+            ...campaignBoosters,
+          ];
           console.log(
             `✅ Auto-detection complete: ${boosters.length} boosters found`,
           );
@@ -761,17 +1059,23 @@ class BoosterService {
       const metadataMap = new Map(nftMetadata.map((m) => [m.mint, m]));
 
       // Enrich boosters with NFT details
-      const enrichedBoosters = boosters.map((booster) => ({
-        ...booster,
-        nftDetails: (booster.mints || []).map(
-          (mint) =>
-            metadataMap.get(mint) || {
+      // Boosters detected before rule matching have no `matches` - those are all mint-list matches
+      const enrichedBoosters = boosters.map((booster) => {
+        const matchByMint = new Map((booster.matches || []).map((m) => [m.mint, m]));
+        return {
+          ...booster,
+          nftDetails: (booster.mints || []).map((mint) => ({
+            ...(metadataMap.get(mint) || {
               mint,
               name: "Unknown NFT",
               image: null,
-            },
-        ),
-      }));
+            }),
+            matchedBy: matchByMint.get(mint)?.matchedBy || "mint",
+            ruleId: matchByMint.get(mint)?.ruleId || null,
+            rule: matchByMint.get(mint)?.rule || null,
+          })),
+        };
+      });
 
       return {
         boosters: enrichedBoosters,
@@ -0,0 +1,294 @@
+import admin from "firebase-admin";
+import {
+  NFT_STAKING_CONFIG,
+  LEGACY_SEASON_ID,
+  buildLegacySeason,
+  getSeasonWindow,
+  getSeasonStatus,
+  getSeasonRewardWeights,
+} from "../config/nftStaking.js";
+
+/**
+ * NFT Staking Seasons
+ *
+ * A season is a named staking window with its own token pool, eligible
+ * collections and per-NFT fee. Stakes link to a season via `seasonId`; once a
+ * season ends its results are frozen in a settlement document.
+ *
+ * Until the first season is created, a single "legacy" season is derived from
+ * the env STAKING_PERIOD and the config/nftStaking override.
+ */
+
+const SEASONS_COLLECTION = "nft_staking_seasons";
+const SETTLEMENTS_COLLECTION = "nft_staking_settlements";
+const SEASONS_CACHE_TTL = 60 * 1000; // 1 minute
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+class NftSeasonError extends Error {
+  constructor(message, code = 400) {
+    super(message);
+    this.name = "NftSeasonError";
+    this.code = code;
+  }
+}
+
+class NftSeasonService {
+  constructor() {
+    this._db = null;
+    this._seasonsCache = {
+      data: null,
+      timestamp: 0,
+    };
+  }
+
+  get db() {
+    if (!this._db) {
+      this._db = admin.firestore();
+    }
+    return this._db;
+  }
+
+  _normalize(id, data) {
+    return {
+      id,
+      name: data.name || id,
+      start: data.start,
+      end: data.end,
+      tokenPool: data.tokenPool,
+      eligibleCollections: data.eligibleCollections || [...NFT_STAKING_CONFIG.VALID_COLLECTIONS],
+      feePerNft: data.feePerNft ?? NFT_STAKING_CONFIG.STAKE_FEE_PER_NFT,
+      rewardWeights: data.rewardWeights || null,
+      settled: data.settled === true,
+      settledAt: data.settledAt?.toDate?.()?.toISOString() || null,
+    };
+  }
+
+  /**
+   * All seasons, oldest first (cached for 1 minute)
+   */
+  async getSeasons() {
+    if (this._seasonsCache.data && Date.now() - this._seasonsCache.timestamp < SEASONS_CACHE_TTL) {
+      return this._seasonsCache.data;
+    }
+
+    const snapshot = await this.db.collection(SEASONS_COLLECTION).get();
+    let seasons = snapshot.docs.map((doc) => this._normalize(doc.id, doc.data()));
+
+    if (seasons.length === 0) {
+      const configDoc = await this.db.collection("config").doc("nftStaking").get();
+      seasons = [buildLegacySeason(configDoc.exists ? configDoc.data() : null)];
+    }
+
+    seasons.sort((a, b) => a.start.localeCompare(b.start));
+
+    this._seasonsCache.data = seasons;
+    this._seasonsCache.timestamp = Date.now();
+    return seasons;
+  }
+
+  async getSeason(seasonId) {
+    const seasons = await this.getSeasons();
+    return seasons.find((season) => season.id === seasonId) || null;
+  }
+
+  /**
+   * The season users see now: the open one, else the next upcoming, else the latest
+   */
+  async getCurrentSeason(now = new Date()) {
+    const seasons = await this.getSeasons();
+    const withStatus = seasons.map((season) => ({ season, ...getSeasonStatus(season, now) }));
+
+    return (
+      withStatus.find((s) => s.status === "open")?.season ||
+      withStatus.find((s) => s.status === "upcoming")?.season ||
+      seasons[seasons.length - 1]
+    );
+  }
+
+  /**
+   * Seasons whose window has closed
+   */
+  async getEndedSeasons(now = new Date()) {
+    const seasons = await this.getSeasons();
+    return seasons.filter((season) => getSeasonStatus(season, now).status === "closed");
+  }
+
+  /**
+   * Create a new season (seasons never overlap and are never overwritten)
+   * @param {Object} params
+   * @param {string} [params.id] - Defaults to "season-<start>"
+   * @param {string} params.name
+   * @param {string} params.start - YYYY-MM-DD
+   * @param {string} params.end - YYYY-MM-DD
+   * @param {number} [params.tokenPool] - MKIN distributed to the season's stakers
+   * @param {string[]} [params.eligibleCollections] - Ids from VALID_COLLECTIONS
+   * @param {number} [params.feePerNft] - Stake fee per NFT in USD
+   * @param {Object} [params.rewardWeights] - Overrides REWARD_WEIGHTS ({ collections, traits, oneOfOne })
+   * @param {string} [createdBy] - Admin uid
+   */
+  async createSeason(params, createdBy = null) {
+    const {
+      start,
+      end,
+      tokenPool = NFT_STAKING_CONFIG.TOKEN_POOL,
+      eligibleCollections = NFT_STAKING_CONFIG.VALID_COLLECTIONS,
+      feePerNft = NFT_STAKING_CONFIG.STAKE_FEE_PER_NFT,
+      rewardWeights = null,
+    } = params;
+    const id = params.id || `season-${start}`;
+    const name = params.name || id;
+
+    if (!DATE_PATTERN.test(start || "") || !DATE_PATTERN.test(end || "")) {
+      throw new NftSeasonError("start and end must be YYYY-MM-DD");
+    }
+    if (start > end) {
+      throw new NftSeasonError("Season must end on or after its start");
+    }
+    if (id === LEGACY_SEASON_ID || !/^[\w-]+$/.test(id)) {
+      throw new NftSeasonError(`Invalid season id: ${id}`);
+    }
+    if (typeof tokenPool !== "number" || tokenPool <= 0) {
+      throw new NftSeasonError("tokenPool must be a positive number");
+    }
+    if (typeof feePerNft !== "number" || feePerNft < 0) {
+      throw new NftSeasonError("feePerNft must be a non-negative number");
+    }
+    const unknown = eligibleCollections.filter((c) => !NFT_STAKING_CONFIG.VALID_COLLECTIONS.includes(c));
+    if (eligibleCollections.length === 0 || unknown.length > 0) {
+      throw new NftSeasonError(`Invalid eligible collections: ${unknown.join(", ") || "none given"}`);
+    }
+
+    if (rewardWeights) {
+      this._validateRewardWeights(rewardWeights);
+    }
+
+    const candidate = { start, end };
+    const { startDate, endDate } = getSeasonWindow(candidate);
+    const existing = await this.getSeasons();
+    const overlapping = existing.find((season) => {
+      const window = getSeasonWindow(season);
+      return startDate <= window.endDate && window.startDate <= endDate;
+    });
+    if (overlapping) {
+      throw new NftSeasonError(`Season overlaps ${overlapping.id} (${overlapping.start} to ${overlapping.end})`);
+    }
+
+    const now = admin.firestore.Timestamp.now();
+
+    // The first stored season would hide the synthesized legacy one - persist it
+    // so stakes made before seasons existed can still be settled and listed
+    const legacy = existing.find((season) => season.id === LEGACY_SEASON_ID);
+    if (legacy) {
+      const { id: legacyId, settledAt, ...legacyFields } = legacy;
+      try {
+        await this.db
+          .collection(SEASONS_COLLECTION)
+          .doc(legacyId)
+          .create({ ...legacyFields, createdAt: now, updatedAt: now });
+      } catch (error) {
+        if (error.code !== 6) throw error; // Already stored
+      }
+    }
+
+    try {
+      await this.db.collection(SEASONS_COLLECTION).doc(id).create({
+        name,
+        start,
+        end,
+        tokenPool,
+        eligibleCollections: [...eligibleCollections],
+        feePerNft,
+        rewardWeights,
+        settled: false,
+        createdBy,
+        createdAt: now,
+        updatedAt: now,
+      });
+    } catch (error) {
+      if (error.code === 6) {
+        // gRPC ALREADY_EXISTS
+        throw new NftSeasonError(`Season ${id} already exists`);
+      }
+      throw error;
+    }
+
+    this.invalidateCache();
+    console.log(`✅ Created NFT staking season ${id}: ${start} to ${end}, pool ${tokenPool}`);
+    return this.getSeason(id);
+  }
+
+  _validateRewardWeights({ collections = {}, traits = {}, oneOfOne = 1 }) {
+    const isWeight = (value) => typeof value === "number" && value > 0;
+    const invalid = [
+      ...Object.entries(collections).filter(([, w]) => !isWeight(w)).map(([c]) => `collections.${c}`),
+      ...Object.entries(traits).flatMap(([trait, values]) =>
+        Object.entries(values || {}).filter(([, w]) => !isWeight(w)).map(([v]) => `traits.${trait}.${v}`),
+      ),
+      ...(isWeight(oneOfOne) ? [] : ["oneOfOne"]),
+    ];
+    if (invalid.length > 0) {
+      throw new NftSeasonError(`Reward weights must be positive numbers: ${invalid.join(", ")}`);
+    }
+  }
+
+  /**
+   * Freeze a season's results
+   * @param {Object} season - Normalized season
+   * @param {Object} results - { totalStaked, rewardPerNft, forfeitedCount, totalRewards, ... }
+   */
+  async recordSettlement(season, results) {
+    const now = admin.firestore.Timestamp.now();
+    const batch = this.db.batch();
+
+    batch.create(this.db.collection(SETTLEMENTS_COLLECTION).doc(season.id), {
+      seasonId: season.id,
+      name: season.name,
+      start: season.start,
+      end: season.end,
+      tokenPool: season.tokenPool,
+      eligibleCollections: season.eligibleCollections,
+      rewardWeights: getSeasonRewardWeights(season),
+      ...results,
+      settledAt: now,
+    });
+    // set+merge so the synthesized legacy season gets a stored doc as well
+    batch.set(
+      this.db.collection(SEASONS_COLLECTION).doc(season.id),
+      {
+        ...(season.id === LEGACY_SEASON_ID
+          ? {
+              name: season.name,
+              start: season.start,
+              end: season.end,
+              tokenPool: season.tokenPool,
+              eligibleCollections: season.eligibleCollections,
+              feePerNft: season.feePerNft,
+              rewardWeights: season.rewardWeights,
+            }
+          : {}),
+        settled: true,
+        settledAt: now,
+        updatedAt: now,
+      },
+      { merge: true },
+    );
+
+    await batch.commit();
+    this.invalidateCache();
+  }
+
+  async getSettlement(seasonId) {
+    const doc = await this.db.collection(SETTLEMENTS_COLLECTION).doc(seasonId).get();
+    if (!doc.exists) return null;
+    const data = doc.data();
+    return { ...data, settledAt: data.settledAt?.toDate?.()?.toISOString() || null };
+  }
+
+  invalidateCache() {
+    this._seasonsCache.data = null;
+    this._seasonsCache.timestamp = 0;
+  }
+}
+
+export default new NftSeasonService();
+export { NftSeasonService, NftSeasonError, SEASONS_COLLECTION, SETTLEMENTS_COLLECTION };
@@ -0,0 +1,247 @@
+import admin from "firebase-admin";
+import { LEGACY_SEASON_ID, getSeasonStatus } from "../config/nftStaking.js";
+import nftSeasonService from "./nftSeasonService.js";
+import nftStakingService, { NftStakingError } from "./nftStakingService.js";
+
+/**
+ * NFT Staking Settlement Job
+ *
+ * Settles ended seasons in a single pass: the season's stakes are read once to
+ * fix the totals (eligible count, total weight, reward per weight), then staked
+ * NFTs are moved to claimable in chunked batches. Each chunk commits together
+ * with a checkpoint, so an interrupted run resumes after the last committed
+ * stake with the same frozen reward rate. Finally the settlement record is
+ * written and the season marked settled.
+ *
+ * claimRewards() only ever reads the finalReward values written here.
+ */
+
+const SETTLEMENT_RUNS_COLLECTION = "nft_settlement_runs";
+const NFT_STAKES_COLLECTION = "nft_stakes";
+const CHUNK_SIZE = 400; // + 1 checkpoint write, under Firestore's 500-write batch limit
+const ELIGIBLE_STATUSES = ["staked", "claimable", "claimed"];
+
+class NftSettlementService {
+  constructor() {
+    this._db = null;
+    this._running = false;
+  }
+
+  get db() {
+    if (!this._db) {
+      this._db = admin.firestore();
+    }
+    return this._db;
+  }
+
+  /**
+   * Settle every season that has ended but isn't settled yet
+   * Called by the settlement cron and the NFT staking monitor.
+   */
+  async settleEndedSeasons() {
+    if (this._running) {
+      console.log("⏳ NFT settlement already running, skipping");
+      return { updated: 0, settledSeasons: [], message: "Settlement already running" };
+    }
+
+    this._running = true;
+    try {
+      const pending = (await nftSeasonService.getEndedSeasons()).filter((season) => !season.settled);
+      if (pending.length === 0) {
+        return { updated: 0, settledSeasons: [], message: "No seasons to settle" };
+      }
+
+      let updated = 0;
+      const settledSeasons = [];
+      for (const season of pending) {
+        const result = await this.settleSeason(season);
+        updated += result.updated;
+        settledSeasons.push(season.id);
+      }
+
+      return {
+        updated,
+        settledSeasons,
+        message: `Settled ${settledSeasons.join(", ")}: ${updated} NFTs now claimable`,
+      };
+    } finally {
+      this._running = false;
+    }
+  }
+
+  /**
+   * Settle one ended season (idempotent, resumable)
+   * @param {Object} season - From nftSeasonService
+   * @returns {Promise<Object>} { updated, settlement }
+   */
+  async settleSeason(season) {
+    if (getSeasonStatus(season).status !== "closed") {
+      throw new NftStakingError(`Season ${season.id} has not ended yet`);
+    }
+
+    const existing = await nftSeasonService.getSettlement(season.id);
+    if (existing) {
+      return { updated: 0, settlement: existing };
+    }
+
+    const runRef = this.db.collection(SETTLEMENT_RUNS_COLLECTION).doc(season.id);
+    let run = (await runRef.get()).data();
+
+    if (!run) {
+      run = await this._startRun(season, runRef);
+    } else {
+      console.log(
+        `🔁 Resuming settlement of ${season.id} after ${run.updatedCount} stakes (last ${run.lastStakeId})`,
+      );
+    }
+
+    const updated = await this._settleStakedChunks(season, runRef, run);
+
+    const { totalStaked, totalWeight, rewardPerWeight, forfeitedCount } = run;
+    const final = (await runRef.get()).data();
+    const results = {
+      totalStaked,
+      totalWeight,
+      rewardPerWeight,
+      // Average reward per NFT (individual rewards scale with weight)
+      rewardPerNft: totalStaked > 0 ? final.totalRewards / totalStaked : 0,
+      forfeitedCount,
+      totalRewards: final.totalRewards,
+    };
+
+    try {
+      await nftSeasonService.recordSettlement(season, results);
+    } catch (error) {
+      // gRPC ALREADY_EXISTS - a concurrent run settled it first
+      if (error.code !== 6) throw error;
+    }
+
+    await runRef.update({
+      status: "complete",
+      completedAt: admin.firestore.Timestamp.now(),
+    });
+
+    nftStakingService.invalidatePoolStatsCache();
+    console.log(
+      `✅ Season ${season.id} settled: ${totalStaked} NFTs (weight ${totalWeight}), ${rewardPerWeight.toFixed(2)} $MKIN per weight, ${forfeitedCount} forfeited`,
+    );
+
+    return { updated, settlement: { seasonId: season.id, ...results } };
+  }
+
+  /**
+   * Read the season's stakes once and freeze the totals in the checkpoint
+   */
+  async _startRun(season, runRef) {
+    console.log(`🏁 Settling NFT staking season ${season.id} (${season.start} to ${season.end})`);
+
+    const stakeDocs = await nftStakingService.getSeasonStakes(season.id);
+    const eligible = stakeDocs.filter((doc) => ELIGIBLE_STATUSES.includes(doc.data().status));
+    const forfeitedCount = stakeDocs.filter((doc) => doc.data().status === "forfeited").length;
+
+    // Pro-rata by weight: each NFT earns weight / totalWeight of the pool
+    const totalWeight = eligible.reduce(
+      (sum, doc) => sum + nftStakingService.getStakeWeight(doc.data(), season),
+      0,
+    );
+    const rewardPerWeight = totalWeight > 0 ? season.tokenPool / totalWeight : 0;
+
+    // Rewards already fixed on stakes that were claimable/claimed before this run
+    const priorRewards = eligible
+      .filter((doc) => doc.data().status !== "staked")
+      .reduce((sum, doc) => sum + (doc.data().finalReward || 0), 0);
+
+    const now = admin.firestore.Timestamp.now();
+    const run = {
+      seasonId: season.id,
+      status: "running",
+      totalStaked: eligible.length,
+      totalWeight,
+      rewardPerWeight,
+      forfeitedCount,
+      totalRewards: priorRewards,
+      updatedCount: 0,
+      lastStakeId: null,
+      startedAt: now,
+      updatedAt: now,
+    };
+
+    try {
+      await runRef.create(run);
+    } catch (error) {
+      // gRPC ALREADY_EXISTS - another run froze the totals first; use those
+      if (error.code !== 6) throw error;
+      return (await runRef.get()).data();
+    }
+    return run;
+  }
+
+  /**
+   * Move the season's staked NFTs to claimable, one checkpointed chunk at a time
+   * Stakes are walked in document-id order from the checkpoint cursor.
+   */
+  async _settleStakedChunks(season, runRef, run) {
+    const documentId = admin.firestore.FieldPath.documentId();
+    let cursor = run.lastStakeId;
+    let updated = 0;
+
+    while (true) {
+      let query = this.db
+        .collection(NFT_STAKES_COLLECTION)
+        .where("status", "==", "staked");
+      if (season.id !== LEGACY_SEASON_ID) {
+        query = query.where("seasonId", "==", season.id);
+      }
+      query = query.orderBy(documentId).limit(CHUNK_SIZE);
+      if (cursor) {
+        query = query.startAfter(cursor);
+      }
+
+      const snapshot = await query.get();
+      if (snapshot.empty) break;
+
+      const seasonDocs = snapshot.docs.filter((doc) => this._inSeason(doc.data(), season));
+
+      const now = admin.firestore.Timestamp.now();
+      const batch = this.db.batch();
+      let chunkRewards = 0;
+      for (const doc of seasonDocs) {
+        const weight = nftStakingService.getStakeWeight(doc.data(), season);
+        const finalReward = weight * run.rewardPerWeight;
+        batch.update(doc.ref, {
+          status: "claimable",
+          rewardWeight: weight,
+          finalReward,
+          estimatedReward: finalReward,
+          settledAt: now,
+          updatedAt: now,
+        });
+        chunkRewards += finalReward;
+      }
+
+      cursor = snapshot.docs[snapshot.docs.length - 1].id;
+      batch.update(runRef, {
+        lastStakeId: cursor,
+        updatedCount: admin.firestore.FieldValue.increment(seasonDocs.length),
+        totalRewards: admin.firestore.FieldValue.increment(chunkRewards),
+        updatedAt: now,
+      });
+      await batch.commit();
+
+      updated += seasonDocs.length;
+      console.log(`   📦 ${season.id}: settled ${seasonDocs.length} stakes (through ${cursor})`);
+
+      if (snapshot.size < CHUNK_SIZE) break;
+    }
+
+    return updated;
+  }
+
+  // Stakes without a seasonId belong to the legacy season only
+  _inSeason(stakeData, season) {
+    return (stakeData.seasonId || LEGACY_SEASON_ID) === season.id;
+  }
+}
+
+export default new NftSettlementService();
+export { NftSettlementService, SETTLEMENT_RUNS_COLLECTION };
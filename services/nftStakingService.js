@@ -1,15 +1,20 @@
 import admin from "firebase-admin";
 import fetch from "node-fetch";
-import { NFT_STAKING_CONFIG, TOTAL_ELIGIBLE_NFTS, isStakingPeriodOpen, isStakingPeriodEnded, getStakingPeriodStatus } from "../config/nftStaking.js";
+import { NFT_STAKING_CONFIG, TOTAL_ELIGIBLE_NFTS, LEGACY_SEASON_ID, getSeasonWindow, getSeasonStatus, getSeasonRewardWeights, getRewardWeight } from "../config/nftStaking.js";
 import environmentConfig from "../config/environment.js";
 import { Connection, PublicKey, Keypair, Transaction } from "@solana/web3.js";
-import { getAssociatedTokenAddress, getAccount, transfer, createTransferInstruction, createAssociatedTokenAccountInstruction } from "@solana/spl-token";
+import { getAssociatedTokenAddress, getAssociatedTokenAddressSync, getAccount, transfer, createTransferInstruction, createAssociatedTokenAccountInstruction } from "@solana/spl-token";
 import bs58 from "bs58";
+import { FeeQuoteError, issueFeeQuote, verifyFeeQuote } from "../utils/feeQuote.js";
+import { paymentVerifier, PaymentVerificationError } from "./paymentVerifier.js";
+import nftSeasonService from "./nftSeasonService.js";
 
 // Token Conversion Constants
 const NEW_MKIN_MINT_ADDRESS = process.env.NEW_MKIN_MINT_ADDRESS || "Caj9oo8RWhkus2rTEHzjhd14bv4DokC9kQhfi1AcAFiD";
 
 const NFT_STAKES_COLLECTION = "nft_stakes";
+const NFT_STAKE_FORFEITS_COLLECTION = "nft_stake_forfeits";
+const NFT_REWARD_CLAIMS_COLLECTION = "nft_reward_claims";
 
 class NftStakingError extends Error {
   constructor(message, code = 400) {
@@ -187,10 +192,95 @@ class NftStakingService {
     return Object.values(NFT_STAKING_CONFIG.COLLECTION_ADDRESSES).includes(groupValue);
   }
 
+  /**
+   * Map an NFT's collection grouping to our collection id ("unknown" if none)
+   */
+  _getCollectionId(nft) {
+    const groupValue = nft?.grouping?.find(g => g.group_key === "collection")?.group_value;
+    for (const [key, addr] of Object.entries(NFT_STAKING_CONFIG.COLLECTION_ADDRESSES)) {
+      if (addr === groupValue) return key;
+    }
+    return "unknown";
+  }
+
+  /**
+   * Mints of 1/1 NFTs (the Random and Custom 1/1 booster categories)
+   */
+  async _getOneOfOneMints() {
+    const { default: boosterRegistry } = await import("./boosterRegistryService.js");
+    const { RANDOM_1_1, CUSTOM_1_1 } = await boosterRegistry.getCategories();
+    return new Set([...(RANDOM_1_1?.mints || []), ...(CUSTOM_1_1?.mints || [])]);
+  }
+
+  /**
+   * Reward weight of a wallet NFT (Helius asset) under a season's weights
+   * @returns {Promise<{ weight: number, traits: Object, oneOfOne: boolean }>}
+   */
+  async _getNftRewardWeight(nft, season) {
+    const oneOfOneMints = await this._getOneOfOneMints();
+    return getRewardWeight(
+      {
+        collectionId: this._getCollectionId(nft),
+        attributes: nft?.content?.metadata?.attributes || [],
+        isOneOfOne: oneOfOneMints.has(nft?.id || nft?.mint),
+      },
+      getSeasonRewardWeights(season)
+    );
+  }
+
+  /**
+   * Reward weight of a stake record
+   * Stakes made before weights existed only carry their collection weight.
+   */
+  getStakeWeight(stakeData, season) {
+    return stakeData.rewardWeight ??
+      getRewardWeight({ collectionId: stakeData.collectionId }, getSeasonRewardWeights(season)).weight;
+  }
+
+  /**
+   * Get a season's stakes, optionally filtered by status
+   * Stakes created before seasons existed have no seasonId and belong to the legacy season.
+   */
+  async getSeasonStakes(seasonId, statuses = null) {
+    let query = this.db.collection(NFT_STAKES_COLLECTION);
+    if (statuses) {
+      query = query.where("status", "in", statuses);
+    }
+
+    if (seasonId !== LEGACY_SEASON_ID) {
+      const snapshot = await query.where("seasonId", "==", seasonId).get();
+      return snapshot.docs;
+    }
+
+    const snapshot = await query.get();
+    return snapshot.docs.filter(doc => (doc.data().seasonId || LEGACY_SEASON_ID) === LEGACY_SEASON_ID);
+  }
+
+  /**
+   * Issue a signed fee quote for staking nftCount NFTs in the current season
+   * The quote is bound to the user, NFT count and season; stakeNfts() requires it.
+   */
+  async quoteStakeFee(firebaseUid, nftCount) {
+    const count = Math.max(1, parseInt(nftCount) || 1);
+    const season = await nftSeasonService.getCurrentSeason();
+    const totalFeeUsd = count * season.feePerNft;
+    const quote = await issueFeeQuote({
+      operation: "nft_stake",
+      subject: firebaseUid,
+      usdAmount: totalFeeUsd,
+      context: { nftCount: count, seasonId: season.id },
+    });
+    return { ...quote, nftCount: count, seasonId: season.id, feePerNft: season.feePerNft };
+  }
+
   /**
    * Stake NFT(s) - User pays fee and locks NFT in our system
+   *
+   * @param {Object} options
+   * @param {string} options.firebaseUid - Caller, must match the fee quote
+   * @param {string} options.feeQuote - Signed quote from quoteStakeFee() for nftMints.length
    */
-  async stakeNfts(walletAddress, nftMints, feeSignature) {
+  async stakeNfts(walletAddress, nftMints, feeSignature, { firebaseUid, feeQuote } = {}) {
     const operationId = `NFT-STAKE-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
     const logPrefix = `[${operationId}]`;
 
@@ -205,8 +295,9 @@ class NftStakingService {
       throw new NftStakingError("Invalid wallet address or NFT list");
     }
 
-    // Check if staking period is open
-    const periodStatus = getStakingPeriodStatus();
+    // Check if the current season is open
+    const season = await nftSeasonService.getCurrentSeason();
+    const periodStatus = getSeasonStatus(season);
     if (periodStatus.status === "upcoming") {
       throw new NftStakingError(`Staking not yet open. ${periodStatus.message}`);
     }
@@ -220,28 +311,85 @@ class NftStakingService {
       throw new NftStakingError("Staking is currently disabled. Please wait for the next staking period.");
     }
 
-    // Calculate total fee
-    const totalFeeUsd = nftMints.length * NFT_STAKING_CONFIG.STAKE_FEE_PER_NFT;
-    console.log(`${logPrefix} Total fee: $${totalFeeUsd} (${nftMints.length} NFTs × $${NFT_STAKING_CONFIG.STAKE_FEE_PER_NFT})`);
+    // Resolve the fee from the signed quote (bound to this user, NFT count and season)
+    let quote;
+    try {
+      quote = verifyFeeQuote(feeQuote, {
+        operation: "nft_stake",
+        subject: firebaseUid,
+        context: { nftCount: nftMints.length, seasonId: season.id },
+      });
+    } catch (error) {
+      throw new NftStakingError(
+        error instanceof FeeQuoteError ? error.message : "Invalid fee quote",
+        error.code || 400,
+      );
+    }
+    const totalFeeUsd = quote.usd;
+    const expectedFeeLamports = quote.lamports;
+    console.log(`${logPrefix} Season: ${season.id} (${season.name})`);
+    console.log(`${logPrefix} Total fee: $${totalFeeUsd} (${nftMints.length} NFTs × $${season.feePerNft}) = ${expectedFeeLamports} lamports`);
+
+    // The quote must price exactly this many mints at the season's per-NFT fee
+    const requiredFeeUsd = nftMints.length * season.feePerNft;
+    if (Math.abs(totalFeeUsd - requiredFeeUsd) > 1e-9) {
+      throw new NftStakingError("Fee quote does not match the number of NFTs. Please request a new quote.");
+    }
 
-    // 1. Verify fee payment - ENABLED
-    const { getFeeInSol } = await import("../utils/solPrice.js");
-    const feeData = await getFeeInSol(totalFeeUsd);
-    const tolerance = 1.0; // 100% tolerance for rounding
-    const minFee = feeData.solAmount * (1 - tolerance);
-    const maxFee = feeData.solAmount * (1 + tolerance);
-    
-    // Verify the fee was actually paid
-    const isValidFee = feeSignature && feeSignature !== "fee_disabled";
-    
-    if (!isValidFee) {
+    // 1. Verify fee payment on-chain: staking wallet -> fee wallet, exact quoted lamports
+    if (!feeSignature) {
       console.log(`${logPrefix} ⚠️ No fee signature provided - REJECTING`);
       throw new NftStakingError("Fee payment required. Please pay the staking fee first.");
-    } else {
-      console.log(`${logPrefix} Fee TX provided: ${feeSignature}`);
     }
-    
-    console.log(`${logPrefix} Expected fee: $${totalFeeUsd} (verification: ${isValidFee ? 'pending' : 'skipped'})`);
+    console.log(`${logPrefix} Fee TX provided: ${feeSignature}`);
+
+    const feeWallet = NFT_STAKING_CONFIG.FEE_WALLET;
+    if (!feeWallet) {
+      throw new NftStakingError("NFT staking fee wallet not configured", 500);
+    }
+
+    let feeCheck;
+    try {
+      await paymentVerifier.assertSignatureUnused(feeSignature);
+      feeCheck = await paymentVerifier.verifyPayment(feeSignature, {
+        recipient: feeWallet,
+        payer: walletAddress,
+        minLamports: expectedFeeLamports,
+        maxLamports: expectedFeeLamports,
+      });
+    } catch (error) {
+      feeCheck = { valid: false, error: error.message };
+    }
+
+    if (!feeCheck.valid) {
+      console.error(`${logPrefix} ❌ FEE VERIFICATION FAILED!`);
+      console.error(`${logPrefix}   - Signature: ${feeSignature}`);
+      console.error(`${logPrefix}   - Reason: ${feeCheck.error}`);
+
+      // Send Discord alert about failed NFT stake fee verification (non-blocking)
+      try {
+        const { sendDiscordAlert } = await import("../utils/discordAlerts.js");
+        await sendDiscordAlert({
+          level: "ERROR",
+          title: "❌ NFT Stake Fee Verification Failed",
+          message: `Wallet ${walletAddress} NFT stake fee verification failed`,
+          action: "Check transaction on Solscan and manually stake if valid",
+          details: {
+            nftCount: nftMints.length,
+            feeSignature,
+            expected: `${(expectedFeeLamports / 1e9).toFixed(9)} SOL ($${totalFeeUsd})`,
+            reason: feeCheck.error,
+            timestamp: new Date().toISOString(),
+          },
+        });
+      } catch (alertError) {
+        console.error(`${logPrefix} ⚠️  Failed to send Discord alert:`, alertError.message);
+      }
+
+      throw new NftStakingError("Invalid staking fee payment");
+    }
+
+    console.log(`${logPrefix} ✅ Fee payment verified: ${expectedFeeLamports} lamports`);
 
     // 2. Fee distribution - DISABLED (collect but don't distribute)
     console.log(`${logPrefix} 💸 Fee distribution disabled (collected but not distributed)`);
@@ -258,32 +406,23 @@ class NftStakingService {
     }
     */
 
-    // 3. Verify each NFT ownership and stake
+    // 3. Verify each NFT ownership and eligibility
     console.log(`${logPrefix} 🔍 Verifying NFT ownership...`);
     const now = admin.firestore.Timestamp.now();
     
-    // Calculate unlock date - use global period end date (same for everyone)
-    const periodEnd = new Date(NFT_STAKING_CONFIG.STAKING_PERIOD.end + "T23:59:59Z");
-    const periodStart = new Date(NFT_STAKING_CONFIG.STAKING_PERIOD.start + "T00:00:00Z");
-    
-    // If staking period hasn't started yet, use stake time + 30 days
-    // If staking period has started, use global end date
-    let unlockAt;
-    const nowDate = now.toDate();
-    if (nowDate < periodStart) {
-      // Period hasn't started yet - use 30 days from stake time
-      unlockAt = new Date(nowDate.getTime() + NFT_STAKING_CONFIG.DURATION_DAYS * 24 * 60 * 60 * 1000);
-    } else {
-      // Period is active - use global end date for everyone
-      unlockAt = periodEnd;
-    }
+    // Unlock date is the season end (same for everyone in the season)
+    const unlockAt = getSeasonWindow(season).endDate;
     
-    console.log(`${logPrefix} 📅 Staking period: ${NFT_STAKING_CONFIG.STAKING_PERIOD.start} to ${NFT_STAKING_CONFIG.STAKING_PERIOD.end}`);
+    console.log(`${logPrefix} 📅 Staking period: ${season.start} to ${season.end}`);
     console.log(`${logPrefix} 📅 Unlock date for this NFT: ${unlockAt.toISOString()}`);
     
+    const eligibleNfts = [];
     const stakedResults = [];
     const failedMints = [];
 
+    // Fetched once for collection and trait lookups
+    const walletNfts = await this._getWalletNfts(walletAddress);
+
     for (const mint of nftMints) {
       try {
         // Verify ownership via Helius - now returns { owned, listed }
@@ -302,33 +441,65 @@ class NftStakingService {
           continue;
         }
 
-        // Check if already staked
+        // Check if already staked (an unclaimed reward from a past season doesn't block restaking)
         const existingStake = await this.db
           .collection(NFT_STAKES_COLLECTION)
           .where("nftMint", "==", mint)
           .where("status", "in", ["staked", "claimable"])
-          .limit(1)
           .get();
+        const alreadyStaked = existingStake.docs.some(doc => {
+          const data = doc.data();
+          return data.status === "staked" || (data.seasonId || LEGACY_SEASON_ID) === season.id;
+        });
 
-        if (!existingStake.empty) {
+        if (alreadyStaked) {
           console.log(`${logPrefix} ⚠️ NFT ${mint} already staked`);
           failedMints.push({ mint, reason: "Already staked" });
           continue;
         }
 
         // Determine collection
-        const nfts = await this._getWalletNfts(walletAddress);
-        const nft = nfts.find(a => a.id === mint || a.mint === mint);
-        const groupValue = nft?.grouping?.find(g => g.group_key === "collection")?.group_value;
-        
-        let collectionId = "unknown";
-        for (const [key, addr] of Object.entries(NFT_STAKING_CONFIG.COLLECTION_ADDRESSES)) {
-          if (addr === groupValue) {
-            collectionId = key;
-            break;
-          }
+        const nft = walletNfts.find(a => a.id === mint || a.mint === mint);
+        const collectionId = this._getCollectionId(nft);
+
+        if (!season.eligibleCollections.includes(collectionId)) {
+          console.log(`${logPrefix} ❌ NFT ${mint} (${collectionId}) not eligible in ${season.id}`);
+          failedMints.push({ mint, reason: "Collection not eligible this season" });
+          continue;
         }
 
+        const { weight, traits, oneOfOne } = await this._getNftRewardWeight(nft, season);
+        eligibleNfts.push({ mint, collectionId, weight, traits, oneOfOne });
+      } catch (error) {
+        console.error(`${logPrefix} ❌ Failed to verify ${mint}:`, error.message);
+        failedMints.push({ mint, reason: error.message });
+      }
+    }
+
+    // Leave the fee signature unused when nothing can be staked so the user can retry with it
+    if (eligibleNfts.length === 0) {
+      const reasons = failedMints.map(f => `${f.mint}: ${f.reason}`).join("; ");
+      throw new NftStakingError(`No NFTs could be staked (${reasons})`);
+    }
+
+    // Burn the signature before staking so it can't be replayed concurrently
+    try {
+      await paymentVerifier.registerSignature(feeSignature, {
+        operation: "nft_stake",
+        userId: firebaseUid,
+        walletAddress,
+        nftCount: nftMints.length,
+        seasonId: season.id,
+      });
+    } catch (error) {
+      throw new NftStakingError(
+        error instanceof PaymentVerificationError ? error.message : "Failed to record fee payment",
+      );
+    }
+
+    // 4. Create stake records
+    for (const { mint, collectionId, weight, traits, oneOfOne } of eligibleNfts) {
+      try {
         // Create stake record
         const stakeRef = this.db.collection(NFT_STAKES_COLLECTION).doc();
         await stakeRef.set({
@@ -336,21 +507,27 @@ class NftStakingService {
           walletAddress: walletAddress,
           nftMint: mint,
           collectionId: collectionId,
+          seasonId: season.id,
+          rewardWeight: weight,
+          rewardTraits: traits,
+          oneOfOne,
           stakedAt: now,
           unlockAt: admin.firestore.Timestamp.fromDate(unlockAt),
           status: "staked",
           // Estimated reward is calculated dynamically at claim time based on total staked
           estimatedReward: null, // Will be calculated at claim time
           finalReward: null,
-          feePaidUsd: NFT_STAKING_CONFIG.STAKE_FEE_PER_NFT,
+          feePaidUsd: season.feePerNft,
+          feeSignature,
+          feeQuotedLamports: expectedFeeLamports,
           originalOwnerAtStake: walletAddress,
           lastCheckedAt: now,
           createdAt: now,
           updatedAt: now,
         });
 
-        console.log(`${logPrefix} ✅ Staked NFT: ${mint}`);
-        stakedResults.push({ mint, stakeId: stakeRef.id });
+        console.log(`${logPrefix} ✅ Staked NFT: ${mint} (weight ${weight})`);
+        stakedResults.push({ mint, stakeId: stakeRef.id, rewardWeight: weight });
       } catch (error) {
         console.error(`${logPrefix} ❌ Failed to stake ${mint}:`, error.message);
         failedMints.push({ mint, reason: error.message });
@@ -367,6 +544,7 @@ console.log(`${logPrefix} 🎉 NFT Stake Operation Complete`);
     return {
       success: true,
       operationId,
+      seasonId: season.id,
       staked: stakedResults,
       failed: failedMints,
       totalFeeUsd,
@@ -411,53 +589,44 @@ console.log(`${logPrefix} 🎉 NFT Stake Operation Complete`);
     console.log(`${logPrefix} Unlockable: ${isUnlockable}`);
 
     if (isUnlockable) {
-      // Calculate final reward dynamically based on total currently staked NFTs
-      const allStakedSnapshot = await this.db
-        .collection(NFT_STAKES_COLLECTION)
-        .where("status", "in", ["staked", "claimable"])
-        .get();
-      
-      const totalCurrentlyStaked = allStakedSnapshot.size;
-      const finalReward = totalCurrentlyStaked > 0 
-        ? NFT_STAKING_CONFIG.TOKEN_POOL / totalCurrentlyStaked 
-        : 0;
-
-      await stakeDoc.ref.update({
-        status: "claimable",
-        finalReward: finalReward,
-        estimatedReward: finalReward, // Store for display
-        updatedAt: now,
-      });
+      // Season is over: settle it (idempotent) and report the settled reward
+      const seasonId = stakeData.seasonId || LEGACY_SEASON_ID;
+      const season = await nftSeasonService.getSeason(seasonId);
+      if (!season) {
+        throw new NftStakingError(`Season ${seasonId} not found`, 500);
+      }
 
-console.log(`${logPrefix} ✅ NFT unlocked - reward claimable: ${finalReward.toFixed(2)} $MKIN (based on ${totalCurrentlyStaked} total staked)`);
+      const { default: nftSettlementService } = await import("./nftSettlementService.js");
+      const { settlement } = await nftSettlementService.settleSeason(season);
+      const finalReward = (await stakeDoc.ref.get()).data().finalReward || 0;
 
-    // Invalidate cache since stake status changed
-    this.invalidatePoolStatsCache();
+      console.log(`${logPrefix} ✅ NFT unlocked - reward claimable: ${finalReward.toFixed(2)} $MKIN (based on ${settlement.totalStaked} total staked)`);
 
     return {
       success: true,
       nftMint,
       status: "claimable",
       reward: finalReward,
-      totalStakedAtUnlock: totalCurrentlyStaked,
+      totalStakedAtUnlock: settlement.totalStaked,
       message: `NFT unlocked! You can now claim ${finalReward.toFixed(2)} $MKIN`,
     };
   } else {
       // Early unstake - reward forfeited
-      const daysRemaining = NFT_STAKING_CONFIG.DURATION_DAYS - daysPassed;
+      const daysRemaining = (unlockTime - currentTime) / (1000 * 60 * 60 * 24);
 
-      await stakeDoc.ref.update({
-        status: "forfeited",
-        finalReward: 0,
-        updatedAt: now,
+      // Same path as the monitor and webhook (audit record, cache invalidation)
+      const forfeited = await this.forfeitStake(stakeDoc.ref, {
+        reason: "early unstake",
+        source: "user_unstake",
+        details: { daysRemaining },
       });
+      if (!forfeited) {
+        throw new NftStakingError("Stake is no longer active");
+      }
 
       console.log(`${logPrefix} ⚠️ Early unstake - reward forfeited`);
       console.log(`${logPrefix} Days remaining: ${daysRemaining.toFixed(1)}`);
 
-      // Invalidate cache since stake status changed
-      this.invalidatePoolStatsCache();
-
 return {
       success: true,
       nftMint,
@@ -470,157 +639,286 @@ return {
 
   /**
    * Claim rewards for wallet
-   * Only allowed after staking period has ended
+   * Only claimable stakes are paid, at the finalReward fixed by settlement
+   * (nftSettlementService) - nothing is recalculated here.
+   *
+   * The summed reward is paid in one SPL transfer, journaled as a transfer
+   * intent created in the same transaction that marks the stakes claimed, so a
+   * failed payout can be retried (retryClaimPayout or the recovery worker)
+   * without a second send. The claim receipt and every stake it covers get the
+   * payout signature once it confirms.
+   *
+   * @param {string} walletAddress
+   * @param {Object} [options]
+   * @param {string} [options.firebaseUid] - Claiming user (recorded on the receipt)
    */
-  async claimRewards(walletAddress) {
-    // Check if period has ended
-    const firestoreConfig = await this.getStakingConfig();
-    const periodEnd = firestoreConfig?.periodEnd || NFT_STAKING_CONFIG.STAKING_PERIOD.end;
-    const periodEndDate = new Date(periodEnd + "T23:59:59Z");
-    const nowDate = new Date();
-    
-    if (nowDate < periodEndDate) {
-      throw new NftStakingError(`Cannot claim until staking period ends on ${periodEnd}`, 400);
-    }
-
-    // First, check for staked NFTs that are past their unlock date and transition them to claimable
+  async claimRewards(walletAddress, { firebaseUid = null } = {}) {
     const stakedSnapshot = await this.db
       .collection(NFT_STAKES_COLLECTION)
       .where("walletAddress", "==", walletAddress)
       .where("status", "==", "staked")
       .get();
 
-    const nowFirestore = admin.firestore.Timestamp.now();
-    const transitionBatch = this.db.batch();
-    const NFTsToTransition = [];
+    const stakedSeasonIds = [...new Set(stakedSnapshot.docs.map(doc => doc.data().seasonId || LEGACY_SEASON_ID))];
+
+    const claimableQuery = this.db
+      .collection(NFT_STAKES_COLLECTION)
+      .where("walletAddress", "==", walletAddress)
+      .where("status", "==", "claimable");
+
+    const claimRef = this.db.collection(NFT_REWARD_CLAIMS_COLLECTION).doc();
+    const { transferIntentService } = await import("./transferIntentService.js");
+
+    // Mark stakes claimed and journal the payout atomically
+    const claim = await this.db.runTransaction(async (t) => {
+      const claimableSnapshot = await t.get(claimableQuery);
+      // Settled finalReward only, never an estimate
+      const settledDocs = claimableSnapshot.docs.filter(doc => {
+        if (typeof doc.data().finalReward === "number") return true;
+        console.warn(`⚠️ Claimable stake ${doc.id} has no settled reward - skipping`);
+        return false;
+      });
+      if (settledDocs.length === 0) return null;
+
+      const now = admin.firestore.Timestamp.now();
+      const amount = settledDocs.reduce((sum, doc) => sum + doc.data().finalReward, 0);
+      const stakes = settledDocs.map(doc => ({
+        stakeId: doc.id,
+        nftMint: doc.data().nftMint,
+        seasonId: doc.data().seasonId || LEGACY_SEASON_ID,
+        reward: doc.data().finalReward,
+      }));
 
-    for (const doc of stakedSnapshot.docs) {
-      const data = doc.data();
-      const unlockTime = data.unlockAt?.toDate?.()?.getTime() || 0;
-      const currentTime = nowDate.getTime();
+      t.set(claimRef, {
+        claimId: claimRef.id,
+        walletAddress,
+        userId: firebaseUid,
+        amount,
+        stakes,
+        status: "PENDING",
+        token_tx: null,
+        createdAt: now,
+      });
 
-      if (currentTime >= unlockTime) {
-        // Calculate final reward based on current staked count
-        const allStakedSnapshot = await this.db
-          .collection(NFT_STAKES_COLLECTION)
-          .where("status", "in", ["staked", "claimable"])
-          .get();
-        
-        const totalStaked = allStakedSnapshot.size || 1;
-        const finalReward = NFT_STAKING_CONFIG.TOKEN_POOL / totalStaked;
-
-        transitionBatch.update(doc.ref, {
-          status: "claimable",
-          finalReward: finalReward,
-          estimatedReward: finalReward,
-          updatedAt: nowFirestore,
+      for (const doc of settledDocs) {
+        t.update(doc.ref, {
+          status: "claimed",
+          claimId: claimRef.id,
+          releasedAt: now,
+          updatedAt: now,
         });
-        NFTsToTransition.push({ mint: data.nftMint, finalReward });
       }
+
+      transferIntentService.createIntent(t, claimRef.id, {
+        type: "NFT_REWARD",
+        userId: firebaseUid,
+        wallet: walletAddress,
+        amount,
+        mint: NEW_MKIN_MINT_ADDRESS,
+        ledgerRef: claimRef.path,
+        // If the payout is given up on, the stakes become claimable again
+        compensation: settledDocs.map(doc => ({
+          path: doc.ref.path,
+          set: { status: "claimable", claimId: null, releasedAt: null },
+        })),
+      });
+
+      return { amount, count: settledDocs.length };
+    });
+
+    if (!claim) {
+      if (stakedSeasonIds.length > 0) {
+        const season = await nftSeasonService.getSeason(stakedSeasonIds[0]);
+        if (season && getSeasonStatus(season).status === "closed") {
+          throw new NftStakingError(`Season ${season.name} is being settled. Rewards will be claimable shortly.`, 400);
+        }
+        throw new NftStakingError(`Cannot claim until staking period ends on ${season?.end || "season end"}`, 400);
+      }
+      return { success: true, claimed: 0, message: "No claimable rewards" };
     }
 
-    if (NFTsToTransition.length > 0) {
-      await transitionBatch.commit();
-      console.log(`🔄 Transitioned ${NFTsToTransition.length} staked NFTs to claimable status`);
-      this.invalidatePoolStatsCache();
+    // Invalidate cache since claimable stakes changed
+    this.invalidatePoolStatsCache();
+
+    const intentRef = this.db.collection("transfer_intents").doc(claimRef.id);
+    try {
+      const signature = await transferIntentService.execute(intentRef);
+      return {
+        success: true,
+        claimId: claimRef.id,
+        claimed: claim.amount,
+        count: claim.count,
+        txSignature: signature,
+        txUrl: this._txUrl(signature),
+        message: `Claimed ${claim.amount} $MKIN`,
+      };
+    } catch (transferError) {
+      console.error(`❌ NFT reward payout ${claimRef.id} failed:`, transferError.message);
+      return {
+        success: true,
+        claimId: claimRef.id,
+        claimed: claim.amount,
+        count: claim.count,
+        warning: "Tokens not transferred yet",
+        message: `Claimed ${claim.amount} $MKIN (transfer pending - it will be retried)`,
+      };
     }
+  }
 
-    // Get claimable stakes (including newly transitioned ones)
-    const claimableSnapshot = await this.db
-      .collection(NFT_STAKES_COLLECTION)
-      .where("walletAddress", "==", walletAddress)
-      .where("status", "==", "claimable")
-      .get();
+  /**
+   * Retry a claim whose payout hasn't confirmed
+   * Safe against double sends: a broadcast payout is only re-sent once its
+   * blockhash has expired and the chain shows it never landed.
+   */
+  async retryClaimPayout(walletAddress, claimId) {
+    const claimDoc = await this.db.collection(NFT_REWARD_CLAIMS_COLLECTION).doc(claimId).get();
+    if (!claimDoc.exists || claimDoc.data().walletAddress !== walletAddress) {
+      throw new NftStakingError("Claim not found", 404);
+    }
 
-    if (claimableSnapshot.empty) {
-      return { success: true, claimed: 0, message: "No claimable rewards" };
+    const { transferIntentService } = await import("./transferIntentService.js");
+    const intentRef = this.db.collection("transfer_intents").doc(claimId);
+    const result = await transferIntentService.retryIntent(intentRef);
+
+    if (result.outcome === "too_soon") {
+      throw new NftStakingError(
+        `Payout is still in flight. Try again in ${Math.ceil(result.retryAfterMs / 1000)}s.`,
+        409
+      );
+    }
+    if (result.outcome === "not_retryable") {
+      throw new NftStakingError(`Payout is ${result.status || "unknown"} and cannot be retried`, 409);
     }
 
-    let totalClaimed = 0;
+    const receipt = (await claimDoc.ref.get()).data();
+    return {
+      success: true,
+      claimId,
+      outcome: result.outcome,
+      status: receipt.status,
+      txSignature: receipt.token_tx,
+      txUrl: this._txUrl(receipt.token_tx),
+    };
+  }
 
-    // Mark as claimed
-    const batch = this.db.batch();
-    for (const doc of claimableSnapshot.docs) {
-      const data = doc.data();
-      totalClaimed += data.finalReward || data.estimatedReward;
-      
-      batch.update(doc.ref, {
-        status: "claimed",
-        releasedAt: nowFirestore,
-        updatedAt: nowFirestore,
-      });
+  /**
+   * Send MKIN rewards from the gatekeeper vault (one SPL transfer)
+   * Used by transferIntentService for NFT_REWARD intents.
+   * @param {Object} [options]
+   * @param {Function} [options.onSigned] - Awaited with { signature, blockhash, lastValidBlockHeight }
+   *   before the transaction is broadcast; if it throws, nothing is sent
+   * @returns {Promise<string>} Confirmed signature
+   */
+  async sendRewardTokens(walletAddress, amount, options = {}) {
+    const { connection, vaultKeypair } = await this._ensureInitialized();
+    const tokenMint = new PublicKey(NEW_MKIN_MINT_ADDRESS);
+
+    const vaultATA = await getAssociatedTokenAddress(tokenMint, vaultKeypair.publicKey);
+    const userATA = await getAssociatedTokenAddress(tokenMint, new PublicKey(walletAddress));
+
+    const transaction = new Transaction();
+
+    // Create user ATA if needed
+    try {
+      await getAccount(connection, userATA);
+    } catch (e) {
+      transaction.add(
+        createAssociatedTokenAccountInstruction(
+          vaultKeypair.publicKey,
+          userATA,
+          new PublicKey(walletAddress),
+          tokenMint
+        )
+      );
     }
 
-await batch.commit();
+    // Add transfer
+    const amountLamports = Math.round(amount * 1e9);
+    transaction.add(
+      createTransferInstruction(vaultATA, userATA, vaultKeypair.publicKey, amountLamports)
+    );
 
-    // Invalidate cache since claimable stakes changed
-    this.invalidatePoolStatsCache();
+    // Sign and send
+    const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash();
+    transaction.recentBlockhash = blockhash;
+    transaction.feePayer = vaultKeypair.publicKey;
+    transaction.sign(vaultKeypair);
 
-    // Send tokens
-    if (totalClaimed > 0) {
-      try {
-        const { connection, vaultKeypair } = await this._ensureInitialized();
-        const tokenMint = new PublicKey(NEW_MKIN_MINT_ADDRESS);
+    if (options.onSigned) {
+      await options.onSigned({ signature: bs58.encode(transaction.signature), blockhash, lastValidBlockHeight });
+    }
 
-        const vaultATA = await getAssociatedTokenAddress(tokenMint, vaultKeypair.publicKey);
-        const userATA = await getAssociatedTokenAddress(tokenMint, new PublicKey(walletAddress));
+    const signature = await connection.sendRawTransaction(transaction.serialize(), {
+      skipPreflight: false,
+      maxRetries: 3
+    });
+    console.log(`   🚀 Sent NFT rewards, signature: ${signature}`);
 
-        const transaction = new Transaction();
+    const confirmation = await connection.confirmTransaction(
+      { signature, blockhash, lastValidBlockHeight },
+      'confirmed'
+    );
+    if (confirmation.value.err) {
+      throw new Error("Transaction failed on-chain: " + JSON.stringify(confirmation.value.err));
+    }
 
-        // Create user ATA if needed
-        let userATAExists = false;
-        try {
-          await getAccount(connection, userATA);
-          userATAExists = true;
-        } catch (e) {
-          transaction.add(
-            createAssociatedTokenAccountInstruction(
-              vaultKeypair.publicKey,
-              userATA,
-              new PublicKey(walletAddress),
-              tokenMint
-            )
-          );
-        }
+    return signature;
+  }
 
-        // Add transfer
-        const amountLamports = Math.round(totalClaimed * 1e9);
-        transaction.add(
-          createTransferInstruction(vaultATA, userATA, vaultKeypair.publicKey, amountLamports)
-        );
-
-        // Sign and send
-        const { blockhash } = await connection.getLatestBlockhash();
-        transaction.recentBlockhash = blockhash;
-        transaction.feePayer = vaultKeypair.publicKey;
-        transaction.sign(vaultKeypair);
-
-        const signature = await connection.sendRawTransaction(transaction.serialize(), {
-          skipPreflight: false,
-          maxRetries: 3
-        });
+  /**
+   * Stamp a confirmed payout signature on every stake the claim covered
+   * Called by transferIntentService when an NFT_REWARD intent confirms.
+   */
+  async recordPayout(claimId, signature) {
+    const claimDoc = await this.db.collection(NFT_REWARD_CLAIMS_COLLECTION).doc(claimId).get();
+    if (!claimDoc.exists) return;
 
-        await connection.confirmTransaction(signature, 'confirmed');
+    const now = admin.firestore.Timestamp.now();
+    const batch = this.db.batch();
+    for (const { stakeId } of claimDoc.data().stakes || []) {
+      batch.update(this.db.collection(NFT_STAKES_COLLECTION).doc(stakeId), {
+        payoutSignature: signature,
+        paidAt: now,
+        updatedAt: now,
+      });
+    }
+    batch.update(claimDoc.ref, { confirmedAt: now });
+    await batch.commit();
 
+    console.log(`✅ NFT reward claim ${claimId} paid: ${signature}`);
+  }
+
+  /**
+   * Claim receipts for a wallet, newest first
+   */
+  async getClaimReceipts(walletAddress) {
+    const snapshot = await this.db
+      .collection(NFT_REWARD_CLAIMS_COLLECTION)
+      .where("walletAddress", "==", walletAddress)
+      .get();
+
+    return snapshot.docs
+      .map(doc => {
+        const data = doc.data();
         return {
-          success: true,
-          claimed: totalClaimed,
-          count: claimableSnapshot.size,
-          txSignature: signature,
-          message: `Claimed ${totalClaimed} $MKIN`,
-        };
-      } catch (transferError) {
-        return {
-          success: true,
-          claimed: totalClaimed,
-          count: claimableSnapshot.size,
-          warning: "Tokens not transferred",
-          message: `Claimed ${totalClaimed} $MKIN (transfer failed)`,
+          claimId: doc.id,
+          amount: data.amount,
+          nftCount: (data.stakes || []).length,
+          stakes: data.stakes || [],
+          status: data.status,
+          txSignature: data.token_tx || null,
+          txUrl: this._txUrl(data.token_tx),
+          createdAt: data.createdAt?.toDate?.()?.toISOString() || null,
+          confirmedAt: data.confirmedAt?.toDate?.()?.toISOString() || null,
         };
-      }
-    }
+      })
+      .sort((a, b) => (b.createdAt || "").localeCompare(a.createdAt || ""));
+  }
 
-    return { success: true, claimed: totalClaimed, count: claimableSnapshot.size };
+  _txUrl(signature) {
+    if (!signature) return null;
+    const { isDevnet } = environmentConfig.networkConfig;
+    return `https://solscan.io/tx/${signature}${isDevnet ? "?cluster=devnet" : ""}`;
   }
 
   /**
@@ -638,6 +936,7 @@ await batch.commit();
     const stakes = stakesSnapshot.docs.map(doc => ({
       id: doc.id,
       ...doc.data(),
+      seasonId: doc.data().seasonId || LEGACY_SEASON_ID,
       stakedAt: doc.data().stakedAt?.toDate?.()?.toISOString(),
       unlockAt: doc.data().unlockAt?.toDate?.()?.toISOString(),
     }));
@@ -657,13 +956,24 @@ await batch.commit();
       nextUnlockDate = new Date(earliest).toISOString();
     }
 
-    // Get current reward rate for display (calculated at claim time)
-    const totalStakedNow = staked.length;
-    const currentRewardRate = totalStakedNow > 0 
-      ? NFT_STAKING_CONFIG.TOKEN_POOL / totalStakedNow 
-      : 0;
+    // Projected rewards for NFTs staked this season: weight / total staked weight × pool
+    const pool = await this.getPoolStats();
+    const currentSeason = await nftSeasonService.getCurrentSeason();
+    for (const s of staked) {
+      if (s.seasonId !== currentSeason.id || !pool.totalStakedWeight) {
+        s.projectedShare = null;
+        s.projectedReward = null;
+        continue;
+      }
+      s.rewardWeight = this.getStakeWeight(s, currentSeason);
+      s.projectedShare = s.rewardWeight / pool.totalStakedWeight;
+      s.projectedReward = s.projectedShare * pool.totalPool;
+    }
+
+    // Reward per unit of weight (calculated for real at settlement)
+    const currentRewardRate = pool.currentRewardPerWeight;
 
-    const totalEstimated = staked.length * currentRewardRate;
+    const totalEstimated = staked.reduce((sum, s) => sum + (s.projectedReward || 0), 0);
     
     // Calculate totalClaimable - if finalReward is missing, calculate it based on current pool
     const totalClaimableCount = claimable.length;
@@ -679,6 +989,9 @@ await batch.commit();
     
     const totalClaimed = claimed.reduce((sum, s) => sum + (s.finalReward || 0), 0);
 
+    const seasons = await this._getSeasonBreakdown(stakes);
+    const claimReceipts = await this.getClaimReceipts(walletAddress);
+
     return {
       walletAddress,
       stakedNfts: staked,
@@ -691,9 +1004,51 @@ await batch.commit();
       totalEstimatedReward: totalEstimated,
       currentRewardRate,
       nextUnlockDate,
+      seasons,
+      claimReceipts,
     };
   }
 
+  /**
+   * Per-season summary of a wallet's stakes and claims, newest season first
+   */
+  async _getSeasonBreakdown(stakes) {
+    const bySeason = new Map();
+    for (const stake of stakes) {
+      if (!bySeason.has(stake.seasonId)) bySeason.set(stake.seasonId, []);
+      bySeason.get(stake.seasonId).push(stake);
+    }
+
+    const breakdown = [];
+    for (const [seasonId, seasonStakes] of bySeason) {
+      const season = await nftSeasonService.getSeason(seasonId);
+      const settlement = season?.settled ? await nftSeasonService.getSettlement(seasonId) : null;
+      const count = status => seasonStakes.filter(s => s.status === status).length;
+      const sumRewards = status => seasonStakes
+        .filter(s => s.status === status)
+        .reduce((sum, s) => sum + (s.finalReward || 0), 0);
+
+      breakdown.push({
+        seasonId,
+        name: season?.name || seasonId,
+        start: season?.start || null,
+        end: season?.end || null,
+        periodStatus: season ? getSeasonStatus(season).status : "closed",
+        settled: !!settlement,
+        rewardPerNft: settlement?.rewardPerNft ?? null,
+        rewardPerWeight: settlement?.rewardPerWeight ?? null,
+        staked: count("staked"),
+        claimable: count("claimable"),
+        claimed: count("claimed"),
+        forfeited: count("forfeited"),
+        totalClaimable: sumRewards("claimable"),
+        totalClaimed: sumRewards("claimed"),
+      });
+    }
+
+    return breakdown.sort((a, b) => (b.start || "").localeCompare(a.start || ""));
+  }
+
 /**
    * Get pool stats
    * Uses 5-minute cache to prevent excessive Firestore reads
@@ -709,53 +1064,47 @@ await batch.commit();
 
     console.log(`[NFT Staking] Pool stats cache MISS - fetching from Firestore`);
 
-    // Get all stakes
-    const allSnapshot = await this.db
-      .collection(NFT_STAKES_COLLECTION)
-      .get();
+    // Stats are for the current season only
+    const season = await nftSeasonService.getCurrentSeason();
+    const seasonDocs = await this.getSeasonStakes(season.id);
 
-    const stakes = allSnapshot.docs.map(doc => doc.data());
+    const stakes = seasonDocs.map(doc => doc.data());
 
     const totalStaked = stakes.filter(s => s.status === "staked").length;
     const totalClaimable = stakes.filter(s => s.status === "claimable").length;
     const totalClaimed = stakes.filter(s => s.status === "claimed").length;
     const totalForfeited = stakes.filter(s => s.status === "forfeited").length;
+    const totalStakedWeight = stakes
+      .filter(s => s.status === "staked")
+      .reduce((sum, s) => sum + this.getStakeWeight(s, season), 0);
 
-    // Calculate current reward rate (dynamic - 20000 / actual staked)
-    // If no one has staked yet, show the potential max rate (20000 / eligible)
+    // Calculate current reward rate (dynamic - season pool / actual staked)
+    // If no one has staked yet, show the potential max rate (pool / eligible)
     const currentRewardPerNft = totalStaked > 0
-      ? NFT_STAKING_CONFIG.TOKEN_POOL / totalStaked
-      : NFT_STAKING_CONFIG.TOKEN_POOL / TOTAL_ELIGIBLE_NFTS;
+      ? season.tokenPool / totalStaked
+      : season.tokenPool / TOTAL_ELIGIBLE_NFTS;
+    // The pool is split pro-rata by weight: an NFT earns weight × this
+    const currentRewardPerWeight = totalStakedWeight > 0
+      ? season.tokenPool / totalStakedWeight
+      : season.tokenPool / TOTAL_ELIGIBLE_NFTS;
 
-    // Get period status - checks Firestore first, then env config
     const firestoreConfig = await this.getStakingConfig();
     const isFirestoreEnabled = firestoreConfig?.stakingEnabled !== false;
 
-    // Use period from Firestore if available, otherwise use config
-    const periodStart = firestoreConfig?.periodStart || NFT_STAKING_CONFIG.STAKING_PERIOD.start;
-    const periodEnd = firestoreConfig?.periodEnd || NFT_STAKING_CONFIG.STAKING_PERIOD.end;
-
-    // Calculate period status based on actual period dates
-    const nowDate = new Date();
-    const startDate = new Date(periodStart + "T00:00:00Z");
-    const endDate = new Date(periodEnd + "T23:59:59Z");
-
-    let periodStatusValue;
-    let periodMessageValue;
-
-    if (nowDate < startDate) {
-      periodStatusValue = "upcoming";
-      periodMessageValue = `Staking opens ${periodStart}`;
-    } else if (nowDate >= startDate && nowDate <= endDate) {
-      periodStatusValue = "open";
-      periodMessageValue = `Staking open until ${periodEnd}`;
-    } else {
-      periodStatusValue = "closed";
-      periodMessageValue = `Staking closed. Claims open until next period.`;
-    }
+    const periodStart = season.start;
+    const periodEnd = season.end;
+    const { status: periodStatusValue, message: periodMessageValue } = getSeasonStatus(season);
 
     const result = {
-      totalPool: NFT_STAKING_CONFIG.TOKEN_POOL,
+      season: {
+        id: season.id,
+        name: season.name,
+        start: season.start,
+        end: season.end,
+        eligibleCollections: season.eligibleCollections,
+        settled: season.settled,
+      },
+      totalPool: season.tokenPool,
       totalEligibleNfts: TOTAL_ELIGIBLE_NFTS,
       totalNftsStaked: totalStaked,
       totalClaimable,
@@ -763,9 +1112,13 @@ await batch.commit();
       totalForfeited,
       currentRewardPerNft: currentRewardPerNft,
       estimatedRewardPerNft: currentRewardPerNft,
+      totalStakedWeight,
+      currentRewardPerWeight,
+      rewardWeights: getSeasonRewardWeights(season),
       stakingEnabled: NFT_STAKING_CONFIG.ENABLED && isFirestoreEnabled,
       durationDays: NFT_STAKING_CONFIG.DURATION_DAYS,
-      feePerNft: NFT_STAKING_CONFIG.STAKE_FEE_PER_NFT,
+      feePerNft: season.feePerNft,
+      feeWallet: NFT_STAKING_CONFIG.FEE_WALLET,
       stakingPeriod: { start: periodStart, end: periodEnd },
       periodStart,
       periodEnd,
@@ -790,38 +1143,48 @@ await batch.commit();
 
     // Get user's NFTs from Helius
     const walletNfts = await this._getWalletNfts(walletAddress);
+    const season = await nftSeasonService.getCurrentSeason();
+    const pool = await this.getPoolStats();
     
-    // Get already staked OR claimable NFT mints (exclude claimed - they can be staked again)
+    // Get staked NFTs, plus NFTs already staked this season (claimed or past-season NFTs can be staked again)
     const stakedSnapshot = await this.db
       .collection(NFT_STAKES_COLLECTION)
       .where("walletAddress", "==", walletAddress)
       .where("status", "in", ["staked", "claimable"])
       .get();
 
-    const stakedMints = new Set(stakedSnapshot.docs.map(d => d.data().nftMint));
+    const stakedMints = new Set(
+      stakedSnapshot.docs
+        .map(d => d.data())
+        .filter(s => s.status === "staked" || (s.seasonId || LEGACY_SEASON_ID) === season.id)
+        .map(s => s.nftMint)
+    );
 
-    // Filter to only our collections and not already staked or claimed
-    const availableNfts = walletNfts
-      .filter(nft => {
-        const groupValue = nft?.grouping?.find(g => g.group_key === "collection")?.group_value;
-        const isValidCollection = Object.values(NFT_STAKING_CONFIG.COLLECTION_ADDRESSES).includes(groupValue);
-        const isNotStaked = !stakedMints.has(nft.id || nft.mint);
-        return isValidCollection && isNotStaked;
-      })
-      .map(nft => ({
+    // Filter to the season's collections and not already staked
+    const eligibleNfts = walletNfts.filter(nft => {
+      const isEligibleCollection = season.eligibleCollections.includes(this._getCollectionId(nft));
+      const isNotStaked = !stakedMints.has(nft.id || nft.mint);
+      return isEligibleCollection && isNotStaked;
+    });
+
+    const availableNfts = [];
+    for (const nft of eligibleNfts) {
+      const { weight, traits, oneOfOne } = await this._getNftRewardWeight(nft, season);
+      // Projected share if this NFT joined the pool now (final reward is set at settlement)
+      const projectedShare = weight / (pool.totalStakedWeight + weight);
+
+      availableNfts.push({
         mint: nft.id || nft.mint,
         name: nft.content?.metadata?.name || "Unknown",
         image: nft.content?.links?.image || nft.content?.metadata?.image || "",
-        collection: (() => {
-          const groupValue = nft?.grouping?.find(g => g.group_key === "collection")?.group_value;
-          for (const [key, addr] of Object.entries(NFT_STAKING_CONFIG.COLLECTION_ADDRESSES)) {
-            if (addr === groupValue) return key;
-          }
-          return "unknown";
-        })(),
-        // Reward will be calculated at claim time
-        estimatedReward: null,
-      }));
+        collection: this._getCollectionId(nft),
+        rewardWeight: weight,
+        rewardTraits: traits,
+        oneOfOne,
+        projectedShare,
+        estimatedReward: projectedShare * pool.totalPool,
+      });
+    }
 
     console.log(`   Found ${availableNfts.length} available NFTs`);
 
@@ -829,121 +1192,371 @@ await batch.commit();
   }
 
   /**
-   * Check if NFT was transferred (for monitoring)
+   * Fetch the DAS ownership state of an NFT
+   * @returns {Promise<Object|null>} { owner, delegate, delegated, frozen } or null if the lookup failed
    */
-  async checkNftTransfer(stakeDoc) {
-    const stakeData = stakeDoc.data();
-    const currentOwner = await this._verifyNftOwnership(
-      stakeData.nftMint,
-      stakeData.originalOwnerAtStake
-    );
+  async _getAssetOwnership(nftMint) {
+    if (!NFT_STAKING_CONFIG.HELIUS_RPC_URL) {
+      throw new NftStakingError("Helius API not configured");
+    }
 
-    if (!currentOwner) {
-      // NFT was transferred - mark as forfeited
-      await stakeDoc.ref.update({
-        status: "forfeited",
-        finalReward: 0,
-        lastCheckedAt: admin.firestore.Timestamp.now(),
-        updatedAt: admin.firestore.Timestamp.now(),
+    try {
+      const response = await fetch(NFT_STAKING_CONFIG.HELIUS_RPC_URL, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          jsonrpc: "2.0",
+          id: "monitor-check",
+          method: "getAsset",
+          params: { id: nftMint },
+        }),
       });
 
-      console.log(`⚠️ NFT ${stakeData.nftMint} transferred - marked as forfeited`);
-      return true; // forfeited
+      const data = await response.json();
+      const ownership = data.result?.ownership;
+      if (data.error || !ownership) {
+        console.error(`❌ Helius getAsset failed for ${nftMint}:`, data.error?.message || "no ownership data");
+        return null;
+      }
+
+      return {
+        owner: ownership.owner || ownership.address || null,
+        delegate: ownership.delegate || null,
+        delegated: ownership.delegated === true,
+        frozen: ownership.frozen === true,
+      };
+    } catch (error) {
+      console.error(`❌ Failed to fetch asset ${nftMint}:`, error.message);
+      return null;
     }
+  }
 
-    return false; // still owned
+  /**
+   * Classify what's wrong with a staked NFT's ownership (pure)
+   * @returns {Array<{ condition: string, reason: string, details: Object }>}
+   *   condition is a MONITOR_POLICY key; reason is shown to the user
+   */
+  _findStakeViolations(ownership, stakerWallet) {
+    const violations = [];
+    const escrowAccounts = NFT_STAKING_CONFIG.MARKETPLACE_ESCROW_ACCOUNTS;
+
+    if (ownership.owner !== stakerWallet) {
+      const marketplace = escrowAccounts[ownership.owner];
+      violations.push(marketplace
+        ? {
+            condition: "escrow",
+            reason: `listed on marketplace (${marketplace} escrow)`,
+            details: { currentOwner: ownership.owner, marketplace },
+          }
+        : {
+            condition: "transferred",
+            reason: "transferred",
+            details: { currentOwner: ownership.owner },
+          });
+    }
+
+    // Self-delegation is fine; any other delegate can move the NFT (marketplace listing)
+    if (ownership.delegate && ownership.delegate !== stakerWallet) {
+      const marketplace = escrowAccounts[ownership.delegate];
+      violations.push({
+        condition: "delegated",
+        reason: marketplace ? `listed on marketplace (${marketplace} delegate)` : "delegated",
+        details: { delegate: ownership.delegate },
+      });
+    }
+
+    if (ownership.frozen) {
+      violations.push({
+        condition: "frozen",
+        reason: "token account frozen",
+        details: { delegate: ownership.delegate },
+      });
+    }
+
+    return violations;
   }
 
   /**
-   * Check all stakes and update status from 'staked' to 'claimable' if period ended
-   * Called by cron job
+   * Monitor policy: env defaults with the Firestore config/nftStaking override
    */
-  async checkAndUpdateStakeStatuses() {
-    console.log("🔄 Checking stake statuses...");
-    
-    // Check if period has ended
-    if (!isStakingPeriodEnded()) {
-      console.log("⏳ Staking period not yet ended, skipping status update");
-      return { updated: 0, message: "Period not ended" };
+  async getMonitorPolicy() {
+    const firestoreConfig = await this.getStakingConfig();
+    return { ...NFT_STAKING_CONFIG.MONITOR_POLICY, ...(firestoreConfig?.monitorPolicy || {}) };
+  }
+
+  /**
+   * Check a staked NFT's ownership and apply the monitor policy
+   * Forfeits on the first "forfeit" violation; otherwise records "flag"
+   * violations on the stake (and clears them once resolved).
+   *
+   * @param {FirebaseFirestore.DocumentSnapshot} stakeDoc
+   * @param {Object} [policy] - From getMonitorPolicy() (fetched if omitted)
+   * @returns {Promise<"forfeited"|"flagged"|"ok"|"error">}
+   */
+  async checkNftTransfer(stakeDoc, policy = null) {
+    const stakeData = stakeDoc.data();
+    const ownership = await this._getAssetOwnership(stakeData.nftMint);
+
+    // Never act on an API error
+    if (!ownership) return "error";
+
+    policy = policy || await this.getMonitorPolicy();
+    const violations = this._findStakeViolations(ownership, stakeData.originalOwnerAtStake || stakeData.walletAddress);
+
+    const toForfeit = violations.find(v => policy[v.condition] === "forfeit");
+    if (toForfeit) {
+      const forfeited = await this.forfeitStake(stakeDoc.ref, {
+        reason: toForfeit.reason,
+        source: "monitor",
+        details: { condition: toForfeit.condition, ...toForfeit.details },
+      });
+      return forfeited ? "forfeited" : "ok";
     }
 
-    // Get all stakes with status 'staked'
+    const flags = violations
+      .filter(v => policy[v.condition] === "flag")
+      .map(v => ({ condition: v.condition, reason: v.reason }));
+    const hadFlags = (stakeData.monitorFlags || []).length > 0;
+
+    if (flags.length > 0 || hadFlags) {
+      const now = admin.firestore.Timestamp.now();
+      await stakeDoc.ref.update({
+        monitorFlags: flags,
+        flagReason: flags.map(f => f.reason).join(", ") || null,
+        flaggedAt: flags.length > 0 ? (stakeData.flaggedAt || now) : null,
+        lastCheckedAt: now,
+      });
+      if (flags.length > 0) {
+        console.log(`🚩 NFT stake ${stakeDoc.id} flagged: ${flags.map(f => f.reason).join(", ")}`);
+      }
+    }
+
+    return flags.length > 0 ? "flagged" : "ok";
+  }
+
+  /**
+   * Monitor sweep: check every staked NFT against the monitor policy
+   * Called by the NFT staking monitor cron.
+   */
+  async sweepStakedNfts() {
     const stakedSnapshot = await this.db
       .collection(NFT_STAKES_COLLECTION)
       .where("status", "==", "staked")
       .get();
 
-    if (stakedSnapshot.empty) {
-      return { updated: 0, message: "No staked NFTs to update" };
+    console.log(`   Found ${stakedSnapshot.size} staked NFTs to check`);
+
+    const policy = await this.getMonitorPolicy();
+    const summary = { checked: stakedSnapshot.size, forfeited: 0, flagged: 0, errors: 0 };
+
+    for (const stakeDoc of stakedSnapshot.docs) {
+      try {
+        const outcome = await this.checkNftTransfer(stakeDoc, policy);
+        if (outcome === "forfeited") summary.forfeited++;
+        if (outcome === "flagged") summary.flagged++;
+        if (outcome === "error") summary.errors++;
+      } catch (error) {
+        summary.errors++;
+        console.error(`   ❌ Error checking stake ${stakeDoc.id}:`, error.message);
+      }
     }
 
-    console.log(`📋 Found ${stakedSnapshot.size} staked NFTs to check`);
+    return summary;
+  }
 
-    const now = admin.firestore.Timestamp.now();
-    let updatedCount = 0;
+  /**
+   * Forfeit a staked NFT and write an audit record, atomically
+   * Keyed by signature + stake when a signature is known, so replayed
+   * webhook deliveries are no-ops.
+   *
+   * @param {FirebaseFirestore.DocumentReference} stakeRef
+   * @param {Object} options
+   * @param {string} options.reason - "transferred", "listed on marketplace", "delegated", "early unstake"
+   * @param {string} options.source - "helius_webhook", "monitor" or "user_unstake"
+   * @param {string} [options.signature] - Transaction that triggered the forfeit
+   * @param {Object} [options.details] - Extra audit fields (event type, counterparty, ...)
+   * @returns {Promise<boolean>} True if this call forfeited the stake
+   */
+  async forfeitStake(stakeRef, { reason, source, signature = null, details = {} }) {
+    const auditCollection = this.db.collection(NFT_STAKE_FORFEITS_COLLECTION);
+    const auditRef = signature
+      ? auditCollection.doc(`${signature}_${stakeRef.id}`)
+      : auditCollection.doc();
 
-    const batch = this.db.batch();
-    for (const doc of stakedSnapshot.docs) {
-      const data = doc.data();
-      const unlockTime = data.unlockAt?.toDate?.()?.getTime() || 0;
-      const currentTime = now.toDate().getTime();
-
-      // Update to claimable if unlock time has passed
-      if (currentTime >= unlockTime) {
-        // Calculate final reward based on current staked count
-        // Get total staked count for reward calculation
-        const allStakedSnapshot = await this.db
-          .collection(NFT_STAKES_COLLECTION)
-          .where("status", "in", ["staked", "claimable"])
-          .get();
-        
-        const totalStaked = allStakedSnapshot.size || 1;
-        const finalReward = NFT_STAKING_CONFIG.TOKEN_POOL / totalStaked;
+    const forfeited = await this.db.runTransaction(async (t) => {
+      const [stakeDoc, auditDoc] = await Promise.all([t.get(stakeRef), t.get(auditRef)]);
+      if (auditDoc.exists) return false; // Replayed delivery
+      if (!stakeDoc.exists || stakeDoc.data().status !== "staked") return false;
 
-        batch.update(doc.ref, {
-          status: "claimable",
-          finalReward: finalReward,
-          updatedAt: now,
+      const stakeData = stakeDoc.data();
+      const now = admin.firestore.Timestamp.now();
+
+      t.update(stakeRef, {
+        status: "forfeited",
+        finalReward: 0,
+        forfeitReason: reason,
+        forfeitSignature: signature,
+        forfeitedAt: now,
+        lastCheckedAt: now,
+        updatedAt: now,
+      });
+      t.set(auditRef, {
+        stakeId: stakeRef.id,
+        nftMint: stakeData.nftMint,
+        walletAddress: stakeData.walletAddress,
+        reason,
+        source,
+        signature,
+        ...details,
+        createdAt: now,
+      });
+      return true;
+    });
+
+    if (forfeited) {
+      console.log(`⚠️ NFT stake ${stakeRef.id} ${reason} - marked as forfeited (${source})`);
+      this.invalidatePoolStatsCache();
+    }
+    return forfeited;
+  }
+
+  /**
+   * Apply an on-chain NFT event (from the Helius webhook) to active stakes
+   * @param {Object} event - From extractStakeEvents() in utils/heliusWebhook.js
+   * @returns {Promise<number>} Number of stakes forfeited
+   */
+  async applyChainActivity(event) {
+    let stakeDocs;
+    if (event.mint) {
+      const snapshot = await this.db
+        .collection(NFT_STAKES_COLLECTION)
+        .where("nftMint", "==", event.mint)
+        .where("status", "==", "staked")
+        .get();
+      stakeDocs = snapshot.docs;
+    } else if (event.kind === "delegation" && event.owner) {
+      // Plain Approve names the token account, not the mint: match the owner's ATAs
+      const snapshot = await this.db
+        .collection(NFT_STAKES_COLLECTION)
+        .where("walletAddress", "==", event.owner)
+        .where("status", "==", "staked")
+        .get();
+      stakeDocs = snapshot.docs.filter((doc) => {
+        try {
+          const ata = getAssociatedTokenAddressSync(
+            new PublicKey(doc.data().nftMint),
+            new PublicKey(event.owner)
+          );
+          return ata.toBase58() === event.tokenAccount;
+        } catch {
+          return false;
+        }
+      });
+    } else {
+      return 0;
+    }
+
+    const policy = stakeDocs.length > 0 ? await this.getMonitorPolicy() : {};
+
+    let forfeitedCount = 0;
+    for (const doc of stakeDocs) {
+      const stakeData = doc.data();
+      // Same owner the monitor checks against (checkNftTransfer)
+      const wallet = stakeData.originalOwnerAtStake || stakeData.walletAddress;
+      let reason = null;
+      let condition = null;
+
+      if (event.kind === "transfer" && event.from === wallet && event.to !== wallet) {
+        reason = "transferred";
+        condition = "transferred";
+      } else if (event.kind === "listing" && (!event.seller || event.seller === wallet)) {
+        reason = "listed on marketplace";
+        condition = "escrow";
+      } else if (event.kind === "delegation" && event.owner === wallet && event.delegate !== wallet) {
+        reason = "delegated";
+        condition = "delegated";
+      }
+
+      if (!reason || policy[condition] === "ignore") continue;
+
+      if (policy[condition] === "flag") {
+        await doc.ref.update({
+          monitorFlags: admin.firestore.FieldValue.arrayUnion({ condition, reason }),
+          flagReason: reason,
+          flaggedAt: stakeData.flaggedAt || admin.firestore.Timestamp.now(),
         });
-        updatedCount++;
+        console.log(`🚩 NFT stake ${doc.id} flagged: ${reason} (${event.signature})`);
+        continue;
       }
+
+      const forfeited = await this.forfeitStake(doc.ref, {
+        reason,
+        source: "helius_webhook",
+        signature: event.signature,
+        details: {
+          eventKind: event.kind,
+          txType: event.txType,
+          counterparty: event.to || event.delegate || event.marketplace || null,
+          eventTimestamp: event.timestamp,
+        },
+      });
+      if (forfeited) forfeitedCount++;
     }
 
-    await batch.commit();
-    console.log(`✅ Updated ${updatedCount} NFTs to claimable status`);
+    return forfeitedCount;
+  }
+
+  /**
+   * Settle every season that has ended but isn't settled yet
+   * Called by cron job (settlement itself lives in nftSettlementService)
+   */
+  async checkAndUpdateStakeStatuses() {
+    console.log("🔄 Checking stake statuses...");
+
+    const { default: nftSettlementService } = await import("./nftSettlementService.js");
+    const result = await nftSettlementService.settleEndedSeasons();
 
-    // If we updated any stakes, also disable staking in Firestore
-    if (updatedCount > 0) {
+    // Nothing open anymore - disable staking until the next season is created
+    const current = await nftSeasonService.getCurrentSeason();
+    if (result.settledSeasons.length > 0 && getSeasonStatus(current).status === "closed") {
       await this.db.collection("config").doc("nftStaking").set({
         stakingEnabled: false,
         periodEndedAt: admin.firestore.Timestamp.now(),
         updatedAt: admin.firestore.Timestamp.now(),
       }, { merge: true });
       console.log(`✅ Disabled NFT staking (period ended)`);
-      
-      // Invalidate cache since stakes were updated
-      this.invalidatePoolStatsCache();
     }
 
-    return { updated: updatedCount, message: `Updated ${updatedCount} NFTs to claimable, staking disabled` };
+    return result;
   }
 
   /**
-   * Enable NFT staking (for new period)
+   * Enable NFT staking for a new season
+   * Creates the season (earlier seasons are kept) and clears the disabled flag.
+   *
+   * @param {string} newPeriodStart - YYYY-MM-DD
+   * @param {string} newPeriodEnd - YYYY-MM-DD
+   * @param {Object} [seasonOptions] - name, tokenPool, eligibleCollections, feePerNft
+   * @param {string} [createdBy] - Admin uid
    */
-  async enableStaking(newPeriodStart, newPeriodEnd) {
+  async enableStaking(newPeriodStart, newPeriodEnd, seasonOptions = {}, createdBy = null) {
     const now = admin.firestore.Timestamp.now();
-    
+
+    const season = await nftSeasonService.createSeason(
+      { ...seasonOptions, start: newPeriodStart, end: newPeriodEnd },
+      createdBy
+    );
+
     await this.db.collection("config").doc("nftStaking").set({
       stakingEnabled: true,
-      periodStart: newPeriodStart,
-      periodEnd: newPeriodEnd,
+      currentSeasonId: season.id,
       enabledAt: now,
       updatedAt: now,
     }, { merge: true });
-    
-    console.log(`✅ Enabled NFT staking for period ${newPeriodStart} - ${newPeriodEnd}`);
-    return { success: true, message: `Staking enabled for ${newPeriodStart} - ${newPeriodEnd}` };
+
+    this.invalidatePoolStatsCache();
+    console.log(`✅ Enabled NFT staking for season ${season.id}: ${newPeriodStart} - ${newPeriodEnd}`);
+    return { success: true, season, message: `Staking enabled for ${newPeriodStart} - ${newPeriodEnd}` };
   }
 
   /**
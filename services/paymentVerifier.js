@@ -0,0 +1,369 @@
+import admin from "firebase-admin";
+import { Connection } from "@solana/web3.js";
+
+/**
+ * Payment Verifier
+ *
+ * One place to check that a user-submitted signature really paid what an
+ * operation requires (SOL or SPL, legacy or versioned transactions), and one
+ * registry of used signatures so a single payment can only ever unlock one
+ * operation - whether that's a stake, claim, withdrawal or revenue claim.
+ */
+
+// Configuration Constants
+const USED_SIGNATURES_COLLECTION = "used_signatures";
+const DEFAULT_MAX_AGE_SECONDS = 60 * 60; // Payments older than 1 hour are rejected
+const FETCH_RETRIES = 3; // Retry 2s, 4s, 6s while the RPC catches up
+const SYSTEM_PROGRAM_ID = "11111111111111111111111111111111";
+
+// Stores that recorded used signatures before the registry existed
+const LEGACY_SIGNATURE_STORES = [
+  { collection: "usedWithdrawalFees", docId: true, operation: "withdraw" },
+  { collection: "staking_transactions", field: "fee_tx", operation: "staking" },
+  { collection: "revenueDistributionClaims", field: "feeTx", operation: "revenue_claim" },
+];
+
+class PaymentVerificationError extends Error {
+  constructor(message, code = 400) {
+    super(message);
+    this.name = "PaymentVerificationError";
+    this.code = code;
+  }
+}
+
+class PaymentVerifier {
+  constructor() {
+    this._db = null;
+    this._connection = null;
+  }
+
+  get db() {
+    if (!this._db) {
+      this._db = admin.firestore();
+    }
+    return this._db;
+  }
+
+  get connection() {
+    if (!this._connection) {
+      const heliusApiKey = process.env.HELIUS_API_KEY;
+      const rpcUrl =
+        process.env.SOLANA_RPC_URL ||
+        (heliusApiKey
+          ? `https://mainnet.helius-rpc.com/?api-key=${heliusApiKey}`
+          : "https://api.mainnet-beta.solana.com");
+      this._connection = new Connection(rpcUrl, "confirmed");
+    }
+    return this._connection;
+  }
+
+  /**
+   * Verify an on-chain payment
+   *
+   * SOL payments match system transfers (top-level and inner instructions)
+   * from payer to recipient, falling back to the recipient's balance delta.
+   * SPL payments compare the token balance change of the recipient (owner)
+   * for the given mint, so they work whatever instruction moved the tokens.
+   *
+   * @param {string} signature - Transaction signature
+   * @param {Object} expected
+   * @param {string} expected.recipient - Wallet that must receive the payment
+   * @param {string} [expected.payer] - Wallet that must have sent it
+   * @param {number} [expected.minLamports] - SOL: minimum lamports received
+   * @param {number} [expected.maxLamports] - SOL: maximum lamports received (defaults to no cap)
+   * @param {string} [expected.mint] - SPL: token mint (switches to token verification)
+   * @param {number} [expected.minTokenAmount] - SPL: minimum tokens received (whole tokens)
+   * @param {number} [expected.maxTokenAmount] - SPL: maximum tokens received (whole tokens)
+   * @param {number} [expected.maxAgeSeconds=3600] - Reject payments older than this
+   * @returns {Promise<Object>} { valid, error?, lamports?, tokenAmount?, blockTime, slot }
+   */
+  async verifyPayment(signature, expected) {
+    const {
+      recipient,
+      payer,
+      mint,
+      maxAgeSeconds = DEFAULT_MAX_AGE_SECONDS,
+    } = expected;
+
+    console.log(`🔍 [Payment Verifier] Verifying ${signature}`);
+
+    if (!signature || !recipient) {
+      return { valid: false, error: "Signature and recipient are required" };
+    }
+
+    let tx;
+    try {
+      tx = await this._fetchTransaction(signature);
+    } catch (error) {
+      console.error(`❌ [Payment Verifier] RPC error:`, error.message);
+      return { valid: false, error: `Failed to load transaction: ${error.message}` };
+    }
+
+    if (!tx) {
+      return { valid: false, error: "Transaction not found" };
+    }
+    if (!tx.meta || tx.meta.err) {
+      return { valid: false, error: "Transaction failed on-chain" };
+    }
+
+    if (tx.blockTime && maxAgeSeconds) {
+      const ageSeconds = Math.floor(Date.now() / 1000) - tx.blockTime;
+      if (ageSeconds > maxAgeSeconds) {
+        return {
+          valid: false,
+          error: `Payment is too old (${ageSeconds}s, max ${maxAgeSeconds}s)`,
+        };
+      }
+    }
+
+    const accountKeys = tx.transaction.message.accountKeys.map((key) =>
+      (key.pubkey || key).toString(),
+    );
+
+    if (payer) {
+      const payerIndex = accountKeys.indexOf(payer);
+      const payerKey = tx.transaction.message.accountKeys[payerIndex];
+      if (payerIndex === -1 || payerKey?.signer === false) {
+        return { valid: false, error: "Payer did not sign the transaction" };
+      }
+    }
+
+    const result = mint
+      ? this._checkTokenPayment(tx, accountKeys, expected)
+      : this._checkSolPayment(tx, accountKeys, expected);
+
+    const summary = { ...result, blockTime: tx.blockTime, slot: tx.slot };
+    if (summary.valid) {
+      console.log(`✅ [Payment Verifier] ${signature} verified`);
+    } else {
+      console.error(`❌ [Payment Verifier] ${signature}: ${summary.error}`);
+    }
+    return summary;
+  }
+
+  async _fetchTransaction(signature) {
+    for (let attempt = 0; attempt <= FETCH_RETRIES; attempt++) {
+      let tx = await this.connection.getParsedTransaction(signature, {
+        commitment: "confirmed",
+        maxSupportedTransactionVersion: 0,
+      });
+
+      if (!tx && attempt === 0) {
+        tx = await this.connection.getParsedTransaction(signature, {
+          commitment: "finalized",
+          maxSupportedTransactionVersion: 0,
+        });
+      }
+
+      if (tx) return tx;
+
+      if (attempt < FETCH_RETRIES) {
+        const delay = 2000 * (attempt + 1);
+        console.log(
+          `   Transaction not found yet, waiting ${delay}ms before retry...`,
+        );
+        await new Promise((resolve) => setTimeout(resolve, delay));
+      }
+    }
+    return null;
+  }
+
+  _checkSolPayment(tx, accountKeys, { recipient, payer, minLamports = 0, maxLamports = Infinity }) {
+    const instructions = [
+      ...tx.transaction.message.instructions,
+      ...(tx.meta.innerInstructions || []).flatMap((inner) => inner.instructions),
+    ];
+
+    // Sum every matching system transfer (covers split payments and CPIs)
+    let lamports = 0;
+    for (const ix of instructions) {
+      const isSystemTransfer =
+        (ix.program === "system" || ix.programId?.toString() === SYSTEM_PROGRAM_ID) &&
+        ix.parsed?.type === "transfer";
+      if (!isSystemTransfer) continue;
+
+      const info = ix.parsed.info;
+      if (info.destination !== recipient) continue;
+      if (payer && info.source !== payer) continue;
+      lamports += info.lamports;
+    }
+
+    // Fallback: balance delta (e.g. instructions the RPC couldn't parse)
+    if (lamports === 0) {
+      const recipientIndex = accountKeys.indexOf(recipient);
+      if (recipientIndex >= 0) {
+        lamports = Math.max(
+          0,
+          tx.meta.postBalances[recipientIndex] - tx.meta.preBalances[recipientIndex],
+        );
+      }
+
+      // The payer's own balance must have dropped by at least what was received
+      if (lamports > 0 && payer) {
+        const payerIndex = accountKeys.indexOf(payer);
+        const spent =
+          payerIndex >= 0
+            ? tx.meta.preBalances[payerIndex] - tx.meta.postBalances[payerIndex]
+            : 0;
+        if (spent < lamports) {
+          return { valid: false, error: "SOL was not sent by the payer", lamports: 0 };
+        }
+      }
+    }
+
+    if (lamports === 0) {
+      return { valid: false, error: "No SOL transfer to recipient found", lamports };
+    }
+    if (lamports < minLamports) {
+      return {
+        valid: false,
+        error: `Payment too low: ${lamports} lamports, required ${minLamports}`,
+        lamports,
+      };
+    }
+    if (lamports > maxLamports) {
+      return {
+        valid: false,
+        error: `Payment too high: ${lamports} lamports, expected at most ${maxLamports}`,
+        lamports,
+      };
+    }
+    return { valid: true, lamports };
+  }
+
+  _checkTokenPayment(tx, accountKeys, { recipient, payer, mint, minTokenAmount = 0, maxTokenAmount }) {
+    // Net raw-amount change per owner for this mint
+    const deltas = new Map();
+    let decimals = null;
+    const apply = (balances, sign) => {
+      for (const balance of balances || []) {
+        if (balance.mint !== mint) continue;
+        decimals = balance.uiTokenAmount.decimals;
+        const owner = balance.owner || accountKeys[balance.accountIndex];
+        const raw = BigInt(balance.uiTokenAmount.amount);
+        deltas.set(owner, (deltas.get(owner) || 0n) + sign * raw);
+      }
+    };
+    apply(tx.meta.preTokenBalances, -1n);
+    apply(tx.meta.postTokenBalances, 1n);
+
+    const received = deltas.get(recipient) || 0n;
+    if (received <= 0n || decimals === null) {
+      return { valid: false, error: "No token transfer to recipient found" };
+    }
+    if (payer && (deltas.get(payer) || 0n) > -received) {
+      return { valid: false, error: "Tokens were not sent by the payer" };
+    }
+
+    const toRaw = (amount) => BigInt(Math.round(amount * 10 ** decimals));
+    const tokenAmount = Number(received) / 10 ** decimals;
+
+    if (received < toRaw(minTokenAmount)) {
+      return {
+        valid: false,
+        error: `Payment too low: ${tokenAmount} tokens, required ${minTokenAmount}`,
+        tokenAmount,
+      };
+    }
+    if (maxTokenAmount !== undefined && received > toRaw(maxTokenAmount)) {
+      return {
+        valid: false,
+        error: `Payment too high: ${tokenAmount} tokens, expected at most ${maxTokenAmount}`,
+        tokenAmount,
+      };
+    }
+    return { valid: true, tokenAmount };
+  }
+
+  /**
+   * Find where a signature has already been used
+   * Checks the registry first, then the pre-registry stores.
+   *
+   * @returns {Promise<Object|null>} { operation, source } or null if unused
+   */
+  async findSignatureUse(signature) {
+    const registered = await this.db
+      .collection(USED_SIGNATURES_COLLECTION)
+      .doc(signature)
+      .get();
+    if (registered.exists) {
+      return { operation: registered.data().operation, source: USED_SIGNATURES_COLLECTION };
+    }
+
+    for (const store of LEGACY_SIGNATURE_STORES) {
+      const used = store.docId
+        ? (await this.db.collection(store.collection).doc(signature).get()).exists
+        : !(
+            await this.db
+              .collection(store.collection)
+              .where(store.field, "==", signature)
+              .limit(1)
+              .get()
+          ).empty;
+      if (used) {
+        return { operation: store.operation, source: store.collection };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Throw if a signature has already unlocked any operation
+   * @throws {PaymentVerificationError}
+   */
+  async assertSignatureUnused(signature) {
+    const use = await this.findSignatureUse(signature);
+    if (use) {
+      console.error(
+        `❌ [Payment Verifier] ${signature} already used for ${use.operation} (${use.source})`,
+      );
+      throw new PaymentVerificationError("Payment transaction already used");
+    }
+  }
+
+  /**
+   * Register a signature as used (standalone write)
+   * @param {string} signature
+   * @param {Object} usage - { operation, userId, ...details }
+   * @throws {PaymentVerificationError} If another operation registered it first
+   */
+  async registerSignature(signature, usage) {
+    try {
+      await this.db
+        .collection(USED_SIGNATURES_COLLECTION)
+        .doc(signature)
+        .create(this._usageRecord(usage));
+    } catch (error) {
+      if (error.code === 6) {
+        // gRPC ALREADY_EXISTS
+        throw new PaymentVerificationError("Payment transaction already used");
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Register a signature as used inside the caller's transaction, so the
+   * registration commits (or fails) together with the operation it pays for.
+   * create() fails the whole transaction if the signature is already registered.
+   */
+  registerSignatureInTransaction(t, signature, usage) {
+    t.create(
+      this.db.collection(USED_SIGNATURES_COLLECTION).doc(signature),
+      this._usageRecord(usage),
+    );
+  }
+
+  _usageRecord({ operation, userId = null, ...details }) {
+    return {
+      operation,
+      user_id: userId,
+      ...details,
+      used_at: admin.firestore.Timestamp.now(),
+    };
+  }
+}
+
+export const paymentVerifier = new PaymentVerifier();
+export { PaymentVerificationError, USED_SIGNATURES_COLLECTION };
@@ -0,0 +1,648 @@
+import admin from "firebase-admin";
+import bs58 from "bs58";
+import {
+  Connection,
+  Keypair,
+  PublicKey,
+  SendTransactionError,
+  SystemProgram,
+  Transaction,
+} from "@solana/web3.js";
+import {
+  getAssociatedTokenAddress,
+  createAssociatedTokenAccountIdempotentInstruction,
+  createTransferInstruction,
+} from "@solana/spl-token";
+import revenueAllocationService, {
+  RevenueAllocationError,
+  MANIFESTS_COLLECTION,
+  ALLOCATIONS_COLLECTION,
+} from "./revenueAllocationService.js";
+import revenueRolloverService from "./revenueRolloverService.js";
+import { toAllocationLeaf, hashAllocationLeaf } from "../utils/revenueAllocationEngine.js";
+import { verifyMerkleProof } from "../utils/merkleTree.js";
+
+/**
+ * Revenue Distribution Airdrop (push mode)
+ *
+ * Instead of each holder claiming (and paying the claim fee plus token
+ * account creation), the gatekeeper wallet sends a published distribution's
+ * allocations itself, a few recipients per transaction, creating token
+ * accounts as needed.
+ *
+ * Batch lifecycle (revenueAirdropBatches):
+ *   PENDING   - allocations reserved ("airdropping"), nothing broadcast
+ *   SENT      - signed; signature and blockhash recorded before broadcast
+ *   CONFIRMED - landed; allocations marked claimed with the batch signature (terminal)
+ *   FAILED    - can't land (rejected, failed on-chain or blockhash expired);
+ *               allocations released back to pending (terminal)
+ *
+ * A run resolves earlier runs' PENDING/SENT batches before sending anything
+ * new, so an interrupted run is resumed by starting it again: a SENT batch is
+ * only released once its blockhash has expired without it landing, so nothing
+ * is paid twice. Starting push mode closes the distribution to claims; an
+ * allocation the airdrop can't pay (proof mismatch, new wallet below the rent
+ * exempt minimum, repeated failures) is handed back to claim mode.
+ *
+ * Claims and the airdrop both reserve an allocation in a transaction
+ * ("claiming" / "airdropping") before sending anything, so only one of them
+ * can pay it. Allocations whose claim payout is pending recovery are never
+ * airdropped: that payout may still land.
+ */
+
+const AIRDROPS_COLLECTION = "revenueAirdrops";
+const AIRDROP_BATCHES_COLLECTION = "revenueAirdropBatches";
+const CLAIMS_COLLECTION = "revenueDistributionClaims";
+const RECIPIENTS_PER_TX = 4; // 2 ATA creations + 3 transfers each; 4 stays under the 1232-byte tx limit
+const RUN_LEASE_MS = 10 * 60 * 1000;
+const MAX_RECIPIENT_ATTEMPTS = 3;
+const MAX_CONSECUTIVE_FAILURES = 3;
+const TOKEN_ACCOUNT_RENT_SOL = 0.00204; // Rent-exempt minimum of a token account
+const SOL_FEE_BUFFER = 0.01;
+const OUTSTANDING_STATUSES = ["PENDING", "SENT"];
+
+class RevenueAirdropService {
+  constructor() {
+    this._db = null;
+    this._connection = null;
+  }
+
+  get db() {
+    if (!this._db) {
+      this._db = admin.firestore();
+    }
+    return this._db;
+  }
+
+  get connection() {
+    if (!this._connection) {
+      this._connection = new Connection(
+        process.env.HELIUS_MAINNET_RPC_URL || process.env.SOLANA_RPC_URL,
+        "confirmed",
+      );
+    }
+    return this._connection;
+  }
+
+  /**
+   * Switch a published distribution to push mode and take the run lease
+   * Also resumes an interrupted run. Follow with processRun().
+   * @param {string} distributionId
+   * @param {string} actor - Who started it
+   */
+  async startRun(distributionId, actor) {
+    const runRef = this.db.collection(AIRDROPS_COLLECTION).doc(distributionId);
+    const manifestRef = this.db.collection(MANIFESTS_COLLECTION).doc(distributionId);
+
+    const run = await this.db.runTransaction(async (t) => {
+      const [runDoc, headerDoc] = await t.getAll(runRef, manifestRef);
+      const header = headerDoc.data();
+      if (!header || header.status !== "written") {
+        throw new RevenueAllocationError(`Distribution ${distributionId} is not published`, 409);
+      }
+      if (!header.merkleRoot) {
+        throw new RevenueAllocationError("Push mode needs a distribution with a published Merkle root", 409);
+      }
+
+      const current = runDoc.data();
+      const now = admin.firestore.Timestamp.now();
+      if (current?.status === "completed") {
+        throw new RevenueAllocationError(`Airdrop for ${distributionId} has already completed`, 409);
+      }
+      if ((current?.lockedUntil?.toMillis() || 0) > now.toMillis()) {
+        throw new RevenueAllocationError(`Airdrop for ${distributionId} is already running`, 409);
+      }
+
+      const next = {
+        distributionId,
+        status: "running",
+        startedAt: current?.startedAt || now,
+        startedBy: current?.startedBy || actor,
+        resumedAt: current ? now : null,
+        lockedUntil: admin.firestore.Timestamp.fromMillis(now.toMillis() + RUN_LEASE_MS),
+        paid: current?.paid || { recipients: 0, amountSol: 0, amountEmpire: 0, amountMkin: 0 },
+        handedBack: current?.handedBack || 0,
+        lastError: null,
+        updatedAt: now,
+      };
+      t.set(runRef, next);
+      if (header.payoutMode !== "push") {
+        t.update(manifestRef, { payoutMode: "push" });
+      }
+      return next;
+    });
+
+    console.log(`📦 Airdrop for ${distributionId} ${run.resumedAt ? "resumed" : "started"} by ${actor}`);
+    return this._view(run);
+  }
+
+  /**
+   * Send every pending allocation of a distribution (holds the lease from startRun())
+   * @param {string} distributionId
+   * @param {Object} config - Route CONFIG (EMPIRE_MINT, MKIN_MINT)
+   */
+  async processRun(distributionId, config) {
+    const runRef = this.db.collection(AIRDROPS_COLLECTION).doc(distributionId);
+
+    try {
+      const context = await this._context(config);
+      await this._resolveOutstanding(distributionId, context);
+
+      const recipients = await this._payableAllocations(distributionId, context);
+      await this._checkBalances(recipients, context);
+
+      let consecutiveFailures = 0;
+      for (let i = 0; i < recipients.length; i += RECIPIENTS_PER_TX) {
+        await runRef.update({
+          lockedUntil: admin.firestore.Timestamp.fromMillis(Date.now() + RUN_LEASE_MS),
+          updatedAt: admin.firestore.Timestamp.now(),
+        });
+
+        const outcome = await this._sendBatch(distributionId, recipients.slice(i, i + RECIPIENTS_PER_TX), context);
+        consecutiveFailures = outcome === "failed" ? consecutiveFailures + 1 : 0;
+        if (consecutiveFailures >= MAX_CONSECUTIVE_FAILURES) {
+          throw new Error(`${MAX_CONSECUTIVE_FAILURES} batches failed in a row; pausing`);
+        }
+      }
+
+      // Batches whose confirmation timed out above
+      const outstanding = await this._resolveOutstanding(distributionId, context);
+      const remaining = (await this._payableAllocations(distributionId, context, { dryRun: true })).length;
+      const status = outstanding === 0 && remaining === 0 ? "completed" : "paused";
+      await runRef.update({
+        status,
+        lockedUntil: null,
+        updatedAt: admin.firestore.Timestamp.now(),
+        ...(status === "paused" ? { lastError: `${outstanding} batch(es) unconfirmed, ${remaining} allocation(s) unpaid; run again to resume` } : {}),
+      });
+      await this._notify(distributionId, status === "completed" ? "INFO" : "WARNING");
+      return this.getRun(distributionId);
+    } catch (error) {
+      console.error(`❌ Airdrop ${distributionId} paused:`, error.message);
+      await runRef.update({
+        status: "paused",
+        lockedUntil: null,
+        lastError: error.message,
+        updatedAt: admin.firestore.Timestamp.now(),
+      });
+      await this._notify(distributionId, "ERROR");
+      throw error;
+    }
+  }
+
+  /**
+   * Run status with batch counts
+   */
+  async getRun(distributionId) {
+    const runDoc = await this.db.collection(AIRDROPS_COLLECTION).doc(distributionId).get();
+    if (!runDoc.exists) {
+      throw new RevenueAllocationError(`No airdrop for ${distributionId}`, 404);
+    }
+
+    const batches = await this.db
+      .collection(AIRDROP_BATCHES_COLLECTION)
+      .where("distributionId", "==", distributionId)
+      .get();
+    const batchCounts = { PENDING: 0, SENT: 0, CONFIRMED: 0, FAILED: 0 };
+    batches.forEach((doc) => {
+      batchCounts[doc.data().status]++;
+    });
+    return { ...this._view(runDoc.data()), batches: batchCounts };
+  }
+
+  /**
+   * Per-recipient payouts of a distribution's airdrop, in send order
+   */
+  async getBatches(distributionId) {
+    const batches = await this.db
+      .collection(AIRDROP_BATCHES_COLLECTION)
+      .where("distributionId", "==", distributionId)
+      .get();
+    return batches.docs
+      .map((doc) => {
+        const batch = doc.data();
+        return {
+          id: doc.id,
+          status: batch.status,
+          signature: batch.signature,
+          error: batch.error,
+          recipients: batch.recipients.map(({ allocationId, walletAddress, amountSol, amountEmpire, amountMkin }) => ({
+            allocationId,
+            walletAddress,
+            amountSol,
+            amountEmpire,
+            amountMkin,
+          })),
+          createdAt: batch.createdAt.toDate().toISOString(),
+        };
+      })
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  async _context(config) {
+    const gatekeeperKey = process.env.GATEKEEPER_KEYPAIR;
+    if (!gatekeeperKey) {
+      throw new Error("GATEKEEPER_KEYPAIR not configured");
+    }
+    const gatekeeper = Keypair.fromSecretKey(new Uint8Array(JSON.parse(gatekeeperKey)));
+    const empireMint = new PublicKey(config.EMPIRE_MINT);
+    const mkinMint = new PublicKey(config.MKIN_MINT);
+
+    return {
+      gatekeeper,
+      empireMint,
+      mkinMint,
+      gatekeeperEmpireAta: await getAssociatedTokenAddress(empireMint, gatekeeper.publicKey),
+      gatekeeperMkinAta: await getAssociatedTokenAddress(mkinMint, gatekeeper.publicKey),
+      rentExemptLamports: await this.connection.getMinimumBalanceForRentExemption(0),
+    };
+  }
+
+  /**
+   * Pending allocations the airdrop can pay, with their base-unit amounts
+   * Allocations it can't pay are handed back to claim mode (unless dryRun).
+   */
+  async _payableAllocations(distributionId, context, { dryRun = false } = {}) {
+    const published = await revenueAllocationService.getPublishedRoot(distributionId);
+    const snapshot = await this.db
+      .collection(ALLOCATIONS_COLLECTION)
+      .where("distributionId", "==", distributionId)
+      .get();
+    const owed = await revenueRolloverService.getPendingRecoveryUsers(distributionId);
+
+    const candidates = [];
+    const handBack = [];
+    for (const doc of snapshot.docs) {
+      const allocation = doc.data();
+      if (allocation.status !== "pending" || allocation.payoutMode === "claim") continue;
+      // Expired allocations are left for the rollover
+      if (allocation.expiresAt && allocation.expiresAt.toMillis() <= Date.now()) continue;
+      // A failed claim payout for it may still land
+      if (owed.has(allocation.userId)) continue;
+
+      const leaf = toAllocationLeaf(allocation);
+      if ((allocation.airdropAttempts || 0) >= MAX_RECIPIENT_ATTEMPTS) {
+        handBack.push([doc.ref, "send_failed"]);
+      } else if (!verifyMerkleProof(hashAllocationLeaf(leaf), allocation.merkleProof || [], published.merkleRoot)) {
+        handBack.push([doc.ref, "merkle_mismatch"]);
+      } else {
+        candidates.push({ ref: doc.ref, allocation, leaf });
+      }
+    }
+
+    // A SOL transfer can't fund a brand new wallet below the rent-exempt minimum
+    const payable = [];
+    for (let i = 0; i < candidates.length; i += 100) {
+      const chunk = candidates.slice(i, i + 100);
+      const accounts = await this.connection.getMultipleAccountsInfo(
+        chunk.map(({ allocation }) => new PublicKey(allocation.walletAddress)),
+      );
+      chunk.forEach((candidate, index) => {
+        const { sol } = candidate.leaf;
+        if (!accounts[index] && sol > 0 && sol < context.rentExemptLamports) {
+          handBack.push([candidate.ref, "below_rent_exempt_minimum"]);
+        } else {
+          payable.push(candidate);
+        }
+      });
+    }
+
+    if (!dryRun && handBack.length > 0) {
+      await this._handBack(distributionId, handBack);
+    }
+    return payable;
+  }
+
+  async _handBack(distributionId, entries) {
+    for (let i = 0; i < entries.length; i += 500) {
+      const batch = this.db.batch();
+      entries.slice(i, i + 500).forEach(([ref, reason]) => {
+        batch.update(ref, { payoutMode: "claim", airdropSkipped: reason });
+      });
+      await batch.commit();
+    }
+    await this.db
+      .collection(AIRDROPS_COLLECTION)
+      .doc(distributionId)
+      .update({ handedBack: admin.firestore.FieldValue.increment(entries.length) });
+    console.log(`↩️ Airdrop ${distributionId}: ${entries.length} allocation(s) handed back to claim mode`);
+  }
+
+  async _checkBalances(recipients, context) {
+    const needed = { sol: 0, empire: 0, mkin: 0, tokenAccounts: 0 };
+    for (const { leaf } of recipients) {
+      needed.sol += leaf.sol;
+      needed.empire += leaf.empire;
+      needed.mkin += leaf.mkin;
+      needed.tokenAccounts += (leaf.empire > 0 ? 1 : 0) + (leaf.mkin > 0 ? 1 : 0);
+    }
+    if (recipients.length === 0) return;
+
+    // Worst case: every recipient needs new token accounts
+    const neededLamports =
+      needed.sol + Math.round((needed.tokenAccounts * TOKEN_ACCOUNT_RENT_SOL + SOL_FEE_BUFFER) * 1e9);
+    const lamports = await this.connection.getBalance(context.gatekeeper.publicKey);
+    if (lamports < neededLamports) {
+      throw new Error(`Insufficient gatekeeper SOL: has ${lamports / 1e9}, needs up to ${neededLamports / 1e9}`);
+    }
+
+    for (const [token, ata] of [["empire", context.gatekeeperEmpireAta], ["mkin", context.gatekeeperMkinAta]]) {
+      if (needed[token] === 0) continue;
+      const balance = await this.connection.getTokenAccountBalance(ata);
+      if (BigInt(balance.value.amount) < BigInt(needed[token])) {
+        throw new Error(
+          `Insufficient gatekeeper ${token.toUpperCase()}: has ${balance.value.amount}, needs ${needed[token]} base units`,
+        );
+      }
+    }
+  }
+
+  /**
+   * Reserve, send and confirm one multi-recipient transaction
+   * @returns {Promise<"confirmed"|"failed"|"unconfirmed"|"empty">}
+   */
+  async _sendBatch(distributionId, candidates, context) {
+    const batchRef = this.db.collection(AIRDROP_BATCHES_COLLECTION).doc();
+
+    // Reserve: claims and rollovers only act on "pending" allocations
+    const recipients = await this.db.runTransaction(async (t) => {
+      const docs = await t.getAll(...candidates.map(({ ref }) => ref));
+      const reserved = [];
+      docs.forEach((doc, index) => {
+        const allocation = doc.data();
+        if (!doc.exists || allocation.status !== "pending" || allocation.payoutMode === "claim") return;
+        const { leaf } = candidates[index];
+        reserved.push({
+          allocationId: doc.id,
+          userId: allocation.userId,
+          walletAddress: allocation.walletAddress,
+          nftCount: allocation.nftCount ?? null,
+          weight: allocation.weight ?? null,
+          amountSol: allocation.amountSol || 0,
+          amountEmpire: allocation.amountEmpire || 0,
+          amountMkin: allocation.amountMkin || 0,
+          baseUnits: { sol: leaf.sol, empire: leaf.empire, mkin: leaf.mkin },
+        });
+        t.update(doc.ref, { status: "airdropping", airdropBatchId: batchRef.id });
+      });
+      if (reserved.length > 0) {
+        t.create(batchRef, {
+          distributionId,
+          recipients: reserved,
+          status: "PENDING",
+          signature: null,
+          blockhash: null,
+          lastValidBlockHeight: null,
+          error: null,
+          createdAt: admin.firestore.Timestamp.now(),
+          updatedAt: admin.firestore.Timestamp.now(),
+        });
+      }
+      return reserved;
+    });
+    if (recipients.length === 0) return "empty";
+
+    let signature;
+    let blockhash;
+    let lastValidBlockHeight;
+    try {
+      const transaction = await this._buildTransaction(recipients, context);
+      ({ blockhash, lastValidBlockHeight } = await this.connection.getLatestBlockhash());
+      transaction.recentBlockhash = blockhash;
+      transaction.feePayer = context.gatekeeper.publicKey;
+      transaction.sign(context.gatekeeper);
+      const raw = transaction.serialize();
+      signature = bs58.encode(transaction.signature);
+
+      // Journal before broadcasting, so a crash can never lose track of a sent transaction
+      await batchRef.update({
+        status: "SENT",
+        signature,
+        blockhash,
+        lastValidBlockHeight,
+        updatedAt: admin.firestore.Timestamp.now(),
+      });
+      await this.connection.sendRawTransaction(raw, { skipPreflight: false, maxRetries: 3 });
+    } catch (error) {
+      // Not journaled, or rejected in preflight: it was never broadcast
+      if (!signature || error instanceof SendTransactionError) {
+        console.error(`❌ Airdrop batch ${batchRef.id} rejected:`, error.message);
+        await this._releaseBatch(batchRef, error.message);
+        return "failed";
+      }
+      console.warn(`⚠️ Airdrop batch ${batchRef.id} send uncertain, resolving later:`, error.message);
+      return "unconfirmed";
+    }
+
+    try {
+      const confirmation = await this.connection.confirmTransaction(
+        { signature, blockhash, lastValidBlockHeight },
+        "confirmed",
+      );
+      if (confirmation.value.err) {
+        await this._releaseBatch(batchRef, `Failed on-chain: ${JSON.stringify(confirmation.value.err)}`);
+        return "failed";
+      }
+    } catch (error) {
+      console.warn(`⚠️ Airdrop batch ${batchRef.id} confirmation timed out, resolving later:`, error.message);
+      return "unconfirmed";
+    }
+
+    await this._confirmBatch(batchRef, signature);
+    return "confirmed";
+  }
+
+  async _buildTransaction(recipients, context) {
+    const { gatekeeper, empireMint, mkinMint, gatekeeperEmpireAta, gatekeeperMkinAta } = context;
+    const transaction = new Transaction();
+
+    for (const { walletAddress, baseUnits } of recipients) {
+      const owner = new PublicKey(walletAddress);
+      for (const [amount, mint, sourceAta] of [
+        [baseUnits.empire, empireMint, gatekeeperEmpireAta],
+        [baseUnits.mkin, mkinMint, gatekeeperMkinAta],
+      ]) {
+        if (amount <= 0) continue;
+        const ata = await getAssociatedTokenAddress(mint, owner);
+        transaction.add(
+          createAssociatedTokenAccountIdempotentInstruction(gatekeeper.publicKey, ata, owner, mint),
+          createTransferInstruction(sourceAta, ata, gatekeeper.publicKey, amount),
+        );
+      }
+      if (baseUnits.sol > 0) {
+        transaction.add(
+          SystemProgram.transfer({
+            fromPubkey: gatekeeper.publicKey,
+            toPubkey: owner,
+            lamports: baseUnits.sol,
+          }),
+        );
+      }
+    }
+    return transaction;
+  }
+
+  /**
+   * Settle earlier runs' unfinished batches
+   * @returns {Promise<number>} batches still in flight (blockhash not yet expired)
+   */
+  async _resolveOutstanding(distributionId) {
+    const snapshot = await this.db
+      .collection(AIRDROP_BATCHES_COLLECTION)
+      .where("distributionId", "==", distributionId)
+      .get();
+    const outstanding = snapshot.docs.filter((doc) => OUTSTANDING_STATUSES.includes(doc.data().status));
+    if (outstanding.length === 0) return 0;
+
+    const blockHeight = await this.connection.getBlockHeight();
+    let inFlight = 0;
+    for (const doc of outstanding) {
+      const batch = doc.data();
+      if (!batch.signature) {
+        await this._releaseBatch(doc.ref, "Never sent");
+        continue;
+      }
+
+      const { value } = await this.connection.getSignatureStatus(batch.signature, {
+        searchTransactionHistory: true,
+      });
+      if (value?.confirmationStatus && !value.err) {
+        await this._confirmBatch(doc.ref, batch.signature);
+      } else if (value?.err) {
+        await this._releaseBatch(doc.ref, `Failed on-chain: ${JSON.stringify(value.err)}`);
+      } else if (blockHeight > batch.lastValidBlockHeight) {
+        await this._releaseBatch(doc.ref, "Blockhash expired before the transaction landed");
+      } else {
+        inFlight++;
+      }
+    }
+    console.log(`🔁 Airdrop ${distributionId}: resolved ${outstanding.length - inFlight} outstanding batch(es), ${inFlight} in flight`);
+    return inFlight;
+  }
+
+  /**
+   * Mark a landed batch's allocations claimed, with the batch signature per recipient
+   */
+  async _confirmBatch(batchRef, signature) {
+    const paid = await this.db.runTransaction(async (t) => {
+      const batch = (await t.get(batchRef)).data();
+      if (batch.status === "CONFIRMED") return null;
+
+      const now = admin.firestore.Timestamp.now();
+      const header = (await t.get(this.db.collection(MANIFESTS_COLLECTION).doc(batch.distributionId))).data();
+      for (const recipient of batch.recipients) {
+        t.update(this.db.collection(ALLOCATIONS_COLLECTION).doc(recipient.allocationId), {
+          status: "claimed",
+          claimedAt: now,
+          payoutTx: signature,
+          payoutMode: "push",
+        });
+        t.set(this.db.collection(CLAIMS_COLLECTION).doc(`airdrop_${recipient.allocationId}`), {
+          distributionId: batch.distributionId,
+          userId: recipient.userId,
+          walletAddress: recipient.walletAddress,
+          amountSol: recipient.amountSol,
+          amountEmpire: recipient.amountEmpire,
+          amountMkin: recipient.amountMkin,
+          nftCount: recipient.nftCount,
+          weight: recipient.weight,
+          feeTx: null,
+          payoutTx: signature,
+          payoutMode: "push",
+          airdropBatchId: batchRef.id,
+          merkleRoot: header?.merkleRoot ?? null,
+          claimedAt: now,
+          status: "completed",
+        });
+        t.set(this.db.collection("transactionHistory").doc(), {
+          userId: recipient.userId,
+          walletAddress: recipient.walletAddress,
+          type: "revenue_airdrop",
+          status: "completed",
+          amount: recipient.amountMkin,
+          description: `Revenue distribution airdropped: ${recipient.amountMkin.toFixed(2)} MKIN, ${recipient.amountEmpire.toFixed(2)} EMPIRE, ${recipient.amountSol.toFixed(6)} SOL`,
+          distributionId: batch.distributionId,
+          amountSol: recipient.amountSol,
+          amountEmpire: recipient.amountEmpire,
+          amountMkin: recipient.amountMkin,
+          payoutSignature: signature,
+          timestamp: now,
+          createdAt: now,
+        });
+      }
+      t.update(batchRef, { status: "CONFIRMED", confirmedAt: now, updatedAt: now });
+      t.update(this.db.collection(AIRDROPS_COLLECTION).doc(batch.distributionId), {
+        "paid.recipients": admin.firestore.FieldValue.increment(batch.recipients.length),
+        "paid.amountSol": admin.firestore.FieldValue.increment(batch.recipients.reduce((sum, r) => sum + r.amountSol, 0)),
+        "paid.amountEmpire": admin.firestore.FieldValue.increment(batch.recipients.reduce((sum, r) => sum + r.amountEmpire, 0)),
+        "paid.amountMkin": admin.firestore.FieldValue.increment(batch.recipients.reduce((sum, r) => sum + r.amountMkin, 0)),
+      });
+      return batch.recipients.length;
+    });
+
+    if (paid) {
+      console.log(`✅ Airdrop batch ${batchRef.id}: ${paid} recipient(s) paid, signature ${signature}`);
+    }
+  }
+
+  /**
+   * Fail a batch that can't land and return its allocations to pending
+   */
+  async _releaseBatch(batchRef, reason) {
+    await this.db.runTransaction(async (t) => {
+      const batch = (await t.get(batchRef)).data();
+      if (!OUTSTANDING_STATUSES.includes(batch.status)) return;
+
+      const refs = batch.recipients.map(({ allocationId }) => this.db.collection(ALLOCATIONS_COLLECTION).doc(allocationId));
+      const docs = await t.getAll(...refs);
+      docs.forEach((doc) => {
+        if (doc.data()?.status !== "airdropping" || doc.data().airdropBatchId !== batchRef.id) return;
+        t.update(doc.ref, {
+          status: "pending",
+          airdropBatchId: null,
+          airdropAttempts: admin.firestore.FieldValue.increment(1),
+          airdropLastError: reason,
+        });
+      });
+      t.update(batchRef, { status: "FAILED", error: reason, updatedAt: admin.firestore.Timestamp.now() });
+    });
+  }
+
+  async _notify(distributionId, level) {
+    try {
+      const { sendDiscordAlert } = await import("../utils/discordAlerts.js");
+      const run = await this.getRun(distributionId);
+      await sendDiscordAlert({
+        level,
+        title: `Revenue airdrop ${run.status}`,
+        message: run.lastError || `Airdrop for ${distributionId} finished.`,
+        action: run.status === "completed" ? undefined : `POST /api/revenue-distribution/airdrops/${distributionId}/run to resume`,
+        details: {
+          Distribution: distributionId,
+          "Recipients paid": run.paid.recipients,
+          SOL: run.paid.amountSol,
+          MKIN: run.paid.amountMkin.toLocaleString(),
+          EMPIRE: run.paid.amountEmpire.toLocaleString(),
+          "Handed back to claims": run.handedBack,
+          Batches: `${run.batches.CONFIRMED} confirmed, ${run.batches.FAILED} failed, ${run.batches.SENT + run.batches.PENDING} outstanding`,
+        },
+      });
+    } catch (error) {
+      console.warn("⚠️ Failed to send airdrop alert:", error.message);
+    }
+  }
+
+  _view(run) {
+    const iso = (timestamp) => (timestamp ? timestamp.toDate().toISOString() : null);
+    return {
+      ...run,
+      startedAt: iso(run.startedAt),
+      resumedAt: iso(run.resumedAt),
+      lockedUntil: iso(run.lockedUntil),
+      updatedAt: iso(run.updatedAt),
+    };
+  }
+}
+
+export default new RevenueAirdropService();
+export { RevenueAirdropService, AIRDROPS_COLLECTION, AIRDROP_BATCHES_COLLECTION };
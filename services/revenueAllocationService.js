@@ -0,0 +1,622 @@
+import admin from "firebase-admin";
+import {
+  REWARD_TIERS,
+  getSolPrice,
+} from "../utils/rewardTierCalculator.js";
+import {
+  MANIFEST_VERSION,
+  ALLOCATION_DECIMALS,
+  canonicalJson,
+  hashSnapshot,
+  toAllocationLeaf,
+  hashAllocationLeaf,
+  buildAllocationMerkleTree,
+  buildAllocationManifest,
+} from "../utils/revenueAllocationEngine.js";
+import { verifyMerkleProof } from "../utils/merkleTree.js";
+
+/**
+ * Revenue Allocation Service
+ *
+ * Runs a monthly revenue distribution in separate steps:
+ * 1. captureSnapshot() freezes the engine inputs (holders, NFT counts,
+ *    leaderboard, prices, tier config)
+ * 2. createManifest() runs the allocation engine on it and stores the
+ *    snapshot (content-addressed by its hash) with the manifest header
+ * 3. writeManifest() writes the manifest's allocation docs for claiming,
+ *    each with its Merkle proof, and publishes the manifest's Merkle root
+ *
+ * Unclaimed amounts of expired allocations are rolled over (see
+ * revenueRolloverService.js) into a pool the next captured snapshot takes in
+ * whole; creating the manifest consumes the pool, dropping it releases it.
+ * Amounts below the configured minimum payout are left out of the manifest
+ * and rolled over when it is written.
+ *
+ * Instead of being claimed, a written distribution can be pushed to holders
+ * by the gatekeeper wallet (see revenueAirdropService.js).
+ *
+ * verifyManifest() re-runs the engine on the stored snapshot and checks it
+ * reproduces the recorded manifest hash. Claims are checked against the
+ * published root (verifyAllocation), and the full leaf set is public
+ * (getLeafSet) so anyone can audit a month.
+ */
+
+const SNAPSHOTS_COLLECTION = "revenueAllocationSnapshots";
+const MANIFESTS_COLLECTION = "revenueAllocationManifests";
+const ALLOCATIONS_COLLECTION = "revenueDistributionAllocations";
+const ROLLOVERS_COLLECTION = "revenueDistributionRollovers";
+const USER_REWARDS_COLLECTION = "userRewards";
+const LEADERBOARD_SIZE = 50; // Top 50 secondary buyers feed the Tier 1-3 calculations
+const WRITE_BATCH_SIZE = 500;
+
+// Round to the token's base units, so summed amounts don't drift
+function roundAmount(amount, token) {
+  const scale = 10 ** ALLOCATION_DECIMALS[token];
+  return Math.round(amount * scale) / scale;
+}
+
+class RevenueAllocationError extends Error {
+  constructor(message, code = 400) {
+    super(message);
+    this.name = "RevenueAllocationError";
+    this.code = code;
+  }
+}
+
+class RevenueAllocationService {
+  constructor() {
+    this._db = null;
+    this._leafSets = new Map(); // distributionId -> leaf set (finalized, immutable)
+  }
+
+  get db() {
+    if (!this._db) {
+      this._db = admin.firestore();
+    }
+    return this._db;
+  }
+
+  /**
+   * Freeze the allocation inputs for a distribution
+   * @param {string} distributionId - e.g. revenue_dist_2026_02
+   * @param {Object} config - Route CONFIG (MIN_NFTS, TOTAL_ROYALTY_POOL_USD, REWARD_TIERS, ...)
+   * @returns {Promise<Object>} snapshot
+   */
+  async captureSnapshot(distributionId, config) {
+    console.log(`📸 Capturing allocation snapshot for ${distributionId}...`);
+
+    const { holders, usersScanned } = await this._loadHolders();
+    const leaderboard = await this._loadLeaderboard();
+    const rollover = await this.getRolloverPool(distributionId);
+    const solUsd = await getSolPrice();
+
+    const minPayout = config.MIN_PAYOUT || {};
+    const hasMinPayout = [minPayout.SOL, minPayout.EMPIRE, minPayout.MKIN].some((min) => min > 0);
+
+    // Engine tier config: calculator defaults overlaid with the route's enabled flags and pools
+    const tiers = Object.fromEntries(
+      Object.entries(REWARD_TIERS).map(([key, tier]) => [
+        key,
+        { ...tier, enabled: true, ...(config.REWARD_TIERS?.[key] || {}) },
+      ]),
+    );
+
+    const snapshot = {
+      version: MANIFEST_VERSION,
+      distributionId,
+      capturedAt: new Date().toISOString(),
+      usersScanned,
+      config: {
+        minNfts: config.MIN_NFTS,
+        totalRoyaltyPoolUsd: config.TOTAL_ROYALTY_POOL_USD,
+        allocationAmountUsd: config.ALLOCATION_AMOUNT_USD,
+        expiryDays: config.EXPIRY_DAYS,
+        // Secondary market verification is disabled (testing mode)
+        secondarySaleCheck: false,
+        tiers,
+        minPayout: hasMinPayout
+          ? { sol: minPayout.SOL || 0, empire: minPayout.EMPIRE || 0, mkin: minPayout.MKIN || 0 }
+          : null,
+      },
+      prices: { solUsd },
+      holders,
+      leaderboard,
+      rollover,
+    };
+
+    console.log(
+      `✅ Snapshot: ${holders.length} holders of ${usersScanned} users, ${leaderboard.length} leaderboard entries, SOL $${solUsd}`,
+    );
+    if (rollover.sources.length > 0) {
+      console.log(
+        `   ♻️ Rollover from ${rollover.sources.map((source) => source.distributionId).join(", ")}: ${rollover.amountSol} SOL, ${rollover.amountMkin} MKIN, ${rollover.amountEmpire} EMPIRE`,
+      );
+    }
+    return snapshot;
+  }
+
+  /**
+   * Users with a wallet and at least one NFT, in userId order (paginated read)
+   */
+  async _loadHolders() {
+    const holders = [];
+    let usersScanned = 0;
+    let lastDoc = null;
+    const pageSize = 100;
+
+    while (true) {
+      let query = this.db
+        .collection(USER_REWARDS_COLLECTION)
+        .where("walletAddress", "!=", null)
+        .orderBy("walletAddress")
+        .limit(pageSize);
+      if (lastDoc) {
+        query = query.startAfter(lastDoc);
+      }
+
+      const snapshot = await query.get();
+      if (snapshot.empty) break;
+
+      snapshot.forEach((doc) => {
+        const data = doc.data();
+        if (!data.walletAddress?.trim()) return;
+        usersScanned++;
+        if ((data.totalRealmkin || 0) > 0) {
+          holders.push({
+            userId: doc.id,
+            walletAddress: data.walletAddress,
+            nftCount: data.totalRealmkin,
+          });
+        }
+      });
+
+      lastDoc = snapshot.docs[snapshot.docs.length - 1];
+      if (snapshot.docs.length < pageSize) break;
+    }
+
+    holders.sort((a, b) => (a.userId < b.userId ? -1 : a.userId > b.userId ? 1 : 0));
+    return { holders, usersScanned };
+  }
+
+  /**
+   * Secondary market leaderboard in rank order
+   */
+  async _loadLeaderboard() {
+    try {
+      const leaderboardModule = await import("../routes/leaderboard.js");
+      const entries = await leaderboardModule.getSecondaryMarketLeaderboardData(LEADERBOARD_SIZE);
+      return entries.map((entry, index) => ({
+        rank: index + 1,
+        userId: entry.userId ?? null,
+        walletAddress: entry.walletAddress,
+        username: entry.username ?? null,
+        purchaseCount: entry.nftCount || entry.purchaseCount || 0,
+      }));
+    } catch (error) {
+      console.warn(`⚠️ Could not fetch secondary market leaderboard: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Rolled-over amounts not yet taken in by a manifest, grouped by source distribution
+   * Rollovers marked consumed by `distributionId` itself are included too: it has
+   * no manifest when a snapshot is captured for it, so that mark is stale.
+   * @returns {Promise<Object>} { sources: [{ distributionId, allocations, amountSol, amountEmpire, amountMkin, rolloverIds }], amountSol, amountEmpire, amountMkin }
+   */
+  async getRolloverPool(distributionId) {
+    const snapshot = await this.db.collection(ROLLOVERS_COLLECTION).where("status", "==", "rolled_over").get();
+
+    const sources = new Map();
+    snapshot.docs
+      .filter((doc) => !doc.data().consumedBy || doc.data().consumedBy === distributionId)
+      .sort((a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0))
+      .forEach((doc) => {
+        const rollover = doc.data();
+        if (!sources.has(rollover.sourceDistributionId)) {
+          sources.set(rollover.sourceDistributionId, {
+            distributionId: rollover.sourceDistributionId,
+            allocations: 0,
+            amountSol: 0,
+            amountEmpire: 0,
+            amountMkin: 0,
+            rolloverIds: [],
+          });
+        }
+        const source = sources.get(rollover.sourceDistributionId);
+        source.allocations += rollover.allocations;
+        source.amountSol = roundAmount(source.amountSol + rollover.amountSol, "sol");
+        source.amountEmpire = roundAmount(source.amountEmpire + rollover.amountEmpire, "empire");
+        source.amountMkin = roundAmount(source.amountMkin + rollover.amountMkin, "mkin");
+        source.rolloverIds.push(doc.id);
+      });
+
+    const pool = {
+      sources: [...sources.values()].sort((a, b) => (a.distributionId < b.distributionId ? -1 : 1)),
+      amountSol: 0,
+      amountEmpire: 0,
+      amountMkin: 0,
+    };
+    for (const source of pool.sources) {
+      pool.amountSol = roundAmount(pool.amountSol + source.amountSol, "sol");
+      pool.amountEmpire = roundAmount(pool.amountEmpire + source.amountEmpire, "empire");
+      pool.amountMkin = roundAmount(pool.amountMkin + source.amountMkin, "mkin");
+    }
+    return pool;
+  }
+
+  /**
+   * Add a rollover to the pool (no-op if `rolloverId` already exists)
+   */
+  async _createRollover(rolloverId, rollover) {
+    try {
+      await this.db.collection(ROLLOVERS_COLLECTION).doc(rolloverId).create({
+        ...rollover,
+        status: "rolled_over",
+        consumedBy: null,
+        consumedAt: null,
+        createdAt: admin.firestore.Timestamp.now(),
+      });
+      console.log(
+        `♻️ Rolled over ${rollover.amountSol} SOL, ${rollover.amountMkin} MKIN, ${rollover.amountEmpire} EMPIRE from ${rollover.sourceDistributionId} (${rollover.reason})`,
+      );
+    } catch (error) {
+      if (error.code !== 6) throw error; // gRPC ALREADY_EXISTS
+    }
+  }
+
+  /**
+   * Return rollovers taken in by a dropped manifest to the pool
+   */
+  async releaseRollovers(distributionId) {
+    const consumed = await this.db.collection(ROLLOVERS_COLLECTION).where("consumedBy", "==", distributionId).get();
+    if (consumed.empty) return;
+
+    const batch = this.db.batch();
+    consumed.docs.forEach((doc) => batch.update(doc.ref, { consumedBy: null, consumedAt: null }));
+    await batch.commit();
+    console.log(`♻️ Released ${consumed.size} rollover(s) held by ${distributionId}`);
+  }
+
+  /**
+   * Capture a snapshot, build its manifest and store both (no allocations written)
+   * @param {Object} [options]
+   * @param {string} [options.draftId] - Approval draft; the manifest can't be written until it's approved
+   * @returns {Promise<{ manifest: Object, manifestHash: string, snapshotHash: string, snapshot: Object }>}
+   */
+  async createManifest(distributionId, config, { draftId = null } = {}) {
+    const manifestRef = this.db.collection(MANIFESTS_COLLECTION).doc(distributionId);
+    if ((await manifestRef.get()).exists) {
+      throw new RevenueAllocationError(`A manifest already exists for ${distributionId}`, 409);
+    }
+
+    const snapshot = await this.captureSnapshot(distributionId, config);
+    const snapshotJson = canonicalJson(snapshot);
+    const { manifest, manifestHash } = buildAllocationManifest(snapshot);
+    const now = admin.firestore.Timestamp.now();
+
+    // The manifest takes in the rollover pool (unless nobody was eligible to receive it)
+    const rolloverRefs =
+      manifest.rollover?.recipients > 0
+        ? snapshot.rollover.sources.flatMap((source) =>
+            source.rolloverIds.map((id) => this.db.collection(ROLLOVERS_COLLECTION).doc(id)),
+          )
+        : [];
+
+    try {
+      await this.db.runTransaction(async (t) => {
+        const rollovers = rolloverRefs.length > 0 ? await t.getAll(...rolloverRefs) : [];
+        for (const doc of rollovers) {
+          const consumedBy = doc.data()?.consumedBy;
+          if (consumedBy && consumedBy !== distributionId) {
+            throw new RevenueAllocationError(`Rollover ${doc.id} was already taken in by ${consumedBy}`, 409);
+          }
+        }
+
+        // Snapshots are kept by content hash, so clearing a manifest never loses its inputs
+        t.set(this.db.collection(SNAPSHOTS_COLLECTION).doc(manifest.snapshotHash), {
+          distributionId,
+          snapshotHash: manifest.snapshotHash,
+          snapshotJson,
+          capturedAt: snapshot.capturedAt,
+        });
+        t.create(manifestRef, {
+          distributionId,
+          version: MANIFEST_VERSION,
+          snapshotHash: manifest.snapshotHash,
+          manifestHash,
+          merkleRoot: manifest.merkleRoot ?? null,
+          eligibleHolders: manifest.eligibleHolders,
+          tierCounts: manifest.tierCounts,
+          totals: manifest.totals,
+          rollover: manifest.rollover
+            ? { ...manifest.rollover, consumed: rolloverRefs.length > 0 }
+            : null,
+          status: "built",
+          draftId,
+          approval: draftId ? "pending" : null,
+          createdAt: now,
+          writtenAt: null,
+        });
+        for (const ref of rolloverRefs) {
+          t.update(ref, { consumedBy: distributionId, consumedAt: now });
+        }
+      });
+    } catch (error) {
+      if (error.code === 6) {
+        // gRPC ALREADY_EXISTS
+        throw new RevenueAllocationError(`A manifest already exists for ${distributionId}`, 409);
+      }
+      throw error;
+    }
+
+    console.log(
+      `🧾 Manifest for ${distributionId}: ${manifest.totals.users} allocations, hash ${manifestHash} (snapshot ${manifest.snapshotHash})`,
+    );
+    return { manifest, manifestHash, snapshotHash: manifest.snapshotHash, snapshot };
+  }
+
+  async getManifestHeader(distributionId) {
+    const doc = await this.db.collection(MANIFESTS_COLLECTION).doc(distributionId).get();
+    return doc.exists ? doc.data() : null;
+  }
+
+  /**
+   * Stored snapshot for a manifest, checked against its hash
+   * @returns {Promise<{ snapshot: Object, snapshotJson: string }>}
+   */
+  async getSnapshot(snapshotHash) {
+    const doc = await this.db.collection(SNAPSHOTS_COLLECTION).doc(snapshotHash).get();
+    if (!doc.exists) {
+      throw new RevenueAllocationError(`Snapshot ${snapshotHash} not found`, 404);
+    }
+
+    const { snapshotJson } = doc.data();
+    const snapshot = JSON.parse(snapshotJson);
+    if (hashSnapshot(snapshot) !== snapshotHash) {
+      throw new RevenueAllocationError(`Snapshot ${snapshotHash} does not match its hash`, 500);
+    }
+    return { snapshot, snapshotJson };
+  }
+
+  /**
+   * Re-run the engine on the stored snapshot
+   * @returns {Promise<{ header: Object, snapshot: Object, manifest: Object, manifestHash: string, matches: boolean }>}
+   */
+  async verifyManifest(distributionId) {
+    const header = await this.getManifestHeader(distributionId);
+    if (!header) {
+      throw new RevenueAllocationError(`No manifest for ${distributionId}`, 404);
+    }
+
+    const { snapshot } = await this.getSnapshot(header.snapshotHash);
+    const { manifest, manifestHash } = buildAllocationManifest(snapshot);
+    return { header, snapshot, manifest, manifestHash, matches: manifestHash === header.manifestHash };
+  }
+
+  /**
+   * Write a stored manifest's allocations for claiming
+   * Rebuilds the manifest from its snapshot and refuses to write if it no
+   * longer reproduces the recorded hash. Doc ids and fields are fixed by the
+   * manifest, so re-running after a partial failure completes the write.
+   */
+  async writeManifest(distributionId) {
+    const { header, snapshot, manifest, manifestHash, matches } = await this.verifyManifest(distributionId);
+    if (!matches) {
+      throw new RevenueAllocationError(
+        `Manifest ${distributionId} does not reproduce (expected ${header.manifestHash}, got ${manifestHash})`,
+        409,
+      );
+    }
+    if (header.status === "written") {
+      throw new RevenueAllocationError(`Manifest ${distributionId} has already been written`, 409);
+    }
+    if (header.draftId && header.approval !== "approved") {
+      throw new RevenueAllocationError(
+        `Manifest ${distributionId} is awaiting approval (draft ${header.draftId})`,
+        409,
+      );
+    }
+
+    const existing = await this.db
+      .collection(ALLOCATIONS_COLLECTION)
+      .where("distributionId", "==", distributionId)
+      .limit(1)
+      .get();
+    if (!existing.empty && existing.docs[0].data().manifestHash !== manifestHash) {
+      throw new RevenueAllocationError(`Allocations from another run already exist for ${distributionId}`, 409);
+    }
+
+    // First write attempt fixes the claim window
+    const manifestRef = this.db.collection(MANIFESTS_COLLECTION).doc(distributionId);
+    const now = header.writeStartedAt || admin.firestore.Timestamp.now();
+    const expiresAt =
+      header.expiresAt ||
+      admin.firestore.Timestamp.fromMillis(
+        now.toMillis() + snapshot.config.expiryDays * 24 * 60 * 60 * 1000,
+      );
+    if (!header.writeStartedAt) {
+      await manifestRef.update({ status: "writing", writeStartedAt: now, expiresAt });
+    }
+
+    const { allocations } = manifest;
+    const tree = manifest.merkleRoot !== undefined ? buildAllocationMerkleTree(allocations) : null;
+    console.log(`💾 Writing ${allocations.length} allocations for ${distributionId}...`);
+
+    for (let i = 0; i < allocations.length; i += WRITE_BATCH_SIZE) {
+      const batch = this.db.batch();
+      allocations.slice(i, i + WRITE_BATCH_SIZE).forEach((user, offset) => {
+        const index = i + offset;
+        const docRef = this.db
+          .collection(ALLOCATIONS_COLLECTION)
+          .doc(`${user.userId}_${distributionId}`);
+        batch.set(docRef, {
+          ...this._allocationDoc(user, distributionId, manifestHash, snapshot.config, now, expiresAt),
+          merkleLeafIndex: tree ? index : null,
+          merkleProof: tree ? tree.proofFor(index) : null,
+        });
+      });
+      await batch.commit();
+      console.log(
+        `   Wrote batch ${Math.floor(i / WRITE_BATCH_SIZE) + 1}/${Math.ceil(allocations.length / WRITE_BATCH_SIZE)}`,
+      );
+    }
+
+    // Amounts below the minimum payout join the rollover pool (fixed id, so a resumed write adds them once)
+    const { belowThreshold } = manifest;
+    if (belowThreshold?.allocations > 0) {
+      await this._createRollover(`threshold_${distributionId}`, {
+        sourceDistributionId: distributionId,
+        reason: "below_threshold",
+        allocations: belowThreshold.allocations,
+        amountSol: roundAmount(belowThreshold.amountSol, "sol"),
+        amountEmpire: roundAmount(belowThreshold.amountEmpire, "empire"),
+        amountMkin: roundAmount(belowThreshold.amountMkin, "mkin"),
+      });
+    }
+
+    // Publishing the root finalizes the distribution; claims are checked against it from here on
+    await manifestRef.update({ status: "written", writtenAt: admin.firestore.Timestamp.now() });
+    console.log(
+      `✅ Stored ${allocations.length} allocations for ${distributionId}${tree ? `, Merkle root ${tree.root}` : ""}`,
+    );
+    return { written: allocations.length, manifestHash, merkleRoot: tree?.root ?? null };
+  }
+
+  /**
+   * Published Merkle root of a finalized distribution
+   * @returns {Promise<Object|null>} { merkleRoot, manifestHash, leafCount }, or null for
+   *   distributions allocated before manifests had Merkle roots
+   */
+  async getPublishedRoot(distributionId) {
+    const header = await this.getManifestHeader(distributionId);
+    if (!header || header.version < 2) {
+      return null;
+    }
+    if (header.status !== "written") {
+      throw new RevenueAllocationError(`Distribution ${distributionId} is not finalized yet`, 409);
+    }
+    return {
+      merkleRoot: header.merkleRoot,
+      manifestHash: header.manifestHash,
+      leafCount: header.totals.users,
+    };
+  }
+
+  /**
+   * Check an allocation doc against its distribution's published root
+   * @returns {Promise<Object>} { published, valid, merkleRoot, leaf, leafHash, leafIndex, proof }
+   *   published = false for pre-Merkle distributions (nothing to check against)
+   */
+  async verifyAllocation(allocation) {
+    const published = await this.getPublishedRoot(allocation.distributionId);
+    const leaf = toAllocationLeaf(allocation);
+    const leafHash = hashAllocationLeaf(leaf);
+    const proof = allocation.merkleProof || [];
+
+    return {
+      published: published !== null,
+      valid: published !== null && verifyMerkleProof(leafHash, proof, published.merkleRoot),
+      merkleRoot: published?.merkleRoot ?? null,
+      leaf,
+      leafHash,
+      leafIndex: allocation.merkleLeafIndex ?? null,
+      proof,
+    };
+  }
+
+  /**
+   * Full leaf set of a finalized distribution (public audit)
+   * Rebuilt from the stored snapshot and checked against the published root.
+   */
+  async getLeafSet(distributionId) {
+    if (this._leafSets.has(distributionId)) {
+      return this._leafSets.get(distributionId);
+    }
+
+    const published = await this.getPublishedRoot(distributionId);
+    if (!published) {
+      throw new RevenueAllocationError(`No published Merkle root for ${distributionId}`, 404);
+    }
+
+    const { manifest, manifestHash, matches } = await this.verifyManifest(distributionId);
+    const tree = buildAllocationMerkleTree(manifest.allocations);
+    if (!matches || tree.root !== published.merkleRoot) {
+      throw new RevenueAllocationError(`Stored snapshot for ${distributionId} does not reproduce its root`, 500);
+    }
+
+    const leafSet = {
+      distributionId,
+      merkleRoot: tree.root,
+      manifestHash,
+      snapshotHash: manifest.snapshotHash,
+      leafCount: tree.leaves.length,
+      encoding: "sha256(0x00 || utf8(\"wallet:sol:empire:mkin\")); nodes sha256(0x01 || sorted(a, b))",
+      decimals: ALLOCATION_DECIMALS,
+      leaves: tree.leaves,
+    };
+    this._leafSets.set(distributionId, leafSet);
+    return leafSet;
+  }
+
+  _allocationDoc(user, distributionId, manifestHash, config, now, expiresAt) {
+    return {
+      distributionId,
+      manifestHash,
+      userId: user.userId,
+      walletAddress: user.walletAddress,
+      nftCount: user.nftCount,
+      weight: user.weight,
+      amountSol: user.amountSol,
+      amountEmpire: user.amountEmpire,
+      amountMkin: user.amountMkin,
+      // Tier breakdown (February 2026+)
+      tiers: user.tiers,
+      holderShareSol: user.holderShare?.amountSol || 0,
+      holderShareEmpire: user.holderShare?.amountEmpire || 0,
+      holderShareMkin: user.holderShare?.amountMkin || 0,
+      tier3Sol: user.tier3?.amountSol || 0,
+      tier3Empire: user.tier3?.amountEmpire || 0,
+      tier3Mkin: user.tier3?.amountMkin || 0,
+      tier2Sol: user.tier2?.amountSol || 0,
+      tier2Empire: user.tier2?.amountEmpire || 0,
+      tier2Mkin: user.tier2?.amountMkin || 0,
+      tier1Sol: user.tier1?.amountSol || 0,
+      tier1Empire: user.tier1?.amountEmpire || 0,
+      tier1Mkin: user.tier1?.amountMkin || 0,
+      rolloverSol: user.rollover?.amountSol || 0,
+      rolloverEmpire: user.rollover?.amountEmpire || 0,
+      rolloverMkin: user.rollover?.amountMkin || 0,
+      // Amounts under the minimum payout, rolled over instead of paid
+      belowThreshold: user.belowThreshold ?? null,
+      // Legacy fields for backward compatibility
+      hasSecondarySale: config.secondarySaleCheck,
+      allocatedAmountUsd: config.allocationAmountUsd,
+      eligibleAt: now,
+      expiresAt,
+      status: "pending",
+      secondarySaleCheckedAt: now,
+    };
+  }
+
+  /**
+   * Drop a distribution's manifest so it can be rebuilt (its snapshot is kept)
+   * Rollovers it took in go back to the pool.
+   */
+  async deleteManifest(distributionId) {
+    await this.db.collection(MANIFESTS_COLLECTION).doc(distributionId).delete();
+    this._leafSets.delete(distributionId);
+    await this.releaseRollovers(distributionId);
+  }
+}
+
+export default new RevenueAllocationService();
+export {
+  RevenueAllocationService,
+  RevenueAllocationError,
+  SNAPSHOTS_COLLECTION,
+  MANIFESTS_COLLECTION,
+  ALLOCATIONS_COLLECTION,
+  ROLLOVERS_COLLECTION,
+  roundAmount,
+};
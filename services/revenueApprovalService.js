@@ -0,0 +1,481 @@
+import admin from "firebase-admin";
+import revenueAllocationService, {
+  MANIFESTS_COLLECTION,
+  ALLOCATIONS_COLLECTION,
+} from "./revenueAllocationService.js";
+import {
+  getPreviousDistributionId,
+  getDistributionMonthName,
+} from "../utils/distributionScheduler.js";
+
+/**
+ * Revenue Distribution Approval
+ *
+ * Two-person rule for monthly distributions. A draft is a built manifest
+ * (snapshot + allocations computed, nothing written) plus its diff against
+ * the previous month. Allocations only go live once two different admins
+ * have approved the draft:
+ *
+ *   pending_approval ──approve×2──▶ approved ──write──▶ published
+ *          │
+ *          ├──reject──▶ rejected
+ *          └──TTL─────▶ expired
+ *
+ * The scheduler's draft starts with no approvals; an admin creating one by
+ * hand counts as its first. The manifest header carries the approval state,
+ * so writeManifest() refuses a drafted manifest that isn't approved whichever
+ * endpoint calls it. Rejected and expired drafts drop their manifest so the
+ * month can be drafted again (the snapshot is kept, rollovers it took in are
+ * released).
+ *
+ * Every transition is recorded in the approval log, in the same transaction
+ * as the change, and announced on Discord.
+ */
+
+const DRAFTS_COLLECTION = "revenueDistributionDrafts";
+const APPROVAL_LOG_COLLECTION = "revenueDistributionApprovalLog";
+const REQUIRED_APPROVALS = 2;
+const DRAFT_TTL_HOURS = parseInt(process.env.REVENUE_DISTRIBUTION_DRAFT_TTL_HOURS || "72");
+const LARGEST_CHANGES = 5;
+const OPEN_STATUSES = ["pending_approval", "approved"];
+
+class RevenueApprovalError extends Error {
+  constructor(message, code = 400) {
+    super(message);
+    this.name = "RevenueApprovalError";
+    this.code = code;
+  }
+}
+
+class RevenueApprovalService {
+  constructor() {
+    this._db = null;
+  }
+
+  get db() {
+    if (!this._db) {
+      this._db = admin.firestore();
+    }
+    return this._db;
+  }
+
+  /**
+   * Dry-run a distribution into a draft awaiting approval
+   * @param {string} distributionId - e.g. revenue_dist_2026_02
+   * @param {Object} config - Route CONFIG
+   * @param {string} actor - Admin uid, or "scheduler"
+   */
+  async createDraft(distributionId, config, actor) {
+    const open = await this._openDraft(distributionId);
+    if (open) {
+      throw new RevenueApprovalError(`Draft ${open.id} for ${distributionId} is already ${open.status}`, 409);
+    }
+
+    const draftRef = this.db.collection(DRAFTS_COLLECTION).doc();
+    const { manifest, manifestHash } = await revenueAllocationService.createManifest(distributionId, config, {
+      draftId: draftRef.id,
+    });
+
+    try {
+      return await this._storeDraft(draftRef, distributionId, manifest, manifestHash, actor);
+    } catch (error) {
+      // Don't leave a manifest behind that no draft can approve
+      await revenueAllocationService.deleteManifest(distributionId);
+      throw error;
+    }
+  }
+
+  async _storeDraft(draftRef, distributionId, manifest, manifestHash, actor) {
+    const diff = await this._diffWithPrevious(distributionId, manifest);
+    const now = admin.firestore.Timestamp.now();
+    const draft = {
+      distributionId,
+      manifestHash,
+      snapshotHash: manifest.snapshotHash,
+      merkleRoot: manifest.merkleRoot ?? null,
+      eligibleHolders: manifest.eligibleHolders,
+      tierCounts: manifest.tierCounts,
+      totals: manifest.totals,
+      rollover: manifest.rollover ?? null,
+      diff,
+      status: "pending_approval",
+      createdBy: actor,
+      // An admin drafting by hand is the first person; the scheduler is nobody
+      approvals: actor === "scheduler" ? [] : [{ uid: actor, at: now }],
+      requiredApprovals: REQUIRED_APPROVALS,
+      createdAt: now,
+      updatedAt: now,
+      expiresAt: admin.firestore.Timestamp.fromMillis(now.toMillis() + DRAFT_TTL_HOURS * 60 * 60 * 1000),
+      rejectedBy: null,
+      rejectionReason: null,
+      publishedAt: null,
+      publishError: null,
+    };
+
+    const batch = this.db.batch();
+    batch.create(draftRef, draft);
+    batch.create(this.db.collection(APPROVAL_LOG_COLLECTION).doc(), this._logEntry(draftRef.id, draft, null, actor, now));
+    await batch.commit();
+
+    console.log(
+      `📝 Revenue distribution draft ${draftRef.id} for ${distributionId} created by ${actor}: ${manifest.totals.users} allocations, manifest ${manifestHash}`,
+    );
+    await this._notify("WARNING", "Revenue distribution awaiting approval", draftRef.id, draft, {
+      message:
+        `${getDistributionMonthName(distributionId)} was dry-run into a draft. ` +
+        `Nothing is claimable until ${REQUIRED_APPROVALS} different admins approve it.`,
+      action:
+        `Review, then POST /api/revenue-distribution/drafts/${draftRef.id}/approve ` +
+        `(or /reject) before ${draft.expiresAt.toDate().toISOString()}`,
+    });
+    return this._view(draftRef.id, draft);
+  }
+
+  /**
+   * Record an admin's approval; the last required approval publishes the draft
+   */
+  async approveDraft(draftId, actor) {
+    const draft = await this._transition(draftId, actor, "approve", (current, now) => {
+      if (current.status !== "pending_approval") {
+        throw new RevenueApprovalError(`Draft ${draftId} is ${current.status}, not pending approval`, 409);
+      }
+      if (current.approvals.some((approval) => approval.uid === actor)) {
+        throw new RevenueApprovalError("You have already approved this draft; a different admin must approve it", 403);
+      }
+
+      const approvals = [...current.approvals, { uid: actor, at: now }];
+      return {
+        approvals,
+        status: approvals.length >= current.requiredApprovals ? "approved" : "pending_approval",
+      };
+    });
+
+    if (draft.status !== "approved") {
+      await this._notify("INFO", "Revenue distribution approved (1 more needed)", draftId, draft, {
+        message: `Approved by ${actor}. A different admin must approve before allocations go live.`,
+      });
+      return draft;
+    }
+    return this.publishDraft(draftId, actor);
+  }
+
+  /**
+   * Write an approved draft's allocations (also resumes a failed write)
+   */
+  async publishDraft(draftId, actor) {
+    const draftRef = this.db.collection(DRAFTS_COLLECTION).doc(draftId);
+    const doc = await draftRef.get();
+    if (!doc.exists) {
+      throw new RevenueApprovalError(`Draft ${draftId} not found`, 404);
+    }
+    const draft = doc.data();
+    if (draft.status !== "approved") {
+      throw new RevenueApprovalError(`Draft ${draftId} is ${draft.status}, not approved`, 409);
+    }
+
+    let result;
+    try {
+      result = await revenueAllocationService.writeManifest(draft.distributionId);
+    } catch (error) {
+      console.error(`❌ Publishing revenue distribution draft ${draftId} failed:`, error.message);
+      const failed = await this._transition(draftId, actor, "publish_failed", () => ({ publishError: error.message }));
+      await this._notify("ERROR", "Revenue distribution publish FAILED", draftId, failed, {
+        message: error.message,
+        action: `Fix the cause, then POST /api/revenue-distribution/drafts/${draftId}/publish to resume`,
+      });
+      throw error;
+    }
+
+    const published = await this._transition(draftId, actor, "publish", (current, now) => ({
+      status: "published",
+      publishedAt: now,
+      publishError: null,
+      merkleRoot: result.merkleRoot,
+    }));
+    await this._notify("INFO", "Revenue distribution published", draftId, published, {
+      message: `${result.written} allocations are now claimable.`,
+    });
+    return published;
+  }
+
+  /**
+   * Reject a pending draft and drop its manifest
+   */
+  async rejectDraft(draftId, actor, reason) {
+    if (typeof reason !== "string" || !reason.trim()) {
+      throw new RevenueApprovalError("A rejection reason is required");
+    }
+
+    const draft = await this._transition(
+      draftId,
+      actor,
+      "reject",
+      (current) => {
+        if (current.status !== "pending_approval") {
+          throw new RevenueApprovalError(`Draft ${draftId} is ${current.status}, not pending approval`, 409);
+        }
+        return { status: "rejected", rejectedBy: actor, rejectionReason: reason.trim() };
+      },
+      reason.trim(),
+    );
+    await this._notify("WARNING", "Revenue distribution rejected", draftId, draft, {
+      message: `Rejected by ${actor}: ${reason.trim()}`,
+    });
+    return draft;
+  }
+
+  /**
+   * Expire pending drafts past their TTL (run by the scheduler)
+   * @returns {Promise<string[]>} expired draft ids
+   */
+  async expireDrafts() {
+    const now = admin.firestore.Timestamp.now();
+    const pending = await this.db.collection(DRAFTS_COLLECTION).where("status", "==", "pending_approval").get();
+    const stale = pending.docs.filter((doc) => doc.data().expiresAt.toMillis() <= now.toMillis());
+
+    const expired = [];
+    for (const doc of stale) {
+      try {
+        const draft = await this._transition(doc.id, "scheduler", "expire", (current, at) => {
+          if (current.status !== "pending_approval" || current.expiresAt.toMillis() > at.toMillis()) {
+            return null; // Approved or rejected since the query
+          }
+          return { status: "expired" };
+        });
+        if (draft.status === "expired") {
+          expired.push(doc.id);
+          await this._notify("WARNING", "Revenue distribution draft expired", doc.id, draft, {
+            message: `No approval within ${DRAFT_TTL_HOURS}h. Nothing was allocated; draft the month again to retry.`,
+          });
+        }
+      } catch (error) {
+        console.error(`❌ Failed to expire revenue distribution draft ${doc.id}:`, error.message);
+      }
+    }
+    return expired;
+  }
+
+  async getDraft(draftId) {
+    const doc = await this.db.collection(DRAFTS_COLLECTION).doc(draftId).get();
+    if (!doc.exists) {
+      throw new RevenueApprovalError(`Draft ${draftId} not found`, 404);
+    }
+    return this._view(doc.id, doc.data());
+  }
+
+  /**
+   * Most recent drafts, newest first
+   */
+  async listDrafts(limit = 20) {
+    const snapshot = await this.db.collection(DRAFTS_COLLECTION).orderBy("createdAt", "desc").limit(limit).get();
+    return snapshot.docs.map((doc) => this._view(doc.id, doc.data()));
+  }
+
+  /**
+   * Transition log for a draft, oldest first
+   */
+  async getDraftLog(draftId) {
+    const snapshot = await this.db.collection(APPROVAL_LOG_COLLECTION).where("draftId", "==", draftId).get();
+    return snapshot.docs
+      .map((doc) => {
+        const entry = doc.data();
+        return { ...entry, timestamp: entry.timestamp.toDate().toISOString() };
+      })
+      .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+  }
+
+  /**
+   * Apply a change to a draft in a transaction, logging the transition
+   * `change(current, now)` returns the fields to update, or null for no-op.
+   * Pending drafts past their TTL expire here instead of taking the change.
+   * Leaving pending_approval updates the manifest's approval state; rejected
+   * and expired drafts delete their (unwritten) manifest.
+   */
+  async _transition(draftId, actor, action, change, note = null) {
+    const draftRef = this.db.collection(DRAFTS_COLLECTION).doc(draftId);
+
+    const { draft, expiredInstead, dropped } = await this.db.runTransaction(async (t) => {
+      const doc = await t.get(draftRef);
+      if (!doc.exists) {
+        throw new RevenueApprovalError(`Draft ${draftId} not found`, 404);
+      }
+
+      const current = doc.data();
+      const now = admin.firestore.Timestamp.now();
+      const manifestRef = this.db.collection(MANIFESTS_COLLECTION).doc(current.distributionId);
+      const header = await t.get(manifestRef);
+
+      const lapsed =
+        action !== "expire" && current.status === "pending_approval" && current.expiresAt.toMillis() <= now.toMillis();
+      const updates = lapsed ? { status: "expired" } : change(current, now);
+      if (!updates) {
+        return { draft: current, expiredInstead: false, dropped: false };
+      }
+
+      const next = { ...current, ...updates, updatedAt: now };
+      if (next.status === "approved" && current.status !== "approved") {
+        // Approvers signed off on this manifest hash; refuse if it was rebuilt since
+        if (!header.exists || header.data().manifestHash !== current.manifestHash) {
+          throw new RevenueApprovalError(`Manifest for ${current.distributionId} no longer matches this draft`, 409);
+        }
+        t.update(manifestRef, { approval: "approved", approvedBy: next.approvals.map((approval) => approval.uid) });
+      }
+      const drop = ["rejected", "expired"].includes(next.status) && header.exists && header.data().draftId === draftId;
+      if (drop) {
+        t.delete(manifestRef);
+      }
+
+      t.update(draftRef, { ...updates, updatedAt: now });
+      t.create(
+        this.db.collection(APPROVAL_LOG_COLLECTION).doc(),
+        this._logEntry(draftId, next, current.status, lapsed ? "scheduler" : actor, now, lapsed ? "expire" : action, note),
+      );
+      return { draft: next, expiredInstead: lapsed, dropped: drop };
+    });
+
+    if (dropped) {
+      await revenueAllocationService.releaseRollovers(draft.distributionId);
+    }
+
+    if (expiredInstead) {
+      console.log(`⌛ Revenue distribution draft ${draftId} lapsed before ${action} by ${actor} → expired`);
+      await this._notify("WARNING", "Revenue distribution draft expired", draftId, this._view(draftId, draft), {
+        message: `No approval within ${DRAFT_TTL_HOURS}h. Nothing was allocated; draft the month again to retry.`,
+      });
+      throw new RevenueApprovalError(`Draft ${draftId} expired at ${draft.expiresAt.toDate().toISOString()}`, 409);
+    }
+    console.log(`🗳️ Revenue distribution draft ${draftId}: ${action} by ${actor} → ${draft.status}`);
+    return this._view(draftId, draft);
+  }
+
+  _logEntry(draftId, draft, fromStatus, actor, timestamp, action = "create", note = null) {
+    return {
+      draftId,
+      distributionId: draft.distributionId,
+      manifestHash: draft.manifestHash,
+      action,
+      fromStatus,
+      toStatus: draft.status,
+      approvals: draft.approvals.map((approval) => approval.uid),
+      actor,
+      note,
+      timestamp,
+    };
+  }
+
+  async _openDraft(distributionId) {
+    const snapshot = await this.db.collection(DRAFTS_COLLECTION).where("distributionId", "==", distributionId).get();
+    const open = snapshot.docs.find((doc) => OPEN_STATUSES.includes(doc.data().status));
+    return open ? { id: open.id, ...open.data() } : null;
+  }
+
+  /**
+   * Totals and per-user changes against the previous month's allocations
+   */
+  async _diffWithPrevious(distributionId, manifest) {
+    const previousDistributionId = getPreviousDistributionId(distributionId);
+    const previousDocs = await this.db
+      .collection(ALLOCATIONS_COLLECTION)
+      .where("distributionId", "==", previousDistributionId)
+      .get();
+
+    const previous = new Map();
+    previousDocs.forEach((doc) => {
+      const data = doc.data();
+      previous.set(data.userId, data);
+    });
+
+    const totals = {};
+    for (const key of ["amountSol", "amountEmpire", "amountMkin"]) {
+      const before = [...previous.values()].reduce((sum, allocation) => sum + (allocation[key] || 0), 0);
+      totals[key] = { previous: before, draft: manifest.totals[key], change: manifest.totals[key] - before };
+    }
+
+    const changes = [];
+    let usersAdded = 0;
+    for (const allocation of manifest.allocations) {
+      const before = previous.get(allocation.userId);
+      if (!before) usersAdded++;
+      changes.push({
+        userId: allocation.userId,
+        previousSol: before?.amountSol || 0,
+        draftSol: allocation.amountSol,
+      });
+    }
+    const draftUsers = new Set(manifest.allocations.map((allocation) => allocation.userId));
+    for (const [userId, before] of previous) {
+      if (!draftUsers.has(userId)) {
+        changes.push({ userId, previousSol: before.amountSol || 0, draftSol: 0 });
+      }
+    }
+
+    return {
+      previousDistributionId,
+      previousUsers: previous.size,
+      draftUsers: manifest.totals.users,
+      usersAdded,
+      usersRemoved: [...previous.keys()].filter((userId) => !draftUsers.has(userId)).length,
+      totals,
+      largestChanges: changes
+        .sort((a, b) => Math.abs(b.draftSol - b.previousSol) - Math.abs(a.draftSol - a.previousSol))
+        .slice(0, LARGEST_CHANGES),
+    };
+  }
+
+  async _notify(level, title, draftId, draft, { message, action }) {
+    try {
+      const { sendDiscordAlert } = await import("../utils/discordAlerts.js");
+      const { diff, totals } = draft;
+      const change = (key) => {
+        const delta = diff.totals[key].change;
+        return `${totals[key].toLocaleString()} (${delta >= 0 ? "+" : ""}${delta.toLocaleString()} vs ${diff.previousDistributionId})`;
+      };
+      await sendDiscordAlert({
+        level,
+        title,
+        message,
+        action,
+        details: {
+          Draft: draftId,
+          Distribution: draft.distributionId,
+          Status: draft.status,
+          Approvals: `${draft.approvals.length}/${draft.requiredApprovals}`,
+          Users: `${diff.draftUsers} (+${diff.usersAdded} / -${diff.usersRemoved})`,
+          SOL: change("amountSol"),
+          MKIN: change("amountMkin"),
+          EMPIRE: change("amountEmpire"),
+          ...(draft.rollover?.sources.length
+            ? {
+                Rollover: `${draft.rollover.amountSol} SOL, ${draft.rollover.amountMkin.toLocaleString()} MKIN, ${draft.rollover.amountEmpire.toLocaleString()} EMPIRE from ${draft.rollover.sources.map((source) => source.distributionId).join(", ")}`,
+              }
+            : {}),
+          Manifest: draft.manifestHash,
+        },
+      });
+    } catch (error) {
+      console.warn("⚠️ Failed to send revenue approval alert:", error.message);
+    }
+  }
+
+  _view(id, draft) {
+    const iso = (timestamp) => (timestamp ? timestamp.toDate().toISOString() : null);
+    return {
+      id,
+      ...draft,
+      approvals: draft.approvals.map((approval) => ({ uid: approval.uid, at: iso(approval.at) })),
+      createdAt: iso(draft.createdAt),
+      updatedAt: iso(draft.updatedAt),
+      expiresAt: iso(draft.expiresAt),
+      publishedAt: iso(draft.publishedAt),
+    };
+  }
+}
+
+export default new RevenueApprovalService();
+export {
+  RevenueApprovalService,
+  RevenueApprovalError,
+  DRAFTS_COLLECTION,
+  APPROVAL_LOG_COLLECTION,
+  REQUIRED_APPROVALS,
+};
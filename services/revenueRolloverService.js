@@ -0,0 +1,185 @@
+import admin from "firebase-admin";
+import revenueAllocationService, {
+  ALLOCATIONS_COLLECTION,
+  ROLLOVERS_COLLECTION,
+  roundAmount,
+} from "./revenueAllocationService.js";
+
+/**
+ * Revenue Distribution Rollover
+ *
+ * Allocations left unclaimed past their expiry are marked "rolled_over" and
+ * their SOL, EMPIRE and MKIN totalled into rollover docs, one per source
+ * distribution per run (per chunk). The next captured snapshot takes in every
+ * unconsumed rollover as its own line item (see getRolloverPool()).
+ *
+ * Allocations are only rolled over once they've been expired for a grace
+ * period, so a claim that passed the expiry check just before expiresAt can
+ * finish paying out, and never while a failed payout for them is pending
+ * recovery (that user is still owed the amount).
+ */
+
+const FAILED_PAYOUTS_COLLECTION = "failed_payouts";
+const ROLLOVER_GRACE_MS = 60 * 60 * 1000; // 1 hour
+const ROLLOVER_CHUNK_SIZE = 400; // Allocation updates per transaction (limit 500 writes)
+
+class RevenueRolloverService {
+  constructor() {
+    this._db = null;
+  }
+
+  get db() {
+    if (!this._db) {
+      this._db = admin.firestore();
+    }
+    return this._db;
+  }
+
+  /**
+   * Roll over expired, unclaimed allocations
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun] - Total what would roll over without marking anything
+   * @returns {Promise<Array>} per source distribution: { distributionId, allocations, amountSol, amountEmpire, amountMkin, skippedPendingRecovery }
+   */
+  async rolloverExpired({ dryRun = false } = {}) {
+    const cutoffMs = Date.now() - ROLLOVER_GRACE_MS;
+    const pending = await this.db.collection(ALLOCATIONS_COLLECTION).where("status", "==", "pending").get();
+
+    const bySource = new Map();
+    pending.docs
+      .filter((doc) => doc.data().expiresAt && doc.data().expiresAt.toMillis() <= cutoffMs)
+      .forEach((doc) => {
+        const { distributionId } = doc.data();
+        if (!bySource.has(distributionId)) bySource.set(distributionId, []);
+        bySource.get(distributionId).push(doc);
+      });
+
+    const results = [];
+    for (const [distributionId, docs] of [...bySource].sort(([a], [b]) => (a < b ? -1 : 1))) {
+      const owed = await this.getPendingRecoveryUsers(distributionId);
+      const rollable = docs.filter((doc) => !owed.has(doc.data().userId));
+      const result = {
+        distributionId,
+        allocations: 0,
+        amountSol: 0,
+        amountEmpire: 0,
+        amountMkin: 0,
+        skippedPendingRecovery: docs.length - rollable.length,
+      };
+
+      for (let i = 0; i < rollable.length; i += ROLLOVER_CHUNK_SIZE) {
+        const chunk = rollable.slice(i, i + ROLLOVER_CHUNK_SIZE);
+        const rolled = dryRun
+          ? this._sum(chunk.map((doc) => doc.data()))
+          : await this._rolloverChunk(distributionId, chunk.map((doc) => doc.ref));
+        result.allocations += rolled.allocations;
+        result.amountSol = roundAmount(result.amountSol + rolled.amountSol, "sol");
+        result.amountEmpire = roundAmount(result.amountEmpire + rolled.amountEmpire, "empire");
+        result.amountMkin = roundAmount(result.amountMkin + rolled.amountMkin, "mkin");
+      }
+
+      console.log(
+        `♻️ ${dryRun ? "[DRY RUN] " : ""}${distributionId}: ${result.allocations} expired allocations → ${result.amountSol} SOL, ${result.amountMkin} MKIN, ${result.amountEmpire} EMPIRE rolled over` +
+          (result.skippedPendingRecovery > 0 ? ` (${result.skippedPendingRecovery} skipped, payout pending recovery)` : ""),
+      );
+      results.push(result);
+    }
+
+    if (!dryRun && results.some((result) => result.allocations > 0)) {
+      await this._notify(results);
+    }
+    return results;
+  }
+
+  /**
+   * Mark a chunk of allocations rolled over and record their totals, atomically
+   * Allocations claimed or rolled over since they were queried are left alone.
+   */
+  async _rolloverChunk(distributionId, refs) {
+    const rolloverRef = this.db.collection(ROLLOVERS_COLLECTION).doc();
+
+    return this.db.runTransaction(async (t) => {
+      const docs = (await t.getAll(...refs)).filter((doc) => doc.exists && doc.data().status === "pending");
+      const totals = this._sum(docs.map((doc) => doc.data()));
+      if (docs.length === 0) {
+        return totals;
+      }
+
+      const now = admin.firestore.Timestamp.now();
+      for (const doc of docs) {
+        t.update(doc.ref, { status: "rolled_over", rolledOverAt: now, rolloverId: rolloverRef.id });
+      }
+      t.create(rolloverRef, {
+        sourceDistributionId: distributionId,
+        reason: "expired",
+        ...totals,
+        status: "rolled_over",
+        consumedBy: null,
+        consumedAt: null,
+        createdAt: now,
+      });
+      return totals;
+    });
+  }
+
+  _sum(allocations) {
+    return allocations.reduce(
+      (totals, allocation) => ({
+        allocations: totals.allocations + 1,
+        amountSol: roundAmount(totals.amountSol + (allocation.amountSol || 0), "sol"),
+        amountEmpire: roundAmount(totals.amountEmpire + (allocation.amountEmpire || 0), "empire"),
+        amountMkin: roundAmount(totals.amountMkin + (allocation.amountMkin || 0), "mkin"),
+      }),
+      { allocations: 0, amountSol: 0, amountEmpire: 0, amountMkin: 0 },
+    );
+  }
+
+  /**
+   * Users of a distribution with a failed claim payout pending recovery
+   * Their payout may still land (or will be paid by hand), so nothing else may pay or roll it over.
+   * @returns {Promise<Set<string>>}
+   */
+  async getPendingRecoveryUsers(distributionId) {
+    const snapshot = await this.db
+      .collection(FAILED_PAYOUTS_COLLECTION)
+      .where("distributionId", "==", distributionId)
+      .get();
+    return new Set(
+      snapshot.docs
+        .map((doc) => doc.data())
+        .filter((payout) => payout.type === "REVENUE_DISTRIBUTION" && payout.status === "PENDING_RECOVERY")
+        .map((payout) => payout.userId),
+    );
+  }
+
+  /**
+   * Rollover pool the next manifest will take in
+   */
+  async getPendingPool() {
+    // No distribution id: rollovers marked consumed are all held by an existing manifest
+    return revenueAllocationService.getRolloverPool(null);
+  }
+
+  async _notify(results) {
+    try {
+      const { sendDiscordAlert } = await import("../utils/discordAlerts.js");
+      const rolled = results.filter((result) => result.allocations > 0);
+      await sendDiscordAlert({
+        level: "INFO",
+        title: "Revenue distribution rollover",
+        message: "Unclaimed allocations expired and were rolled over into the next distribution's pool.",
+        details: Object.fromEntries(
+          rolled.map((result) => [
+            result.distributionId,
+            `${result.allocations} allocations: ${result.amountSol} SOL, ${result.amountMkin.toLocaleString()} MKIN, ${result.amountEmpire.toLocaleString()} EMPIRE`,
+          ]),
+        ),
+      });
+    } catch (error) {
+      console.warn("⚠️ Failed to send rollover alert:", error.message);
+    }
+  }
+}
+
+export default new RevenueRolloverService();
+export { RevenueRolloverService, FAILED_PAYOUTS_COLLECTION, ROLLOVER_GRACE_MS };
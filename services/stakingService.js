@@ -17,6 +17,26 @@ import {
 // Removed getFirestore import - using admin.firestore() instead
 import bs58 from "bs58";
 import BoosterService from "./boosterService.js";
+import { transferIntentService } from "./transferIntentService.js";
+import {
+  paymentVerifier,
+  PaymentVerificationError,
+} from "./paymentVerifier.js";
+import {
+  DEFAULT_RATE_SCHEDULE,
+  SECONDS_PER_YEAR,
+  LOCK_TIERS,
+  getLockTier,
+  normalizeRateSchedule,
+  getRateAt,
+  integrateRate,
+} from "../config/stakingRates.js";
+import { getMultiplierAt } from "../config/boosters.js";
+import {
+  FeeQuoteError,
+  issueFeeQuote,
+  verifyFeeQuote,
+} from "../utils/feeQuote.js";
 
 // Configuration Constants
 const STAKING_POOL_ID = "staking_global"; // Doc ID in 'config' collection or root 'staking_pool' collection
@@ -24,6 +44,24 @@ const POOL_COLLECTION = "staking_pool"; // Or put in 'config'
 const POSITIONS_COLLECTION = "staking_positions";
 const TRANSACTIONS_COLLECTION = "staking_transactions";
 const USER_REWARDS_COLLECTION = "userRewards";
+const RATE_SCHEDULE_CACHE_TTL = 5 * 60 * 1000; // 5 minutes
+const UNBONDING_COLLECTION = "unbonding_queue";
+
+// Booster simulator projection horizons (days)
+const PROJECTION_DAYS = { daily: 1, monthly: 30, yearly: 365 };
+
+// Unbonding Queue Constants
+const UNBONDING_COOLDOWN_MS =
+  (parseFloat(process.env.STAKING_UNBONDING_DAYS) || 7) * 24 * 60 * 60 * 1000;
+const UNBONDING_BATCH_SIZE = parseInt(process.env.STAKING_UNBONDING_BATCH_SIZE) || 20;
+const UNBONDING_RUN_INTERVAL_MS = 60 * 60 * 1000; // Processor runs hourly (server.js)
+
+// Flat fees in USD, priced into signed quotes by quoteFee()
+const STAKING_FEES_USD = {
+  stake: 10.0, // $10 flat entry fee
+  unstake: 2.5, // $1.60 base + $0.90 site fee
+  claim: 2.9, // $2.00 base + $0.90 site fee
+};
 
 // Token Conversion Constants
 const CONVERSION_RATIO = parseInt(process.env.MKIN_CONVERSION_RATIO) || 2_500_000;
@@ -44,6 +82,12 @@ class StakingService {
     this._db = null;
     this._boosterService = null; // Lazy init BoosterService
 
+    // Reward rate schedule (config/stakingRates), refreshed by getRateSchedule()
+    this._rateScheduleCache = {
+      segments: normalizeRateSchedule(DEFAULT_RATE_SCHEDULE),
+      timestamp: 0,
+    };
+
     // Use environment-configured network settings
     this._networkInitialized = this._initializeNetwork();
   }
@@ -90,6 +134,84 @@ class StakingService {
     return this._boosterService;
   }
 
+  /**
+   * Get the reward rate schedule (effective-dated APR segments)
+   * Reads config/stakingRates, falling back to DEFAULT_RATE_SCHEDULE.
+   * Cached for 5 minutes; the cached copy is what sync helpers use.
+   */
+  async getRateSchedule() {
+    const cache = this._rateScheduleCache;
+    if (cache.timestamp && Date.now() - cache.timestamp < RATE_SCHEDULE_CACHE_TTL) {
+      return cache.segments;
+    }
+
+    try {
+      const configDoc = await this.db.collection("config").doc("stakingRates").get();
+      const segments = configDoc.exists ? configDoc.data().segments : null;
+      cache.segments = normalizeRateSchedule(segments?.length ? segments : DEFAULT_RATE_SCHEDULE);
+      cache.timestamp = Date.now();
+    } catch (error) {
+      // Keep serving the last good schedule rather than failing reward reads
+      console.error("⚠️ Failed to load rate schedule, using cached copy:", error.message);
+    }
+    return cache.segments;
+  }
+
+  /**
+   * Replace the reward rate schedule (admin)
+   * Segments already in effect can't be edited or removed - that would
+   * rewrite every position's accrued history. Schedule changes for the future.
+   *
+   * @param {Array<{effectiveFrom: string, apr: number, note?: string}>} segments
+   * @param {string} updatedBy - Admin Firebase UID
+   */
+  async setRateSchedule(segments, updatedBy) {
+    let normalized;
+    try {
+      normalized = normalizeRateSchedule(segments);
+    } catch (error) {
+      throw new StakingError(error.message);
+    }
+
+    const stored = normalized.map(({ effectiveFrom, apr, note }) => ({ effectiveFrom, apr, note }));
+    const now = admin.firestore.Timestamp.now();
+
+    const configRef = this.db.collection("config").doc("stakingRates");
+    const previous = await configRef.get();
+    const previousSegments = previous.exists ? previous.data().segments : null;
+
+    // The segment in effect now and everything before it must carry over unchanged
+    const nowMs = Date.now();
+    const pastKeys = (list) =>
+      list
+        .filter((segment) => segment.effectiveFromMs <= nowMs)
+        .map(({ effectiveFrom, apr }) => `${effectiveFrom}:${apr}`)
+        .join("|");
+    const current = normalizeRateSchedule(
+      previousSegments?.length ? previousSegments : DEFAULT_RATE_SCHEDULE,
+    );
+    if (pastKeys(current) !== pastKeys(normalized)) {
+      throw new StakingError(
+        "Segments already in effect can't be changed or removed; add a segment with a future effectiveFrom",
+      );
+    }
+
+    const batch = this.db.batch();
+    batch.set(configRef, { segments: stored, updatedAt: now, updatedBy });
+    batch.set(this.db.collection("config_history").doc(), {
+      config: "stakingRates",
+      previous: previousSegments,
+      next: stored,
+      updatedBy,
+      timestamp: now,
+    });
+    await batch.commit();
+
+    this._rateScheduleCache = { segments: normalized, timestamp: Date.now() };
+    console.log(`✅ Rate schedule updated by ${updatedBy}: ${stored.length} segments`);
+    return stored;
+  }
+
   /**
    * Helper: Get Global Pool Data
    */
@@ -116,9 +238,9 @@ class StakingService {
   }
 
   /**
-   * Helper: Update Pool State with 10% Flat ROI Logic
-   * Calculates rewards based on: (totalStaked * 10% * tokenPrice * timeDiff) / SECONDS_IN_YEAR
-   * This ensures users earn 10% of their staked token value per year, paid in SOL.
+   * Helper: Update Pool State with Scheduled APR Logic
+   * Calculates rewards based on: (totalStaked * ∫APR dt * tokenPrice) / SECONDS_PER_YEAR
+   * APR comes from the effective-dated rate schedule (config/stakingRates).
    *
    * @deprecated Use _calculateNewPoolStateSync() inside Firestore transactions
    */
@@ -135,10 +257,14 @@ class StakingService {
       return { ...poolData, last_reward_time: now, updated_at: now };
     }
 
-    // NEW: 10% Flat ROI Logic
-    // Reward = (Staked Tokens * 10% * Token/SOL Price * Time) / Year
-    const SECONDS_IN_YEAR = 365 * 24 * 60 * 60;
-    const ROI_PERCENT = 0.1; // 10% per year
+    // Scheduled APR Logic
+    // Reward = (Staked Tokens * ∫APR dt * Token/SOL Price) / Year
+    const rateSchedule = await this.getRateSchedule();
+    const { rateSeconds } = integrateRate(
+      rateSchedule,
+      lastTime.toMillis(),
+      now.toMillis(),
+    );
 
     // Fetch current MKIN/SOL price
     const { getMkinPriceSOL } = await import("../utils/mkinPrice.js");
@@ -152,8 +278,7 @@ class StakingService {
 
     // Calculate rewards to emit for this time period
     const rewardsToEmit =
-      (poolData.total_staked * ROI_PERCENT * tokenPriceSol * timeDiffSeconds) /
-      SECONDS_IN_YEAR;
+      (poolData.total_staked * tokenPriceSol * rateSeconds) / SECONDS_PER_YEAR;
 
     console.log(
       `⏱️ Time elapsed: ${timeDiffSeconds}s, rewards to emit: ${rewardsToEmit.toFixed(
@@ -176,9 +301,15 @@ class StakingService {
    * @param {Object} poolData - Current pool state
    * @param {number} tokenPriceSol - Pre-fetched MKIN/SOL price
    * @param {Timestamp} now - Pre-created Firestore timestamp
+   * @param {Array} [rateSchedule] - Pre-fetched rate schedule (defaults to cached copy)
    * @returns {Object} Updated pool state
    */
-  _calculateNewPoolStateSync(poolData, tokenPriceSol, now) {
+  _calculateNewPoolStateSync(
+    poolData,
+    tokenPriceSol,
+    now,
+    rateSchedule = this._rateScheduleCache.segments,
+  ) {
     const lastTime = poolData.last_reward_time || now;
     const timeDiffSeconds = now.seconds - lastTime.seconds;
 
@@ -190,10 +321,13 @@ class StakingService {
       return { ...poolData, last_reward_time: now, updated_at: now };
     }
 
-    // 10% Flat ROI Logic
-    // Reward = (Staked Tokens * 10% * Token/SOL Price * Time) / Year
-    const SECONDS_IN_YEAR = 365 * 24 * 60 * 60;
-    const ROI_PERCENT = 0.1; // 10% per year
+    // Scheduled APR Logic
+    // Reward = (Staked Tokens * ∫APR dt * Token/SOL Price) / Year
+    const { rateSeconds } = integrateRate(
+      rateSchedule,
+      lastTime.toMillis(),
+      now.toMillis(),
+    );
 
     console.log(
       `💰 Pool update (sync): ${poolData.total_staked.toLocaleString()} MKIN staked, price: ${tokenPriceSol.toFixed(
@@ -203,8 +337,7 @@ class StakingService {
 
     // Calculate rewards to emit for this time period
     const rewardsToEmit =
-      (poolData.total_staked * ROI_PERCENT * tokenPriceSol * timeDiffSeconds) /
-      SECONDS_IN_YEAR;
+      (poolData.total_staked * tokenPriceSol * rateSeconds) / SECONDS_PER_YEAR;
 
     console.log(
       `⏱️ Time elapsed: ${timeDiffSeconds}s, rewards to emit: ${rewardsToEmit.toFixed(
@@ -221,7 +354,7 @@ class StakingService {
 
   /**
    * GET /overview
-   * Simplified: Fixed 10% ROI with reward gating based on goal completion
+   * Scheduled APR (config/stakingRates) with reward gating based on goal completion
    */
   async getOverview(firebaseUid) {
     // Import fee wallets for config
@@ -246,10 +379,17 @@ class StakingService {
     // 3. Via admin endpoint: POST /api/boosters/refresh-all
 
     const pool = await this.getPoolData();
+    const rateSchedule = await this.getRateSchedule();
+    const stackingPolicies = await this.boosterService.getStackingPolicies();
+    const boosterCampaigns = await this.boosterService.getCampaigns();
+    const currentApr = getRateAt(rateSchedule);
 
     let userPos = null;
     let pending = 0;
+    let rewardSegments = [];
+    let boosterTimeline = [];
     let mkinBalance = 0;
+    let unbonding = [];
 
     if (firebaseUid) {
       const posRef = this.db.collection(POSITIONS_COLLECTION).doc(firebaseUid);
@@ -264,24 +404,31 @@ class StakingService {
 
       if (posDoc.exists) {
         userPos = posDoc.data();
+        boosterTimeline = this.boosterService.getPositionMultiplierTimeline(
+          userPos,
+          stackingPolicies,
+          boosterCampaigns,
+        );
 
         // Calculate pending with 10% FLAT ROI (token-value-based)
         // Checkpoint-based calculation (Fixes "Instant Rewards" bug)
         // REWARD GATING: Only calculate rewards if goal is completed
         if (
           userPos?.updated_at &&
-          userPos.principal_amount > 0 &&
+          // A fully unbonded position can still hold checkpointed rewards
+          (userPos.principal_amount > 0 || userPos.rewards_checkpoint_sol > 0) &&
           isGoalCompleted
         ) {
           // Use the _calculatePendingRewards method which uses locked token price
           // This ensures pending rewards are consistent with the display mining rate
           // and don't fluctuate with current token price changes
-          const boosterMultiplier =
-            this.boosterService.calculateStackedMultiplier(
-              userPos.active_boosters || [],
-            );
-
-          pending = this._calculatePendingRewards(userPos, boosterMultiplier);
+          const breakdown = this._calculateRewardBreakdown(
+            userPos,
+            boosterTimeline,
+            rateSchedule,
+          );
+          pending = breakdown.pending;
+          rewardSegments = breakdown.segments;
 
           console.log(`⛏️ Pending rewards calculated using locked token price`);
           console.log(
@@ -296,32 +443,32 @@ class StakingService {
       if (rewardDoc.exists) {
         mkinBalance = rewardDoc.data().totalRealmkin || 0;
       }
+
+      unbonding = await this._getUnbondingStatus(firebaseUid);
     }
 
-    // Calculate user's mining rate (10% ROI based on token value)
+    // Calculate user's mining rate (current scheduled APR based on token value)
     // REWARD GATING: Only show mining rate if goal is completed
-    const SECONDS_IN_YEAR = 365 * 24 * 60 * 60;
-    const ROI_PERCENT = 0.1; // 10% per year
-    const FIXED_APR = 10; // Display as 10% APR
+    const ROI_PERCENT = currentApr;
+    const CURRENT_APR = currentApr * 100; // Display as percentage
 
     let baseMiningRate = 0;
     let totalMiningRate = 0;
     let displayMiningRate = 0; // Stable rate based on locked price at stake time
+    // Booster multiplier in effect now (NFT boosters + running campaigns)
+    const boosterMultiplier = getMultiplierAt(boosterTimeline, Date.now());
 
     if (userPos?.principal_amount > 0 && isGoalCompleted) {
       // Fetch current MKIN/SOL price
       const { getMkinPriceSOL } = await import("../utils/mkinPrice.js");
       const tokenPriceSol = await getMkinPriceSOL();
 
-      // Base rate = (principal * 10% * price) / seconds_in_year
+      // Base rate = (principal * APR * price) / seconds_in_year
       baseMiningRate =
         (userPos.principal_amount * ROI_PERCENT * tokenPriceSol) /
-        SECONDS_IN_YEAR;
+        SECONDS_PER_YEAR;
 
-      // Apply booster multiplier using new BoosterService
-      const boosterMultiplier = this.boosterService.calculateStackedMultiplier(
-        userPos.active_boosters || [],
-      );
+      // Apply booster multiplier
       totalMiningRate = baseMiningRate * boosterMultiplier;
 
       // Calculate display rate using locked token price (stable for UI)
@@ -329,10 +476,10 @@ class StakingService {
       const lockedPrice = userPos.locked_token_price_sol || tokenPriceSol;
       const lockedBaseMiningRate =
         (userPos.principal_amount * ROI_PERCENT * lockedPrice) /
-        SECONDS_IN_YEAR;
+        SECONDS_PER_YEAR;
       displayMiningRate = lockedBaseMiningRate * boosterMultiplier;
 
-      console.log(`⛏️ User mining rate (10% ROI):`);
+      console.log(`⛏️ User mining rate (${CURRENT_APR}% ROI):`);
       console.log(
         `   Principal: ${userPos.principal_amount.toLocaleString()} MKIN`,
       );
@@ -352,11 +499,18 @@ class StakingService {
     // Use boosters from stored position data
     const activeBoosters = userPos?.active_boosters || [];
 
+    // Lock tier: multiplier applies on top of boosters until the lock expires
+    const lockState = this._getLockState(userPos);
+    const lockMultiplier = lockState.isLocked ? lockState.tier.aprMultiplier : 1.0;
+    totalMiningRate *= lockMultiplier;
+    displayMiningRate *= lockMultiplier;
+    const effectiveApr = CURRENT_APR * lockMultiplier * boosterMultiplier;
+
     return {
       pool: {
         totalStaked: pool.total_staked,
         rewardPool: pool.reward_pool_sol,
-        apr: FIXED_APR, // Fixed 10% APR
+        apr: CURRENT_APR, // APR in effect now (from rate schedule)
       },
       user: {
         principal: userPos?.principal_amount || 0,
@@ -366,11 +520,20 @@ class StakingService {
         displayMiningRate: displayMiningRate, // Stable rate for UI (locked price at stake time)
         lockedTokenPriceSol: userPos?.locked_token_price_sol || null, // Token price locked at stake time
         activeBoosters: activeBoosters,
-        boosterMultiplier:
-          this.boosterService.calculateStackedMultiplier(activeBoosters),
+        boosterMultiplier,
+        lockTier: lockState.tier.id,
+        lockUntil: lockState.lockUntilMs, // Lock expiry (ms), null for flexible
+        isLocked: lockState.isLocked,
+        lockMultiplier,
+        earlyExitPenalty: lockState.earlyExitAllowed
+          ? lockState.tier.earlyExitPenalty
+          : null,
+        effectiveApr, // Scheduled APR x lock multiplier x boosters (percent)
         stakeStartTime: userPos?.stake_start_time?.toMillis() || null,
         lastStakeTime: userPos?.last_stake_time?.toMillis() || null,
         totalClaimedSol: userPos?.total_claimed_sol || 0,
+        rewardSegments, // Per-APR-segment breakdown of accrued rewards
+        unbonding, // Queued unstakes with queue position and ETA (ms)
         mkinBalance,
       },
       config: {
@@ -379,7 +542,14 @@ class StakingService {
         personalWallet: FEE_WALLETS.PERSONAL,
         feeSplit: FEE_SPLIT,
         roiPercent: ROI_PERCENT,
-        fixedApr: FIXED_APR,
+        fixedApr: CURRENT_APR, // Kept for older clients; see rateSchedule
+        lockTiers: Object.values(LOCK_TIERS),
+        unbondingCooldownMs: UNBONDING_COOLDOWN_MS,
+        rateSchedule: rateSchedule.map(({ effectiveFrom, apr, note }) => ({
+          effectiveFrom,
+          apr,
+          note,
+        })),
         isRewardsPaused: !isGoalCompleted, // Rewards are paused until goal is completed
       },
       timestamp: Date.now(),
@@ -479,12 +649,135 @@ class StakingService {
     }
   }
 
+  /**
+   * Issue a signed fee quote for a staking operation
+   * The quote pins the SOL amount (in lamports) and SOL price for this user;
+   * stake/unstake/claim verify the fee payment against it exactly.
+   *
+   * @param {string} firebaseUid
+   * @param {"stake"|"unstake"|"claim"} operation
+   * @returns {Promise<Object>} { quote, lamports, solAmount, solPrice, usdAmount, expiresAt }
+   */
+  async quoteFee(firebaseUid, operation) {
+    const usdAmount = STAKING_FEES_USD[operation];
+    if (usdAmount === undefined) {
+      throw new StakingError(`Unknown fee operation: ${operation}`);
+    }
+    return issueFeeQuote({ operation, subject: firebaseUid, usdAmount });
+  }
+
+  /**
+   * Helper: Verify a fee quote, surfacing failures as StakingError
+   * @returns {Object} Quote payload ({ lamports, solPrice, usd, ... })
+   */
+  _verifyFeeQuote(feeQuote, operation, firebaseUid) {
+    try {
+      return verifyFeeQuote(feeQuote, { operation, subject: firebaseUid });
+    } catch (error) {
+      if (error instanceof FeeQuoteError) {
+        throw new StakingError(error.message, error.code);
+      }
+      throw new StakingError("Invalid fee quote");
+    }
+  }
+
+  /**
+   * Helper: Resolve the lock tier a stake will leave the position in
+   * A running lock can only be kept or extended to a longer tier; the new
+   * lock runs from now and never ends before the existing one.
+   *
+   * @param {Object|null} posData - Current position (null for first stake)
+   * @param {string} tierId - Requested LOCK_TIERS id
+   * @param {number} nowMs - Current time (ms)
+   * @returns {{ tier: Object, lockUntilMs: number|null, lockChanged: boolean }}
+   */
+  _resolveStakeLock(posData, tierId, nowMs) {
+    const tier = LOCK_TIERS[tierId];
+    if (!tier) {
+      throw new StakingError(`Unknown lock tier: ${tierId}`);
+    }
+
+    const currentTier = getLockTier(posData?.lock_tier);
+    const currentUntilMs = posData?.lock_until?.toMillis?.() || 0;
+    const isLocked = currentUntilMs > nowMs;
+
+    if (isLocked && tier.days < currentTier.days) {
+      throw new StakingError(
+        `Your position is locked in the ${currentTier.label} tier until ${new Date(currentUntilMs).toISOString()}. Stake with the same or a longer lock.`,
+      );
+    }
+
+    const lockUntilMs =
+      tier.days > 0
+        ? Math.max(isLocked ? currentUntilMs : 0, nowMs + tier.days * 86400000)
+        : null;
+
+    return {
+      tier,
+      lockUntilMs,
+      lockChanged:
+        tier.id !== (posData?.lock_tier || "flexible") ||
+        lockUntilMs !== (currentUntilMs || null),
+    };
+  }
+
+  /**
+   * Helper: Describe the lock state of a position at a point in time
+   * @returns {{ tier: Object, lockUntilMs: number|null, isLocked: boolean, earlyExitAllowed: boolean }}
+   */
+  _getLockState(posData, nowMs = Date.now()) {
+    const tier = getLockTier(posData?.lock_tier);
+    const lockUntilMs = posData?.lock_until?.toMillis?.() || null;
+    const isLocked = Boolean(lockUntilMs && lockUntilMs > nowMs);
+    return {
+      tier,
+      lockUntilMs,
+      isLocked,
+      earlyExitAllowed: isLocked && tier.earlyExitPenalty > 0,
+    };
+  }
+
+  /**
+   * Helper: Early-exit penalty rate for an unstake right now
+   * @returns {number} Fraction of principal withheld (0 when unlocked)
+   * @throws {StakingError} If the position is locked and early exit is not allowed/accepted
+   */
+  _getUnstakePenaltyRate(posData, earlyExit) {
+    const lock = this._getLockState(posData);
+    if (!lock.isLocked) return 0;
+
+    const unlockDate = new Date(lock.lockUntilMs).toISOString();
+    if (!lock.earlyExitAllowed) {
+      throw new StakingError(
+        `Your position is locked in the ${lock.tier.label} tier until ${unlockDate}`,
+        403,
+      );
+    }
+    if (!earlyExit) {
+      throw new StakingError(
+        `Your position is locked until ${unlockDate}. Unstaking now forfeits ${lock.tier.earlyExitPenalty * 100}% of the amount as an early-exit penalty.`,
+        403,
+      );
+    }
+    return lock.tier.earlyExitPenalty;
+  }
+
   /**
    * STAKE
    * User sends MKIN tokens to vault + pays 5% entry fee + $0.90 site fee in SOL
    * Fee goes to reward pool to grow APR for everyone
+   *
+   * @param {Object} [options]
+   * @param {string} [options.lockTier="flexible"] - LOCK_TIERS id (flexible, lock_30, lock_90, lock_180)
+   * @param {string} options.feeQuote - Signed quote from quoteFee(uid, "stake")
    */
-  async stake(firebaseUid, amount, txSignature, feeSignature) {
+  async stake(
+    firebaseUid,
+    amount,
+    txSignature,
+    feeSignature,
+    { lockTier = "flexible", feeQuote } = {},
+  ) {
     const operationId = `STAKE-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
     const logPrefix = `[${operationId}]`;
 
@@ -517,7 +810,18 @@ class StakingService {
       throw new StakingError("Fee transaction signature required");
     }
 
-    console.log(`${logPrefix} ✅ Input validation passed`);
+    // Reject incompatible lock tiers before any on-chain verification
+    const existingPos = await this.db
+      .collection(POSITIONS_COLLECTION)
+      .doc(firebaseUid)
+      .get();
+    this._resolveStakeLock(
+      existingPos.exists ? existingPos.data() : null,
+      lockTier,
+      Date.now(),
+    );
+
+    console.log(`${logPrefix} ✅ Input validation passed (lock tier: ${lockTier})`);
 
     // Get user's wallet address from Firestore
     console.log(`${logPrefix} 📖 Fetching user wallet from Firestore...`);
@@ -541,42 +845,40 @@ class StakingService {
     }
     console.log(`${logPrefix} ✅ User wallet found: ${userWallet}`);
 
-    // 1. Calculate $10 flat entry fee in SOL
-    console.log(`${logPrefix} 💰 Step 1: Calculating $10 flat entry fee...`);
-    const { getFeeInSol } = await import("../utils/solPrice.js");
-    const feeData = await getFeeInSol(10.0); // $10 USD flat fee
-
-    const totalFeeInSol = feeData.solAmount;
+    // 1. Resolve the $10 flat entry fee from the signed quote
+    console.log(`${logPrefix} 💰 Step 1: Verifying $10 fee quote...`);
+    const quote = this._verifyFeeQuote(feeQuote, "stake", firebaseUid);
+    const totalFeeInSol = quote.lamports / 1e9;
+    const feeData = {
+      solAmount: totalFeeInSol,
+      feeInSol: totalFeeInSol,
+      feeInMkin: 0, // Flat SOL fee, no MKIN-denominated component
+      feePercent: 0,
+      mkinPriceUsd: 0,
+      solPriceUsd: quote.solPrice,
+    };
 
-    console.log(`${logPrefix} Fee Calculation Results:`);
+    console.log(`${logPrefix} Fee Quote:`);
     console.log(
-      `${logPrefix}   - Flat fee ($10): ${feeData.solAmount.toFixed(9)} SOL`,
+      `${logPrefix}   - Flat fee ($${quote.usd}): ${totalFeeInSol.toFixed(9)} SOL (${quote.lamports} lamports)`,
     );
+    console.log(`${logPrefix}   - SOL price (USD): $${feeData.solPriceUsd}`);
     console.log(
-      `${logPrefix}   - Total fee in SOL: ${totalFeeInSol.toFixed(9)} SOL`,
+      `${logPrefix}   - Quote expires: ${new Date(quote.exp).toISOString()}`,
     );
-    console.log(`${logPrefix}   - SOL price (USD): $${feeData.solPriceUsd}`);
 
-    // 2. Verify fee payment ($10 flat in SOL)
-    // Allow 100% tolerance for rounding/timing differences between frontend and backend
+    // 2. Verify fee payment matches the quoted lamports exactly
     console.log(`${logPrefix} 🔍 Step 2: Verifying fee payment...`);
-    const tolerance = 1.0; // 100% (VERY LAX)
-    const minFee = totalFeeInSol * (1 - tolerance);
-    const maxFee = totalFeeInSol * (1 + tolerance);
-
-    console.log(`${logPrefix} Fee Verification Parameters:`);
-    console.log(
-      `${logPrefix}   - Expected: ${totalFeeInSol.toFixed(9)} SOL`,
-    );
-    console.log(`${logPrefix}   - Tolerance: ${tolerance * 100}%`);
-    console.log(`${logPrefix}   - Min acceptable: ${minFee.toFixed(9)} SOL`);
-    console.log(`${logPrefix}   - Max acceptable: ${maxFee.toFixed(9)} SOL`);
+    const minFee = totalFeeInSol;
+    const maxFee = totalFeeInSol;
     console.log(`${logPrefix}   - Fee signature: ${feeSignature}`);
 
+    await this._assertPaymentUnused(feeSignature);
     const isValidFee = await this._verifySolTransfer(
       feeSignature,
       minFee,
       maxFee,
+      { payer: userWallet },
     );
     if (!isValidFee) {
       console.error(`${logPrefix} ❌ FEE VERIFICATION FAILED!`);
@@ -688,6 +990,9 @@ class StakingService {
     console.log(`${logPrefix} 📊 Step 5: Pre-fetching price data...`);
     const { getMkinPriceSOL } = await import("../utils/mkinPrice.js");
     const tokenPriceSol = await getMkinPriceSOL();
+    const rateSchedule = await this.getRateSchedule();
+    const stackingPolicies = await this.boosterService.getStackingPolicies();
+    const boosterCampaigns = await this.boosterService.getCampaigns();
     const now = admin.firestore.Timestamp.now();
     console.log(
       `${logPrefix} ✅ Price data fetched: ${tokenPriceSol.toFixed(9)} SOL/MKIN`,
@@ -742,6 +1047,7 @@ class StakingService {
           poolData,
           tokenPriceSol,
           now,
+          rateSchedule,
         );
 
         // Get/Init User Position
@@ -783,6 +1089,34 @@ class StakingService {
           `${logPrefix}     - Pool after: ${poolData.reward_pool_sol.toFixed(9)} SOL`,
         );
 
+        // Resolve lock tier; crystallize rewards accrued under the old lock
+        // terms so the new multiplier never applies retroactively
+        const lock = this._resolveStakeLock(
+          posDoc.exists ? posData : null,
+          lockTier,
+          now.toMillis(),
+        );
+        if (lock.lockChanged && previousPrincipal > 0) {
+          const boosterTimeline = this.boosterService.getPositionMultiplierTimeline(
+            posData,
+            stackingPolicies,
+            boosterCampaigns,
+          );
+          posData.rewards_checkpoint_sol = this._calculateRewardBreakdown(
+            posData,
+            boosterTimeline,
+            rateSchedule,
+          ).totalRewards;
+          posData.rewards_checkpoint_time = now;
+          console.log(
+            `${logPrefix}   🔒 Lock terms changed - checkpointed ${posData.rewards_checkpoint_sol.toFixed(9)} SOL`,
+          );
+        }
+        posData.lock_tier = lock.tier.id;
+        posData.lock_until = lock.lockUntilMs
+          ? admin.firestore.Timestamp.fromMillis(lock.lockUntilMs)
+          : null;
+
         // Update Principal (FULL amount, no deduction)
         posData.principal_amount = previousPrincipal + amount; // Full stake amount!
 
@@ -873,6 +1207,8 @@ class StakingService {
           user_id: firebaseUid,
           type: "STAKE",
           amount_mkin: amount,
+          lock_tier: posData.lock_tier,
+          lock_until: posData.lock_until,
           signature: txSignature,
           fee_tx: feeSignature,
           fee_amount_sol: feeData.feeInSol,
@@ -892,6 +1228,20 @@ class StakingService {
         );
         t.set(txRef, txData);
 
+        // Burn the fee (and token transfer) signatures with the stake itself
+        paymentVerifier.registerSignatureInTransaction(t, feeSignature, {
+          operation: "stake_fee",
+          userId: firebaseUid,
+          ledgerRef: txRef.path,
+        });
+        if (txSignature !== feeSignature) {
+          paymentVerifier.registerSignatureInTransaction(t, txSignature, {
+            operation: "stake_transfer",
+            userId: firebaseUid,
+            ledgerRef: txRef.path,
+          });
+        }
+
         console.log(`${logPrefix}   ✅ All writes queued for atomic commit`);
       });
 
@@ -929,6 +1279,7 @@ class StakingService {
     const result = {
       success: true,
       amount,
+      lockTier,
       timestamp: new Date().toISOString(),
       txSignature,
       operationId, // Include operation ID for tracking
@@ -941,53 +1292,77 @@ class StakingService {
   /**
    * CLAIM
    * Claims pending rewards. Requires $2.90 USD fee ($2.00 + $0.90 site fee, dynamic).
+   *
+   * The claim record is keyed by the fee signature (`claim_<feeSig>`), so a
+   * retried request can never debit the ledger twice. The ledger debit and the
+   * CLAIM record are written in one transaction BEFORE the SOL payout; if the
+   * payout then fails, resubmitting the same fee signature resumes the payout.
+   *
+   * @param {Object} [options]
+   * @param {string} options.feeQuote - Signed quote from quoteFee(uid, "claim")
    */
-  async claim(firebaseUid, txSignature) {
-    throw new StakingError(
-      "Claiming is temporarily disabled. Please check back soon.",
-      403
-    );
-  }
-
-  /**
-   * UNSTAKE
-   * Debits Position Principal, Sends tokens from vault back to user.
-   * Requires $2.90 USD fee ($2.00 + $0.90 site fee, dynamic).
-   */
-  async unstake(firebaseUid, amount, txSignature) {
-    const operationId = `UNSTAKE-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+  async claim(firebaseUid, txSignature, { feeQuote } = {}) {
+    const operationId = `CLAIM-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
     const logPrefix = `[${operationId}]`;
 
-    // Ensure network is initialized before proceeding
     await this._ensureInitialized();
 
-    if (amount <= 0) throw new StakingError("Invalid amount");
     if (!txSignature)
       throw new StakingError("Transaction signature required for fee");
 
     console.log(
-      `${logPrefix} 🚀 Starting unstake operation for user ${firebaseUid}: ${amount} MKIN`,
+      `${logPrefix} 🚀 Starting claim operation for user ${firebaseUid}`,
     );
 
-    // 1. Check for duplicate unstake transaction FIRST (before any processing)
-    console.log(`🔍 Step 1: Checking for duplicate unstake transaction...`);
-    const existingTx = await this.db
+    const claimRef = this.db
       .collection(TRANSACTIONS_COLLECTION)
-      .where("fee_tx", "==", txSignature)
-      .where("type", "==", "UNSTAKE")
-      .limit(1)
-      .get();
+      .doc(`claim_${txSignature}`);
+
+    // 1. Idempotency: a claim for this fee signature already exists
+    console.log(`🔍 Step 1: Checking for existing claim with this fee...`);
+    const existingClaim = await claimRef.get();
+    if (existingClaim.exists) {
+      const claimData = existingClaim.data();
+      if (claimData.user_id !== firebaseUid) {
+        throw new StakingError("Claim transaction already processed");
+      }
+      if (claimData.status === "COMPLETED") {
+        console.log(`${logPrefix} ♻️ Claim already completed, returning prior result`);
+        return this._formatClaimResult(claimData, txSignature);
+      }
+      console.log(
+        `${logPrefix} ♻️ Claim exists with status ${claimData.status}, resuming payout`,
+      );
+      return this._payoutClaim(claimRef, firebaseUid, logPrefix);
+    }
 
-    if (!existingTx.empty) {
-      console.error(`❌ DUPLICATE UNSTAKE DETECTED!`);
-      console.error(`   - Fee transaction signature: ${txSignature}`);
-      console.error(`   - Existing doc ID: ${existingTx.docs[0].id}`);
-      console.error(`   - User: ${firebaseUid}`);
-      throw new StakingError("Unstake transaction already processed");
+    // Fee signatures already used by any operation cannot be reused
+    await this._assertPaymentUnused(txSignature);
+    console.log(`✅ No duplicate claim found`);
+
+    // 2. Reward gating
+    const { goalService } = await import("./goalService.js");
+    if (!(await goalService.isGoalCompleted())) {
+      throw new StakingError(
+        "Rewards are paused until the community goal is completed",
+        403,
+      );
     }
-    console.log(`✅ No duplicate unstake found`);
 
-    // 2. Get user's wallet address
+    // 3. Resolve the fee from the signed quote
+    // $2.90 total ($2.00 base + $0.90 site fee), priced when the quote was issued
+    const quote = this._verifyFeeQuote(feeQuote, "claim", firebaseUid);
+    const feeAmount = quote.lamports / 1e9;
+    const usdAmount = quote.usd;
+    const solPrice = quote.solPrice;
+
+    console.log(
+      `💵 Claim fee: $${usdAmount} = ${feeAmount.toFixed(
+        9,
+      )} SOL (SOL price: $${solPrice})`,
+    );
+
+    // The fee must be paid from the user's own wallet
     const userRewardDoc = await this.db
       .collection(USER_REWARDS_COLLECTION)
       .doc(firebaseUid)
@@ -998,17 +1373,9 @@ class StakingService {
 
     // Fallback: if walletAddress not in userRewards, check users collection
     if (!userWallet) {
-      console.log(
-        `⚠️  walletAddress not in userRewards, checking users collection...`,
-      );
       const userDoc = await this.db.collection("users").doc(firebaseUid).get();
       if (userDoc.exists) {
         userWallet = userDoc.data().walletAddress;
-        if (userWallet) {
-          console.log(
-            `✅ Found walletAddress in users collection: ${userWallet}`,
-          );
-        }
       }
     }
 
@@ -1018,142 +1385,41 @@ class StakingService {
       );
     }
 
-    // 1. Calculate dynamic fee based on current SOL price
-    // $2.50 total ($1.60 base + $0.90 site fee)
-    const { getFeeInSol } = await import("../utils/solPrice.js");
-    const {
-      solAmount: feeAmount,
-      usdAmount,
-      solPrice,
-    } = await getFeeInSol(2.50); // $2.50 USD ($1.60 + $0.90 site fee)
-
-    console.log(
-      `💵 Unstake fee: $${usdAmount} = ${feeAmount.toFixed(
-        4,
-      )} SOL (SOL price: $${solPrice})`,
-    );
-
-    // 2. Verify SOL Fee payment (with 50% tolerance for price volatility - matches claim)
-    const tolerance = 0.5; // 50% tolerance (LAX)
-    const minFee = feeAmount * (1 - tolerance);
-    const maxFee = feeAmount * (1 + tolerance);
-    console.log(
-      `   Expected fee: ~${feeAmount.toFixed(4)} SOL ($${usdAmount})`,
-    );
-    console.log(
-      `   Acceptable range: ${minFee.toFixed(4)} - ${maxFee.toFixed(4)} SOL (±20%)`,
-    );
+    // 4. Verify SOL fee payment matches the quoted lamports exactly
+    const minFee = feeAmount;
+    const maxFee = feeAmount;
 
-    console.log(`🔍 Step 2: Verifying SOL fee transaction...`);
+    console.log(`🔍 Step 4: Verifying SOL fee transaction...`);
     console.log(`   Transaction signature: ${txSignature}`);
-    console.log(`   Min acceptable: ${minFee.toFixed(9)} SOL`);
-    console.log(`   Max acceptable: ${maxFee.toFixed(9)} SOL`);
+    console.log(`   Expected: ${feeAmount.toFixed(9)} SOL (${quote.lamports} lamports)`);
 
     let isValidFee = false;
     try {
-      isValidFee = await this._verifySolTransfer(txSignature, minFee, maxFee);
+      isValidFee = await this._verifySolTransfer(txSignature, minFee, maxFee, {
+        payer: userWallet,
+      });
     } catch (verifyError) {
-      console.error(`❌ ERROR during fee verification:`);
-      console.error(`   Error type: ${verifyError.name}`);
-      console.error(`   Error message: ${verifyError.message}`);
-      console.error(`   Error stack: ${verifyError.stack}`);
-      throw new StakingError(
-        "Unable to verify your fee payment. Please wait a moment and try again. If the issue persists, contact support.",
-      );
+      console.error(`❌ ERROR during fee verification: ${verifyError.message}`);
     }
 
     if (!isValidFee) {
-      console.error(
-        `❌ Fee verification returned false for transaction: ${txSignature}`,
-      );
       throw new StakingError(
         "Unable to verify your fee payment. Please wait a moment and try again. If the issue persists, contact support.",
       );
     }
     console.log(`✅ Fee transaction verified`);
-    
-    // 3. Distribute site fee ($0.90) to treasury and personal wallets
-    console.log(`💸 Step 3: Distributing site fee ($0.90)...`);
-    const { distributeFees } = await import("../utils/feeDistribution.js");
-    const distributionResult = await distributeFees('unstake', 0.90, {
-      treasuryDestination: "gatekeeper",
-    });
-
-    if (distributionResult.success) {
-      console.log(`✅ Fee distributed successfully`);
-      console.log(`   Treasury: ${distributionResult.treasuryAmount.toFixed(6)} SOL`);
-      console.log(`   Personal: ${distributionResult.personalAmount.toFixed(6)} SOL`);
-    } else {
-      console.warn(`⚠️ Fee distribution failed: ${distributionResult.error}`);
-    }
-
-    // Calculate new $MKIN amount BEFORE the Firestore transaction
-    // No guard, no rounding — just divide and send exactly what they're owed
-    const newMkinAmount = amount / CONVERSION_RATIO;
-
-    // 4. Check vault NEW $MKIN balance BEFORE accepting fee
-    // SKIPPED during testing — vault likely doesn't have ATA for new mint yet
-    // TODO: restore this check after deploying new mint and funding vault
-    console.log(`🔍 Step 4: Vault $MKIN balance check SKIPPED (testing mode)`);
-    console.log(`   Would check: ${newMkinAmount} new $MKIN needed`);
-
-    // 4. Check vault SOL balance for transaction fees
-    console.log(`🔍 Step 4: Checking vault SOL balance...`);
-    const vaultAddress = new PublicKey(process.env.STAKING_WALLET_ADDRESS);
-    const vaultSolBalance = await this.connection.getBalance(vaultAddress);
-    const vaultSolBalanceSol = vaultSolBalance / 1e9;
-    console.log(`💰 Vault SOL balance: ${vaultSolBalanceSol.toFixed(6)} SOL`);
 
-    // Import Discord alerts
-    const { sendVaultCriticalAlert, sendVaultWarningAlert } =
-      await import("../utils/discordAlerts.js");
-
-    // Critical threshold check
-    const CRITICAL_THRESHOLD = 0.01; // 0.01 SOL
-    const WARNING_THRESHOLD = 0.05; // 0.05 SOL
-    const GAS_PER_TX = 0.000005; // ~5000 lamports per transaction
-    const MIN_REQUIRED = GAS_PER_TX + 0.001; // Gas + small buffer
-
-    if (vaultSolBalanceSol < CRITICAL_THRESHOLD) {
-      console.error(`❌ INSUFFICIENT VAULT SOL FOR GAS!`);
-      console.error(`   Vault SOL: ${vaultSolBalanceSol.toFixed(6)} SOL`);
-      console.error(`   Required: ${MIN_REQUIRED.toFixed(6)} SOL minimum`);
-      console.error(`   🚨 CRITICAL: Sending admin alert...`);
-
-      // Send critical Discord alert (non-blocking)
-      sendVaultCriticalAlert(vaultSolBalanceSol).catch((err) => {
-        console.error("Failed to send Discord alert:", err.message);
-      });
-
-      throw new StakingError(
-        `Service temporarily unavailable due to system maintenance. Please try again in a few minutes or contact support.`,
-      );
-    } else if (vaultSolBalanceSol < WARNING_THRESHOLD) {
-      console.warn(
-        `⚠️  WARNING: Vault SOL getting low: ${vaultSolBalanceSol.toFixed(6)} SOL`,
-      );
-      console.warn(`   Sending warning alert to admins...`);
-
-      // Send warning Discord alert (non-blocking)
-      sendVaultWarningAlert(vaultSolBalanceSol).catch((err) => {
-        console.error("Failed to send Discord alert:", err.message);
-      });
-    }
-
-    console.log(`✅ Vault has sufficient SOL for gas fees`);
-
-    // 5. Pre-fetch price data BEFORE the transaction (critical fix!)
-    console.log(
-      `📊 Step 5: Pre-fetching price data before Firestore transaction...`,
-    );
+    // 5. Pre-fetch price data BEFORE the transaction (no async calls inside it)
     const { getMkinPriceSOL } = await import("../utils/mkinPrice.js");
     const tokenPriceSol = await getMkinPriceSOL();
+    const rateSchedule = await this.getRateSchedule();
+    const stackingPolicies = await this.boosterService.getStackingPolicies();
+    const boosterCampaigns = await this.boosterService.getCampaigns();
     const now = admin.firestore.Timestamp.now();
-    console.log(`✅ Price data fetched: ${tokenPriceSol.toFixed(6)} SOL/MKIN`);
 
-    // 6. Update in Firestore (atomic transaction)
+    // 6. Debit the reward ledger and record the claim atomically
     console.log(`📝 Step 6: Starting Firestore transaction...`);
-
+    let claimAmount = 0;
     try {
       await this.db.runTransaction(async (t) => {
         const poolRef = this.db
@@ -1163,21 +1429,39 @@ class StakingService {
           .collection(POSITIONS_COLLECTION)
           .doc(firebaseUid);
 
-        console.log(`   Reading pool and position documents...`);
-        const [poolDoc, posDoc] = await Promise.all([
+        const [poolDoc, posDoc, claimDoc] = await Promise.all([
           t.get(poolRef),
           t.get(posRef),
+          t.get(claimRef),
         ]);
 
+        // A concurrent request with the same fee signature won the race
+        if (claimDoc.exists) {
+          throw new StakingError("Claim transaction already processed");
+        }
         if (!posDoc.exists) throw new StakingError("No staking position found");
-        let posData = posDoc.data();
 
-        console.log(
-          `   Current position: ${posData.principal_amount || 0} MKIN`,
+        const posData = posDoc.data();
+        const boosterTimeline =
+          this.boosterService.getPositionMultiplierTimeline(
+            posData,
+            stackingPolicies,
+            boosterCampaigns,
+          );
+        const boosterMultiplier = getMultiplierAt(
+          boosterTimeline,
+          now.toMillis(),
+        );
+        const pending = this._calculatePendingRewards(
+          posData,
+          boosterTimeline,
+          rateSchedule,
         );
 
-        if (posData.principal_amount < amount) {
-          throw new StakingError("Insufficient staked amount");
+        // Truncate to whole lamports so the ledger matches what is sent
+        claimAmount = Math.floor(pending * 1e9) / 1e9;
+        if (claimAmount <= 0) {
+          throw new StakingError("No rewards available to claim");
         }
 
         let poolData = poolDoc.exists
@@ -1188,31 +1472,539 @@ class StakingService {
               acc_reward_per_share: 0,
               last_reward_time: now,
             };
-
-        // 1. Update Pool using pre-fetched price (no async calls here!)
         poolData = this._calculateNewPoolStateSync(
           poolData,
           tokenPriceSol,
           now,
+          rateSchedule,
         );
-
-        // 🚀 ADD FEE TO REWARD POOL (Self-Sustaining Pool)
-        poolData.reward_pool_sol = (poolData.reward_pool_sol || 0) + feeAmount;
-        console.log(
-          `💰 Added ${feeAmount.toFixed(
-            4,
-          )} SOL fee to reward pool. New pool: ${poolData.reward_pool_sol.toFixed(
-            4,
-          )} SOL`,
+        // Fee flows into the pool, payout flows out of it
+        poolData.reward_pool_sol = Math.max(
+          0,
+          (poolData.reward_pool_sol || 0) + feeAmount - claimAmount,
         );
 
-        // 2. Harvest Pending Rewards (checkpoint them, don't pay out)
-        // The pending rewards will remain and can be claimed later
-        // No need to update reward_debt since we're not using MasterChef logic
-
-        // 3. Update Principal
-        const previousPrincipal = posData.principal_amount;
-        posData.principal_amount -= amount;
+        t.set(poolRef, poolData);
+        t.update(posRef, {
+          total_claimed_sol: (posData.total_claimed_sol || 0) + claimAmount,
+          last_claim_time: now,
+          updated_at: now,
+        });
+        t.set(claimRef, {
+          user_id: firebaseUid,
+          type: "CLAIM",
+          amount_sol: claimAmount,
+          booster_multiplier: boosterMultiplier,
+          fee_tx: txSignature,
+          fee_amount_sol: feeAmount,
+          fee_amount_usd: usdAmount,
+          status: "PENDING_PAYOUT",
+          payout_attempts: 0,
+          timestamp: now,
+        });
+        paymentVerifier.registerSignatureInTransaction(t, txSignature, {
+          operation: "staking_claim",
+          userId: firebaseUid,
+          ledgerRef: claimRef.path,
+        });
+      });
+      console.log(
+        `✅ Ledger debited: ${claimAmount.toFixed(9)} SOL for ${firebaseUid}`,
+      );
+    } catch (transactionError) {
+      if (transactionError instanceof StakingError) throw transactionError;
+      console.error(`❌ Firestore transaction failed:`, transactionError);
+      throw new StakingError(
+        `Failed to record claim: ${transactionError.message}`,
+      );
+    }
+
+    // 7. Distribute site fee ($0.90) to treasury and personal wallets
+    const { distributeFees } = await import("../utils/feeDistribution.js");
+    const distributionResult = await distributeFees("claim", 0.9);
+    if (!distributionResult.success) {
+      console.warn(`⚠️ Fee distribution failed: ${distributionResult.error}`);
+    }
+
+    // 8. Pay out
+    return this._payoutClaim(claimRef, firebaseUid, logPrefix);
+  }
+
+  /**
+   * Helper: Send the SOL for a recorded claim and finalize its record.
+   * Safe to call repeatedly for the same claim: each payout's signature and
+   * blockhash expiry are recorded before it is broadcast, and a payout is only
+   * re-sent once the previous one can no longer land.
+   */
+  async _payoutClaim(claimRef, firebaseUid, logPrefix) {
+    const PAYOUT_LEASE_MS = 120000; // longer than a blockhash stays valid
+
+    let claimData = (await claimRef.get()).data();
+
+    // A previous attempt may have landed after its confirmation timed out
+    if (claimData.payout_tx_pending) {
+      const { value } = await this.connection.getSignatureStatus(
+        claimData.payout_tx_pending,
+        { searchTransactionHistory: true },
+      );
+      if (value && !value.err && value.confirmationStatus) {
+        console.log(
+          `${logPrefix} ✅ Previous payout ${claimData.payout_tx_pending} landed, finalizing`,
+        );
+        await claimRef.update({
+          status: "COMPLETED",
+          payout_tx: claimData.payout_tx_pending,
+          completed_at: admin.firestore.Timestamp.now(),
+        });
+        return this._formatClaimResult(
+          { ...claimData, payout_tx: claimData.payout_tx_pending },
+          claimData.fee_tx,
+        );
+      }
+
+      // Not landed yet: it still can until its blockhash expires
+      if (!value?.err && claimData.status !== "COMPLETED") {
+        const lastValid = claimData.payout_last_valid_block_height;
+        const inFlight = lastValid
+          ? (await this.connection.getBlockHeight()) <= lastValid
+          : Date.now() - (claimData.payout_started_at?.toMillis?.() || 0) <
+            PAYOUT_LEASE_MS;
+        if (inFlight) {
+          throw new StakingError(
+            "Previous claim payout may still land. Please check back shortly.",
+          );
+        }
+      }
+    }
+
+    // Take the payout lease so concurrent retries cannot double send
+    claimData = await this.db.runTransaction(async (t) => {
+      const doc = await t.get(claimRef);
+      const data = doc.data();
+      if (data.status === "COMPLETED") return data;
+      const startedAt = data.payout_started_at?.toMillis?.() || 0;
+      if (
+        (data.status === "SENDING" &&
+          Date.now() - startedAt < PAYOUT_LEASE_MS) ||
+        // Another retry sent a new payout since the check above
+        (data.payout_tx_pending || null) !==
+          (claimData.payout_tx_pending || null)
+      ) {
+        throw new StakingError(
+          "Claim payout already in progress. Please check back shortly.",
+        );
+      }
+      t.update(claimRef, {
+        status: "SENDING",
+        payout_started_at: admin.firestore.Timestamp.now(),
+        payout_attempts: admin.firestore.FieldValue.increment(1),
+      });
+      return data;
+    });
+
+    if (claimData.status === "COMPLETED") {
+      return this._formatClaimResult(claimData, claimData.fee_tx);
+    }
+
+    try {
+      const payoutSignature = await this._sendSolFromTreasury(
+        firebaseUid,
+        claimData.amount_sol,
+        {
+          // Awaited before broadcast: if the write fails, nothing is sent
+          onSigned: ({ signature, lastValidBlockHeight }) =>
+            claimRef.update({
+              payout_tx_pending: signature,
+              payout_last_valid_block_height: lastValidBlockHeight,
+            }),
+        },
+      );
+
+      await claimRef.update({
+        status: "COMPLETED",
+        payout_tx: payoutSignature,
+        completed_at: admin.firestore.Timestamp.now(),
+      });
+
+      console.log(`${logPrefix} 🎉 Claim paid out: ${payoutSignature}`);
+      return this._formatClaimResult(
+        { ...claimData, payout_tx: payoutSignature },
+        claimData.fee_tx,
+      );
+    } catch (e) {
+      console.error(
+        `${logPrefix} ❌ CRITICAL: Claim payout failed but ledger already debited!`,
+      );
+      console.error(`${logPrefix}    Error: ${e.message}`);
+
+      await claimRef
+        .update({
+          status: "PAYOUT_FAILED",
+          last_error: e.message,
+          failed_at: admin.firestore.Timestamp.now(),
+        })
+        .catch((err) =>
+          console.error(`${logPrefix} ❌ Failed to mark claim failed:`, err),
+        );
+
+      try {
+        await this.db.collection("failed_payouts").add({
+          user_id: firebaseUid,
+          type: "CLAIM",
+          claim_id: claimRef.id,
+          amount_sol: claimData.amount_sol,
+          fee_tx: claimData.fee_tx,
+          error_message: e.message,
+          timestamp: admin.firestore.Timestamp.now(),
+          status: "PENDING_RECOVERY",
+          recovery_attempts: 0,
+        });
+      } catch (logError) {
+        console.error(
+          `${logPrefix} ❌ Failed to log to failed_payouts:`,
+          logError,
+        );
+      }
+
+      try {
+        const { sendDiscordAlert } = await import("../utils/discordAlerts.js");
+        await sendDiscordAlert({
+          level: "ERROR",
+          title: "🚨 Claim SOL Payout Failed",
+          message: `User ${firebaseUid} was debited ${claimData.amount_sol} SOL but the payout failed.`,
+          action: `Resubmitting the claim with fee ${claimData.fee_tx} resumes the payout.`,
+          details: { claimId: claimRef.id, error: e.message },
+        });
+      } catch (alertError) {
+        console.error(
+          `${logPrefix} ⚠️  Failed to send Discord alert:`,
+          alertError.message,
+        );
+      }
+
+      throw new StakingError(
+        "Reward payout failed. Your claim is saved - please retry shortly with the same fee transaction.",
+      );
+    }
+  }
+
+  _formatClaimResult(claimData, feeSignature) {
+    return {
+      success: true,
+      amount: claimData.amount_sol,
+      payoutSignature: claimData.payout_tx,
+      feeSignature,
+      timestamp: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * UNSTAKE
+   * Debits Position Principal, Sends tokens from vault back to user.
+   * Requires $2.90 USD fee ($2.00 + $0.90 site fee, dynamic).
+   *
+   * Locked positions cannot be unstaked before lock_until unless
+   * options.earlyExit is set and the tier allows it; the early-exit penalty
+   * is withheld from the tokens sent and its value added to the reward pool.
+   *
+   * In unbonding mode the debit is queued instead: rewards stop accruing
+   * now and processUnbondingQueue() releases the tokens after the cooldown.
+   *
+   * @param {Object} [options]
+   * @param {boolean} [options.earlyExit=false] - Accept the early-exit penalty
+   * @param {boolean} [options.unbond=false] - Queue the release instead of sending now
+   * @param {string} options.feeQuote - Signed quote from quoteFee(uid, "unstake")
+   */
+  async unstake(firebaseUid, amount, txSignature, options = {}) {
+    const { earlyExit = false, unbond = false, feeQuote } = options;
+    const operationId = `UNSTAKE-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    const logPrefix = `[${operationId}]`;
+
+    // Ensure network is initialized before proceeding
+    await this._ensureInitialized();
+
+    if (amount <= 0) throw new StakingError("Invalid amount");
+    if (!txSignature)
+      throw new StakingError("Transaction signature required for fee");
+
+    console.log(
+      `${logPrefix} 🚀 Starting unstake operation for user ${firebaseUid}: ${amount} MKIN`,
+    );
+
+    // 1. Check for a reused fee signature FIRST (before any processing)
+    console.log(`🔍 Step 1: Checking for duplicate unstake transaction...`);
+    await this._assertPaymentUnused(txSignature);
+    console.log(`✅ No duplicate unstake found`);
+
+    // Enforce lock term before any fee processing
+    const existingPos = await this.db
+      .collection(POSITIONS_COLLECTION)
+      .doc(firebaseUid)
+      .get();
+    const penaltyRate = this._getUnstakePenaltyRate(
+      existingPos.exists ? existingPos.data() : null,
+      earlyExit,
+    );
+    if (penaltyRate > 0) {
+      console.log(
+        `${logPrefix} ⚠️ Early exit: ${penaltyRate * 100}% penalty will be withheld`,
+      );
+    }
+
+    // 2. Get user's wallet address
+    const userRewardDoc = await this.db
+      .collection(USER_REWARDS_COLLECTION)
+      .doc(firebaseUid)
+      .get();
+    if (!userRewardDoc.exists) throw new StakingError("User not found");
+
+    let userWallet = userRewardDoc.data().walletAddress;
+
+    // Fallback: if walletAddress not in userRewards, check users collection
+    if (!userWallet) {
+      console.log(
+        `⚠️  walletAddress not in userRewards, checking users collection...`,
+      );
+      const userDoc = await this.db.collection("users").doc(firebaseUid).get();
+      if (userDoc.exists) {
+        userWallet = userDoc.data().walletAddress;
+        if (userWallet) {
+          console.log(
+            `✅ Found walletAddress in users collection: ${userWallet}`,
+          );
+        }
+      }
+    }
+
+    if (!userWallet) {
+      throw new StakingError(
+        "User wallet address not found in userRewards or users collection",
+      );
+    }
+
+    // 1. Resolve the fee from the signed quote
+    // $2.50 total ($1.60 base + $0.90 site fee), priced when the quote was issued
+    const quote = this._verifyFeeQuote(feeQuote, "unstake", firebaseUid);
+    const feeAmount = quote.lamports / 1e9;
+    const usdAmount = quote.usd;
+    const solPrice = quote.solPrice;
+
+    console.log(
+      `💵 Unstake fee: $${usdAmount} = ${feeAmount.toFixed(
+        9,
+      )} SOL (SOL price: $${solPrice})`,
+    );
+
+    // 2. Verify SOL Fee payment matches the quoted lamports exactly
+    const minFee = feeAmount;
+    const maxFee = feeAmount;
+
+    console.log(`🔍 Step 2: Verifying SOL fee transaction...`);
+    console.log(`   Transaction signature: ${txSignature}`);
+    console.log(`   Expected: ${feeAmount.toFixed(9)} SOL (${quote.lamports} lamports)`);
+
+    let isValidFee = false;
+    try {
+      isValidFee = await this._verifySolTransfer(txSignature, minFee, maxFee, {
+        payer: userWallet,
+      });
+    } catch (verifyError) {
+      console.error(`❌ ERROR during fee verification:`);
+      console.error(`   Error type: ${verifyError.name}`);
+      console.error(`   Error message: ${verifyError.message}`);
+      console.error(`   Error stack: ${verifyError.stack}`);
+      throw new StakingError(
+        "Unable to verify your fee payment. Please wait a moment and try again. If the issue persists, contact support.",
+      );
+    }
+
+    if (!isValidFee) {
+      console.error(
+        `❌ Fee verification returned false for transaction: ${txSignature}`,
+      );
+      throw new StakingError(
+        "Unable to verify your fee payment. Please wait a moment and try again. If the issue persists, contact support.",
+      );
+    }
+    console.log(`✅ Fee transaction verified`);
+    
+    // 3. Distribute site fee ($0.90) to treasury and personal wallets
+    console.log(`💸 Step 3: Distributing site fee ($0.90)...`);
+    const { distributeFees } = await import("../utils/feeDistribution.js");
+    const distributionResult = await distributeFees('unstake', 0.90, {
+      treasuryDestination: "gatekeeper",
+    });
+
+    if (distributionResult.success) {
+      console.log(`✅ Fee distributed successfully`);
+      console.log(`   Treasury: ${distributionResult.treasuryAmount.toFixed(6)} SOL`);
+      console.log(`   Personal: ${distributionResult.personalAmount.toFixed(6)} SOL`);
+    } else {
+      console.warn(`⚠️ Fee distribution failed: ${distributionResult.error}`);
+    }
+
+    // Calculate new $MKIN amount BEFORE the Firestore transaction
+    // No guard, no rounding — just divide and send exactly what they're owed
+    // (less any early-exit penalty, which stays in the vault)
+    const penaltyMkin = amount * penaltyRate;
+    const newMkinAmount = (amount - penaltyMkin) / CONVERSION_RATIO;
+
+    // 4. Check vault NEW $MKIN balance BEFORE accepting fee
+    // SKIPPED during testing — vault likely doesn't have ATA for new mint yet
+    // TODO: restore this check after deploying new mint and funding vault
+    console.log(`🔍 Step 4: Vault $MKIN balance check SKIPPED (testing mode)`);
+    console.log(`   Would check: ${newMkinAmount} new $MKIN needed`);
+
+    // Import Discord alerts
+    const {
+      sendVaultCriticalAlert,
+      sendVaultWarningAlert,
+      sendFailedUnstakeAlert,
+    } = await import("../utils/discordAlerts.js");
+
+    // 4. Check vault SOL balance for transaction fees
+    // (unbonding requests are released later by the queue processor, which
+    // checks the vault itself, so a low vault must not reject them here)
+    if (!unbond) {
+      console.log(`🔍 Step 4: Checking vault SOL balance...`);
+      const vaultAddress = new PublicKey(process.env.STAKING_WALLET_ADDRESS);
+      const vaultSolBalance = await this.connection.getBalance(vaultAddress);
+      const vaultSolBalanceSol = vaultSolBalance / 1e9;
+      console.log(`💰 Vault SOL balance: ${vaultSolBalanceSol.toFixed(6)} SOL`);
+
+      // Critical threshold check
+      const CRITICAL_THRESHOLD = 0.01; // 0.01 SOL
+      const WARNING_THRESHOLD = 0.05; // 0.05 SOL
+      const GAS_PER_TX = 0.000005; // ~5000 lamports per transaction
+      const MIN_REQUIRED = GAS_PER_TX + 0.001; // Gas + small buffer
+
+      if (vaultSolBalanceSol < CRITICAL_THRESHOLD) {
+        console.error(`❌ INSUFFICIENT VAULT SOL FOR GAS!`);
+        console.error(`   Vault SOL: ${vaultSolBalanceSol.toFixed(6)} SOL`);
+        console.error(`   Required: ${MIN_REQUIRED.toFixed(6)} SOL minimum`);
+        console.error(`   🚨 CRITICAL: Sending admin alert...`);
+
+        // Send critical Discord alert (non-blocking)
+        sendVaultCriticalAlert(vaultSolBalanceSol).catch((err) => {
+          console.error("Failed to send Discord alert:", err.message);
+        });
+
+        throw new StakingError(
+          `Service temporarily unavailable due to system maintenance. Please try again in a few minutes or contact support.`,
+        );
+      } else if (vaultSolBalanceSol < WARNING_THRESHOLD) {
+        console.warn(
+          `⚠️  WARNING: Vault SOL getting low: ${vaultSolBalanceSol.toFixed(6)} SOL`,
+        );
+        console.warn(`   Sending warning alert to admins...`);
+
+        // Send warning Discord alert (non-blocking)
+        sendVaultWarningAlert(vaultSolBalanceSol).catch((err) => {
+          console.error("Failed to send Discord alert:", err.message);
+        });
+      }
+
+      console.log(`✅ Vault has sufficient SOL for gas fees`);
+    }
+
+    // 5. Pre-fetch price data BEFORE the transaction (critical fix!)
+    console.log(
+      `📊 Step 5: Pre-fetching price data before Firestore transaction...`,
+    );
+    const { getMkinPriceSOL } = await import("../utils/mkinPrice.js");
+    const tokenPriceSol = await getMkinPriceSOL();
+    const rateSchedule = await this.getRateSchedule();
+    const stackingPolicies = await this.boosterService.getStackingPolicies();
+    const boosterCampaigns = await this.boosterService.getCampaigns();
+    const now = admin.firestore.Timestamp.now();
+    console.log(`✅ Price data fetched: ${tokenPriceSol.toFixed(6)} SOL/MKIN`);
+
+    // 6. Update in Firestore (atomic transaction)
+    console.log(`📝 Step 6: Starting Firestore transaction...`);
+
+    let intentRef;
+    let unbondingRef;
+    try {
+      await this.db.runTransaction(async (t) => {
+        const poolRef = this.db
+          .collection(POOL_COLLECTION)
+          .doc(STAKING_POOL_ID);
+        const posRef = this.db
+          .collection(POSITIONS_COLLECTION)
+          .doc(firebaseUid);
+
+        console.log(`   Reading pool and position documents...`);
+        const [poolDoc, posDoc] = await Promise.all([
+          t.get(poolRef),
+          t.get(posRef),
+        ]);
+
+        if (!posDoc.exists) throw new StakingError("No staking position found");
+        let posData = posDoc.data();
+
+        console.log(
+          `   Current position: ${posData.principal_amount || 0} MKIN`,
+        );
+
+        if (posData.principal_amount < amount) {
+          throw new StakingError("Insufficient staked amount");
+        }
+
+        // Lock state must not have changed since the penalty was quoted
+        if (this._getUnstakePenaltyRate(posData, earlyExit) !== penaltyRate) {
+          throw new StakingError("Position lock changed. Please try again.");
+        }
+
+        // Unbonding: crystallize rewards so the queued amount stops
+        // accruing now without losing what it has already earned
+        if (unbond) {
+          const boosterTimeline = this.boosterService.getPositionMultiplierTimeline(
+            posData,
+            stackingPolicies,
+            boosterCampaigns,
+          );
+          posData.rewards_checkpoint_sol = this._calculateRewardBreakdown(
+            posData,
+            boosterTimeline,
+            rateSchedule,
+          ).totalRewards;
+          posData.rewards_checkpoint_time = now;
+        }
+
+        let poolData = poolDoc.exists
+          ? poolDoc.data()
+          : {
+              total_staked: 0,
+              reward_pool_sol: 0,
+              acc_reward_per_share: 0,
+              last_reward_time: now,
+            };
+
+        // 1. Update Pool using pre-fetched price (no async calls here!)
+        poolData = this._calculateNewPoolStateSync(
+          poolData,
+          tokenPriceSol,
+          now,
+          rateSchedule,
+        );
+
+        // 🚀 ADD FEE TO REWARD POOL (Self-Sustaining Pool)
+        poolData.reward_pool_sol = (poolData.reward_pool_sol || 0) + feeAmount;
+        console.log(
+          `💰 Added ${feeAmount.toFixed(
+            4,
+          )} SOL fee to reward pool. New pool: ${poolData.reward_pool_sol.toFixed(
+            4,
+          )} SOL`,
+        );
+
+        // 2. Harvest Pending Rewards (checkpoint them, don't pay out)
+        // The pending rewards will remain and can be claimed later
+        // No need to update reward_debt since we're not using MasterChef logic
+
+        // 3. Update Principal
+        const previousPrincipal = posData.principal_amount;
+        posData.principal_amount -= amount;
 
         // 3.5. Proportionally reduce entry fees when unstaking (for accurate future reward calculations)
         if (posData.total_entry_fees_sol && previousPrincipal > 0) {
@@ -1224,13 +2016,30 @@ class StakingService {
             oldEntryFees - feesToDeduct,
           );
           console.log(
-            `   Proportionally reduced entry fees: ${oldEntryFees.toFixed(6)} → ${posData.total_entry_fees_sol.toFixed(6)} SOL (${(unstakeRatio * 100).toFixed(2)}% unstaked)`,
+            `   Proportionally reduced entry fees: ${oldEntryFees.toFixed(6)} → ${posData.total_entry_fees_sol.toFixed(6)} SOL (${(unstakeRatio * 100).toFixed(2)}% unstaked)`,
+          );
+        }
+
+        // 4. Update Pool Total
+        poolData.total_staked = (poolData.total_staked || 0) - amount;
+        if (poolData.total_staked < 0) poolData.total_staked = 0;
+
+        // 5. Route early-exit penalty value back to the reward pool
+        const penaltySol = penaltyMkin * tokenPriceSol;
+        if (penaltySol > 0) {
+          poolData.reward_pool_sol += penaltySol;
+          poolData.total_penalties_sol =
+            (poolData.total_penalties_sol || 0) + penaltySol;
+          console.log(
+            `   Early-exit penalty: ${penaltyMkin} MKIN (${penaltySol.toFixed(9)} SOL) added to reward pool`,
           );
         }
 
-        // 4. Update Pool Total
-        poolData.total_staked = (poolData.total_staked || 0) - amount;
-        if (poolData.total_staked < 0) poolData.total_staked = 0;
+        // Fully exited positions go back to flexible
+        if (posData.principal_amount <= 0) {
+          posData.lock_tier = "flexible";
+          posData.lock_until = null;
+        }
 
         console.log(
           `   New position: ${posData.principal_amount} MKIN (was ${previousPrincipal})`,
@@ -1249,7 +2058,65 @@ class StakingService {
 
         console.log(`   Writing transaction record...`);
         const txRef = this.db.collection(TRANSACTIONS_COLLECTION).doc();
+
+        // Reverses this debit if the vault transfer is eventually abandoned
+        const compensation = [
+          {
+            path: posRef.path,
+            increments: {
+              principal_amount: amount,
+              total_entry_fees_sol:
+                (posDoc.data().total_entry_fees_sol || 0) -
+                (posData.total_entry_fees_sol || 0),
+            },
+          },
+          {
+            path: poolRef.path,
+            increments: {
+              total_staked: amount,
+              reward_pool_sol: -penaltySol,
+            },
+          },
+        ];
+
+        if (unbond) {
+          // Queue the release; the transfer intent is created at release time
+          unbondingRef = this.db
+            .collection(UNBONDING_COLLECTION)
+            .doc(`unbond_${txSignature}`);
+          t.create(unbondingRef, {
+            user_id: firebaseUid,
+            wallet: userWallet,
+            amount_mkin: amount,
+            amount_mkin_new: newMkinAmount,
+            unstake_tx_path: txRef.path,
+            compensation,
+            status: "UNBONDING",
+            requested_at: now,
+            release_at: admin.firestore.Timestamp.fromMillis(
+              now.toMillis() + UNBONDING_COOLDOWN_MS,
+            ),
+          });
+        } else {
+          // Journal the vault transfer BEFORE anything is sent on-chain
+          intentRef = transferIntentService.createIntent(
+            t,
+            `unstake_${txSignature}`,
+            {
+              type: "UNSTAKE",
+              userId: firebaseUid,
+              wallet: userWallet,
+              amount: newMkinAmount,
+              mint: NEW_MKIN_MINT_ADDRESS,
+              ledgerRef: txRef.path,
+              compensation,
+            },
+          );
+        }
+
         t.set(txRef, {
+          intent_id: intentRef?.id || null,
+          unbonding_id: unbondingRef?.id || null,
           user_id: firebaseUid,
           type: "UNSTAKE",
           amount_mkin: amount,
@@ -1257,11 +2124,19 @@ class StakingService {
           amount_mkin_new: newMkinAmount,
           conversion_ratio: CONVERSION_RATIO,
           new_token_mint: NEW_MKIN_MINT_ADDRESS,
+          early_exit_penalty_mkin: penaltyMkin,
+          early_exit_penalty_sol: penaltySol,
           fee_tx: txSignature,
           fee_amount_sol: feeAmount,
           fee_amount_usd: usdAmount,
+          status: unbond ? "UNBONDING" : "PENDING",
           timestamp: now,
         });
+        paymentVerifier.registerSignatureInTransaction(t, txSignature, {
+          operation: "unstake",
+          userId: firebaseUid,
+          ledgerRef: txRef.path,
+        });
 
         console.log(`   ✅ All writes queued for atomic commit`);
       });
@@ -1274,100 +2149,57 @@ class StakingService {
       );
     }
 
+    if (unbond) {
+      const releaseAt = now.toMillis() + UNBONDING_COOLDOWN_MS;
+      console.log(
+        `${logPrefix} ⏳ Unbonding queued: ${newMkinAmount} $MKIN releases after ${new Date(releaseAt).toISOString()}`,
+      );
+      return {
+        success: true,
+        unbonding: true,
+        unbondingId: unbondingRef.id,
+        releaseAt,
+        feeSignature: txSignature,
+        amount,
+        newMkinAmount,
+        earlyExitPenaltyMkin: penaltyMkin,
+        conversionRatio: CONVERSION_RATIO,
+        timestamp: new Date().toISOString(),
+      };
+    }
+
     // 5. Convert old MKIN amount to new $MKIN and send from vault
     console.log(`${logPrefix} 🔄 Token Conversion:`);
     console.log(`${logPrefix}    Old MKIN staked: ${amount.toLocaleString()}`);
     console.log(`${logPrefix}    Conversion ratio: ${CONVERSION_RATIO.toLocaleString()} old = 1 $MKIN`);
     console.log(`${logPrefix}    New $MKIN to send: ${newMkinAmount}`);
 
-    // Load treasury keypair (where new $MKIN tokens live)
-    const gatekeeperKeypair = Keypair.fromSecretKey(
-      new Uint8Array(JSON.parse(process.env.GATEKEEPER_KEYPAIR))
-    );
-
+    // Send FROM treasury (where new tokens live); every state change is
+    // journaled on the intent so the recovery worker can finish or reverse it
     let tokenSignature = null;
     try {
-      tokenSignature = await this._sendTokensFromVault(
-        userWallet,
-        newMkinAmount,
-        NEW_MKIN_MINT_ADDRESS,    // new mint
-        gatekeeperKeypair         // send FROM treasury (where new tokens live)
-      );
+      tokenSignature = await transferIntentService.execute(intentRef);
       console.log(`${logPrefix} ✅ Sent ${newMkinAmount} new $MKIN to ${userWallet}`);
-
-      // Update the transaction record with token signature
-      const txSnapshot = await this.db
-        .collection(TRANSACTIONS_COLLECTION)
-        .where("user_id", "==", firebaseUid)
-        .where("type", "==", "UNSTAKE")
-        .where("fee_tx", "==", txSignature)
-        .orderBy("timestamp", "desc")
-        .limit(1)
-        .get();
-
-      if (!txSnapshot.empty) {
-        await txSnapshot.docs[0].ref.update({
-          token_tx: tokenSignature,
-          status: "COMPLETED",
-        });
-      }
     } catch (e) {
       console.error(
         `${logPrefix} ❌ CRITICAL: Token transfer failed but DB already updated!`,
       );
       console.error(`${logPrefix}    Error: ${e.message}`);
-      console.error(`${logPrefix}    Stack: ${e.stack}`);
+      console.error(`${logPrefix}    Intent: ${intentRef.id} (queued for automatic recovery)`);
 
-      // Log failed payout for manual recovery
-      try {
-        await this.db.collection("failed_payouts").add({
-          user_id: firebaseUid,
-          type: "UNSTAKE",
-          amount_mkin: amount,
-          amount_mkin_old: amount,
-          amount_mkin_new: newMkinAmount,
-          conversion_ratio: CONVERSION_RATIO,
-          fee_tx: txSignature,
-          fee_amount_sol: feeAmount,
-          fee_amount_usd: usdAmount,
-          user_wallet: userWallet,
-          error_message: e.message,
-          error_stack: e.stack,
-          timestamp: admin.firestore.Timestamp.now(),
-          status: "PENDING_RECOVERY",
-          recovery_attempts: 0,
-        });
-        console.log(
-          `${logPrefix} 📝 Logged to failed_payouts collection for manual recovery`,
-        );
-      } catch (logError) {
-        console.error(
-          `${logPrefix} ❌ Failed to log to failed_payouts:`,
-          logError,
-        );
-      }
-
-      // Send Discord alert about failed payout
-      try {
-        const { sendDiscordAlert } = await import("../utils/discordAlerts.js");
-        await sendDiscordAlert({
-          type: "error",
-          title: "🚨 CRITICAL: Unstake Token Transfer Failed",
-          userId: firebaseUid,
-          amount: `${amount.toLocaleString()} MKIN`,
-          feeTx: txSignature,
-          error: e.message,
-          message: `User paid fee but token transfer failed. REQUIRES MANUAL RECOVERY!\n\nRun: \`node scripts/recover-failed-unstake.js ${firebaseUid} --execute\``,
-        });
-      } catch (alertError) {
+      sendFailedUnstakeAlert({
+        userId: firebaseUid,
+        amount,
+        error: e.message,
+      }).catch((alertError) => {
         console.error(
           `${logPrefix} ⚠️  Failed to send Discord alert:`,
           alertError.message,
         );
-      }
+      });
 
       throw new StakingError(
-        "Token transfer failed. Please contact support. Your unstake will be manually processed.",
+        "Token transfer failed. Your unstake has been recorded and will be retried automatically.",
       );
     }
 
@@ -1381,11 +2213,205 @@ class StakingService {
       feeSignature: txSignature,
       amount,                        // old MKIN debited from position
       newMkinAmount,                 // new $MKIN sent to user
+      earlyExitPenaltyMkin: penaltyMkin, // old MKIN withheld for early exit
       conversionRatio: CONVERSION_RATIO,
       timestamp: new Date().toISOString(),
     };
   }
 
+  /**
+   * UNBONDING PROCESSOR
+   * Releases matured unbonding entries (oldest first) from the gatekeeper vault.
+   * Vault SOL and $MKIN balances are checked before the batch; entries that
+   * the vault cannot cover stay queued, in order, for the next run.
+   */
+  async processUnbondingQueue({ batchSize = UNBONDING_BATCH_SIZE } = {}) {
+    await this._ensureInitialized();
+    const summary = { matured: 0, released: 0, failed: 0, deferred: 0 };
+
+    const snapshot = await this.db
+      .collection(UNBONDING_COLLECTION)
+      .where("status", "==", "UNBONDING")
+      .where("release_at", "<=", admin.firestore.Timestamp.now())
+      .orderBy("release_at")
+      .limit(batchSize)
+      .get();
+
+    summary.matured = snapshot.size;
+    if (snapshot.empty) {
+      console.log("⏳ [Unbonding] No matured entries to release");
+      return summary;
+    }
+
+    // Vault balance check before the batch
+    const gatekeeperKeypair = Keypair.fromSecretKey(
+      new Uint8Array(JSON.parse(process.env.GATEKEEPER_KEYPAIR)),
+    );
+    const { solBalance, tokenBalance } = await this._getVaultBalances(
+      gatekeeperKeypair.publicKey,
+    );
+    console.log(
+      `💰 [Unbonding] Vault: ${solBalance.toFixed(6)} SOL, ${tokenBalance} $MKIN for ${snapshot.size} matured entries`,
+    );
+
+    const { sendDiscordAlert, sendVaultCriticalAlert } = await import(
+      "../utils/discordAlerts.js"
+    );
+
+    const MIN_SOL_PER_RELEASE = 0.003; // Gas + possible recipient ATA rent
+    let availableSol = solBalance;
+    let availableTokens = tokenBalance;
+
+    for (const doc of snapshot.docs) {
+      const entry = doc.data();
+
+      // FIFO: stop at the first entry the vault cannot cover
+      if (
+        availableSol < MIN_SOL_PER_RELEASE ||
+        availableTokens < entry.amount_mkin_new
+      ) {
+        summary.deferred = snapshot.size - summary.released - summary.failed;
+        break;
+      }
+
+      const intentRef = await this.db.runTransaction(async (t) => {
+        const fresh = await t.get(doc.ref);
+        if (fresh.data().status !== "UNBONDING") return null;
+
+        const ref = transferIntentService.createIntent(t, doc.id, {
+          type: "UNSTAKE",
+          userId: entry.user_id,
+          wallet: entry.wallet,
+          amount: entry.amount_mkin_new,
+          mint: NEW_MKIN_MINT_ADDRESS,
+          ledgerRef: [doc.ref.path, entry.unstake_tx_path],
+          compensation: entry.compensation,
+        });
+        t.update(doc.ref, {
+          status: "RELEASING",
+          intent_id: ref.id,
+          releasing_at: admin.firestore.Timestamp.now(),
+        });
+        return ref;
+      });
+      if (!intentRef) continue;
+
+      availableSol -= MIN_SOL_PER_RELEASE;
+      availableTokens -= entry.amount_mkin_new;
+
+      try {
+        await transferIntentService.execute(intentRef);
+        summary.released++;
+      } catch (error) {
+        // The intent is journaled as FAILED; the transfer recovery worker owns it now
+        summary.failed++;
+        console.error(
+          `❌ [Unbonding] Release of ${doc.id} failed: ${error.message}`,
+        );
+      }
+    }
+
+    if (summary.deferred > 0) {
+      console.warn(
+        `⚠️ [Unbonding] ${summary.deferred} matured entries deferred - vault cannot cover them`,
+      );
+      if (availableSol < MIN_SOL_PER_RELEASE) {
+        sendVaultCriticalAlert(solBalance).catch(() => {});
+      }
+      sendDiscordAlert({
+        level: "WARNING",
+        title: "Unbonding Queue Blocked by Vault Liquidity",
+        message: `${summary.deferred} matured unbonding entries could not be released this run.`,
+        action: `Top up the gatekeeper vault \`${gatekeeperKeypair.publicKey.toBase58()}\` with SOL and/or $MKIN.`,
+        details: {
+          "Vault SOL": solBalance.toFixed(6),
+          "Vault $MKIN": tokenBalance,
+          Released: summary.released,
+        },
+      }).catch(() => {});
+    }
+
+    console.log(`✅ [Unbonding] Run complete:`, JSON.stringify(summary));
+    return summary;
+  }
+
+  /**
+   * Helper: SOL and new $MKIN balances of a vault wallet
+   */
+  async _getVaultBalances(ownerPubkey) {
+    const solLamports = await this.connection.getBalance(ownerPubkey);
+    let tokenBalance = 0;
+    try {
+      const ata = await getAssociatedTokenAddress(
+        new PublicKey(NEW_MKIN_MINT_ADDRESS),
+        ownerPubkey,
+      );
+      const { value } = await this.connection.getTokenAccountBalance(ata);
+      tokenBalance = value.uiAmount || 0;
+    } catch (e) {
+      console.warn(`⚠️ Vault token account not readable: ${e.message}`);
+    }
+    return { solBalance: solLamports / 1e9, tokenBalance };
+  }
+
+  /**
+   * Helper: A user's unbonding entries with queue position and ETA
+   * Position counts queued entries that release before this one; ETA is the
+   * first hourly processor run after maturity plus any batch backlog.
+   */
+  async _getUnbondingStatus(firebaseUid) {
+    const snapshot = await this.db
+      .collection(UNBONDING_COLLECTION)
+      .where("user_id", "==", firebaseUid)
+      .where("status", "in", ["UNBONDING", "RELEASING"])
+      .get();
+
+    const entries = await Promise.all(
+      snapshot.docs.map(async (doc) => {
+        const entry = doc.data();
+        const releaseAtMs = entry.release_at.toMillis();
+
+        if (entry.status === "RELEASING") {
+          return {
+            id: doc.id,
+            status: entry.status,
+            amount: entry.amount_mkin,
+            newMkinAmount: entry.amount_mkin_new,
+            releaseAt: releaseAtMs,
+            queuePosition: 0,
+            eta: Date.now(),
+          };
+        }
+
+        const ahead = await this.db
+          .collection(UNBONDING_COLLECTION)
+          .where("status", "==", "UNBONDING")
+          .where("release_at", "<", entry.release_at)
+          .count()
+          .get();
+        const queuePosition = ahead.data().count + 1;
+
+        const firstRun =
+          Math.ceil(Math.max(releaseAtMs, Date.now()) / UNBONDING_RUN_INTERVAL_MS) *
+          UNBONDING_RUN_INTERVAL_MS;
+        const backlogRuns = Math.floor((queuePosition - 1) / UNBONDING_BATCH_SIZE);
+
+        return {
+          id: doc.id,
+          status: entry.status,
+          amount: entry.amount_mkin,
+          newMkinAmount: entry.amount_mkin_new,
+          requestedAt: entry.requested_at.toMillis(),
+          releaseAt: releaseAtMs,
+          queuePosition,
+          eta: firstRun + backlogRuns * UNBONDING_RUN_INTERVAL_MS,
+        };
+      }),
+    );
+
+    return entries.sort((a, b) => a.releaseAt - b.releaseAt);
+  }
+
   /**
    * Helper: Verify SPL Token Transfer to Vault
    * Checks that user sent MKIN tokens to the vault
@@ -1606,8 +2632,11 @@ class StakingService {
   /**
    * Helper: Send Tokens from Vault to User
    * Used during unstaking to return tokens
+   * @param {Object} [options]
+   * @param {Function} [options.onSigned] - Awaited with { signature, blockhash, lastValidBlockHeight }
+   *   before the transaction is broadcast; if it throws, nothing is sent
    */
-  async _sendTokensFromVault(userWallet, amount, mintOverride = null, sourceKeypairOverride = null) {
+  async _sendTokensFromVault(userWallet, amount, mintOverride = null, sourceKeypairOverride = null, options = {}) {
     try {
       let vaultKeypair;
       if (sourceKeypairOverride) {
@@ -1707,7 +2736,8 @@ class StakingService {
       transaction.add(transferIx);
 
       // Set blockhash and fee payer
-      const { blockhash } = await this.connection.getLatestBlockhash();
+      const { blockhash, lastValidBlockHeight } =
+        await this.connection.getLatestBlockhash();
       transaction.recentBlockhash = blockhash;
       transaction.feePayer = vaultKeypair.publicKey;
 
@@ -1715,6 +2745,15 @@ class StakingService {
       transaction.sign(vaultKeypair);
       const rawTransaction = transaction.serialize();
 
+      // Journal the signature before broadcasting, so a sent transaction is never untracked
+      if (options.onSigned) {
+        await options.onSigned({
+          signature: bs58.encode(transaction.signature),
+          blockhash,
+          lastValidBlockHeight,
+        });
+      }
+
       // Robust Send with Persistent Retry Loop
       // Mirrors logic from mkinTransfer.js to handle network drops
       let signature;
@@ -1785,196 +2824,285 @@ class StakingService {
   }
 
   /**
-   * Helper: Verify SOL transfer (for fee payments)
-   * Now accepts min/max range for tolerance
+   * Helper: Verify SOL transfer (for fee payments) to the staking wallet
+   * Delegates to paymentVerifier; accepts a min/max range in SOL.
+   *
+   * @param {Object} [options]
+   * @param {string} [options.payer] - Wallet that must have paid the fee
    */
-  async _verifySolTransfer(
-    signature,
-    minAmountSol,
-    maxAmountSol,
-    retryCount = 0,
-  ) {
-    const maxRetries = 3;
-    console.log(
-      `🔍 [Fee Verification] Starting verification for transaction: ${signature}`,
-    );
+  async _verifySolTransfer(signature, minAmountSol, maxAmountSol, options = {}) {
+    const stakingAddr = process.env.STAKING_WALLET_ADDRESS;
+    if (!stakingAddr) throw new Error("STAKING_WALLET_ADDRESS not configured");
+
     console.log(
-      `   Expected amount range: ${minAmountSol.toFixed(4)} - ${maxAmountSol.toFixed(4)} SOL`,
+      `🔍 [Fee Verification] ${signature}: expecting ${minAmountSol.toFixed(9)} - ${maxAmountSol.toFixed(9)} SOL`,
     );
 
-    try {
-      console.log(
-        `   Fetching transaction from RPC (attempt ${retryCount + 1}/${maxRetries + 1})...`,
-      );
-
-      // Try multiple commitment levels for better reliability
-      let tx = await this.connection.getParsedTransaction(signature, {
-        commitment: "confirmed",
-        maxSupportedTransactionVersion: 0,
-      });
-
-      // If not found with "confirmed", try "finalized"
-      if (!tx && retryCount === 0) {
-        console.log(`   Not found with "confirmed", trying "finalized"...`);
-        tx = await this.connection.getParsedTransaction(signature, {
-          commitment: "finalized",
-          maxSupportedTransactionVersion: 0,
-        });
-      }
-
-      if (!tx) {
-        // If transaction not found and we have retries left, wait and retry
-        if (retryCount < maxRetries) {
-          const delay = 2000 * (retryCount + 1); // 2s, 4s, 6s
-          console.log(
-            `   Transaction not found yet, waiting ${delay}ms before retry...`,
-          );
-          await new Promise((resolve) => setTimeout(resolve, delay));
-          return this._verifySolTransfer(
-            signature,
-            minAmountSol,
-            maxAmountSol,
-            retryCount + 1,
-          );
-        }
+    // Round (not floor) so quoted lamports survive the SOL round trip
+    const result = await paymentVerifier.verifyPayment(signature, {
+      recipient: stakingAddr,
+      payer: options.payer,
+      minLamports: Math.round(minAmountSol * 1e9),
+      maxLamports: Math.round(maxAmountSol * 1e9),
+    });
 
-        console.error(
-          `❌ Transaction not found after ${maxRetries + 1} attempts: ${signature}`,
-        );
-        console.error(`   Possible reasons:`);
-        console.error(`   1. Wrong transaction signature provided`);
-        console.error(`   2. Transaction is too old (pruned from RPC)`);
-        console.error(`   3. RPC node issues (try again in a moment)`);
-        return false;
-      }
+    if (!result.valid) {
+      console.error(`❌ Fee verification failed: ${result.error}`);
+      console.error(
+        `   Check transaction on Solscan: https://solscan.io/tx/${signature}`,
+      );
+    }
+    return result.valid;
+  }
 
-      if (!tx.meta) {
-        console.error(`❌ Transaction found but has no metadata: ${signature}`);
-        console.error(`   This usually means the transaction failed on-chain`);
-        console.error(
-          `   Check transaction on Solscan: https://solscan.io/tx/${signature}`,
-        );
-        return false;
+  /**
+   * Helper: Reject payment signatures already used by any operation
+   */
+  async _assertPaymentUnused(signature) {
+    try {
+      await paymentVerifier.assertSignatureUnused(signature);
+    } catch (error) {
+      if (error instanceof PaymentVerificationError) {
+        throw new StakingError(error.message, error.code);
       }
+      throw error;
+    }
+  }
 
-      console.log(`✅ Transaction found and confirmed (slot: ${tx.slot})`);
-
-      const stakingAddr = process.env.STAKING_WALLET_ADDRESS;
-      if (!stakingAddr)
-        throw new Error("STAKING_WALLET_ADDRESS not configured");
-
-      // Look for SystemProgram.transfer to stakingAddr
-      const instructions = tx.transaction.message.instructions;
-      console.log(`📋 Transaction has ${instructions.length} instructions`);
-
-      for (let i = 0; i < instructions.length; i++) {
-        const ix = instructions[i];
-        console.log(
-          `  Instruction ${i}: program=${ix.program}, type=${ix.parsed?.type}`,
-        );
+  /**
+   * What-if projection for the booster simulator (POST /api/boosters/simulate)
+   * Projects the user's rewards as the position stands and with hypothetical
+   * booster and stake changes. Both use the same booster timeline (stacking
+   * policies, running campaigns) and reward integration as real accrual, so
+   * scheduled APR changes, lock expiry and campaign ends within a horizon apply.
+   * @param {string} firebaseUid
+   * @param {Object} scenario
+   * @param {Array} [scenario.addBoosters] - Category keys or { category, count }
+   * @param {Array} [scenario.removeBoosters] - Category keys or { category, count }
+   * @param {number} [scenario.additionalStake] - MKIN added to the position (negative to unstake)
+   * @param {string} [scenario.lockTier] - LOCK_TIERS id the hypothetical stake is made with
+   * @returns {Promise<Object>} { current, simulated, difference } with projected SOL per horizon
+   */
+  async simulateRewards(firebaseUid, scenario = {}) {
+    const {
+      addBoosters = [],
+      removeBoosters = [],
+      additionalStake = 0,
+      lockTier = null,
+    } = scenario;
+
+    if (!Array.isArray(addBoosters) || !Array.isArray(removeBoosters)) {
+      throw new StakingError("addBoosters and removeBoosters must be arrays");
+    }
+    if (typeof additionalStake !== "number" || !Number.isFinite(additionalStake)) {
+      throw new StakingError("additionalStake must be a number of MKIN");
+    }
 
-        if (ix.program === "system" && ix.parsed?.type === "transfer") {
-          const info = ix.parsed.info;
-          const lamports = info.lamports;
-          const solAmount = lamports / 1e9;
+    const posDoc = await this.db
+      .collection(POSITIONS_COLLECTION)
+      .doc(firebaseUid)
+      .get();
+    const posData = posDoc.exists
+      ? posDoc.data()
+      : { user_id: firebaseUid, principal_amount: 0 };
+    const principal = posData.principal_amount || 0;
 
-          console.log(`    Transfer found:`);
-          console.log(`      From: ${info.source}`);
-          console.log(`      To: ${info.destination}`);
-          console.log(
-            `      Amount: ${solAmount.toFixed(9)} SOL (${lamports} lamports)`,
-          );
-          console.log(
-            `      Expected range: ${minAmountSol.toFixed(
-              9,
-            )} - ${maxAmountSol.toFixed(9)} SOL`,
-          );
+    if (principal + additionalStake < 0) {
+      throw new StakingError(
+        `Cannot unstake more than your staked principal (${principal} MKIN)`,
+      );
+    }
 
-          if (info.destination === stakingAddr) {
-            // Use maxAmountSol if no minAmountSol provided (backward compatibility)
-            // CRITICAL FIX: Use explicit undefined check to handle 0 as a valid value
-            const min =
-              minAmountSol !== undefined ? minAmountSol : maxAmountSol;
-            const max =
-              maxAmountSol !== undefined ? maxAmountSol : minAmountSol;
-
-            if (solAmount >= min && solAmount <= max) {
-              console.log(`✅ Fee payment verified!`);
-              return true;
-            } else {
-              console.error(
-                `❌ Amount out of range: ${solAmount} not in [${min}, ${max}]`,
-              );
-            }
-          } else {
-            console.log(`    ❌ Wrong destination (expected: ${stakingAddr})`);
-          }
-        }
-      }
+    const { getMkinPriceSOL } = await import("../utils/mkinPrice.js");
+    const tokenPriceSol = await getMkinPriceSOL();
+    const rateSchedule = await this.getRateSchedule();
+    const stackingPolicies = await this.boosterService.getStackingPolicies();
+    const boosterCampaigns = await this.boosterService.getCampaigns();
+    const nowMs = Date.now();
+
+    // Hypothetical position, updated the way stake() would update it
+    const simulatedPos = {
+      ...posData,
+      principal_amount: principal + additionalStake,
+    };
+    if (additionalStake > 0) {
+      const existingLockedPrice = posData.locked_token_price_sol || 0;
+      simulatedPos.locked_token_price_sol =
+        principal > 0 && existingLockedPrice > 0
+          ? (existingLockedPrice * principal + tokenPriceSol * additionalStake) /
+            simulatedPos.principal_amount
+          : tokenPriceSol;
+    }
+    if (lockTier) {
+      const lock = this._resolveStakeLock(
+        posDoc.exists ? posData : null,
+        lockTier,
+        nowMs,
+      );
+      simulatedPos.lock_tier = lock.tier.id;
+      simulatedPos.lock_until = lock.lockUntilMs
+        ? admin.firestore.Timestamp.fromMillis(lock.lockUntilMs)
+        : null;
+    }
 
-      // Fallback for versioned transactions: check balance delta
-      const accountKeys = tx.transaction.message.accountKeys || [];
-      const accountIndex = accountKeys.findIndex(
-        (key) => key.toString() === stakingAddr,
+    // Hypothetical boosters hold from now on
+    const currentBoosters = posData.active_boosters || [];
+    const simulatedBoosters = await this.boosterService.applyBoosterChanges(
+      currentBoosters,
+      { add: addBoosters, remove: removeBoosters },
+    );
+    simulatedPos.active_boosters = simulatedBoosters;
+    simulatedPos.booster_segments = [];
+
+    const project = (position) => {
+      const boosterTimeline = this.boosterService.getPositionMultiplierTimeline(
+        position,
+        stackingPolicies,
+        boosterCampaigns,
+      );
+      const projectedSol = this._projectRewards(
+        position,
+        boosterTimeline,
+        rateSchedule,
+        nowMs,
       );
+      return {
+        principal: position.principal_amount || 0,
+        lockTier: getLockTier(position.lock_tier).id,
+        boosters: (position.active_boosters || []).map((booster) => ({
+          category: booster.category || booster.type,
+          name: booster.name,
+          multiplier: booster.multiplier,
+          count: booster.mints ? booster.mints.length : 1,
+        })),
+        boosterMultiplier: getMultiplierAt(boosterTimeline, nowMs),
+        projectedSol,
+      };
+    };
 
-      if (
-        accountIndex >= 0 &&
-        tx.meta?.postBalances &&
-        tx.meta?.preBalances
-      ) {
-        const balanceDelta =
-          tx.meta.postBalances[accountIndex] -
-          tx.meta.preBalances[accountIndex];
-        const minLamports = Math.floor(
-          (minAmountSol !== undefined ? minAmountSol : 0) * 1e9,
-        );
-        const maxLamports = Math.floor(
-          (maxAmountSol !== undefined
-            ? maxAmountSol
-            : Number.MAX_SAFE_INTEGER) * 1e9,
-        );
+    const current = project(posData);
+    const simulated = project(simulatedPos);
 
-        if (balanceDelta >= minLamports && balanceDelta <= maxLamports) {
-          console.log(`✅ Fee payment verified via balance delta!`);
-          return true;
-        }
-      }
+    return {
+      current,
+      simulated,
+      difference: Object.fromEntries(
+        Object.keys(PROJECTION_DAYS).map((horizon) => [
+          horizon,
+          simulated.projectedSol[horizon] - current.projectedSol[horizon],
+        ]),
+      ),
+      apr: getRateAt(rateSchedule, nowMs) * 100,
+      tokenPriceSol,
+      horizonsDays: PROJECTION_DAYS,
+    };
+  }
 
-      console.error("❌ No valid fee transfer found in transaction");
-      return false;
-    } catch (e) {
-      console.error("Fee verification error:", e);
-      return false;
-    }
+  /**
+   * Rewards a position would accrue from now over each projection horizon
+   * Starts from an empty checkpoint so only future accrual is counted.
+   * @returns {{ daily: number, monthly: number, yearly: number }} SOL
+   */
+  _projectRewards(positionData, boosterTimeline, rateSchedule, nowMs) {
+    const now = admin.firestore.Timestamp.fromMillis(nowMs);
+    const fromNow = {
+      ...positionData,
+      stake_start_time: positionData.stake_start_time || now,
+      rewards_checkpoint_sol: 0,
+      rewards_checkpoint_time: now,
+      total_claimed_sol: 0,
+    };
+
+    return Object.fromEntries(
+      Object.entries(PROJECTION_DAYS).map(([horizon, days]) => [
+        horizon,
+        this._calculateRewardBreakdown(
+          fromNow,
+          boosterTimeline,
+          rateSchedule,
+          nowMs + days * 86400000,
+        ).totalRewards,
+      ]),
+    );
   }
 
   /**
    * Calculate pending rewards for a user in real-time
    * Uses locked token price to ensure stable rewards that don't fluctuate
    * @param {Object} positionData - User's staking position from Firebase
-   * @param {number} boosterMultiplier - Combined booster multiplier (default 1.0)
+   * @param {number|Array} boosterMultiplier - Combined booster multiplier (default 1.0),
+   *   or a timeline from BoosterService.getPositionMultiplierTimeline()
+   * @param {Array} [rateSchedule] - Pre-fetched rate schedule (defaults to cached copy)
    * @returns {number} - Pending rewards in SOL
    */
-  _calculatePendingRewards(positionData, boosterMultiplier = 1.0) {
+  _calculatePendingRewards(
+    positionData,
+    boosterMultiplier = 1.0,
+    rateSchedule = this._rateScheduleCache.segments,
+  ) {
+    return this._calculateRewardBreakdown(
+      positionData,
+      boosterMultiplier,
+      rateSchedule,
+    ).pending;
+  }
+
+  /**
+   * Explain a position's accrued rewards segment by segment
+   * Integrates the effective-dated APR schedule from the last rewards
+   * checkpoint (or stake start) to now. The lock tier multiplier applies
+   * until lock_until; rewards accrued before a tier change are carried in
+   * rewards_checkpoint_sol. A booster timeline is integrated the same way, so
+   * each booster set and stacking policy only applies while it was in effect.
+   * @param {number|Array<{fromMs: number, toMs: number, multiplier: number}>} [boosterMultiplier]
+   * @param {Array} [rateSchedule] - Pre-fetched rate schedule (defaults to cached copy)
+   * @param {number} [atMs] - Accrue up to this time (defaults to now; later for projections)
+   * @returns {{ pending: number, totalRewards: number, totalClaimedSol: number,
+   *   tokenPriceSol: number, priceSource: string|null,
+   *   segments: Array<{from: string, to: string, apr: number, lockMultiplier: number, boosterMultiplier: number, seconds: number, rewardsSol: number}> }}
+   */
+  _calculateRewardBreakdown(
+    positionData,
+    boosterMultiplier = 1.0,
+    rateSchedule = this._rateScheduleCache.segments,
+    atMs = Date.now(),
+  ) {
     const principalAmountMKIN = positionData.principal_amount || 0;
+    const totalClaimedSol = positionData.total_claimed_sol || 0;
+    const empty = {
+      pending: 0,
+      totalRewards: 0,
+      totalClaimedSol,
+      tokenPriceSol: 0,
+      priceSource: null,
+      segments: [],
+    };
 
+    // Rewards up to the last checkpoint were crystallized when the lock tier
+    // changed or the position unbonded
+    const checkpointSol = positionData.rewards_checkpoint_sol || 0;
+
+    // Fully unbonded: nothing new accrues, but checkpointed rewards stay claimable
     if (principalAmountMKIN <= 0) {
-      return 0;
+      return {
+        ...empty,
+        pending: Math.max(0, checkpointSol - totalClaimedSol),
+        totalRewards: checkpointSol,
+      };
     }
 
     // Get stake start time (in seconds)
     const stakeStartTime =
       positionData.stake_start_time?._seconds ||
       positionData.stake_start_time?.seconds ||
-      Math.floor(Date.now() / 1000);
+      Math.floor(atMs / 1000);
 
     // Calculate time staked (in seconds)
-    const currentTime = Math.floor(Date.now() / 1000);
+    const currentTime = Math.floor(atMs / 1000);
     const secondsStaked = currentTime - stakeStartTime;
 
     if (secondsStaked <= 0) {
-      return 0;
+      return empty;
     }
 
     // Get the locked token price - this is the key to stable rewards
@@ -1999,24 +3127,67 @@ class StakingService {
       console.log(
         `⚠️  No locked token price or entry fee data found - cannot calculate rewards`,
       );
-      return 0;
+      return empty;
     }
 
-    // Annual return rate (10% APY)
-    const ANNUAL_RATE = 0.1;
-    const SECONDS_PER_YEAR = 365 * 24 * 60 * 60; // 31,536,000 (match frontend exactly)
+    const checkpointTime =
+      positionData.rewards_checkpoint_time?._seconds ||
+      positionData.rewards_checkpoint_time?.seconds ||
+      0;
+    const accrualStartMs = Math.max(stakeStartTime, checkpointTime) * 1000;
+    const nowMs = currentTime * 1000;
+
+    // Lock tier multiplier applies only while the lock is running
+    const lockTier = getLockTier(positionData.lock_tier);
+    const lockUntilMs = positionData.lock_until?.toMillis?.() || 0;
+    const windows = [];
+    if (lockTier.aprMultiplier !== 1.0 && lockUntilMs > accrualStartMs) {
+      windows.push([accrualStartMs, Math.min(nowMs, lockUntilMs), lockTier.aprMultiplier]);
+      windows.push([lockUntilMs, nowMs, 1.0]);
+    } else {
+      windows.push([accrualStartMs, nowMs, 1.0]);
+    }
 
-    // Calculate base rewards (matches frontend formula exactly):
-    // baseRewards = (stakedAmount * 0.1 * tokenPriceSol * durationSeconds) / SECONDS_IN_YEAR
-    const baseRewards =
-      (principalAmountMKIN * ANNUAL_RATE * tokenPriceSol * secondsStaked) /
-      SECONDS_PER_YEAR;
+    // A plain multiplier applies for all time
+    const boosterTimeline = Array.isArray(boosterMultiplier)
+      ? boosterMultiplier
+      : [{ fromMs: -Infinity, toMs: Infinity, multiplier: boosterMultiplier }];
+
+    // Integrate the APR schedule across each lock window and booster segment:
+    // segmentRewards = (stakedAmount * apr * lockMultiplier * tokenPriceSol * segmentSeconds) / SECONDS_PER_YEAR
+    let baseRewards = 0;
+    let boostedRewards = 0;
+    const explained = [];
+    for (const [windowFromMs, windowToMs, lockMultiplier] of windows) {
+      for (const booster of boosterTimeline) {
+        const fromMs = Math.max(windowFromMs, booster.fromMs);
+        const toMs = Math.min(windowToMs, booster.toMs);
+        if (toMs <= fromMs) continue;
+
+        for (const segment of integrateRate(rateSchedule, fromMs, toMs).segments) {
+          const segmentRewards =
+            (principalAmountMKIN *
+              segment.apr *
+              lockMultiplier *
+              tokenPriceSol *
+              segment.seconds) /
+            SECONDS_PER_YEAR;
+          baseRewards += segmentRewards;
+          boostedRewards += segmentRewards * booster.multiplier;
+          explained.push({
+            ...segment,
+            lockMultiplier,
+            boosterMultiplier: booster.multiplier,
+            rewardsSol: segmentRewards * booster.multiplier,
+          });
+        }
+      }
+    }
 
-    // Apply booster multiplier
-    const totalRewards = baseRewards * boosterMultiplier;
+    // Booster multiplier is already applied per segment
+    const totalRewards = checkpointSol + boostedRewards;
 
     // Subtract already claimed rewards
-    const totalClaimedSol = positionData.total_claimed_sol || 0;
     const pendingRewards = Math.max(0, totalRewards - totalClaimedSol);
 
     console.log(`📊 Reward Calculation (using locked price for stability):`);
@@ -2027,20 +3198,39 @@ class StakingService {
     console.log(
       `   Seconds staked: ${secondsStaked.toLocaleString()} (${(secondsStaked / 86400).toFixed(2)} days)`,
     );
-    console.log(`   Annual rate: ${ANNUAL_RATE * 100}% ROI`);
+    for (const segment of explained) {
+      console.log(
+        `   Segment ${segment.from} → ${segment.to}: ${segment.apr * 100}% APR x${segment.lockMultiplier} lock x${segment.boosterMultiplier} booster, ${segment.rewardsSol.toFixed(9)} SOL`,
+      );
+    }
+    if (checkpointSol > 0) {
+      console.log(`   Checkpointed rewards: ${checkpointSol.toFixed(9)} SOL`);
+    }
     console.log(`   Base rewards: ${baseRewards.toFixed(9)} SOL`);
-    console.log(`   Booster: ${boosterMultiplier}x`);
+    console.log(
+      `   Booster: ${boosterTimeline.map((b) => `${b.multiplier}x`).join(" → ")}`,
+    );
     console.log(`   Total rewards: ${totalRewards.toFixed(9)} SOL`);
     console.log(`   Already claimed: ${totalClaimedSol.toFixed(9)} SOL`);
     console.log(`   Pending: ${pendingRewards.toFixed(9)} SOL`);
 
-    return pendingRewards;
+    return {
+      pending: pendingRewards,
+      totalRewards,
+      totalClaimedSol,
+      tokenPriceSol,
+      priceSource,
+      segments: explained,
+    };
   }
 
   /**
    * Helper: Send SOL from Treasury to User
+   * @param {Object} [options]
+   * @param {Function} [options.onSigned] - Awaited with { signature, blockhash, lastValidBlockHeight }
+   *   before the transaction is broadcast; if it throws, nothing is sent
    */
-  async _sendSolFromTreasury(firebaseUid, amountSol) {
+  async _sendSolFromTreasury(firebaseUid, amountSol, options = {}) {
     try {
       const stakingKey = process.env.STAKING_PRIVATE_KEY;
       if (!stakingKey) throw new Error("STAKING_PRIVATE_KEY not set");
@@ -2094,7 +3284,8 @@ class StakingService {
       );
 
       // Get latest blockhash
-      const { blockhash } = await this.connection.getLatestBlockhash();
+      const { blockhash, lastValidBlockHeight } =
+        await this.connection.getLatestBlockhash();
       transaction.recentBlockhash = blockhash;
       transaction.feePayer = vaultKeypair.publicKey;
 
@@ -2102,6 +3293,15 @@ class StakingService {
       transaction.sign(vaultKeypair);
       const rawTransaction = transaction.serialize();
 
+      // Journal the signature before broadcasting, so a sent transaction is never untracked
+      if (options.onSigned) {
+        await options.onSigned({
+          signature: bs58.encode(transaction.signature),
+          blockhash,
+          lastValidBlockHeight,
+        });
+      }
+
       // Robust Send with Persistent Retry Loop
       let signature;
       try {
@@ -2185,3 +3385,4 @@ class StakingService {
 }
 
 export const stakingService = new StakingService();
+export { StakingError };
@@ -0,0 +1,382 @@
+import admin from "firebase-admin";
+import { Connection, Keypair } from "@solana/web3.js";
+
+// Configuration Constants
+const INTENTS_COLLECTION = "transfer_intents";
+const STALE_AFTER_MS = 5 * 60 * 1000; // Older than any in-flight send + blockhash lifetime
+const RECOVERY_LEASE_MS = 3 * 60 * 1000;
+const MAX_RECOVERY_ATTEMPTS = 3;
+const RECOVERABLE_STATUSES = ["PENDING", "SENT", "FAILED"];
+
+/**
+ * Transfer intent lifecycle:
+ *   PENDING     - ledger debited, nothing broadcast yet
+ *   SENT        - transaction signed; signature and blockhash expiry recorded
+ *                 before it is broadcast
+ *   CONFIRMED   - transaction landed on-chain (terminal)
+ *   FAILED      - send failed, awaiting recovery worker
+ *   COMPENSATED - debit reversed after recovery gave up (terminal)
+ */
+export const INTENT_STATUS = {
+  PENDING: "PENDING",
+  SENT: "SENT",
+  CONFIRMED: "CONFIRMED",
+  FAILED: "FAILED",
+  COMPENSATED: "COMPENSATED",
+};
+
+class TransferIntentService {
+  constructor() {
+    this._db = null;
+    this._connection = null;
+  }
+
+  get db() {
+    if (!this._db) {
+      this._db = admin.firestore();
+    }
+    return this._db;
+  }
+
+  get connection() {
+    if (!this._connection) {
+      const heliusApiKey = process.env.HELIUS_API_KEY;
+      const rpcUrl =
+        process.env.SOLANA_RPC_URL ||
+        (heliusApiKey
+          ? `https://mainnet.helius-rpc.com/?api-key=${heliusApiKey}`
+          : "https://api.mainnet-beta.solana.com");
+      this._connection = new Connection(rpcUrl, "confirmed");
+    }
+    return this._connection;
+  }
+
+  /**
+   * Record a transfer intent inside the caller's ledger-debit transaction, so
+   * the debit never commits without a durable record of what is owed.
+   *
+   * @param {FirebaseFirestore.Transaction} t - Active Firestore transaction
+   * @param {string} intentId - Deterministic id (e.g. derived from the fee signature)
+   * @param {Object} intent
+   * @param {"UNSTAKE"|"WITHDRAWAL"|"NFT_REWARD"} intent.type - Selects the sender used on retry
+   * @param {string} intent.userId - Firebase UID
+   * @param {string} intent.wallet - Recipient wallet address
+   * @param {number} intent.amount - Token amount to send (whole tokens)
+   * @param {string} [intent.mint] - Token mint (UNSTAKE only)
+   * @param {Array<{path: string, increments?: Object, set?: Object}>} intent.compensation -
+   *   Field increments (or field values) that reverse the debit
+   * @param {string|string[]} [intent.ledgerRef] - Doc path(s) to mark COMPLETED once confirmed
+   * @returns {FirebaseFirestore.DocumentReference}
+   */
+  createIntent(t, intentId, intent) {
+    const intentRef = this.db.collection(INTENTS_COLLECTION).doc(intentId);
+    const now = admin.firestore.Timestamp.now();
+
+    // create() fails the whole transaction if this intent already exists
+    t.create(intentRef, {
+      type: intent.type,
+      user_id: intent.userId,
+      wallet: intent.wallet,
+      amount: intent.amount,
+      mint: intent.mint || null,
+      compensation: intent.compensation,
+      ledger_refs: [].concat(intent.ledgerRef || []),
+      status: INTENT_STATUS.PENDING,
+      signature: null,
+      recovery_attempts: 0,
+      history: [{ status: INTENT_STATUS.PENDING, at: now }],
+      created_at: now,
+      updated_at: now,
+    });
+
+    return intentRef;
+  }
+
+  async _transition(intentRef, status, fields = {}) {
+    const now = admin.firestore.Timestamp.now();
+    await intentRef.update({
+      ...fields,
+      status,
+      updated_at: now,
+      history: admin.firestore.FieldValue.arrayUnion({
+        status,
+        at: now,
+        ...(fields.signature ? { signature: fields.signature } : {}),
+        ...(fields.last_error ? { error: fields.last_error } : {}),
+      }),
+    });
+  }
+
+  async markSent(intentRef, { signature, lastValidBlockHeight }) {
+    await this._transition(intentRef, INTENT_STATUS.SENT, {
+      signature,
+      last_valid_block_height: lastValidBlockHeight,
+    });
+  }
+
+  async markConfirmed(intentRef, signature) {
+    await this._transition(intentRef, INTENT_STATUS.CONFIRMED, {
+      signature,
+      confirmed_at: admin.firestore.Timestamp.now(),
+    });
+
+    const intent = (await intentRef.get()).data();
+    for (const path of intent.ledger_refs || []) {
+      await this.db.doc(path).update({
+        token_tx: signature,
+        status: "COMPLETED",
+      });
+    }
+
+    if (intent.type === "NFT_REWARD") {
+      const { default: nftStakingService } = await import("./nftStakingService.js");
+      await nftStakingService.recordPayout(intentRef.id, signature);
+    }
+  }
+
+  async markFailed(intentRef, error) {
+    await this._transition(intentRef, INTENT_STATUS.FAILED, {
+      last_error: error.message || String(error),
+    });
+  }
+
+  /**
+   * Run the on-chain send for an intent, journaling each state change.
+   * @returns {Promise<string>} Confirmed signature
+   */
+  async execute(intentRef) {
+    const intent = (await intentRef.get()).data();
+
+    try {
+      // Awaited before broadcast: if the journal write fails, nothing is sent
+      const signature = await this._send(intent, {
+        onSigned: (signed) => this.markSent(intentRef, signed),
+      });
+      await this.markConfirmed(intentRef, signature);
+      return signature;
+    } catch (error) {
+      await this.markFailed(intentRef, error).catch((err) =>
+        console.error(`❌ Failed to journal failed intent ${intentRef.id}:`, err),
+      );
+      throw error;
+    }
+  }
+
+  async _send(intent, options) {
+    if (intent.type === "UNSTAKE") {
+      const { stakingService } = await import("./stakingService.js");
+      await stakingService._ensureInitialized();
+      const gatekeeperKeypair = Keypair.fromSecretKey(
+        new Uint8Array(JSON.parse(process.env.GATEKEEPER_KEYPAIR)),
+      );
+      return stakingService._sendTokensFromVault(
+        intent.wallet,
+        intent.amount,
+        intent.mint,
+        gatekeeperKeypair,
+        options,
+      );
+    }
+
+    if (intent.type === "WITHDRAWAL") {
+      const { sendMkinTokens } = await import("../utils/mkinTransfer.js");
+      return sendMkinTokens(intent.wallet, intent.amount, options);
+    }
+
+    if (intent.type === "NFT_REWARD") {
+      const { default: nftStakingService } = await import("./nftStakingService.js");
+      return nftStakingService.sendRewardTokens(intent.wallet, intent.amount, options);
+    }
+
+    throw new Error(`Unknown transfer intent type: ${intent.type}`);
+  }
+
+  /**
+   * Recovery worker: resolve intents stuck in PENDING/SENT/FAILED.
+   * Each intent is either confirmed from chain, re-sent, or compensated.
+   */
+  async recoverStuckIntents() {
+    console.log("🔁 [Transfer Recovery] Scanning for stuck transfer intents...");
+
+    const snapshot = await this.db
+      .collection(INTENTS_COLLECTION)
+      .where("status", "in", RECOVERABLE_STATUSES)
+      .limit(50)
+      .get();
+
+    const cutoff = Date.now() - STALE_AFTER_MS;
+    const stale = snapshot.docs.filter(
+      (doc) => (doc.data().updated_at?.toMillis() || 0) < cutoff,
+    );
+
+    const summary = { scanned: snapshot.size, confirmed: 0, resent: 0, compensated: 0, skipped: 0, errors: 0 };
+
+    for (const doc of stale) {
+      try {
+        const outcome = await this._recoverIntent(doc.ref);
+        summary[outcome] = (summary[outcome] || 0) + 1;
+      } catch (error) {
+        summary.errors++;
+        console.error(`❌ [Transfer Recovery] Intent ${doc.id} failed:`, error.message);
+      }
+    }
+
+    console.log(`✅ [Transfer Recovery] Done:`, JSON.stringify(summary));
+    return summary;
+  }
+
+  /**
+   * Retry a single intent on request (e.g. a user retrying a failed payout).
+   * Anything already broadcast must be stale first - its blockhash expired -
+   * so the old transaction can no longer land alongside the resend.
+   *
+   * @returns {Promise<Object>} { outcome, status?, retryAfterMs? }
+   *   outcome: "confirmed" | "resent" | "compensated" | "skipped" | "not_retryable" | "too_soon"
+   */
+  async retryIntent(intentRef) {
+    const doc = await intentRef.get();
+    if (!doc.exists) {
+      return { outcome: "not_retryable", status: null };
+    }
+
+    const intent = doc.data();
+    if (!RECOVERABLE_STATUSES.includes(intent.status)) {
+      return { outcome: "not_retryable", status: intent.status };
+    }
+
+    const age = Date.now() - (intent.updated_at?.toMillis() || 0);
+    if ((intent.signature || intent.status === INTENT_STATUS.PENDING) && age < STALE_AFTER_MS) {
+      return { outcome: "too_soon", status: intent.status, retryAfterMs: STALE_AFTER_MS - age };
+    }
+
+    return { outcome: await this._recoverIntent(intentRef) };
+  }
+
+  async _recoverIntent(intentRef) {
+    // Take a lease so overlapping worker runs never act on the same intent
+    const intent = await this.db.runTransaction(async (t) => {
+      const doc = await t.get(intentRef);
+      const data = doc.data();
+      if (!RECOVERABLE_STATUSES.includes(data.status)) return null;
+      if ((data.recovery_locked_until?.toMillis() || 0) > Date.now()) return null;
+      t.update(intentRef, {
+        recovery_locked_until: admin.firestore.Timestamp.fromMillis(
+          Date.now() + RECOVERY_LEASE_MS,
+        ),
+      });
+      return data;
+    });
+
+    if (!intent) return "skipped";
+
+    console.log(
+      `🔁 [Transfer Recovery] ${intentRef.id}: ${intent.type} ${intent.amount} to ${intent.wallet} (status ${intent.status})`,
+    );
+
+    // 1. A broadcast transaction may have landed after its confirmation timed out
+    if (intent.signature) {
+      const { value } = await this.connection.getSignatureStatus(
+        intent.signature,
+        { searchTransactionHistory: true },
+      );
+      if (value && !value.err && value.confirmationStatus) {
+        await this.markConfirmed(intentRef, intent.signature);
+        await this._alertRecovered(intent, intent.signature);
+        return "confirmed";
+      }
+
+      // Not landed: it still can until its blockhash expires, so neither
+      // resend nor compensate before then. (Intents journaled without the
+      // expiry rely on being stale.)
+      if (
+        !value?.err &&
+        intent.last_valid_block_height &&
+        (await this.connection.getBlockHeight()) <= intent.last_valid_block_height
+      ) {
+        await intentRef.update({ recovery_locked_until: null });
+        return "skipped";
+      }
+    }
+
+    // 2. Give up and reverse the debit once retries are exhausted
+    if ((intent.recovery_attempts || 0) >= MAX_RECOVERY_ATTEMPTS) {
+      await this._compensate(intentRef, intent);
+      return "compensated";
+    }
+
+    // 3. Re-send
+    await intentRef.update({
+      recovery_attempts: admin.firestore.FieldValue.increment(1),
+    });
+    const signature = await this.execute(intentRef);
+    await this._alertRecovered(intent, signature);
+    return "resent";
+  }
+
+  async _compensate(intentRef, intent) {
+    console.warn(
+      `↩️ [Transfer Recovery] Reversing debit for ${intentRef.id} after ${intent.recovery_attempts} attempts`,
+    );
+
+    const now = admin.firestore.Timestamp.now();
+    await this.db.runTransaction(async (t) => {
+      const doc = await t.get(intentRef);
+      if (!RECOVERABLE_STATUSES.includes(doc.data().status)) return;
+
+      for (const { path, increments = {}, set = {} } of intent.compensation || []) {
+        const fields = { ...set };
+        for (const [field, delta] of Object.entries(increments)) {
+          fields[field] = admin.firestore.FieldValue.increment(delta);
+        }
+        t.set(this.db.doc(path), fields, { merge: true });
+      }
+
+      for (const path of intent.ledger_refs || []) {
+        t.update(this.db.doc(path), { status: "COMPENSATED" });
+      }
+
+      t.update(intentRef, {
+        status: INTENT_STATUS.COMPENSATED,
+        compensated_at: now,
+        updated_at: now,
+        history: admin.firestore.FieldValue.arrayUnion({
+          status: INTENT_STATUS.COMPENSATED,
+          at: now,
+        }),
+      });
+    });
+
+    try {
+      const { sendDiscordAlert } = await import("../utils/discordAlerts.js");
+      await sendDiscordAlert({
+        level: "WARNING",
+        title: `${intent.type} Transfer Compensated`,
+        message: `Transfer could not be completed after ${intent.recovery_attempts} attempts. The debit has been reversed.`,
+        details: {
+          "User ID": intent.user_id,
+          Amount: `${intent.amount.toLocaleString()} MKIN`,
+          Intent: intentRef.id,
+          "Last Error": intent.last_error || "unknown",
+        },
+      });
+    } catch (alertError) {
+      console.error("⚠️ Failed to send Discord alert:", alertError.message);
+    }
+  }
+
+  async _alertRecovered(intent, signature) {
+    try {
+      const { sendRecoverySuccessAlert } = await import("../utils/discordAlerts.js");
+      await sendRecoverySuccessAlert({
+        userId: intent.user_id,
+        amount: intent.amount,
+        signature,
+        type: intent.type,
+      });
+    } catch (alertError) {
+      console.error("⚠️ Failed to send Discord alert:", alertError.message);
+    }
+  }
+}
+
+export const transferIntentService = new TransferIntentService();
@@ -35,3 +35,30 @@ export async function authenticate(req, res, next) {
     });
   }
 }
+
+/**
+ * Admin middleware
+ * Requires the admin flag on users/{uid}; run after an auth middleware that
+ * sets req.user (authenticate, route-level verifyAuth) or req.userId
+ */
+export async function requireAdmin(req, res, next) {
+  try {
+    const uid = req.user?.uid || req.userId;
+    const userDoc = uid ? await admin.firestore().collection('users').doc(uid).get() : null;
+
+    if (!userDoc?.exists || !userDoc.data().admin) {
+      return res.status(403).json({
+        success: false,
+        error: 'Admin access required',
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Admin check error:', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
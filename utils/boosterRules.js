@@ -0,0 +1,130 @@
+import crypto from 'crypto';
+import { NFT_STAKING_CONFIG } from '../config/nftStaking.js';
+
+/**
+ * Booster Rules
+ * Rule-based booster matching on Helius DAS assets.
+ *
+ * A rule has one or more conditions, all of which must hold:
+ * - collection: verified collection address (or a COLLECTION_ADDRESSES id, e.g. "therealmkin")
+ * - attribute: { name, value } metadata attribute, e.g. { name: "Class", value: "King" }
+ * - creator: verified creator address
+ *
+ * An attribute condition only counts alongside a collection or creator condition.
+ * A category matches an NFT if the mint is on its list or any of its rules match.
+ */
+
+const ADDRESS_PATTERN = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/;
+
+/**
+ * Validate and normalize a rule for storage
+ * @returns {{ rule: Object|null, error: string|null }}
+ */
+export function normalizeBoosterRule(input) {
+  if (!input || typeof input !== 'object') {
+    return { rule: null, error: 'rule must be an object' };
+  }
+
+  const { collection, attribute, creator } = input;
+  const rule = { id: input.id || crypto.randomBytes(4).toString('hex') };
+
+  if (collection !== undefined) {
+    const address = NFT_STAKING_CONFIG.COLLECTION_ADDRESSES[collection] || collection;
+    if (typeof address !== 'string' || !ADDRESS_PATTERN.test(address)) {
+      return { rule: null, error: `Invalid collection: ${collection}` };
+    }
+    rule.collection = address;
+  }
+
+  if (attribute !== undefined) {
+    const name = typeof attribute?.name === 'string' ? attribute.name.trim() : '';
+    const value = attribute?.value;
+    if (!name || value === undefined || value === null || String(value).trim() === '') {
+      return { rule: null, error: 'attribute must have a name and a value' };
+    }
+    rule.attribute = { name, value: String(value).trim() };
+  }
+
+  if (creator !== undefined) {
+    if (typeof creator !== 'string' || !ADDRESS_PATTERN.test(creator)) {
+      return { rule: null, error: `Invalid creator: ${creator}` };
+    }
+    rule.creator = creator;
+  }
+
+  if (!rule.collection && !rule.attribute && !rule.creator) {
+    return { rule: null, error: 'rule needs at least one of collection, attribute or creator' };
+  }
+
+  // Anyone can mint an NFT with any attribute: scope attribute rules to a collection or verified creator
+  if (rule.attribute && !rule.collection && !rule.creator) {
+    return { rule: null, error: 'attribute rules need a collection or creator condition' };
+  }
+
+  return { rule, error: null };
+}
+
+/**
+ * Human-readable rule, e.g. "collection=89Kn…SnL8, Class=King"
+ */
+export function describeBoosterRule(rule) {
+  const collectionName = Object.entries(NFT_STAKING_CONFIG.COLLECTION_ADDRESSES)
+    .find(([, address]) => address === rule.collection)?.[0];
+
+  return [
+    rule.collection && `collection=${collectionName || rule.collection}`,
+    rule.attribute && `${rule.attribute.name}=${rule.attribute.value}`,
+    rule.creator && `creator=${rule.creator}`,
+  ]
+    .filter(Boolean)
+    .join(', ');
+}
+
+// Same conditions, ignoring the id
+export function isSameBoosterRule(a, b) {
+  return (
+    a.collection === b.collection &&
+    a.creator === b.creator &&
+    a.attribute?.name === b.attribute?.name &&
+    a.attribute?.value === b.attribute?.value
+  );
+}
+
+/**
+ * Does a DAS asset satisfy every condition of the rule?
+ * Attribute names and values compare case-insensitively.
+ */
+export function matchesBoosterRule(nft, rule) {
+  // Unscoped attribute rules stored before they were rejected never match
+  if (rule.attribute && !rule.collection && !rule.creator) return false;
+
+  if (rule.collection) {
+    const collection = nft?.grouping?.find((g) => g.group_key === 'collection')?.group_value;
+    if (collection !== rule.collection) return false;
+  }
+
+  if (rule.attribute) {
+    const name = rule.attribute.name.toLowerCase();
+    const value = rule.attribute.value.toLowerCase();
+    const attributes = nft?.content?.metadata?.attributes || [];
+    const hasAttribute = attributes.some(
+      (attr) => String(attr?.trait_type).toLowerCase() === name && String(attr?.value).toLowerCase() === value,
+    );
+    if (!hasAttribute) return false;
+  }
+
+  if (rule.creator) {
+    // Only verified creators - anyone can list an unverified creator on their own mint
+    const creators = nft?.creators || [];
+    if (!creators.some((c) => c.address === rule.creator && c.verified)) return false;
+  }
+
+  return true;
+}
+
+export default {
+  normalizeBoosterRule,
+  describeBoosterRule,
+  isSameBoosterRule,
+  matchesBoosterRule,
+};
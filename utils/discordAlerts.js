@@ -136,9 +136,9 @@ export async function sendVaultWarningAlert(solBalance) {
 export async function sendFailedUnstakeAlert({ userId, amount, error }) {
   return sendDiscordAlert({
     level: 'ERROR',
-    title: 'Unstake Failed - Manual Recovery Needed',
-    message: `An unstake operation failed after the user paid the fee. Manual intervention required to send tokens.`,
-    action: `Run manual recovery script:\n\`\`\`bash\nnode gatekeeper/scripts/recover-failed-unstake.js ${userId}\n\`\`\``,
+    title: 'Unstake Transfer Failed - Queued for Recovery',
+    message: `An unstake token transfer failed after the user's position was debited. The transfer recovery worker will retry it, or reverse the debit if retries are exhausted.`,
+    action: `Check the \`transfer_intents\` collection if this is not resolved within the hour.`,
     details: {
       'User ID': userId,
       'Amount': `${amount.toLocaleString()} MKIN`,
@@ -151,11 +151,13 @@ export async function sendFailedUnstakeAlert({ userId, amount, error }) {
 /**
  * Send recovery success alert
  */
-export async function sendRecoverySuccessAlert({ userId, amount, signature }) {
+export async function sendRecoverySuccessAlert({ userId, amount, signature, type = 'UNSTAKE' }) {
+  const labels = { WITHDRAWAL: 'Withdrawal', NFT_REWARD: 'NFT Reward Payout' };
+  const label = labels[type] || 'Unstake';
   return sendDiscordAlert({
     level: 'INFO',
-    title: 'Unstake Recovery Successful',
-    message: `Successfully recovered failed unstake for user.`,
+    title: `${label} Recovery Successful`,
+    message: `Successfully recovered failed ${label.toLowerCase()} for user.`,
     details: {
       'User ID': userId,
       'Amount': `${amount.toLocaleString()} MKIN`,
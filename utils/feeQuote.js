@@ -0,0 +1,116 @@
+/**
+ * Signed Fee Quotes
+ * calculate-fee endpoints issue a short-lived HMAC-signed quote; mutation
+ * endpoints require it and verify the on-chain payment against its exact lamports
+ */
+
+import crypto from 'crypto';
+import { getFeeInSol } from './solPrice.js';
+
+const QUOTE_TTL_MS = 10 * 60 * 1000; // Covers signing, sending and submitting the mutation
+
+class FeeQuoteError extends Error {
+  constructor(message, code = 400) {
+    super(message);
+    this.name = 'FeeQuoteError';
+    this.code = code;
+  }
+}
+
+function getQuoteSecret() {
+  const secret = process.env.FEE_QUOTE_SECRET;
+  if (!secret) {
+    throw new FeeQuoteError('FEE_QUOTE_SECRET not configured', 500);
+  }
+  return secret;
+}
+
+function sign(payload) {
+  return crypto.createHmac('sha256', getQuoteSecret()).update(payload).digest('base64url');
+}
+
+/**
+ * Price a fee and issue a signed quote for it
+ * @param {Object} options
+ * @param {string} options.operation - Operation the fee unlocks (e.g. 'stake', 'unstake', 'claim', 'nft_stake')
+ * @param {string} options.subject - Who may use the quote (Firebase UID)
+ * @param {number} options.usdAmount - Fee in USD
+ * @param {Object} [options.context] - Extra operation parameters bound into the quote (e.g. { nftCount })
+ * @returns {Promise<Object>} { quote, lamports, solAmount, solPrice, usdAmount, expiresAt }
+ */
+async function issueFeeQuote({ operation, subject, usdAmount, context = {} }) {
+  const { solAmount, solPrice } = await getFeeInSol(usdAmount);
+  const lamports = Math.ceil(solAmount * 1e9);
+  const issuedAt = Date.now();
+
+  const payload = {
+    op: operation,
+    sub: subject,
+    lamports,
+    solPrice,
+    usd: usdAmount,
+    ctx: context,
+    iat: issuedAt,
+    exp: issuedAt + QUOTE_TTL_MS,
+    nonce: crypto.randomBytes(8).toString('hex'),
+  };
+  const encoded = Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+  return {
+    quote: `${encoded}.${sign(encoded)}`,
+    lamports,
+    solAmount: lamports / 1e9,
+    solPrice,
+    usdAmount,
+    expiresAt: payload.exp,
+  };
+}
+
+/**
+ * Verify a quote's signature, expiry and binding
+ * @param {string} quote - Token from issueFeeQuote
+ * @param {Object} expected
+ * @param {string} expected.operation - Operation being performed
+ * @param {string} expected.subject - Caller's Firebase UID
+ * @param {Object} [expected.context] - Context values that must match the quote
+ * @returns {Object} Decoded payload ({ op, sub, lamports, solPrice, usd, ctx, iat, exp })
+ * @throws {FeeQuoteError} If the quote is missing, forged, expired or bound elsewhere
+ */
+function verifyFeeQuote(quote, { operation, subject, context = {} }) {
+  if (!quote || typeof quote !== 'string') {
+    throw new FeeQuoteError('Fee quote required. Please request a fee quote and try again.');
+  }
+
+  const [encoded, signature] = quote.split('.');
+  const expectedSignature = encoded ? sign(encoded) : '';
+  if (
+    !signature ||
+    signature.length !== expectedSignature.length ||
+    !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expectedSignature))
+  ) {
+    throw new FeeQuoteError('Invalid fee quote');
+  }
+
+  const payload = JSON.parse(Buffer.from(encoded, 'base64url').toString());
+
+  if (payload.op !== operation || payload.sub !== subject) {
+    throw new FeeQuoteError('Fee quote was issued for a different operation');
+  }
+  for (const [key, value] of Object.entries(context)) {
+    if (payload.ctx?.[key] !== value) {
+      throw new FeeQuoteError(`Fee quote does not match ${key}`);
+    }
+  }
+  if (Date.now() > payload.exp) {
+    throw new FeeQuoteError('Fee quote expired. Please request a new quote.');
+  }
+
+  return payload;
+}
+
+export {
+  FeeQuoteError,
+  QUOTE_TTL_MS,
+  issueFeeQuote,
+  verifyFeeQuote,
+};
@@ -1,56 +1,157 @@
 import express from 'express';
-import bodyParser from 'body-parser';
-import { NFT_STAKING_CONFIG } from '../config/nftStaking.js';
-import admin from 'firebase-admin';
+import crypto from 'crypto';
+import bs58 from 'bs58';
+import nftStakingService from '../services/nftStakingService.js';
+
+/**
+ * Helius Webhook
+ * Ingests Helius enhanced-transaction deliveries and forfeits staked NFTs the
+ * moment they are transferred, listed or delegated, instead of waiting for the
+ * two-hourly NFT staking monitor.
+ *
+ * Configure the webhook in Helius with:
+ * - URL: https://<host>/api/helius/webhook
+ * - Type: enhanced, account addresses: the staked collections / stakers
+ * - Auth header: the value of HELIUS_WEBHOOK_SECRET
+ *
+ * Deliveries are idempotent: each forfeiture is keyed by signature + stake, so
+ * Helius retries (or replayed fixtures) never double-process.
+ */
 
 const router = express.Router();
-const db = admin.firestore();
 
-// Verify Helius signature
-const verifySignature = (req) => {
-  const signature = req.headers['x-helius-signature'];
-  if (!signature) return false;
-  // Verify using Helius public key (implement actual verification)
-  return true; // Stub for demo
-};
+const TOKEN_PROGRAM_IDS = new Set([
+  'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA',
+  'TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb', // Token-2022
+]);
+const SPL_APPROVE = 4;
+const SPL_APPROVE_CHECKED = 13;
 
-router.post('/webhook', bodyParser.raw({ type: 'application/json' }), async (req, res) => {
-  if (!verifySignature(req)) {
-    return res.status(401).send('Unauthorized');
+// Helius NFT event types that put an NFT up for sale (or sell it)
+const LISTING_EVENT_TYPES = new Set(['NFT_LISTING', 'NFT_SALE', 'NFT_GLOBAL_BID_FILLED', 'NFT_BID_ACCEPTED']);
+
+/**
+ * Authenticate a delivery against the auth header configured on the webhook
+ */
+function verifySignature(req) {
+  const secret = process.env.HELIUS_WEBHOOK_SECRET;
+  const provided = req.headers['authorization'];
+  if (!secret || !provided) return false;
+
+  const expected = Buffer.from(secret);
+  const actual = Buffer.from(provided);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Decode SPL Approve/ApproveChecked instructions (delegations)
+ * Approve: [source, delegate, owner]; ApproveChecked: [source, mint, delegate, owner]
+ */
+function decodeApprove(ix) {
+  if (!TOKEN_PROGRAM_IDS.has(ix.programId) || !ix.data) return null;
+
+  let discriminator;
+  try {
+    discriminator = bs58.decode(ix.data)[0];
+  } catch {
+    return null;
   }
 
-  const event = req.body;
-  const nftMint = event.mint;
-  const newOwner = event.newOwner;
-  const isDelegated = event.isDelegated;
+  if (discriminator === SPL_APPROVE) {
+    const [tokenAccount, delegate, owner] = ix.accounts || [];
+    return { tokenAccount, mint: null, delegate, owner };
+  }
+  if (discriminator === SPL_APPROVE_CHECKED) {
+    const [tokenAccount, mint, delegate, owner] = ix.accounts || [];
+    return { tokenAccount, mint, delegate, owner };
+  }
+  return null;
+}
 
-  console.log(`[Helius Webhook] Received event for NFT: ${nftMint}`);
+/**
+ * Extract NFT activity relevant to staking from Helius enhanced transactions
+ * Pure function - no I/O - so recorded payloads can be replayed offline.
+ *
+ * @param {Array|Object} payload - Helius enhanced webhook body
+ * @returns {Array<Object>} Events:
+ *   { kind: 'transfer', mint, from, to, signature, timestamp, txType }
+ *   { kind: 'listing', mint, seller, marketplace, signature, timestamp, txType }
+ *   { kind: 'delegation', mint|null, tokenAccount, owner, delegate, signature, timestamp, txType }
+ */
+function extractStakeEvents(payload) {
+  const transactions = Array.isArray(payload) ? payload : [payload];
+  const events = [];
 
-  // Check if NFT is staked
-  const stakeDoc = await db.collection('nft_stakes')
-    .where('nftMint', '==', nftMint)
-    .where('status', '==', 'staked')
-    .limit(1)
-    .get();
+  for (const tx of transactions) {
+    if (!tx?.signature || tx.transactionError) continue;
+    const base = { signature: tx.signature, timestamp: tx.timestamp || null, txType: tx.type || 'UNKNOWN' };
 
-  if (stakeDoc.empty) {
-    return res.status(200).send('NFT not staked');
+    // Listings and sales
+    const nftEvent = tx.events?.nft;
+    if (nftEvent && LISTING_EVENT_TYPES.has(nftEvent.type)) {
+      for (const nft of nftEvent.nfts || []) {
+        events.push({
+          ...base,
+          kind: 'listing',
+          mint: nft.mint,
+          seller: nftEvent.seller || null,
+          marketplace: nftEvent.source || tx.source || null,
+        });
+      }
+    }
+
+    // Transfers (a whole NFT leaving its holder)
+    for (const transfer of tx.tokenTransfers || []) {
+      if (!transfer.mint || !transfer.fromUserAccount) continue;
+      if (transfer.fromUserAccount === transfer.toUserAccount) continue;
+      events.push({
+        ...base,
+        kind: 'transfer',
+        mint: transfer.mint,
+        from: transfer.fromUserAccount,
+        to: transfer.toUserAccount || null,
+      });
+    }
+
+    // Delegations (SPL approve, including inside marketplace CPIs)
+    const instructions = (tx.instructions || []).flatMap((ix) => [ix, ...(ix.innerInstructions || [])]);
+    for (const ix of instructions) {
+      const approval = decodeApprove(ix);
+      if (approval && approval.delegate && approval.delegate !== approval.owner) {
+        events.push({ ...base, kind: 'delegation', ...approval });
+      }
+    }
   }
 
-  const stakeRef = stakeDoc.docs[0].ref;
-  const stakeData = stakeDoc.docs[0].data();
-
-  // Forfeit if transferred or listed
-  if (newOwner !== stakeData.walletAddress || isDelegated) {
-    await stakeRef.update({
-      status: 'forfeited',
-      finalReward: 0,
-      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-    });
-    console.log(`[Helius Webhook] Marked NFT ${nftMint} as forfeited`);
+  return events;
+}
+
+// POST /api/helius/webhook
+router.post('/webhook', express.json({ limit: '5mb' }), async (req, res) => {
+  if (!verifySignature(req)) {
+    console.warn('[Helius Webhook] ❌ Rejected unauthenticated delivery');
+    return res.status(401).json({ error: 'Unauthorized' });
   }
 
-  res.status(200).send('Processed');
+  try {
+    const events = extractStakeEvents(req.body);
+    console.log(`[Helius Webhook] Received ${events.length} NFT events`);
+
+    const summary = { events: events.length, forfeited: 0, ignored: 0 };
+    for (const event of events) {
+      const forfeited = await nftStakingService.applyChainActivity(event);
+      summary.forfeited += forfeited;
+      if (forfeited === 0) summary.ignored++;
+    }
+
+    console.log(`[Helius Webhook] ✅ Processed:`, JSON.stringify(summary));
+    res.status(200).json(summary);
+  } catch (error) {
+    // Non-2xx makes Helius retry; processing is idempotent
+    console.error('[Helius Webhook] ❌ Processing failed:', error);
+    res.status(500).json({ error: 'Processing failed' });
+  }
 });
 
-export default router;
\ No newline at end of file
+export { extractStakeEvents, verifySignature };
+export default router;
@@ -0,0 +1,83 @@
+/**
+ * Merkle Tree
+ * SHA-256 Merkle tree for publishing allocation sets as a single root.
+ *
+ * - Leaves and internal nodes are domain-separated (0x00 / 0x01 prefix), so
+ *   an internal node can't be passed off as a leaf
+ * - Pairs are sorted before hashing, so a proof is just the sibling hashes
+ *   (no left/right flags)
+ * - An odd node at the end of a layer is carried up unchanged
+ */
+
+import crypto from 'crypto';
+
+const LEAF_PREFIX = Buffer.from([0x00]);
+const NODE_PREFIX = Buffer.from([0x01]);
+
+function sha256(...parts) {
+  return crypto.createHash('sha256').update(Buffer.concat(parts)).digest('hex');
+}
+
+/**
+ * Hash a leaf's canonical encoding (a string)
+ */
+export function hashLeaf(encoded) {
+  return sha256(LEAF_PREFIX, Buffer.from(encoded, 'utf8'));
+}
+
+export function hashPair(a, b) {
+  const [first, second] = a <= b ? [a, b] : [b, a];
+  return sha256(NODE_PREFIX, Buffer.from(first, 'hex'), Buffer.from(second, 'hex'));
+}
+
+/**
+ * Build every layer of the tree, leaves first
+ * @param {string[]} leafHashes - Hex leaf hashes, in leaf order
+ * @returns {string[][]} layers; the last layer holds the root (empty for no leaves)
+ */
+export function buildMerkleTree(leafHashes) {
+  const layers = [leafHashes];
+  while (layers[layers.length - 1].length > 1) {
+    const layer = layers[layers.length - 1];
+    const next = [];
+    for (let i = 0; i < layer.length; i += 2) {
+      next.push(i + 1 < layer.length ? hashPair(layer[i], layer[i + 1]) : layer[i]);
+    }
+    layers.push(next);
+  }
+  return layers;
+}
+
+export function getMerkleRoot(layers) {
+  return layers[layers.length - 1][0] || null;
+}
+
+/**
+ * Sibling hashes from a leaf up to the root
+ */
+export function getMerkleProof(layers, index) {
+  const proof = [];
+  for (let level = 0; level < layers.length - 1; level++) {
+    const layer = layers[level];
+    const sibling = index % 2 === 0 ? index + 1 : index - 1;
+    if (sibling < layer.length) {
+      proof.push(layer[sibling]);
+    }
+    index = Math.floor(index / 2);
+  }
+  return proof;
+}
+
+export function verifyMerkleProof(leafHash, proof, root) {
+  if (!root || !Array.isArray(proof)) return false;
+  return proof.reduce((hash, sibling) => hashPair(hash, sibling), leafHash) === root;
+}
+
+export default {
+  hashLeaf,
+  hashPair,
+  buildMerkleTree,
+  getMerkleRoot,
+  getMerkleProof,
+  verifyMerkleProof,
+};
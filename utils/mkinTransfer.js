@@ -17,20 +17,18 @@ import {
   createAssociatedTokenAccountInstruction,
   getAccount,
 } from "@solana/spl-token";
+import bs58 from "bs58";
 
 /**
  * Send MKIN tokens to a user's wallet
  * @param {string} recipientWalletAddress - Destination wallet address
  * @param {number} amount - Amount of MKIN to send (in whole tokens, not lamports)
+ * @param {Object} [options]
+ * @param {Function} [options.onSigned] - Awaited with { signature, blockhash, lastValidBlockHeight }
+ *   before the transaction is broadcast; if it throws, nothing is sent
  * @returns {Promise<string>} Transaction hash
  */
-/**
- * Send MKIN tokens to a user's wallet
- * @param {string} recipientWalletAddress - Destination wallet address
- * @param {number} amount - Amount of MKIN to send (in whole tokens, not lamports)
- * @returns {Promise<string>} Transaction hash
- */
-async function sendMkinTokens(recipientWalletAddress, amount) {
+async function sendMkinTokens(recipientWalletAddress, amount, options = {}) {
   const solanaRpcUrl =
     process.env.SOLANA_RPC_URL || "https://api.mainnet-beta.solana.com";
   const mkinTokenMint = process.env.MKIN_TOKEN_MINT;
@@ -192,6 +190,15 @@ async function sendMkinTokens(recipientWalletAddress, amount) {
   transaction.sign(gatekeeperKeypair);
   const rawTransaction = transaction.serialize();
 
+  // Journal the signature before broadcasting, so a sent transaction is never untracked
+  if (options.onSigned) {
+    await options.onSigned({
+      signature: bs58.encode(transaction.signature),
+      blockhash,
+      lastValidBlockHeight,
+    });
+  }
+
   let txHash;
   try {
     txHash = await connection.sendRawTransaction(rawTransaction, {
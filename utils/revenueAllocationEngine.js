@@ -0,0 +1,287 @@
+/**
+ * Revenue Allocation Engine
+ *
+ * Pure function from a frozen input snapshot to an allocation manifest:
+ * no Firestore, network or clock reads. The snapshot carries everything the
+ * tier calculators need (holders with NFT counts, the secondary market
+ * leaderboard, prices and tier config), so re-running the engine on a stored
+ * snapshot yields the same manifest byte for byte.
+ *
+ * Both snapshot and manifest are hashed over their canonical JSON (sorted
+ * keys, no whitespace), which is also the form they are stored in.
+ *
+ * From version 2 the manifest also commits to a Merkle root over one leaf per
+ * allocation: (wallet, lamports, EMPIRE base units, MKIN base units), in
+ * allocation order. Claims are checked against that root.
+ *
+ * From version 3 the snapshot carries the rollover pool (unclaimed amounts of
+ * expired distributions) and the manifest shows it as its own line item,
+ * split across holders as the ROLLOVER tier.
+ *
+ * An optional per-token minimum (config.minPayout) zeroes amounts below it;
+ * they're totalled as the belowThreshold line item and rolled over once the
+ * manifest is written.
+ */
+
+import crypto from 'crypto';
+import {
+  calculateHolderShare,
+  calculateTier3Rewards,
+  calculateRankBasedRewards,
+  calculateRolloverShare,
+  mergeUserAllocations,
+} from './rewardTierCalculator.js';
+import { hashLeaf, buildMerkleTree, getMerkleRoot, getMerkleProof } from './merkleTree.js';
+
+export const MANIFEST_VERSION = 3;
+
+// Token decimals of the paid amounts (base units = Math.round(amount * 10^decimals))
+export const ALLOCATION_DECIMALS = { sol: 9, empire: 5, mkin: 9 };
+
+const TIER_KEYS = ['HOLDER_SHARE', 'TIER_3', 'TIER_2', 'TIER_1'];
+
+/**
+ * JSON with object keys sorted at every level; undefined object fields are dropped
+ */
+export function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map((item) => canonicalJson(item === undefined ? null : item)).join(',')}]`;
+  }
+  if (value !== null && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  if (typeof value === 'number' && !Number.isFinite(value)) {
+    throw new Error(`Cannot serialize non-finite number: ${value}`);
+  }
+  return JSON.stringify(value);
+}
+
+export function sha256Hex(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+export function hashSnapshot(snapshot) {
+  return sha256Hex(canonicalJson(snapshot));
+}
+
+/**
+ * Merkle leaf for an allocation (manifest entry or allocation doc)
+ * Amounts are the integer base units the claim pays out.
+ * @returns {{ wallet: string, sol: number, empire: number, mkin: number }}
+ */
+export function toAllocationLeaf(allocation) {
+  return {
+    wallet: allocation.walletAddress,
+    sol: Math.round((allocation.amountSol || 0) * 10 ** ALLOCATION_DECIMALS.sol),
+    empire: Math.round((allocation.amountEmpire || 0) * 10 ** ALLOCATION_DECIMALS.empire),
+    mkin: Math.round((allocation.amountMkin || 0) * 10 ** ALLOCATION_DECIMALS.mkin),
+  };
+}
+
+// Leaf encoding: "wallet:sol:empire:mkin"
+export function hashAllocationLeaf(leaf) {
+  return hashLeaf(`${leaf.wallet}:${leaf.sol}:${leaf.empire}:${leaf.mkin}`);
+}
+
+/**
+ * Merkle tree over allocations, in order
+ * @returns {{ root: string|null, leaves: Array<{index, wallet, sol, empire, mkin, hash}>, proofFor: (index: number) => string[] }}
+ */
+export function buildAllocationMerkleTree(allocations) {
+  const leaves = allocations.map((allocation, index) => {
+    const leaf = toAllocationLeaf(allocation);
+    return { index, ...leaf, hash: hashAllocationLeaf(leaf) };
+  });
+  const layers = buildMerkleTree(leaves.map((leaf) => leaf.hash));
+  return {
+    root: getMerkleRoot(layers),
+    leaves,
+    proofFor: (index) => getMerkleProof(layers, index),
+  };
+}
+
+// Code-point order, independent of the host locale
+function compareIds(a, b) {
+  const x = String(a ?? '');
+  const y = String(b ?? '');
+  return x < y ? -1 : x > y ? 1 : 0;
+}
+
+/**
+ * Zero amounts below the per-token minimum payout
+ * Allocations left with nothing are dropped; the rest record what was cut.
+ * @returns {{ allocations: Array, belowThreshold: Object|null }} belowThreshold is null without a minimum
+ */
+function applyMinPayout(allocations, minPayout) {
+  if (!minPayout) {
+    return { allocations, belowThreshold: null };
+  }
+
+  const belowThreshold = { allocations: 0, amountSol: 0, amountEmpire: 0, amountMkin: 0 };
+  const kept = [];
+  for (const allocation of allocations) {
+    const cut = { amountSol: 0, amountEmpire: 0, amountMkin: 0 };
+    for (const [key, min] of [['amountSol', minPayout.sol], ['amountEmpire', minPayout.empire], ['amountMkin', minPayout.mkin]]) {
+      if (allocation[key] > 0 && allocation[key] < (min || 0)) {
+        cut[key] = allocation[key];
+      }
+    }
+
+    if (cut.amountSol + cut.amountEmpire + cut.amountMkin === 0) {
+      kept.push({ ...allocation, belowThreshold: null });
+      continue;
+    }
+    belowThreshold.allocations++;
+    belowThreshold.amountSol += cut.amountSol;
+    belowThreshold.amountEmpire += cut.amountEmpire;
+    belowThreshold.amountMkin += cut.amountMkin;
+
+    const remaining = {
+      ...allocation,
+      amountSol: allocation.amountSol - cut.amountSol,
+      amountEmpire: allocation.amountEmpire - cut.amountEmpire,
+      amountMkin: allocation.amountMkin - cut.amountMkin,
+      belowThreshold: cut,
+    };
+    if (remaining.amountSol + remaining.amountEmpire + remaining.amountMkin > 0) {
+      kept.push(remaining);
+    }
+  }
+  return { allocations: kept, belowThreshold };
+}
+
+/**
+ * Build the allocation manifest for a snapshot
+ * @param {Object} snapshot - From RevenueAllocationService.captureSnapshot()
+ * @param {Object} snapshot.config - { minNfts, totalRoyaltyPoolUsd, tiers, minPayout? }
+ * @param {Object} snapshot.prices - { solUsd }
+ * @param {Array<{userId, walletAddress, nftCount}>} snapshot.holders
+ * @param {Array<{rank, userId, walletAddress, username, purchaseCount}>} snapshot.leaderboard - In rank order
+ * @param {Object} [snapshot.rollover] - { sources, amountSol, amountEmpire, amountMkin } (version 3+)
+ * @returns {{ manifest: Object, manifestJson: string, manifestHash: string }}
+ */
+export function buildAllocationManifest(snapshot) {
+  const { config, prices, holders, leaderboard } = snapshot;
+  const { tiers } = config;
+  // Version 1-2 manifests predate rollovers; leave them as recorded
+  const hasRollover = snapshot.version >= 3;
+
+  const eligible = holders.filter((h) => h.nftCount >= config.minNfts);
+  const nftCounts = new Map(holders.map((h) => [h.userId, h.nftCount]));
+  const purchaseCounts = new Map(leaderboard.map((e) => [e.walletAddress, e.purchaseCount]));
+
+  const tierAllocations = [];
+  if (tiers.HOLDER_SHARE.enabled) {
+    const holderSharePool = config.totalRoyaltyPoolUsd * tiers.HOLDER_SHARE.royaltyPercentage;
+    tierAllocations.push(
+      ...calculateHolderShare(
+        eligible.filter((h) => h.nftCount >= tiers.HOLDER_SHARE.minNfts),
+        holderSharePool,
+        { tiers, solPriceUsd: prices.solUsd },
+      ),
+    );
+  }
+  if (tiers.TIER_3.enabled) {
+    tierAllocations.push(
+      ...calculateTier3Rewards(
+        eligible.filter((h) => h.nftCount >= tiers.TIER_3.minNfts),
+        purchaseCounts,
+        tiers,
+      ),
+    );
+  }
+  for (const tier of ['TIER_2', 'TIER_1']) {
+    if (tiers[tier].enabled) {
+      tierAllocations.push(...calculateRankBasedRewards(leaderboard, tier, tiers));
+    }
+  }
+  const rolloverShares = hasRollover
+    ? calculateRolloverShare(
+        eligible.filter((h) => h.nftCount >= tiers.HOLDER_SHARE.minNfts),
+        snapshot.rollover,
+      )
+    : [];
+  tierAllocations.push(...rolloverShares);
+
+  const merged = mergeUserAllocations(tierAllocations)
+    .map((user) => ({
+      userId: user.userId ?? null,
+      walletAddress: user.walletAddress,
+      username: user.username ?? null,
+      nftCount: nftCounts.get(user.userId) ?? 0,
+      tiers: user.tiers,
+      weight: user.totalWeight,
+      amountSol: user.amountSol,
+      amountEmpire: user.amountEmpire,
+      amountMkin: user.amountMkin,
+      holderShare: user.holderShare,
+      tier3: user.tier3,
+      tier2: user.tier2,
+      tier1: user.tier1,
+      ...(hasRollover ? { rollover: user.rollover } : {}),
+    }))
+    .sort((a, b) => compareIds(a.userId, b.userId) || compareIds(a.walletAddress, b.walletAddress));
+  const { allocations, belowThreshold } = applyMinPayout(merged, config.minPayout);
+
+  const totals = { users: allocations.length, amountSol: 0, amountEmpire: 0, amountMkin: 0 };
+  for (const allocation of allocations) {
+    totals.amountSol += allocation.amountSol;
+    totals.amountEmpire += allocation.amountEmpire;
+    totals.amountMkin += allocation.amountMkin;
+  }
+
+  const tierKeys = hasRollover ? [...TIER_KEYS, 'ROLLOVER'] : TIER_KEYS;
+  const manifest = {
+    version: snapshot.version,
+    distributionId: snapshot.distributionId,
+    snapshotHash: hashSnapshot(snapshot),
+    eligibleHolders: eligible.length,
+    tierCounts: Object.fromEntries(
+      tierKeys.map((tier) => [tier, allocations.filter((a) => a.tiers.includes(tier)).length]),
+    ),
+    totals,
+    allocations,
+  };
+  if (belowThreshold) {
+    manifest.belowThreshold = belowThreshold;
+  }
+  if (hasRollover) {
+    // Rolled-over pool as its own line item; not allocated if nobody is eligible
+    manifest.rollover = {
+      sources: snapshot.rollover.sources.map(({ distributionId, allocations: count, amountSol, amountEmpire, amountMkin }) => ({
+        distributionId,
+        allocations: count,
+        amountSol,
+        amountEmpire,
+        amountMkin,
+      })),
+      amountSol: snapshot.rollover.amountSol,
+      amountEmpire: snapshot.rollover.amountEmpire,
+      amountMkin: snapshot.rollover.amountMkin,
+      recipients: rolloverShares.length,
+    };
+  }
+  // Version 1 snapshots predate Merkle roots
+  if (snapshot.version >= 2) {
+    manifest.merkleRoot = buildAllocationMerkleTree(allocations).root;
+  }
+
+  const manifestJson = canonicalJson(manifest);
+  return { manifest, manifestJson, manifestHash: sha256Hex(manifestJson) };
+}
+
+export default {
+  MANIFEST_VERSION,
+  ALLOCATION_DECIMALS,
+  canonicalJson,
+  sha256Hex,
+  hashSnapshot,
+  toAllocationLeaf,
+  hashAllocationLeaf,
+  buildAllocationMerkleTree,
+  buildAllocationManifest,
+};
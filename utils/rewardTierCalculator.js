@@ -6,6 +6,7 @@
  * - Tier 3 (Special Perks): 1.5 SOL pool for 12+ NFT minters
  * - Tier 2 (Top 5): 300K MKIN + 1.5 SOL for top 5 secondary buyers
  * - Tier 1 (Top 3): 450K EMPIRE + 300K MKIN + 1.5 SOL for top 3
+ * - Rollover: unclaimed amounts from expired distributions, to all holders
  */
 
 import { getFeeInSol } from './solPrice.js';
@@ -58,6 +59,9 @@ export const REWARD_TIERS = {
   },
 };
 
+// SOL price assumed when none is given (holder share is quoted in USD)
+export const FALLBACK_SOL_PRICE_USD = 140;
+
 /**
  * Get current SOL price in USD
  * @returns {Promise<number>} SOL price in USD
@@ -68,7 +72,7 @@ export async function getSolPrice() {
     return solPrice;
   } catch (error) {
     console.error('Error fetching SOL price:', error);
-    return 140; // Fallback price
+    return FALLBACK_SOL_PRICE_USD;
   }
 }
 
@@ -76,9 +80,16 @@ export async function getSolPrice() {
  * Calculate holder share rewards (35% royalty pool)
  * @param {Array} holders - Array of {userId, walletAddress, nftCount}
  * @param {number} totalRoyaltyPool - Total royalty pool in USD
+ * @param {Object} [options]
+ * @param {Object} [options.tiers] - Tier config (defaults to REWARD_TIERS)
+ * @param {number} [options.solPriceUsd] - SOL price used to convert the USD pool
  * @returns {Array} - Array with calculated rewards per user
  */
-export function calculateHolderShare(holders, totalRoyaltyPool) {
+export function calculateHolderShare(
+  holders,
+  totalRoyaltyPool,
+  { tiers = REWARD_TIERS, solPriceUsd = FALLBACK_SOL_PRICE_USD } = {},
+) {
   if (holders.length === 0 || totalRoyaltyPool <= 0) {
     return [];
   }
@@ -89,11 +100,11 @@ export function calculateHolderShare(holders, totalRoyaltyPool) {
     return [];
   }
 
-  const holderSharePool = totalRoyaltyPool * REWARD_TIERS.HOLDER_SHARE.royaltyPercentage;
+  const holderSharePool = totalRoyaltyPool * tiers.HOLDER_SHARE.royaltyPercentage;
 
   return holders.map(holder => {
     const weight = holder.nftCount / totalNfts;
-    const solValue = holderSharePool / 140; // Approximate, will be refined during distribution
+    const solValue = holderSharePool / solPriceUsd;
     
     return {
       userId: holder.userId,
@@ -117,9 +128,10 @@ export function calculateHolderShare(holders, totalRoyaltyPool) {
  * Calculate Tier 3 rewards (12+ NFTs, secondary market pool)
  * @param {Array} eligibleUsers - Users with 12+ NFTs and secondary purchases
  * @param {Map} secondaryPurchaseCounts - Map of wallet -> purchase count
+ * @param {Object} [tiers] - Tier config (defaults to REWARD_TIERS)
  * @returns {Array}
  */
-export function calculateTier3Rewards(eligibleUsers, secondaryPurchaseCounts) {
+export function calculateTier3Rewards(eligibleUsers, secondaryPurchaseCounts, tiers = REWARD_TIERS) {
   if (eligibleUsers.length === 0) {
     return [];
   }
@@ -132,7 +144,7 @@ export function calculateTier3Rewards(eligibleUsers, secondaryPurchaseCounts) {
 
   if (totalPurchases === 0) {
     // If no purchase data, distribute equally among eligible
-    const equalShare = REWARD_TIERS.TIER_3.poolSol / eligibleUsers.length;
+    const equalShare = tiers.TIER_3.poolSol / eligibleUsers.length;
     return eligibleUsers.map(user => ({
       userId: user.userId,
       walletAddress: user.walletAddress,
@@ -160,11 +172,11 @@ export function calculateTier3Rewards(eligibleUsers, secondaryPurchaseCounts) {
       nftCount: user.nftCount,
       tier: 'TIER_3',
       weight,
-      amountSol: REWARD_TIERS.TIER_3.poolSol * weight,
+      amountSol: tiers.TIER_3.poolSol * weight,
       amountEmpire: 0,
       amountMkin: 0,
       tier3: {
-        amountSol: REWARD_TIERS.TIER_3.poolSol * weight,
+        amountSol: tiers.TIER_3.poolSol * weight,
         amountEmpire: 0,
         amountMkin: 0,
       },
@@ -176,10 +188,11 @@ export function calculateTier3Rewards(eligibleUsers, secondaryPurchaseCounts) {
  * Calculate rank-based rewards (Tier 1 and Tier 2)
  * @param {Array} leaderboard - Sorted leaderboard entries (already ranked)
  * @param {string} tier - 'TIER_1' or 'TIER_2'
+ * @param {Object} [tiers] - Tier config (defaults to REWARD_TIERS)
  * @returns {Array}
  */
-export function calculateRankBasedRewards(leaderboard, tier) {
-  const tierConfig = REWARD_TIERS[tier];
+export function calculateRankBasedRewards(leaderboard, tier, tiers = REWARD_TIERS) {
+  const tierConfig = tiers[tier];
   
   if (!tierConfig || leaderboard.length === 0) {
     return [];
@@ -210,6 +223,42 @@ export function calculateRankBasedRewards(leaderboard, tier) {
   });
 }
 
+/**
+ * Split rolled-over amounts (expired, unclaimed allocations) across holders
+ * Proportional to NFT count, like the holder share, but paid in the rolled
+ * over tokens themselves rather than quoted in USD.
+ * @param {Array} holders - Holders eligible for the holder share
+ * @param {Object} rollover - { amountSol, amountEmpire, amountMkin }
+ * @returns {Array}
+ */
+export function calculateRolloverShare(holders, rollover) {
+  const totalNfts = holders.reduce((sum, h) => sum + (h.nftCount || 0), 0);
+
+  if (totalNfts === 0 || rollover.amountSol + rollover.amountEmpire + rollover.amountMkin <= 0) {
+    return [];
+  }
+
+  return holders.map(holder => {
+    const weight = holder.nftCount / totalNfts;
+    const share = {
+      amountSol: rollover.amountSol * weight,
+      amountEmpire: rollover.amountEmpire * weight,
+      amountMkin: rollover.amountMkin * weight,
+    };
+
+    return {
+      userId: holder.userId,
+      walletAddress: holder.walletAddress,
+      nftCount: holder.nftCount,
+      tier: 'ROLLOVER',
+      // Not a weight in the tier sense; kept out of the user's total weight
+      weight: 0,
+      ...share,
+      rollover: share,
+    };
+  });
+}
+
 /**
  * Merge multiple tier allocations per user
  * @param {Array} allocations - All tier allocations
@@ -234,6 +283,7 @@ export function mergeUserAllocations(allocations) {
         tier3: null,
         tier2: null,
         tier1: null,
+        rollover: null,
       });
     }
     
@@ -263,6 +313,9 @@ export function mergeUserAllocations(allocations) {
     if (alloc.tier1) {
       user.tier1 = alloc.tier1;
     }
+    if (alloc.rollover) {
+      user.rollover = alloc.rollover;
+    }
   }
   
   return Array.from(userMap.values());
@@ -307,9 +360,11 @@ export function getTierInformation() {
 
 export default {
   REWARD_TIERS,
+  FALLBACK_SOL_PRICE_USD,
   calculateHolderShare,
   calculateTier3Rewards,
   calculateRankBasedRewards,
+  calculateRolloverShare,
   mergeUserAllocations,
   getSolPrice,
   getTierInformation,
@@ -1,115 +1,36 @@
 /**
  * Withdrawal Security Utilities
- * Handles fee verification, replay prevention, and security checks
+ * Handles replay prevention and withdrawal security checks
  */
 
-import { PublicKey } from '@solana/web3.js';
+import { paymentVerifier } from '../services/paymentVerifier.js';
 
-/**
- * Verify that a fee transaction actually sent SOL to the treasury
- * @param {Object} txInfo - Transaction info from getTransaction
- * @param {string} expectedTreasuryAddress - Expected treasury wallet address
- * @param {string} expectedUserAddress - Expected user wallet address
- * @param {number} expectedFeeLamports - Expected fee amount in lamports
- * @returns {Object} { valid: boolean, error?: string, actualFee?: number }
- */
-function verifyFeeTransaction(txInfo, expectedTreasuryAddress, expectedUserAddress, expectedFeeLamports) {
-  try {
-    if (!txInfo || txInfo.meta?.err) {
-      return { valid: false, error: 'Transaction failed or not found' };
-    }
-
-    const treasuryPubkey = new PublicKey(expectedTreasuryAddress);
-    const userPubkey = new PublicKey(expectedUserAddress);
-
-    // Get account keys
-    const accountKeys = txInfo.transaction.message.getAccountKeys();
-    
-    // Find treasury and user indices
-    const treasuryIndex = accountKeys.staticAccountKeys.findIndex(
-      key => key.equals(treasuryPubkey)
-    );
-    const userIndex = accountKeys.staticAccountKeys.findIndex(
-      key => key.equals(userPubkey)
-    );
-
-    if (treasuryIndex === -1) {
-      return { valid: false, error: 'Treasury wallet not found in transaction' };
-    }
-
-    if (userIndex === -1) {
-      return { valid: false, error: 'User wallet not found in transaction' };
-    }
-
-    // Check balance changes
-    const preBalances = txInfo.meta.preBalances;
-    const postBalances = txInfo.meta.postBalances;
-
-    if (!preBalances || !postBalances) {
-      return { valid: false, error: 'Cannot verify transaction balances' };
-    }
-
-    const treasuryBalanceIncrease = postBalances[treasuryIndex] - preBalances[treasuryIndex];
-    const userBalanceDecrease = preBalances[userIndex] - postBalances[userIndex];
-
-    // Treasury must have received SOL
-    if (treasuryBalanceIncrease <= 0) {
-      return { valid: false, error: 'Treasury did not receive SOL' };
-    }
-
-    // Verify the amount is reasonable (within 20% of expected due to price fluctuations)
-    const minFeeLamports = Math.floor(expectedFeeLamports * 0.8);
-    const maxFeeLamports = Math.floor(expectedFeeLamports * 1.2);
-
-    if (treasuryBalanceIncrease < minFeeLamports) {
-      return { 
-        valid: false, 
-        error: 'Fee amount too low. Paid: ' + treasuryBalanceIncrease + ' lamports, Required: ~' + expectedFeeLamports + ' lamports',
-        actualFee: treasuryBalanceIncrease
-      };
-    }
-
-    if (treasuryBalanceIncrease > maxFeeLamports) {
-      console.warn('[Fee Verification] Fee higher than expected (user overpaid): ' + treasuryBalanceIncrease + ' vs ' + expectedFeeLamports);
-    }
-
-    console.log('[Fee Verification] Valid! Treasury received: ' + treasuryBalanceIncrease + ' lamports');
-
-    return { 
-      valid: true, 
-      actualFee: treasuryBalanceIncrease 
-    };
-
-  } catch (err) {
-    console.error('[Fee Verification] Error:', err);
-    return { valid: false, error: 'Failed to verify transaction: ' + err.message };
-  }
-}
+// Fee verification lives in services/paymentVerifier.js (verifyPayment).
+// The helpers below are kept for existing callers and delegate to its
+// used-signatures registry, which every fee-paying operation shares.
 
 /**
- * Check if a fee signature has already been used
- * @param {Object} firestore - Firestore instance
+ * Check if a fee signature has already been used (by any operation)
+ * @param {Object} firestore - Firestore instance (unused, kept for compatibility)
  * @param {string} feeSignature - Transaction signature
  * @returns {Promise<boolean>} True if already used
  */
 async function isFeeSignatureUsed(firestore, feeSignature) {
-  const usedFeesRef = firestore.collection('usedWithdrawalFees').doc(feeSignature);
-  const doc = await usedFeesRef.get();
-  return doc.exists;
+  return Boolean(await paymentVerifier.findSignatureUse(feeSignature));
 }
 
 /**
- * Mark a fee signature as used
- * @param {Object} firestore - Firestore instance
+ * Mark a fee signature as used for a withdrawal
+ * @param {Object} firestore - Firestore instance (unused, kept for compatibility)
  * @param {string} feeSignature - Transaction signature
  * @param {Object} metadata - Additional data to store
  * @returns {Promise<void>}
+ * @throws {PaymentVerificationError} If the signature is already registered
  */
 async function markFeeSignatureAsUsed(firestore, feeSignature, metadata) {
-  const usedFeesRef = firestore.collection('usedWithdrawalFees').doc(feeSignature);
-  await usedFeesRef.set({
+  await paymentVerifier.registerSignature(feeSignature, {
+    operation: 'withdraw',
     ...metadata,
-    usedAt: firestore.FieldValue.serverTimestamp(),
   });
 }
 
@@ -125,7 +46,6 @@ function isWithdrawalExpired(createdAtMillis, expiryWindowMs = 90000) {
 }
 
 export {
-  verifyFeeTransaction,
   isFeeSignatureUsed,
   markFeeSignatureAsUsed,
   isWithdrawalExpired,